@@ -0,0 +1,25 @@
+// Writes public/events.ics from public/data/events.json so calendar apps can subscribe to
+// upcoming events. Runs before `npm start` and `npm run build`; set SITE_ORIGIN to resolve
+// site-relative event links into absolute URLs.
+import { readFile, writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { EVENTS_FEED_PATH, EVENTS_SOURCE, buildICalendar, splitEventsByTime, validateEventsDocument } from '../src/events.mjs';
+
+const publicDir = fileURLToPath(new URL('../public/', import.meta.url));
+const sourcePath = `${publicDir}${EVENTS_SOURCE.url.slice(1)}`;
+const feedPath = `${publicDir}${EVENTS_FEED_PATH.slice(1)}`;
+
+const source = JSON.parse(await readFile(sourcePath, 'utf8'));
+const { events, problems } = validateEventsDocument(source);
+problems.forEach((problem) => {
+  const label = problem.label ? ` (${problem.label})` : '';
+  console.warn(`events.ics: skipped entry ${problem.index + 1}${label}: ${problem.messages.join(' ')}`);
+});
+
+const { upcoming } = splitEventsByTime(events);
+const calendar = buildICalendar(upcoming, {
+  origin: process.env.SITE_ORIGIN,
+  timezone: 'Pacific/Auckland',
+});
+await writeFile(feedPath, calendar);
+console.log(`events.ics: wrote ${upcoming.length} upcoming event(s) to public${EVENTS_FEED_PATH}`);
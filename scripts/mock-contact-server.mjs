@@ -0,0 +1,109 @@
+// A stand-in for the contact API while developing the /contact page. It validates enquiries with
+// the same rules as the form, drops honeypot submissions, rate limits each client address and
+// prints accepted messages instead of emailing them. Run `npm run contact:mock`, then start the
+// site with REACT_APP_CONTACT_API_URL=http://localhost:4010 (or set PORT to listen elsewhere).
+import { createServer } from 'node:http';
+import { randomUUID } from 'node:crypto';
+import {
+  CONTACT_RATE_LIMIT,
+  checkRateLimit,
+  describeRetryAfter,
+  isHoneypotFilled,
+  toEnquiryRecord,
+  validateEnquiry,
+} from '../src/enquiry.mjs';
+
+const port = Number(process.env.PORT ?? 4010);
+const MAX_BODY_BYTES = 16 * 1024;
+const enquiries = [];
+const sentByAddress = new Map();
+
+function send(req, res, status, body, headers = {}) {
+  res.writeHead(status, {
+    'Access-Control-Allow-Origin': req.headers.origin ?? '*',
+    'Access-Control-Allow-Credentials': 'true',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Accept, Content-Type',
+    Vary: 'Origin',
+    ...(body === undefined ? {} : { 'Content-Type': 'application/json' }),
+    ...headers,
+  });
+  res.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+async function readJson(req) {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new Error('Enquiry is too large.');
+    }
+    chunks.push(chunk);
+  }
+  return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+}
+
+async function handleEnquiry(req, res) {
+  let enquiry;
+  try {
+    enquiry = await readJson(req);
+  } catch (error) {
+    send(req, res, 400, { error: error instanceof SyntaxError ? 'Body must be JSON.' : error.message });
+    return;
+  }
+  const receipt = { id: randomUUID(), receivedAt: new Date().toISOString() };
+  if (isHoneypotFilled(enquiry)) {
+    console.log(`contact: dropped a honeypot submission from ${req.socket.remoteAddress}`);
+    send(req, res, 201, receipt);
+    return;
+  }
+  const [field, message] = Object.entries(validateEnquiry(enquiry ?? {}))[0] ?? [];
+  if (field) {
+    send(req, res, 422, { error: message, field });
+    return;
+  }
+  const address = req.socket.remoteAddress;
+  const limit = checkRateLimit(sentByAddress.get(address) ?? [], Date.now(), CONTACT_RATE_LIMIT);
+  if (!limit.allowed) {
+    send(req, res, 429, { error: describeRetryAfter(limit.retryAfterMs) }, {
+      'Retry-After': String(Math.ceil(limit.retryAfterMs / 1000)),
+    });
+    return;
+  }
+  sentByAddress.set(address, limit.timestamps);
+
+  const record = { ...receipt, ...toEnquiryRecord(enquiry) };
+  enquiries.push(record);
+  console.log(`contact: [${record.category}] ${record.name} <${record.email}>\n${record.message}\n`);
+  send(req, res, 201, receipt);
+}
+
+async function route(req, res) {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  if (req.method === 'OPTIONS') {
+    send(req, res, 204);
+  } else if (pathname === '/enquiries' && req.method === 'POST') {
+    await handleEnquiry(req, res);
+  } else if (pathname === '/enquiries' && req.method === 'GET') {
+    send(req, res, 200, enquiries);
+  } else {
+    send(req, res, 404, { error: `No route for ${req.method} ${pathname}.` });
+  }
+}
+
+// A bad request should cost one 500, not the whole mock server.
+const server = createServer((req, res) => {
+  route(req, res).catch((error) => {
+    console.error(`contact: ${req.method} ${req.url} failed:`, error);
+    if (!res.headersSent) {
+      send(req, res, 500, { error: 'The mock contact server hit an unexpected error.' });
+    } else {
+      res.end();
+    }
+  });
+});
+
+server.listen(port, () => {
+  console.log(`contact: mock server listening on http://localhost:${port}`);
+});
@@ -1,8 +1,8 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+test('renders the home page with a link to the join flow', () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByRole('heading', { level: 1, name: 'VIC DATASOC' })).toBeInTheDocument();
+  expect(screen.getByRole('link', { name: 'Join Us!' })).toHaveAttribute('href', '/join');
 });
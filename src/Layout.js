@@ -0,0 +1,365 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { NavLink, Outlet, useLocation, useSearchParams } from 'react-router-dom';
+import { Canvas } from '@react-three/fiber';
+import { NetworkGraphPanel } from './scenes/NetworkStudio';
+import { PCADatasetPanel } from './scenes/PCAStudio';
+import { Scene } from './scenes/Scene';
+import { SceneParameterPanel } from './scenes/SceneParameterPanel';
+import { SpinningLogo } from './scenes/SpinningLogo';
+import { analysePCADataset } from './scenes/pca';
+import {
+  SCENE_PARAMETER_SCHEMAS,
+  SCENE_SEARCH_KEYS,
+  SCENE_VARIANTS,
+  readSceneSearchParams,
+  resolveSceneParameters,
+  writeSceneSearchParams,
+} from './scenes/sceneParameters';
+
+export function Layout() {
+  const location = useLocation();
+  const isAbout = location.pathname.startsWith('/about');
+  const isEvents = location.pathname.startsWith('/events');
+  const isTeam = location.pathname.startsWith('/team');
+  const isConstitution = location.pathname.startsWith('/constitution');
+  const isJoin = location.pathname.startsWith('/join');
+  const isContact = location.pathname.startsWith('/contact');
+  const isPanelPage = isEvents || isTeam || isJoin || isContact;
+  const navLinkClass = ({ isActive }) => `nav-link${isActive ? ' nav-link--active' : ''}`;
+  const needsScroll = isPanelPage || isConstitution;
+  const rootClass = `app-root manrope-font${isAbout ? ' app-root--about' : ''}${needsScroll ? ' app-root--scroll' : ''}`;
+  const canvasClass = isPanelPage ? 'scene-canvas scene-canvas--passive' : 'scene-canvas';
+  const pageContentModifier = isAbout
+    ? 'page-content--about'
+    : isTeam
+      ? 'page-content--team'
+      : isEvents
+        ? 'page-content--events'
+        : isConstitution
+          ? 'page-content--constitution'
+          : isJoin || isContact
+            ? 'page-content--join'
+            : 'page-content--home';
+  const [searchParams, setSearchParams] = useSearchParams();
+  const variantParam = searchParams.get('variant');
+  const routeVariant = SCENE_VARIANTS.includes(variantParam)
+    ? variantParam
+    : isAbout
+      ? 'soft'
+      : isTeam
+        ? 'network'
+        : 'default';
+  const backgroundOptions = useMemo(
+    () => [
+      { id: 'gaussian', label: 'Gaussian' },
+      { id: 'linear', label: 'Linear Algebra' },
+      { id: 'bell', label: 'Bell Drop' },
+      { id: 'network', label: 'Network' },
+      { id: 'markov', label: 'Markov Walk' },
+      { id: 'neural', label: 'Neural Net' },
+      { id: 'lorenz', label: 'Lorenz' },
+      { id: 'regression', label: 'Regression' },
+      { id: 'pca', label: 'PCA' },
+    ],
+    []
+  );
+  const backgroundParam = searchParams.get('bg');
+  const backgroundModeIndex = Math.max(
+    0,
+    backgroundOptions.findIndex((option) => option.id === backgroundParam)
+  );
+  const [pcaDataset, setPcaDataset] = useState(null);
+  const [networkGraph, setNetworkGraph] = useState(null);
+  const [parameterPanelOpen, setParameterPanelOpen] = useState(false);
+  const activeBackground = backgroundOptions[backgroundModeIndex] ?? backgroundOptions[0];
+  const pcaAnalysis = useMemo(
+    () => (activeBackground.id === 'pca' ? analysePCADataset(pcaDataset, routeVariant) : null),
+    [activeBackground.id, pcaDataset, routeVariant]
+  );
+  const backgroundDetails = useMemo(
+    () => ({
+      gaussian: {
+        title: 'Gaussian Landscape',
+        description:
+          'A bivariate normal with an editable covariance, a K-component mixture, or EM recovering a hidden mixture from its samples, with confidence ellipses and marginals on the walls.',
+      },
+      bell: {
+        title: 'Galton Board',
+        description:
+          'Balls drop through rows of pegs, each bounce steered by one biased coin flip, and pile up against the binomial PMF and its normal approximation.',
+      },
+      linear: {
+        title: 'Matrix Playground',
+        description:
+          'Type a matrix or drag the basis tips: the grid or 3D lattice slides from the identity, the unit square or cube tracks the determinant, eigenvectors hold their span and singular steps collapse space.',
+      },
+      network: {
+        title: 'Graph Pulse',
+        description:
+          'A clustered network coloured by Louvain communities. Upload an edge list, GraphML or node-link JSON to lay out your own graph with a force simulation.',
+      },
+      markov: {
+        title: 'Markov Walk',
+        description:
+          'A random walker following directed transitions, its visit histogram converging on the stationary distribution found by power iteration.',
+      },
+      neural: {
+        title: 'Neural Pathways',
+        description:
+          'A small network trained live on toy 2D data: edges show learned weights, nodes glow with activations, and the floor maps its decision boundary.',
+      },
+      lorenz: {
+        title: 'Lorenz Attractor',
+        description:
+          'Chaotic trajectories from nearly identical starting points drifting apart, demonstrating sensitivity to initial conditions.',
+      },
+      regression: {
+        title: 'Regression Plane',
+        description:
+          'A plane fitted to noisy points by least squares, or walked there by gradient descent, with signed residuals and live loss and R².',
+      },
+      pca: {
+        title: 'PCA Studio',
+        description:
+          'Principal components stretching through a rotating cloud to show how variance concentrates along axes.',
+      },
+    }),
+    []
+  );
+  // The URL is the source of truth for the background so any configuration can be linked to.
+  const sceneSearch = useMemo(() => {
+    const scoped = new URLSearchParams();
+    SCENE_SEARCH_KEYS.forEach((key) => {
+      if (searchParams.has(key)) scoped.set(key, searchParams.get(key));
+    });
+    const serialized = scoped.toString();
+    return serialized ? `?${serialized}` : '';
+  }, [searchParams]);
+  const sceneParameters = useMemo(
+    () =>
+      resolveSceneParameters(
+        activeBackground.id,
+        routeVariant,
+        readSceneSearchParams(activeBackground.id, new URLSearchParams(sceneSearch))
+      ),
+    [activeBackground.id, routeVariant, sceneSearch]
+  );
+  const handleParameterChange = useCallback(
+    (key, value) => {
+      setSearchParams(
+        (current) =>
+          writeSceneSearchParams(current, {
+            sceneId: activeBackground.id,
+            variant: current.get('variant'),
+            values: { ...sceneParameters, [key]: value },
+          }),
+        { replace: true }
+      );
+    },
+    [activeBackground.id, sceneParameters, setSearchParams]
+  );
+  const handleParameterReset = useCallback(() => {
+    setSearchParams(
+      (current) =>
+        writeSceneSearchParams(current, {
+          sceneId: activeBackground.id,
+          variant: current.get('variant'),
+        }),
+      { replace: true }
+    );
+    if (activeBackground.id === 'pca') {
+      setPcaDataset(null);
+    }
+    if (activeBackground.id === 'network') {
+      setNetworkGraph(null);
+    }
+  }, [activeBackground.id, setSearchParams]);
+  const withSceneSearch = (pathname) => ({ pathname, search: sceneSearch });
+  const initialBackground = backgroundOptions[0];
+  const [overlayPayload, setOverlayPayload] = useState({
+    id: initialBackground.id,
+    title: backgroundDetails[initialBackground.id]?.title ?? initialBackground.label,
+    description: backgroundDetails[initialBackground.id]?.description ?? '',
+  });
+  const [overlayActivated, setOverlayActivated] = useState(false);
+  const [overlayVisible, setOverlayVisible] = useState(false);
+  const overlayTimerRef = useRef(null);
+  const selectBackground = (index) => {
+    setOverlayActivated(true);
+    setSearchParams((current) =>
+      writeSceneSearchParams(current, {
+        sceneId: backgroundOptions[index].id,
+        variant: current.get('variant'),
+      })
+    );
+  };
+  const handlePreviousBackground = () => {
+    selectBackground((backgroundModeIndex - 1 + backgroundOptions.length) % backgroundOptions.length);
+  };
+  const handleNextBackground = () => {
+    selectBackground((backgroundModeIndex + 1) % backgroundOptions.length);
+  };
+  useEffect(() => {
+    if (!overlayActivated) return;
+    const detail = backgroundDetails[activeBackground.id] ?? {};
+    setOverlayPayload({
+      id: activeBackground.id,
+      title: detail.title ?? activeBackground.label,
+      description: detail.description ?? '',
+    });
+    if (overlayTimerRef.current) clearTimeout(overlayTimerRef.current);
+    setOverlayVisible(false);
+    const rafId = requestAnimationFrame(() => {
+      setOverlayVisible(true);
+    });
+    overlayTimerRef.current = setTimeout(() => {
+      setOverlayVisible(false);
+    }, 5200);
+    return () => {
+      cancelAnimationFrame(rafId);
+    };
+  }, [activeBackground, backgroundDetails, overlayActivated]);
+
+  useEffect(
+    () => () => {
+      if (overlayTimerRef.current) {
+        clearTimeout(overlayTimerRef.current);
+      }
+    },
+    []
+  );
+
+  return (
+    <div className={rootClass}>
+      <div className="background-toggle" role="group" aria-label="Background visual selector">
+        <button
+          type="button"
+          className="background-toggle__button"
+          onClick={handlePreviousBackground}
+          aria-label="Previous background"
+        >
+          &lt;
+        </button>
+        <span className="background-toggle__label">{activeBackground.label}</span>
+        <button
+          type="button"
+          className="background-toggle__button"
+          onClick={handleNextBackground}
+          aria-label="Next background"
+        >
+          &gt;
+        </button>
+        <button
+          type="button"
+          className={`background-toggle__button background-toggle__button--wide${parameterPanelOpen ? ' background-toggle__button--active' : ''}`}
+          onClick={() => setParameterPanelOpen((open) => !open)}
+          aria-expanded={parameterPanelOpen}
+          aria-controls="scene-parameter-panel"
+        >
+          Tune
+        </button>
+      </div>
+      {parameterPanelOpen ? (
+        <SceneParameterPanel
+          title={backgroundDetails[activeBackground.id]?.title ?? activeBackground.label}
+          schema={SCENE_PARAMETER_SCHEMAS[activeBackground.id]}
+          values={sceneParameters}
+          onChange={handleParameterChange}
+          onReset={handleParameterReset}
+        >
+          {activeBackground.id === 'pca' ? (
+            <PCADatasetPanel
+              analysis={pcaAnalysis}
+              uploaded={pcaDataset !== null}
+              onDatasetChange={setPcaDataset}
+            />
+          ) : activeBackground.id === 'network' ? (
+            <NetworkGraphPanel graph={networkGraph} onGraphChange={setNetworkGraph} />
+          ) : null}
+        </SceneParameterPanel>
+      ) : null}
+      {overlayActivated ? (
+        <div
+          className={`background-overlay${overlayVisible ? ' background-overlay--visible' : ''}`}
+          role="status"
+          aria-live="polite"
+        >
+          <span className="background-overlay__title">{overlayPayload.title}</span>
+          {overlayPayload.description ? (
+            <p className="background-overlay__description">{overlayPayload.description}</p>
+          ) : null}
+        </div>
+      ) : null}
+      <header className="app-header">
+        <nav className="nav-bar">
+          <div className="nav-brand">
+            <NavLink to={withSceneSearch('/')} className="brand-link" aria-label="VIC DataSoc home">
+              <div className="brand-canvas">
+                <Canvas camera={{ position: [0, 0, 5] }}>
+                  <ambientLight intensity={0.5} />
+                  <pointLight position={[10, 10, 10]} />
+                  <SpinningLogo />
+                </Canvas>
+              </div>
+              <span className="brand-title">VDS</span>
+            </NavLink>
+          </div>
+          <ul className="nav-links">
+            <li>
+              <NavLink to={withSceneSearch('/')} className={navLinkClass} end>
+                Home
+              </NavLink>
+            </li>
+            <li>
+              <NavLink to={withSceneSearch('/about')} className={navLinkClass}>
+                About
+              </NavLink>
+            </li>
+            <li>
+              <NavLink to={withSceneSearch('/events')} className={navLinkClass}>
+                Events
+              </NavLink>
+            </li>
+            <li>
+              <NavLink to={withSceneSearch('/join')} className={navLinkClass}>
+                Join Us
+              </NavLink>
+            </li>
+            <li>
+              <NavLink to={withSceneSearch('/team')} className={navLinkClass}>
+                Team
+              </NavLink>
+            </li>
+            <li>
+              <NavLink to={withSceneSearch('/constitution')} className={navLinkClass}>
+                Constitution
+              </NavLink>
+            </li>
+            <li>
+              <NavLink to={withSceneSearch('/contact')} className={navLinkClass}>
+                Contact
+              </NavLink>
+            </li>
+          </ul>
+        </nav>
+      </header>
+      <main
+        className={`page-content ${pageContentModifier}`}
+      >
+        <Outlet />
+      </main>
+      <Canvas shadows camera={{ position: [30, 30, 30], fov: 50 }} className={canvasClass}>
+        <Scene
+          controlsEnabled={!isPanelPage}
+          backgroundMode={activeBackground.id}
+          variant={routeVariant}
+          showGaussianCurve={!isAbout}
+          pcaAnalysis={pcaAnalysis}
+          networkGraph={networkGraph}
+          parameters={sceneParameters}
+          onParameterChange={handleParameterChange}
+        />
+      </Canvas>
+    </div>
+  );
+}
@@ -0,0 +1,74 @@
+// Building blocks for the storage adapters behind RSVPs, membership signups and the contact form.
+// Each feature ships a localStorage adapter for demos and an HTTP adapter for our own API.
+
+export function createRecordId() {
+  return typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// Touching window.localStorage throws a SecurityError when the browser blocks site data, so the
+// localStorage adapters default to this and only reach it when a request reads or writes.
+export const browserStorage = {
+  getItem: (key) => window.localStorage.getItem(key),
+  setItem: (key, value) => window.localStorage.setItem(key, value),
+};
+
+function withStorage(run) {
+  try {
+    return run();
+  } catch (cause) {
+    throw new Error('This browser isn’t letting us save anything on this device. Allow site data and try again.', {
+      cause,
+    });
+  }
+}
+
+/** A JSON array kept under one localStorage key; unreadable data reads as empty, blocked storage throws. */
+export function createStoredList(storage, key) {
+  return {
+    read() {
+      const raw = withStorage(() => storage.getItem(key));
+      try {
+        const stored = JSON.parse(raw ?? '[]');
+        return Array.isArray(stored) ? stored : [];
+      } catch {
+        return [];
+      }
+    },
+    write(items) {
+      withStorage(() => storage.setItem(key, JSON.stringify(items)));
+    },
+  };
+}
+
+/**
+ * Sends JSON to `baseUrl` and parses the reply. Failed responses throw with the API's `error`
+ * message when it sends one, and `field` when the error belongs to a form field. Cookies are
+ * included so the API can gate committee endpoints behind its own sign-in.
+ */
+export function createJsonClient(baseUrl, { service, fetchImpl = (...args) => fetch(...args) }) {
+  const base = baseUrl.replace(/\/+$/, '');
+  return async (path, init = {}) => {
+    const response = await fetchImpl(`${base}${path}`, {
+      credentials: 'include',
+      ...init,
+      headers: { Accept: 'application/json', ...(init.body ? { 'Content-Type': 'application/json' } : {}) },
+    });
+    const body = response.status === 204 ? null : await response.json().catch(() => null);
+    if (!response.ok) {
+      const error = new Error(body?.error ?? `The ${service} responded with ${response.status}.`);
+      error.status = response.status;
+      error.field = body?.field ?? null;
+      throw error;
+    }
+    return body;
+  };
+}
+
+/** An error tied to one form field, so forms can show it next to that input. */
+export function fieldError(field, message) {
+  const error = new Error(message);
+  error.field = field;
+  return error;
+}
@@ -0,0 +1,160 @@
+// The constitution as structured data, read from public/data/constitution.json. Sections and
+// clauses are numbered by their position in the file, so clause 7.2 is the second clause of
+// the seventh section and can be linked as /constitution#clause-7-2.
+
+import { parseCalendarDate } from './events.mjs';
+import { isNonEmptyString, isSafeHref } from './validation.mjs';
+
+export const CONSTITUTION_SOURCE = { url: '/data/constitution.json', version: 1 };
+
+export function sectionAnchor(section) {
+  return `section-${section.number}`;
+}
+
+export function clauseAnchor(clause) {
+  return `clause-${clause.number.replace('.', '-')}`;
+}
+
+const CLAUSE_REFERENCE_PATTERN = /\bclause (\d+\.\d+)\b/gi;
+
+/** Splits text around mentions such as "clause 2.2" so they can link to that clause. */
+export function splitClauseReferences(text) {
+  const parts = [];
+  let from = 0;
+  for (const match of text.matchAll(CLAUSE_REFERENCE_PATTERN)) {
+    if (match.index > from) parts.push({ text: text.slice(from, match.index), clause: null });
+    parts.push({ text: match[0], clause: { number: match[1] } });
+    from = match.index + match[0].length;
+  }
+  if (from < text.length) parts.push({ text: text.slice(from), clause: null });
+  return parts;
+}
+
+function validateClause(clause, messages) {
+  if (!clause || typeof clause !== 'object' || !isNonEmptyString(clause.text)) {
+    messages.push('"text" is required.');
+    return false;
+  }
+  if (clause.items != null && (!Array.isArray(clause.items) || !clause.items.every(isNonEmptyString))) {
+    messages.push('"items" must be a list of text.');
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Validates the constitution file. Malformed clauses are dropped and reported without
+ * renumbering the rest, so anchors to later clauses keep pointing at the right text.
+ */
+export function validateConstitutionDocument(source) {
+  if (!source || typeof source !== 'object' || Array.isArray(source)) {
+    throw new Error('The constitution file must contain a JSON object.');
+  }
+  if (source.version !== CONSTITUTION_SOURCE.version) {
+    throw new Error(
+      `Unsupported constitution file version ${JSON.stringify(source.version)} (expected ${CONSTITUTION_SOURCE.version}).`
+    );
+  }
+  if (!Array.isArray(source.sections)) {
+    throw new Error('The constitution file needs a "sections" list.');
+  }
+
+  const problems = [];
+  const sections = source.sections.map((section, index) => {
+    const number = index + 1;
+    const sectionMessages = [];
+    if (!isNonEmptyString(section?.title)) {
+      sectionMessages.push('"title" is required.');
+    }
+    if (!Array.isArray(section?.clauses) || !section.clauses.length) {
+      sectionMessages.push('"clauses" must list at least one { text }.');
+    }
+    if (sectionMessages.length) {
+      problems.push({ label: `Section ${number}`, messages: sectionMessages });
+    }
+
+    const clauses = (Array.isArray(section?.clauses) ? section.clauses : [])
+      .map((clause, clauseIndex) => {
+        const messages = [];
+        const clauseNumber = `${number}.${clauseIndex + 1}`;
+        if (!validateClause(clause, messages)) {
+          problems.push({ label: `Clause ${clauseNumber}`, messages });
+          return null;
+        }
+        return {
+          number: clauseNumber,
+          text: clause.text.trim(),
+          items: (clause.items ?? []).map((item) => item.trim()),
+        };
+      })
+      .filter(Boolean);
+    return { number, title: isNonEmptyString(section?.title) ? section.title.trim() : `Section ${number}`, clauses };
+  });
+
+  return {
+    title: isNonEmptyString(source.title) ? source.title.trim() : 'Constitution',
+    lastUpdated: parseCalendarDate(source.lastUpdated) ? source.lastUpdated : null,
+    pdf: isSafeHref(source.pdf) ? source.pdf : null,
+    sections,
+    problems,
+  };
+}
+
+function normalizeQuery(query) {
+  return String(query ?? '')
+    .trim()
+    .replace(/\s+/g, ' ')
+    .toLowerCase();
+}
+
+/**
+ * Sections and clauses that mention the query, with the number of matches. A section whose
+ * title matches keeps all of its clauses; otherwise only matching clauses are kept.
+ */
+export function searchConstitution(sections, query) {
+  const needle = normalizeQuery(query);
+  if (!needle) {
+    return { sections, matches: 0, clauses: 0 };
+  }
+  let matches = 0;
+  let clauses = 0;
+  const results = sections
+    .map((section) => {
+      const titleMatches = countMatches(section.title, needle);
+      matches += titleMatches;
+      const kept = section.clauses.filter((clause) => {
+        const clauseMatches = [clause.text, ...clause.items].reduce(
+          (total, text) => total + countMatches(text, needle),
+          0
+        );
+        matches += clauseMatches;
+        if (clauseMatches) clauses += 1;
+        return clauseMatches > 0 || titleMatches > 0;
+      });
+      return kept.length ? { ...section, clauses: kept } : null;
+    })
+    .filter(Boolean);
+  return { sections: results, matches, clauses };
+}
+
+function countMatches(text, needle) {
+  return highlightSegments(text, needle).filter((segment) => segment.match).length;
+}
+
+/** Splits text into plain and matching runs so the matches can be wrapped in <mark>. */
+export function highlightSegments(text, query) {
+  const needle = normalizeQuery(query);
+  if (!needle) {
+    return [{ text, match: false }];
+  }
+  const lower = text.toLowerCase();
+  const segments = [];
+  let from = 0;
+  for (let at = lower.indexOf(needle); at >= 0; at = lower.indexOf(needle, from)) {
+    if (at > from) segments.push({ text: text.slice(from, at), match: false });
+    segments.push({ text: text.slice(at, at + needle.length), match: true });
+    from = at + needle.length;
+  }
+  if (from < text.length) segments.push({ text: text.slice(from), match: false });
+  return segments;
+}
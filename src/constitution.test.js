@@ -0,0 +1,118 @@
+import {
+  clauseAnchor,
+  highlightSegments,
+  searchConstitution,
+  sectionAnchor,
+  splitClauseReferences,
+  validateConstitutionDocument,
+} from './constitution';
+
+function constitutionDocument(sections, extra = {}) {
+  return { version: 1, sections, ...extra };
+}
+
+const { sections } = validateConstitutionDocument(
+  constitutionDocument([
+    {
+      title: 'Membership',
+      clauses: [
+        { text: 'Any student may join the society.' },
+        { text: 'Members may vote at general meetings.', items: ['In person', 'By proxy'] },
+      ],
+    },
+    { title: 'Meetings', clauses: [{ text: 'The committee meets monthly.' }, { text: 'Notice is given by email.' }] },
+  ])
+);
+
+describe('validateConstitutionDocument', () => {
+  test('numbers sections and clauses by position', () => {
+    expect(sections.map((section) => section.number)).toEqual([1, 2]);
+    expect(sections[0].clauses[1]).toEqual({
+      number: '1.2',
+      text: 'Members may vote at general meetings.',
+      items: ['In person', 'By proxy'],
+    });
+    expect(sectionAnchor(sections[1])).toBe('section-2');
+    expect(clauseAnchor(sections[0].clauses[1])).toBe('clause-1-2');
+  });
+
+  test('drops bad clauses without renumbering the ones after them', () => {
+    const document = validateConstitutionDocument(
+      constitutionDocument([
+        { title: 'Rules', clauses: [{ text: 7 }, { text: 'Kept.', items: ['ok', 3] }, { text: 'Also kept.' }] },
+      ])
+    );
+    expect(document.sections[0].clauses.map((clause) => clause.number)).toEqual(['1.3']);
+    expect(document.problems).toEqual([
+      { label: 'Clause 1.1', messages: ['"text" is required.'] },
+      { label: 'Clause 1.2', messages: ['"items" must be a list of text.'] },
+    ]);
+  });
+
+  test('falls back to placeholder titles for non-text titles instead of throwing', () => {
+    const document = validateConstitutionDocument(
+      constitutionDocument([{ title: ['Rules'], clauses: [{ text: 'Kept.' }] }], {
+        title: 42,
+        lastUpdated: 'last week',
+        pdf: 'data:application/pdf,',
+      })
+    );
+    expect(document).toMatchObject({ title: 'Constitution', lastUpdated: null, pdf: null });
+    expect(document.sections[0].title).toBe('Section 1');
+    expect(document.problems).toEqual([{ label: 'Section 1', messages: ['"title" is required.'] }]);
+  });
+
+  test('throws when the file itself is unusable', () => {
+    expect(() => validateConstitutionDocument('rules')).toThrow('must contain a JSON object');
+    expect(() => validateConstitutionDocument({ version: 3, sections: [] })).toThrow('version 3');
+    expect(() => validateConstitutionDocument({ version: 1 })).toThrow('"sections" list');
+  });
+});
+
+describe('searchConstitution', () => {
+  test('keeps only the clauses that mention the query and counts every match', () => {
+    const result = searchConstitution(sections, '  GENERAL   meetings ');
+    expect(result.matches).toBe(1);
+    expect(result.clauses).toBe(1);
+    expect(result.sections).toHaveLength(1);
+    expect(result.sections[0].clauses.map((clause) => clause.number)).toEqual(['1.2']);
+  });
+
+  test('keeps every clause of a section whose title matches', () => {
+    const result = searchConstitution(sections, 'meetings');
+    expect(result.sections.map((section) => section.clauses.length)).toEqual([1, 2]);
+    expect(result.matches).toBe(2);
+  });
+
+  test('searches list items and returns everything for a blank query', () => {
+    expect(searchConstitution(sections, 'proxy').clauses).toBe(1);
+    expect(searchConstitution(sections, '   ')).toEqual({ sections, matches: 0, clauses: 0 });
+  });
+});
+
+describe('highlightSegments', () => {
+  test('marks every case-insensitive match and keeps the original casing', () => {
+    expect(highlightSegments('Vote, vote, VOTE', 'vote')).toEqual([
+      { text: 'Vote', match: true },
+      { text: ', ', match: false },
+      { text: 'vote', match: true },
+      { text: ', ', match: false },
+      { text: 'VOTE', match: true },
+    ]);
+  });
+
+  test('returns the text untouched when there is nothing to find', () => {
+    expect(highlightSegments('Any student', '')).toEqual([{ text: 'Any student', match: false }]);
+    expect(highlightSegments('Any student', 'staff')).toEqual([{ text: 'Any student', match: false }]);
+  });
+});
+
+test('splitClauseReferences picks out clause numbers to link', () => {
+  expect(splitClauseReferences('As in Clause 2.1 and clause 10.3.')).toEqual([
+    { text: 'As in ', clause: null },
+    { text: 'Clause 2.1', clause: { number: '2.1' } },
+    { text: ' and ', clause: null },
+    { text: 'clause 10.3', clause: { number: '10.3' } },
+    { text: '.', clause: null },
+  ]);
+});
@@ -0,0 +1,74 @@
+// Contact-form enquiries go through a transport so the page doesn't care where they end up.
+// Every transport implements:
+//   send(enquiry) -> { id, receivedAt } (throws with `field` when the server rejects one input)
+// The localStorage transport is the default; set REACT_APP_CONTACT_API_URL to use the HTTP one,
+// e.g. http://localhost:4010 while `npm run contact:mock` is running.
+
+import { browserStorage, createJsonClient, createRecordId, createStoredList } from './adapters';
+import {
+  CONTACT_RATE_LIMIT,
+  checkRateLimit,
+  describeRetryAfter,
+  isHoneypotFilled,
+  toEnquiryRecord,
+} from './enquiry.mjs';
+
+const CONTACT_OUTBOX_KEY = 'vic-datasoc:enquiries';
+const CONTACT_SENT_KEY = 'vic-datasoc:enquiries-sent';
+
+function createReceipt() {
+  return { id: createRecordId(), receivedAt: new Date().toISOString() };
+}
+
+export function createLocalStorageContactTransport(storage = browserStorage) {
+  const outbox = createStoredList(storage, CONTACT_OUTBOX_KEY);
+  return {
+    async send(enquiry) {
+      const receipt = createReceipt();
+      outbox.write([...outbox.read(), { ...receipt, ...enquiry }]);
+      return receipt;
+    },
+  };
+}
+
+/**
+ * Talks to our contact API (or the mock server in scripts/):
+ *   POST {base}/enquiries   body { name, email, category, message }
+ * It replies 201 { id, receivedAt }, 422 { error, field } for invalid input, or 429 { error }
+ * when the sender is rate limited.
+ */
+export function createHttpContactTransport(baseUrl, { fetchImpl } = {}) {
+  const request = createJsonClient(baseUrl, { service: 'contact service', fetchImpl });
+  return {
+    send: (enquiry) => request('/enquiries', { method: 'POST', body: JSON.stringify(enquiry) }),
+  };
+}
+
+/**
+ * Wraps a transport with the checks every enquiry gets in the browser: honeypot submissions
+ * are acknowledged without being sent, and each browser is limited to CONTACT_RATE_LIMIT.
+ */
+export function withSpamProtection(transport, storage = browserStorage, now = () => Date.now()) {
+  const sent = createStoredList(storage, CONTACT_SENT_KEY);
+  return {
+    async send(enquiry) {
+      if (isHoneypotFilled(enquiry)) {
+        return createReceipt();
+      }
+      const limit = checkRateLimit(sent.read(), now(), CONTACT_RATE_LIMIT);
+      if (!limit.allowed) {
+        const error = new Error(describeRetryAfter(limit.retryAfterMs));
+        error.status = 429;
+        throw error;
+      }
+      const receipt = await transport.send(toEnquiryRecord(enquiry));
+      sent.write(limit.timestamps);
+      return receipt;
+    },
+  };
+}
+
+export function createContactTransport() {
+  const apiUrl = process.env.REACT_APP_CONTACT_API_URL;
+  return withSpamProtection(apiUrl ? createHttpContactTransport(apiUrl) : createLocalStorageContactTransport());
+}
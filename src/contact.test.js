@@ -0,0 +1,47 @@
+import { createContactTransport, withSpamProtection } from './contact';
+
+function memoryStorage() {
+  const items = new Map();
+  return { getItem: (key) => items.get(key) ?? null, setItem: (key, value) => items.set(key, value) };
+}
+
+const enquiry = {
+  name: ' Ada ',
+  email: 'ada@example.com',
+  category: 'general',
+  message: 'Could you run a workshop on Bayesian statistics?',
+  website: '',
+};
+
+describe('withSpamProtection', () => {
+  test('sends the trimmed record and rate limits repeat senders', async () => {
+    const transport = { send: jest.fn(async () => ({ id: 'e1', receivedAt: '' })) };
+    const protectedTransport = withSpamProtection(transport, memoryStorage(), () => 0);
+    await protectedTransport.send(enquiry);
+    await protectedTransport.send(enquiry);
+    await protectedTransport.send(enquiry);
+    expect(transport.send).toHaveBeenCalledTimes(3);
+    expect(transport.send.mock.calls[0][0]).not.toHaveProperty('website');
+    expect(transport.send.mock.calls[0][0].name).toBe('Ada');
+    await expect(protectedTransport.send(enquiry)).rejects.toMatchObject({ status: 429 });
+  });
+
+  test('acknowledges honeypot submissions without sending them', async () => {
+    const transport = { send: jest.fn() };
+    const receipt = await withSpamProtection(transport, memoryStorage()).send({ ...enquiry, website: 'spam.example' });
+    expect(receipt).toHaveProperty('id');
+    expect(transport.send).not.toHaveBeenCalled();
+  });
+});
+
+test('a blocked localStorage only fails sending, not creating the transport', async () => {
+  const storageGetter = jest.spyOn(window, 'localStorage', 'get').mockImplementation(() => {
+    throw new DOMException('The operation is insecure.', 'SecurityError');
+  });
+  try {
+    const transport = createContactTransport();
+    await expect(transport.send(enquiry)).rejects.toThrow('isn’t letting us save anything');
+  } finally {
+    storageGetter.mockRestore();
+  }
+});
@@ -0,0 +1,26 @@
+// Spreadsheet exports for committee views.
+
+// Cells starting with these are evaluated as formulas by Excel and Sheets, so they get a leading quote.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function escapeCsvCell(value) {
+  let text = value == null ? '' : String(value);
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** Serialises rows as RFC 4180 CSV; each column is `{ label, value(row) }`. */
+export function toCsv(columns, rows) {
+  const lines = [
+    columns.map((column) => escapeCsvCell(column.label)),
+    ...rows.map((row) => columns.map((column) => escapeCsvCell(column.value(row)))),
+  ];
+  return `${lines.map((cells) => cells.join(',')).join('\r\n')}\r\n`;
+}
+
+export function csvDataUrl(csv) {
+  // The BOM makes Excel read the file as UTF-8 so macrons and emoji survive.
+  return `data:text/csv;charset=utf-8,${encodeURIComponent(`\uFEFF${csv}`)}`;
+}
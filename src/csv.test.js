@@ -0,0 +1,34 @@
+import { csvDataUrl, toCsv } from './csv';
+
+const columns = [
+  { label: 'Name', value: (row) => row.name },
+  { label: 'Notes', value: (row) => row.notes },
+];
+
+describe('toCsv', () => {
+  test('quotes cells with commas, quotes or line breaks and ends every line with CRLF', () => {
+    const csv = toCsv(columns, [{ name: 'Ada, Countess', notes: 'said "hi"\nthen left' }]);
+    expect(csv).toBe('Name,Notes\r\n"Ada, Countess","said ""hi""\nthen left"\r\n');
+  });
+
+  test('writes missing values as empty cells', () => {
+    expect(toCsv(columns, [{ name: 'Grace', notes: null }])).toBe('Name,Notes\r\nGrace,\r\n');
+  });
+
+  test('prefixes cells that spreadsheets would run as formulas', () => {
+    const rows = ['=HYPERLINK("http://x")', '+1', '-2', '@SUM(A1)', '\tTab'].map((name) => ({ name, notes: '' }));
+    const cells = toCsv(columns, rows)
+      .split('\r\n')
+      .slice(1, -1)
+      .map((line) => line.slice(0, line.lastIndexOf(',')));
+    expect(cells).toEqual([`"'=HYPERLINK(""http://x"")"`, "'+1", "'-2", "'@SUM(A1)", "'\tTab"]);
+  });
+
+  test('leaves ordinary text alone', () => {
+    expect(toCsv(columns, [{ name: 'a=b', notes: 'x - y' }])).toBe('Name,Notes\r\na=b,x - y\r\n');
+  });
+});
+
+test('csvDataUrl adds a BOM so Excel reads UTF-8', () => {
+  expect(decodeURIComponent(csvDataUrl('Māori\r\n').split(',')[1])).toBe('\uFEFFMāori\r\n');
+});
@@ -0,0 +1,84 @@
+// Rules for contact-form enquiries, shared by the /contact page and the mock contact server
+// (scripts/mock-contact-server.mjs) so both reject the same messages.
+
+import { emailError, isNonEmptyString, normalizeEmail } from './validation.mjs';
+
+export const CONTACT_CATEGORIES = [
+  {
+    value: 'sponsorship',
+    label: 'Sponsorship',
+    description: 'Partnering with us on events, prizes or workshops.',
+  },
+  {
+    value: 'membership',
+    label: 'Membership',
+    description: 'Joining, renewing or questions about being a member.',
+  },
+  {
+    value: 'general',
+    label: 'General',
+    description: 'Anything else, from speaker ideas to collaborations.',
+  },
+];
+
+// Bots fill in every input they find; people never see this one.
+export const CONTACT_HONEYPOT_FIELD = 'website';
+export const CONTACT_NAME_MAX_LENGTH = 100;
+export const CONTACT_MESSAGE_MIN_LENGTH = 20;
+export const CONTACT_MESSAGE_MAX_LENGTH = 2000;
+export const CONTACT_RATE_LIMIT = { max: 3, windowMs: 15 * 60 * 1000 };
+
+/** Field-level errors for an enquiry; an empty object means it can be sent. */
+export function validateEnquiry({ name, email, category, message }) {
+  const errors = {};
+  if (!isNonEmptyString(name)) {
+    errors.name = 'Please enter your name.';
+  } else if (name.trim().length > CONTACT_NAME_MAX_LENGTH) {
+    errors.name = `Keep your name under ${CONTACT_NAME_MAX_LENGTH} characters.`;
+  }
+  const invalidEmail = emailError(email);
+  if (invalidEmail) {
+    errors.email = invalidEmail;
+  }
+  if (!CONTACT_CATEGORIES.some((option) => option.value === category)) {
+    errors.category = 'Choose what your enquiry is about.';
+  }
+  const length = typeof message === 'string' ? message.trim().length : 0;
+  if (length < CONTACT_MESSAGE_MIN_LENGTH) {
+    errors.message = `Tell us a little more (at least ${CONTACT_MESSAGE_MIN_LENGTH} characters).`;
+  } else if (length > CONTACT_MESSAGE_MAX_LENGTH) {
+    errors.message = `Keep your message under ${CONTACT_MESSAGE_MAX_LENGTH} characters.`;
+  }
+  return errors;
+}
+
+export function isHoneypotFilled(enquiry) {
+  return isNonEmptyString(enquiry?.[CONTACT_HONEYPOT_FIELD]);
+}
+
+/** The fields we actually send and keep, trimmed; the honeypot never leaves the form. */
+export function toEnquiryRecord({ name, email, category, message }) {
+  return {
+    name: name.trim(),
+    email: normalizeEmail(email),
+    category,
+    message: message.trim(),
+  };
+}
+
+/**
+ * Sliding-window rate limiting over a list of past send times. Returns the times to keep and,
+ * when the limit is reached, how long until the oldest one falls out of the window.
+ */
+export function checkRateLimit(timestamps, now = Date.now(), { max, windowMs } = CONTACT_RATE_LIMIT) {
+  const recent = timestamps.filter((time) => now - time < windowMs);
+  if (recent.length >= max) {
+    return { allowed: false, timestamps: recent, retryAfterMs: windowMs - (now - Math.min(...recent)) };
+  }
+  return { allowed: true, timestamps: [...recent, now], retryAfterMs: 0 };
+}
+
+export function describeRetryAfter(retryAfterMs) {
+  const minutes = Math.max(1, Math.ceil(retryAfterMs / 60000));
+  return `You've sent a few messages already. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`;
+}
@@ -0,0 +1,86 @@
+import {
+  checkRateLimit,
+  CONTACT_MESSAGE_MAX_LENGTH,
+  CONTACT_RATE_LIMIT,
+  describeRetryAfter,
+  isHoneypotFilled,
+  toEnquiryRecord,
+  validateEnquiry,
+} from './enquiry.mjs';
+
+const MINUTE = 60 * 1000;
+
+describe('checkRateLimit', () => {
+  const limit = { max: 3, windowMs: 15 * MINUTE };
+
+  test('records sends until the limit is reached', () => {
+    let timestamps = [];
+    [0, 1, 2].forEach((minute) => {
+      const result = checkRateLimit(timestamps, minute * MINUTE, limit);
+      expect(result.allowed).toBe(true);
+      timestamps = result.timestamps;
+    });
+    expect(timestamps).toEqual([0, MINUTE, 2 * MINUTE]);
+
+    // the oldest send leaves the window 15 minutes after it was made
+    expect(checkRateLimit(timestamps, 5 * MINUTE, limit)).toEqual({
+      allowed: false,
+      timestamps,
+      retryAfterMs: 10 * MINUTE,
+    });
+  });
+
+  test('forgets sends that have slid out of the window', () => {
+    const result = checkRateLimit([0, MINUTE, 2 * MINUTE], 15 * MINUTE, limit);
+    expect(result).toEqual({ allowed: true, timestamps: [MINUTE, 2 * MINUTE, 15 * MINUTE], retryAfterMs: 0 });
+  });
+
+  test('defaults to the contact form limit', () => {
+    const full = Array.from({ length: CONTACT_RATE_LIMIT.max }, () => 1000);
+    expect(checkRateLimit(full, 1000).allowed).toBe(false);
+    expect(checkRateLimit(full, 1000 + CONTACT_RATE_LIMIT.windowMs).allowed).toBe(true);
+  });
+});
+
+test('describeRetryAfter rounds up to whole minutes', () => {
+  expect(describeRetryAfter(1)).toMatch(/in 1 minute\.$/);
+  expect(describeRetryAfter(10 * MINUTE + 1)).toMatch(/in 11 minutes\.$/);
+});
+
+describe('validateEnquiry', () => {
+  const enquiry = {
+    name: 'Ada Lovelace',
+    email: 'ada@example.com',
+    category: 'sponsorship',
+    message: 'We would love to sponsor your next datathon.',
+  };
+
+  test('accepts a complete enquiry from any address', () => {
+    expect(validateEnquiry(enquiry)).toEqual({});
+  });
+
+  test('reports each field that needs fixing', () => {
+    expect(
+      Object.keys(validateEnquiry({ name: ' ', email: 'ada@', category: 'spam', message: 'Hi there' })).sort()
+    ).toEqual(['category', 'email', 'message', 'name']);
+    expect(validateEnquiry({ ...enquiry, message: 'x'.repeat(CONTACT_MESSAGE_MAX_LENGTH + 1) })).toHaveProperty(
+      'message'
+    );
+  });
+
+  test('reports non-text fields instead of throwing', () => {
+    expect(Object.keys(validateEnquiry({ ...enquiry, name: 42, message: {} })).sort()).toEqual(['message', 'name']);
+  });
+});
+
+test('isHoneypotFilled only trips on text in the hidden field', () => {
+  expect(isHoneypotFilled({ website: 'http://spam.example' })).toBe(true);
+  expect(isHoneypotFilled({ website: '' })).toBe(false);
+  expect(isHoneypotFilled(null)).toBe(false);
+});
+
+test('toEnquiryRecord trims the fields and leaves the honeypot behind', () => {
+  expect(
+    toEnquiryRecord({ name: ' Ada ', email: ' Ada@Example.com', category: 'general', message: ' Hello \n', website: '' })
+  ).toEqual({ name: 'Ada', email: 'ada@example.com', category: 'general', message: 'Hello' });
+});
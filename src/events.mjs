@@ -0,0 +1,464 @@
+// Event data shared by the Events page and the build-time calendar feed
+// (scripts/build-events-feed.mjs), so both read the same file the same way.
+
+import { SLUG_PATTERN, isNonEmptyString, isSafeHref, optionalText } from './validation.mjs';
+
+export const EVENTS_SOURCE = { url: '/data/events.json', version: 1 };
+export const EVENTS_FEED_PATH = '/events.ics';
+
+export function eventPath(event) {
+  return `/events/${event.id}`;
+}
+
+export const EVENTS_LOCALE = 'en-NZ';
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const ISO_DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:\d{2})$/;
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false;
+  }
+  try {
+    Intl.DateTimeFormat(EVENTS_LOCALE, { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function parseCalendarDate(value) {
+  if (!ISO_DATE_PATTERN.test(value)) {
+    return null;
+  }
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+    ? date
+    : null;
+}
+
+// Minutes the zone is ahead of UTC at the given instant, read back from Intl.
+function timeZoneOffsetMinutes(instant, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    })
+      .formatToParts(instant)
+      .map((part) => [part.type, part.value])
+  );
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((wallClock - Math.floor(instant.getTime() / 1000) * 1000) / 60000);
+}
+
+// Midnight at the start of a calendar date in the event's own zone.
+function zonedMidnight(calendarDate, timeZone) {
+  const guess = calendarDate.getTime();
+  const offset = timeZoneOffsetMinutes(new Date(guess), timeZone);
+  const instant = new Date(guess - offset * 60000);
+  const corrected = timeZoneOffsetMinutes(instant, timeZone);
+  return corrected === offset ? instant : new Date(guess - corrected * 60000);
+}
+
+function parseDateTime(value) {
+  if (typeof value !== 'string' || !ISO_DATE_TIME_PATTERN.test(value)) {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function validateSpeakers(speakers, problems) {
+  if (!Array.isArray(speakers)) {
+    problems.push('"speakers" must be a list of { name, role, bio, href }.');
+    return [];
+  }
+  return speakers.map((speaker, index) => {
+    if (!speaker || !isNonEmptyString(speaker.name)) {
+      problems.push(`speakers[${index}] needs a name.`);
+      return null;
+    }
+    ['role', 'bio'].forEach((field) => {
+      if (speaker[field] != null && !isNonEmptyString(speaker[field])) {
+        problems.push(`speakers[${index}].${field} must be text.`);
+      }
+    });
+    if (speaker.href != null && !isSafeHref(speaker.href)) {
+      problems.push(`speakers[${index}].href must be an http(s), mailto or site-relative link.`);
+    }
+    return {
+      name: speaker.name.trim(),
+      role: optionalText(speaker.role),
+      bio: optionalText(speaker.bio),
+      href: speaker.href ?? null,
+    };
+  });
+}
+
+// Agenda slots carry full datetimes (like the event itself) and must sit inside the event window.
+function validateAgenda(agenda, startsAt, endsAt, speakerNames, problems) {
+  if (!Array.isArray(agenda)) {
+    problems.push('"agenda" must be a list of { start, end, title }.');
+    return [];
+  }
+  return agenda
+    .map((slot, index) => {
+      if (!slot || !isNonEmptyString(slot.title)) {
+        problems.push(`agenda[${index}] needs a title.`);
+        return null;
+      }
+      const slotStart = parseDateTime(slot.start);
+      const slotEnd = slot.end == null ? null : parseDateTime(slot.end);
+      if (!slotStart) {
+        problems.push(`agenda[${index}].start must be an ISO 8601 datetime with an offset.`);
+      }
+      if (slot.end != null && !slotEnd) {
+        problems.push(`agenda[${index}].end must be an ISO 8601 datetime with an offset.`);
+      }
+      if (slotStart && slotEnd && slotEnd <= slotStart) {
+        problems.push(`agenda[${index}].end must be after its start.`);
+      }
+      const outside =
+        (slotStart && (slotStart < startsAt || slotStart >= endsAt)) || (slotEnd && slotEnd > endsAt);
+      if (startsAt && endsAt && outside) {
+        problems.push(`agenda[${index}] falls outside the event's start and end.`);
+      }
+      const speakers = slot.speakers ?? [];
+      if (!Array.isArray(speakers) || speakers.some((name) => !speakerNames.has(name))) {
+        problems.push(`agenda[${index}].speakers must list names from "speakers".`);
+      }
+      if (slot.description != null && !isNonEmptyString(slot.description)) {
+        problems.push(`agenda[${index}].description must be text.`);
+      }
+      return {
+        title: slot.title.trim(),
+        description: optionalText(slot.description),
+        startsAt: slotStart,
+        endsAt: slotEnd,
+        speakers: Array.isArray(speakers) ? speakers : [],
+      };
+    })
+    .sort((a, b) => (a?.startsAt ?? 0) - (b?.startsAt ?? 0));
+}
+
+function validateVenue(venue, problems) {
+  if (!venue || typeof venue !== 'object' || Array.isArray(venue)) {
+    problems.push('"venue" must be an object with directions, accessibility and mapUrl.');
+    return null;
+  }
+  ['directions', 'accessibility'].forEach((field) => {
+    if (venue[field] != null && !isNonEmptyString(venue[field])) {
+      problems.push(`venue.${field} must be text.`);
+    }
+  });
+  if (venue.mapUrl != null && !isSafeHref(venue.mapUrl)) {
+    problems.push('venue.mapUrl must be an http(s) link.');
+  }
+  return {
+    directions: optionalText(venue.directions),
+    accessibility: optionalText(venue.accessibility),
+    mapUrl: venue.mapUrl ?? null,
+  };
+}
+
+/**
+ * Checks one entry of the events document. Returns the normalised event (with
+ * `startsAt`/`endsAt` instants) or the list of problems that kept it out.
+ */
+function validateEventEntry(entry) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return { problems: ['Entry must be an object.'] };
+  }
+
+  const problems = [];
+  const allDay = entry.allDay === true;
+  if (entry.allDay !== undefined && typeof entry.allDay !== 'boolean') {
+    problems.push('"allDay" must be true or false.');
+  }
+  if (!isNonEmptyString(entry.id) || !SLUG_PATTERN.test(entry.id)) {
+    problems.push('"id" must be a lowercase slug such as "spring-hackathon".');
+  }
+  ['title', 'location', 'summary'].forEach((field) => {
+    if (!isNonEmptyString(entry[field])) {
+      problems.push(`"${field}" is required.`);
+    }
+  });
+
+  const timeZoneValid = isValidTimeZone(entry.timezone);
+  if (!timeZoneValid) {
+    problems.push('"timezone" must be an IANA zone such as "Pacific/Auckland".');
+  }
+
+  let startsAt = null;
+  let endsAt = null;
+  if (allDay) {
+    const startDate = typeof entry.start === 'string' ? parseCalendarDate(entry.start) : null;
+    const endDate = typeof entry.end === 'string' ? parseCalendarDate(entry.end) : null;
+    if (!startDate) {
+      problems.push('"start" must be a date (YYYY-MM-DD) for all-day events.');
+    }
+    if (!endDate) {
+      problems.push('"end" must be a date (YYYY-MM-DD) for all-day events.');
+    }
+    if (startDate && endDate && endDate < startDate) {
+      problems.push('"end" must not be before "start".');
+    }
+    if (startDate && endDate && timeZoneValid) {
+      startsAt = zonedMidnight(startDate, entry.timezone);
+      endsAt = zonedMidnight(new Date(endDate.getTime() + DAY_MS), entry.timezone);
+    }
+  } else {
+    const startValid = typeof entry.start === 'string' && ISO_DATE_TIME_PATTERN.test(entry.start);
+    const endValid = typeof entry.end === 'string' && ISO_DATE_TIME_PATTERN.test(entry.end);
+    startsAt = startValid ? new Date(entry.start) : null;
+    endsAt = endValid ? new Date(entry.end) : null;
+    if (!startsAt || Number.isNaN(startsAt.getTime())) {
+      problems.push('"start" must be an ISO 8601 datetime with an offset, e.g. 2024-08-08T18:00:00+12:00.');
+      startsAt = null;
+    }
+    if (!endsAt || Number.isNaN(endsAt.getTime())) {
+      problems.push('"end" must be an ISO 8601 datetime with an offset, e.g. 2024-08-08T20:00:00+12:00.');
+      endsAt = null;
+    }
+    if (startsAt && endsAt && endsAt <= startsAt) {
+      problems.push('"end" must be after "start".');
+    }
+  }
+
+  const links = entry.links ?? [];
+  if (!Array.isArray(links)) {
+    problems.push('"links" must be a list of { label, href }.');
+  } else {
+    links.forEach((link, index) => {
+      if (!link || !isNonEmptyString(link.label) || !isSafeHref(link.href)) {
+        problems.push(`links[${index}] needs a label and an http(s), mailto or site-relative href.`);
+      }
+    });
+  }
+
+  const tags = entry.tags ?? [];
+  if (!Array.isArray(tags) || tags.some((tag) => !isNonEmptyString(tag))) {
+    problems.push('"tags" must be a list of strings.');
+  }
+
+  const highlights = entry.highlights ?? [];
+  if (!Array.isArray(highlights) || highlights.some((item) => !isNonEmptyString(item))) {
+    problems.push('"highlights" must be a list of strings.');
+  }
+
+  if (entry.hero != null && !isSafeHref(entry.hero)) {
+    problems.push('"hero" must be an image URL or null.');
+  }
+
+  const speakers = entry.speakers == null ? [] : validateSpeakers(entry.speakers, problems);
+  const speakerNames = new Set(speakers.filter(Boolean).map((speaker) => speaker.name));
+  const agenda =
+    entry.agenda == null ? [] : validateAgenda(entry.agenda, startsAt, endsAt, speakerNames, problems);
+  const venue = entry.venue == null ? null : validateVenue(entry.venue, problems);
+
+  const organizers = entry.organizers ?? [];
+  if (!Array.isArray(organizers) || organizers.some((id) => !isNonEmptyString(id) || !SLUG_PATTERN.test(id))) {
+    problems.push('"organizers" must be a list of team member ids from team.json.');
+  }
+
+  const capacity = entry.rsvp?.capacity;
+  if (entry.rsvp != null && !(Number.isInteger(capacity) && capacity > 0)) {
+    problems.push('"rsvp" must be { "capacity": <positive whole number> }.');
+  }
+
+  if (problems.length) {
+    return { problems };
+  }
+
+  return {
+    event: {
+      id: entry.id,
+      title: entry.title.trim(),
+      start: entry.start,
+      end: entry.end,
+      allDay,
+      timezone: entry.timezone,
+      startsAt,
+      endsAt,
+      location: entry.location.trim(),
+      summary: entry.summary.trim(),
+      highlights: highlights.map((item) => item.trim()),
+      tags: tags.map((tag) => tag.trim().toLowerCase()),
+      links: links.map((link) => ({ label: link.label.trim(), href: link.href.trim() })),
+      hero: entry.hero ?? null,
+      agenda,
+      speakers,
+      venue,
+      rsvp: entry.rsvp == null ? null : { capacity },
+      organizers,
+    },
+  };
+}
+
+/**
+ * Validates the published events document. A wrong shape or version throws;
+ * individual malformed entries are dropped and reported so one typo cannot
+ * take the whole page down.
+ */
+export function validateEventsDocument(source) {
+  if (!source || typeof source !== 'object' || Array.isArray(source)) {
+    throw new Error('The events file must contain a JSON object.');
+  }
+  if (source.version !== EVENTS_SOURCE.version) {
+    throw new Error(
+      `Unsupported events file version ${JSON.stringify(source.version)} (expected ${EVENTS_SOURCE.version}).`
+    );
+  }
+  if (!Array.isArray(source.events)) {
+    throw new Error('The events file needs an "events" list.');
+  }
+
+  const events = [];
+  const problems = [];
+  const seen = new Set();
+  source.events.forEach((entry, index) => {
+    const label = isNonEmptyString(entry?.id) ? entry.id : entry?.title ?? null;
+    const result = validateEventEntry(entry);
+    if (result.problems) {
+      problems.push({ index, label, messages: result.problems });
+      return;
+    }
+    if (seen.has(result.event.id)) {
+      problems.push({ index, label, messages: [`"id" duplicates an earlier event.`] });
+      return;
+    }
+    seen.add(result.event.id);
+    events.push(result.event);
+  });
+
+  return { events, problems };
+}
+
+/** Upcoming (including in-progress) events soonest first; past events most recent first. */
+export function splitEventsByTime(events, now = new Date()) {
+  const upcoming = events
+    .filter((event) => event.endsAt > now)
+    .sort((a, b) => a.startsAt - b.startsAt);
+  const past = events
+    .filter((event) => event.endsAt <= now)
+    .sort((a, b) => b.startsAt - a.startsAt);
+  return { upcoming, past };
+}
+
+const ICAL_PRODUCT_ID = '-//VIC DataSoc//Events//EN';
+const ICAL_UID_DOMAIN = 'vic-datasoc';
+const ICAL_LINE_OCTETS = 75;
+const ICAL_REFRESH = 'PT12H';
+
+function escapeICalText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\r?\n/g, '\\n')
+    .replace(/([;,])/g, '\\$1');
+}
+
+// RFC 5545 §3.1: content lines over 75 octets continue on a new line that starts with a space.
+function foldICalLine(line) {
+  const encoder = new TextEncoder();
+  if (encoder.encode(line).length <= ICAL_LINE_OCTETS) {
+    return line;
+  }
+  const segments = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    const limit = segments.length ? ICAL_LINE_OCTETS - 1 : ICAL_LINE_OCTETS;
+    if (octets + size > limit) {
+      segments.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  segments.push(current);
+  return segments.join('\r\n ');
+}
+
+function formatICalInstant(date) {
+  return date.toISOString().replace(/\.\d{3}/, '').replace(/[-:]/g, '');
+}
+
+function formatICalDate(date) {
+  return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+function resolveLink(href, origin) {
+  try {
+    return new URL(href, origin).href;
+  } catch {
+    return null;
+  }
+}
+
+function eventToICalLines(event, { origin, stamp }) {
+  // Timed events are written as UTC instants: they come from offset-qualified ISO strings, so
+  // the instant is exact and every client shows it in the reader's own zone. All-day events
+  // stay floating dates (DTEND is exclusive) so they land on the right day anywhere.
+  const timing = event.allDay
+    ? [
+        `DTSTART;VALUE=DATE:${formatICalDate(parseCalendarDate(event.start))}`,
+        `DTEND;VALUE=DATE:${formatICalDate(new Date(parseCalendarDate(event.end).getTime() + DAY_MS))}`,
+      ]
+    : [`DTSTART:${formatICalInstant(event.startsAt)}`, `DTEND:${formatICalInstant(event.endsAt)}`];
+
+  const pageUrl = origin ? resolveLink(eventPath(event), origin) : null;
+  const links = event.links
+    .map((link) => ({ label: link.label, href: resolveLink(link.href, origin) }))
+    .filter((link) => link.href);
+  const description = [
+    event.summary,
+    event.highlights.map((item) => `• ${item}`).join('\n'),
+    links.map((link) => `${link.label}: ${link.href}`).join('\n'),
+    pageUrl ? `Details: ${pageUrl}` : '',
+  ]
+    .filter(Boolean)
+    .join('\n\n');
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${event.id}@${ICAL_UID_DOMAIN}`,
+    `DTSTAMP:${formatICalInstant(stamp)}`,
+    ...timing,
+    `SUMMARY:${escapeICalText(event.title)}`,
+    `LOCATION:${escapeICalText(event.location)}`,
+    `DESCRIPTION:${escapeICalText(description)}`,
+    ...(pageUrl || links.length ? [`URL:${pageUrl ?? links[0].href}`] : []),
+    ...(event.tags.length ? [`CATEGORIES:${event.tags.map(escapeICalText).join(',')}`] : []),
+    'END:VEVENT',
+  ];
+}
+
+/**
+ * Serialises validated events as an iCalendar (RFC 5545) document. `origin` resolves
+ * site-relative links; `timezone` is only a display hint for clients that honour it.
+ */
+export function buildICalendar(events, { name = 'VIC DataSoc events', origin, timezone, now = new Date() } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${ICAL_PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeICalText(name)}`,
+    ...(timezone ? [`X-WR-TIMEZONE:${timezone}`] : []),
+    `REFRESH-INTERVAL;VALUE=DURATION:${ICAL_REFRESH}`,
+    `X-PUBLISHED-TTL:${ICAL_REFRESH}`,
+    ...events.flatMap((event) => eventToICalLines(event, { origin, stamp: now })),
+    'END:VCALENDAR',
+  ];
+  return `${lines.map(foldICalLine).join('\r\n')}\r\n`;
+}
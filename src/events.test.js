@@ -0,0 +1,173 @@
+/**
+ * @jest-environment node
+ */
+import { buildICalendar, splitEventsByTime, validateEventsDocument } from './events.mjs';
+
+const timedEvent = (overrides = {}) => ({
+  id: 'spring-hackathon',
+  title: ' Spring Hackathon ',
+  start: '2024-09-14T09:00:00+12:00',
+  end: '2024-09-14T17:00:00+12:00',
+  timezone: 'Pacific/Auckland',
+  location: 'Rutherford House',
+  summary: 'A day of building.',
+  tags: ['Hackathon'],
+  ...overrides,
+});
+
+describe('validateEventsDocument', () => {
+  test('normalises a valid entry and resolves its instants', () => {
+    const { events, problems } = validateEventsDocument({ version: 1, events: [timedEvent()] });
+    expect(problems).toEqual([]);
+    expect(events[0]).toMatchObject({ title: 'Spring Hackathon', tags: ['hackathon'], allDay: false });
+    expect(events[0].startsAt.toISOString()).toBe('2024-09-13T21:00:00.000Z');
+  });
+
+  test('spans all-day events from local midnight to the midnight after the end date', () => {
+    const { events } = validateEventsDocument({
+      version: 1,
+      events: [timedEvent({ allDay: true, start: '2024-09-14', end: '2024-09-15' })],
+    });
+    expect(events[0].startsAt.toISOString()).toBe('2024-09-13T12:00:00.000Z');
+    expect(events[0].endsAt.toISOString()).toBe('2024-09-15T12:00:00.000Z');
+  });
+
+  test('drops bad entries and duplicates with the reasons, keeping the rest', () => {
+    const { events, problems } = validateEventsDocument({
+      version: 1,
+      events: [
+        timedEvent(),
+        timedEvent({ title: 'Copy' }),
+        timedEvent({ id: 'Not A Slug', end: '2024-09-14T08:00:00+12:00', timezone: 'Mars/Olympus' }),
+      ],
+    });
+    expect(events).toHaveLength(1);
+    expect(problems).toEqual([
+      { index: 1, label: 'spring-hackathon', messages: ['"id" duplicates an earlier event.'] },
+      {
+        index: 2,
+        label: 'Not A Slug',
+        messages: [
+          '"id" must be a lowercase slug such as "spring-hackathon".',
+          '"timezone" must be an IANA zone such as "Pacific/Auckland".',
+          '"end" must be after "start".',
+        ],
+      },
+    ]);
+  });
+
+  test('throws on the wrong document shape or version', () => {
+    expect(() => validateEventsDocument([])).toThrow('must contain a JSON object');
+    expect(() => validateEventsDocument({ version: 2, events: [] })).toThrow('Unsupported events file version 2');
+    expect(() => validateEventsDocument({ version: 1 })).toThrow('needs an "events" list');
+  });
+});
+
+describe('event details', () => {
+  const speakers = [{ name: 'Ada Lovelace', role: ' Keynote ', href: 'https://example.com/ada' }];
+  const validate = (overrides) => validateEventsDocument({ version: 1, events: [timedEvent(overrides)] });
+
+  test('sorts the agenda and links slots to speakers', () => {
+    const { events } = validate({
+      speakers,
+      agenda: [
+        { title: 'Talk', start: '2024-09-14T10:00:00+12:00', speakers: ['Ada Lovelace'] },
+        { title: 'Welcome', start: '2024-09-14T09:00:00+12:00', end: '2024-09-14T09:30:00+12:00' },
+      ],
+      venue: { directions: 'Level 2', mapUrl: 'https://maps.example.com' },
+    });
+    expect(events[0].speakers[0]).toEqual({ name: 'Ada Lovelace', role: 'Keynote', bio: null, href: 'https://example.com/ada' });
+    expect(events[0].agenda.map((slot) => slot.title)).toEqual(['Welcome', 'Talk']);
+    expect(events[0].venue).toEqual({ directions: 'Level 2', accessibility: null, mapUrl: 'https://maps.example.com' });
+  });
+
+  test('reports non-text speaker, agenda and venue fields instead of throwing', () => {
+    const { events, problems } = validate({
+      speakers: [{ name: 'Ada Lovelace', role: 42, bio: ['long'] }],
+      agenda: [{ title: 'Talk', start: '2024-09-14T10:00:00+12:00', description: { text: 'x' } }],
+      venue: { directions: 7, accessibility: true },
+    });
+    expect(events).toEqual([]);
+    expect(problems[0].messages).toEqual([
+      'speakers[0].role must be text.',
+      'speakers[0].bio must be text.',
+      'agenda[0].description must be text.',
+      'venue.directions must be text.',
+      'venue.accessibility must be text.',
+    ]);
+  });
+
+  test('rejects agenda slots outside the event and unknown speakers', () => {
+    const { problems } = validate({
+      speakers,
+      agenda: [{ title: 'Late', start: '2024-09-14T18:00:00+12:00', speakers: ['Grace Hopper'] }],
+    });
+    expect(problems[0].messages).toEqual([
+      "agenda[0] falls outside the event's start and end.",
+      'agenda[0].speakers must list names from "speakers".',
+    ]);
+  });
+});
+
+describe('splitEventsByTime', () => {
+  const at = (iso) => new Date(iso);
+  const events = [
+    { id: 'old', startsAt: at('2024-01-01T00:00Z'), endsAt: at('2024-01-01T02:00Z') },
+    { id: 'older', startsAt: at('2023-06-01T00:00Z'), endsAt: at('2023-06-01T02:00Z') },
+    { id: 'running', startsAt: at('2024-03-01T09:00Z'), endsAt: at('2024-03-01T17:00Z') },
+    { id: 'next', startsAt: at('2024-04-01T00:00Z'), endsAt: at('2024-04-01T02:00Z') },
+  ];
+
+  test('keeps in-progress events upcoming and orders each list from now outwards', () => {
+    const { upcoming, past } = splitEventsByTime(events, at('2024-03-01T12:00Z'));
+    expect(upcoming.map((event) => event.id)).toEqual(['running', 'next']);
+    expect(past.map((event) => event.id)).toEqual(['old', 'older']);
+  });
+
+  test('moves an event to the past the moment it ends', () => {
+    const { upcoming } = splitEventsByTime(events, at('2024-03-01T17:00Z'));
+    expect(upcoming.map((event) => event.id)).toEqual(['next']);
+  });
+});
+
+describe('buildICalendar', () => {
+  const now = new Date('2024-09-01T00:00:00Z');
+  const calendarFor = (overrides) => {
+    const { events } = validateEventsDocument({ version: 1, events: [timedEvent(overrides)] });
+    return buildICalendar(events, { origin: 'https://datasoc.example', now });
+  };
+  // RFC 5545 unfolding: a CRLF followed by a space joins the two lines
+  const unfold = (text) => text.replace(/\r\n /g, '');
+
+  test('ends every line with CRLF and writes timed events as UTC instants', () => {
+    const calendar = calendarFor();
+    expect(calendar.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(calendar.split('\r\n').every((line) => !line.includes('\n'))).toBe(true);
+    expect(calendar).toContain('\r\nDTSTART:20240913T210000Z\r\n');
+    expect(calendar).toContain('\r\nUID:spring-hackathon@vic-datasoc\r\n');
+    expect(unfold(calendar)).toContain('Details: https://datasoc.example/events/spring-hackathon');
+  });
+
+  test('writes all-day events as dates with an exclusive end', () => {
+    const calendar = calendarFor({ allDay: true, start: '2024-09-14', end: '2024-09-15' });
+    expect(calendar).toContain('DTSTART;VALUE=DATE:20240914\r\n');
+    expect(calendar).toContain('DTEND;VALUE=DATE:20240916\r\n');
+  });
+
+  test('escapes backslashes, separators and newlines in text values', () => {
+    const calendar = calendarFor({ title: 'Pizza, Python; and C:\\temp', summary: 'Line one\nLine two' });
+    expect(unfold(calendar)).toContain('SUMMARY:Pizza\\, Python\\; and C:\\\\temp\r\n');
+    expect(unfold(calendar)).toContain('DESCRIPTION:Line one\\nLine two');
+  });
+
+  test('folds long lines at 75 octets without splitting multi-byte characters', () => {
+    const title = 'Café 📊 '.repeat(20).trim();
+    const calendar = calendarFor({ title });
+    const encoder = new TextEncoder();
+    calendar.split('\r\n').forEach((line) => {
+      expect(encoder.encode(line).length).toBeLessThanOrEqual(75);
+      expect(line.isWellFormed()).toBe(true);
+    });
+    expect(unfold(calendar)).toContain(`SUMMARY:${title}\r\n`);
+  });
+});
@@ -0,0 +1,180 @@
+// Membership signups behind a storage adapter, mirroring src/rsvp.js. Every adapter implements:
+//   submit(application) -> member record (throws with `field: 'email'` for duplicate signups)
+//   list()              -> member records, oldest first
+//   remove(memberId)    -> member records after removal
+// The localStorage adapter is the default; set REACT_APP_MEMBERSHIP_API_URL to use the HTTP one.
+
+import { browserStorage, createJsonClient, createRecordId, createStoredList, fieldError } from './adapters';
+import { isNonEmptyString, normalizeEmail, studentEmailError } from './validation.mjs';
+
+const MEMBERSHIP_STORAGE_KEY = 'vic-datasoc:members';
+const STUDENT_ID_PATTERN = /^\d{9}$/;
+
+export const MEMBERSHIP_PROGRAMMES = [
+  { value: 'bsc', label: 'Bachelor of Science' },
+  { value: 'bcom', label: 'Bachelor of Commerce' },
+  { value: 'be', label: 'Bachelor of Engineering' },
+  { value: 'ba', label: 'Bachelor of Arts' },
+  { value: 'conjoint', label: 'Conjoint degree' },
+  { value: 'postgrad', label: 'Postgraduate' },
+  { value: 'other', label: 'Something else' },
+];
+
+export const MEMBERSHIP_YEARS = [
+  { value: '1', label: 'First year' },
+  { value: '2', label: 'Second year' },
+  { value: '3', label: 'Third year' },
+  { value: '4', label: 'Fourth year or later' },
+  { value: 'postgrad', label: 'Postgraduate' },
+];
+
+export const MEMBERSHIP_INTERESTS = [
+  { value: 'machine-learning', label: 'Machine learning' },
+  { value: 'statistics', label: 'Statistics' },
+  { value: 'visualisation', label: 'Data visualisation' },
+  { value: 'data-engineering', label: 'Data engineering' },
+  { value: 'ai-ethics', label: 'AI ethics' },
+  { value: 'industry', label: 'Careers and industry' },
+  { value: 'hackathons', label: 'Hackathons and competitions' },
+  { value: 'social', label: 'Social events' },
+];
+
+/**
+ * The signup form's steps, each with the fields it owns and a validator returning field errors.
+ * Steps validate independently so the form can stop people at the step that needs fixing.
+ */
+export const MEMBERSHIP_STEPS = [
+  {
+    id: 'details',
+    fields: ['firstName', 'lastName', 'email', 'studentId'],
+    title: 'About you',
+    validate({ firstName, lastName, email, studentId }) {
+      const errors = {};
+      if (!isNonEmptyString(firstName)) errors.firstName = 'Please enter your first name.';
+      if (!isNonEmptyString(lastName)) errors.lastName = 'Please enter your last name.';
+      const emailError = studentEmailError(email);
+      if (emailError) errors.email = emailError;
+      if (studentId && !STUDENT_ID_PATTERN.test(studentId.trim())) {
+        errors.studentId = 'Student IDs are nine digits, e.g. 300123456.';
+      }
+      return errors;
+    },
+  },
+  {
+    id: 'study',
+    fields: ['programme', 'programmeOther', 'majors', 'year'],
+    title: 'Your study',
+    validate({ programme, programmeOther, year }) {
+      const errors = {};
+      if (!MEMBERSHIP_PROGRAMMES.some((option) => option.value === programme)) {
+        errors.programme = 'Choose the programme you’re enrolled in.';
+      } else if (programme === 'other' && !isNonEmptyString(programmeOther)) {
+        errors.programmeOther = 'Tell us which programme.';
+      }
+      if (!MEMBERSHIP_YEARS.some((option) => option.value === year)) {
+        errors.year = 'Choose your year of study.';
+      }
+      return errors;
+    },
+  },
+  {
+    id: 'interests',
+    fields: ['interests'],
+    title: 'Interests',
+    validate({ interests }) {
+      return interests.length ? {} : { interests: 'Pick at least one thing you’d like to see.' };
+    },
+  },
+  {
+    id: 'consent',
+    fields: ['consent', 'newsletter'],
+    title: 'Confirm',
+    validate({ consent }) {
+      return consent ? {} : { consent: 'We need your agreement before we can add you as a member.' };
+    },
+  },
+];
+
+export const EMPTY_MEMBERSHIP_APPLICATION = {
+  firstName: '',
+  lastName: '',
+  email: '',
+  studentId: '',
+  programme: '',
+  programmeOther: '',
+  majors: '',
+  year: '',
+  interests: [],
+  consent: false,
+  newsletter: true,
+};
+
+export function validateApplication(application) {
+  return MEMBERSHIP_STEPS.reduce((errors, step) => ({ ...errors, ...step.validate(application) }), {});
+}
+
+function toMemberRecord(application) {
+  const programme = MEMBERSHIP_PROGRAMMES.find((option) => option.value === application.programme);
+  return {
+    firstName: application.firstName.trim(),
+    lastName: application.lastName.trim(),
+    email: normalizeEmail(application.email),
+    studentId: application.studentId.trim(),
+    programme: application.programme === 'other' ? application.programmeOther.trim() : programme.label,
+    majors: application.majors.trim(),
+    year: application.year,
+    interests: [...application.interests],
+    newsletter: Boolean(application.newsletter),
+  };
+}
+
+export function createLocalStorageMembershipAdapter(storage = browserStorage) {
+  const members = createStoredList(storage, MEMBERSHIP_STORAGE_KEY);
+  return {
+    async submit(application) {
+      const record = toMemberRecord(application);
+      const existing = members.read();
+      if (existing.some((member) => member.email === record.email)) {
+        throw fieldError('email', 'That email is already signed up. Welcome back!');
+      }
+      if (record.studentId && existing.some((member) => member.studentId === record.studentId)) {
+        throw fieldError('studentId', 'That student ID is already signed up.');
+      }
+      const member = { id: createRecordId(), ...record, joinedAt: new Date().toISOString() };
+      members.write([...existing, member]);
+      return member;
+    },
+    async list() {
+      return members.read();
+    },
+    async remove(memberId) {
+      const remaining = members.read().filter((member) => member.id !== memberId);
+      members.write(remaining);
+      return remaining;
+    },
+  };
+}
+
+/**
+ * Talks to our membership API:
+ *   POST   {base}/members            body: the member record; 409 { error, field } for duplicates
+ *   GET    {base}/members
+ *   DELETE {base}/members/:memberId
+ */
+export function createHttpMembershipAdapter(baseUrl, { fetchImpl } = {}) {
+  const request = createJsonClient(baseUrl, { service: 'membership service', fetchImpl });
+  return {
+    submit: (application) =>
+      request('/members', { method: 'POST', body: JSON.stringify(toMemberRecord(application)) }),
+    list: () => request('/members'),
+    remove: async (memberId) => {
+      await request(`/members/${encodeURIComponent(memberId)}`, { method: 'DELETE' });
+      return request('/members');
+    },
+  };
+}
+
+export function createMembershipAdapter() {
+  const apiUrl = process.env.REACT_APP_MEMBERSHIP_API_URL;
+  return apiUrl ? createHttpMembershipAdapter(apiUrl) : createLocalStorageMembershipAdapter();
+}
@@ -0,0 +1,93 @@
+import {
+  createLocalStorageMembershipAdapter,
+  createMembershipAdapter,
+  EMPTY_MEMBERSHIP_APPLICATION,
+  MEMBERSHIP_STEPS,
+  validateApplication,
+} from './membership';
+
+const application = {
+  ...EMPTY_MEMBERSHIP_APPLICATION,
+  firstName: 'Ada',
+  lastName: 'Lovelace',
+  email: ' Ada@MyVUW.ac.nz ',
+  studentId: '300123456',
+  programme: 'bsc',
+  year: '2',
+  interests: ['statistics'],
+  consent: true,
+};
+
+const stepErrors = (id, values) => MEMBERSHIP_STEPS.find((step) => step.id === id).validate(values);
+
+describe('MEMBERSHIP_STEPS', () => {
+  test('each step only reports errors for the fields it owns', () => {
+    MEMBERSHIP_STEPS.forEach((step) => {
+      Object.keys(step.validate(EMPTY_MEMBERSHIP_APPLICATION)).forEach((field) => {
+        expect(step.fields).toContain(field);
+      });
+    });
+  });
+
+  test('details wants both names, a student address and a nine-digit ID when one is given', () => {
+    expect(stepErrors('details', application)).toEqual({});
+    expect(stepErrors('details', { ...application, studentId: '' })).toEqual({});
+    expect(Object.keys(stepErrors('details', { ...application, firstName: ' ', email: 'ada@gmail.com' }))).toEqual([
+      'firstName',
+      'email',
+    ]);
+    expect(stepErrors('details', { ...application, studentId: '30012' })).toHaveProperty('studentId');
+  });
+
+  test('study asks for the programme name when "something else" is picked', () => {
+    expect(stepErrors('study', { ...application, programme: 'other' })).toEqual({
+      programmeOther: 'Tell us which programme.',
+    });
+    expect(stepErrors('study', { ...application, programme: 'other', programmeOther: 'BDes' })).toEqual({});
+    expect(Object.keys(stepErrors('study', { ...application, programme: 'law', year: '9' }))).toEqual([
+      'programme',
+      'year',
+    ]);
+  });
+
+  test('interests and consent must be filled in', () => {
+    expect(stepErrors('interests', { interests: [] })).toHaveProperty('interests');
+    expect(stepErrors('consent', { consent: false })).toHaveProperty('consent');
+  });
+});
+
+test('validateApplication collects the errors from every step', () => {
+  expect(validateApplication(application)).toEqual({});
+  expect(Object.keys(validateApplication(EMPTY_MEMBERSHIP_APPLICATION)).sort()).toEqual(
+    ['consent', 'email', 'firstName', 'interests', 'lastName', 'programme', 'year'].sort()
+  );
+});
+
+describe('createLocalStorageMembershipAdapter', () => {
+  test('stores a normalised record and turns away repeat signups', async () => {
+    window.localStorage.clear();
+    const adapter = createLocalStorageMembershipAdapter(window.localStorage);
+    const member = await adapter.submit(application);
+    expect(member).toMatchObject({ email: 'ada@myvuw.ac.nz', programme: 'Bachelor of Science', newsletter: true });
+
+    await expect(adapter.submit({ ...application, email: 'ada@myvuw.ac.nz' })).rejects.toMatchObject({
+      field: 'email',
+    });
+    await expect(adapter.submit({ ...application, email: 'lovelada@myvuw.ac.nz' })).rejects.toMatchObject({
+      field: 'studentId',
+    });
+    expect(await adapter.remove(member.id)).toEqual([]);
+  });
+});
+
+test('a blocked localStorage only fails the requests, not creating the store', async () => {
+  const storageGetter = jest.spyOn(window, 'localStorage', 'get').mockImplementation(() => {
+    throw new DOMException('The operation is insecure.', 'SecurityError');
+  });
+  try {
+    const store = createMembershipAdapter();
+    await expect(store.submit(application)).rejects.toThrow('isn’t letting us save anything');
+  } finally {
+    storageGetter.mockRestore();
+  }
+});
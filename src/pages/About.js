@@ -0,0 +1,37 @@
+import { Link } from 'react-router-dom';
+
+export function AboutContent() {
+  return (
+    <div className="about-content">
+      <h1>About VIC DataSoc</h1>
+      <p>
+        STARTING IN 2026 VIC DATASOC is a student-led society at Te Herenga Waka – Victoria University of Wellington that connects students across Science, Engineering, Commerce, and Maths.
+Our mission is to build a collaborative community where students can learn, share, and apply data-driven skills in real-world contexts.
+      </p>
+      <div className="about-grid">
+        <section>
+          <h3>Hands-on Learning</h3>
+          <p>
+            Weekly build sessions pair newcomers with mentors so everyone ships experiments—from
+            visualising L2 liquidity to deploying smart contract automations.
+          </p>
+        </section>
+        <section>
+          <h3>Industry Connections</h3>
+          <p>
+            Protocol teams host office hours and workshops, giving members insight into real
+            problems and pathways to internships and research roles.
+          </p>
+        </section>
+        <section>
+          <h3>Open Source First</h3>
+          <p>
+            Everything we create is released openly so other builders can learn, remix, and
+            accelerate their own ideas. Contributions of every size are celebrated.
+          </p>
+        </section>
+      </div>
+      <Link to="/" className="hero-button about-cta">Back to homepage</Link>
+    </div>
+  );
+}
@@ -0,0 +1,185 @@
+import { useEffect, useMemo } from 'react';
+import { useLocation, useSearchParams } from 'react-router-dom';
+import { EVENTS_LOCALE, parseCalendarDate } from '../events.mjs';
+import {
+  CONSTITUTION_SOURCE,
+  clauseAnchor,
+  highlightSegments,
+  searchConstitution,
+  sectionAnchor,
+  splitClauseReferences,
+  validateConstitutionDocument,
+} from '../constitution';
+import { DataErrorPanel, useDataDocument } from './dataDocument';
+
+const EMPTY_CONSTITUTION = { title: 'VIC DataSoc Constitution', lastUpdated: null, pdf: null, sections: [] };
+
+const CONSTITUTION_SEARCH_KEY = 'q';
+
+function HighlightedText({ text, query }) {
+  return highlightSegments(text, query).map((segment, index) =>
+    segment.match ? <mark key={index}>{segment.text}</mark> : segment.text
+  );
+}
+
+/** Clause text with search matches marked and mentions like "clause 2.2" linked to that clause. */
+function ClauseText({ text, query }) {
+  return splitClauseReferences(text).map((part, index) =>
+    part.clause ? (
+      <a key={index} href={`#${clauseAnchor(part.clause)}`}>
+        <HighlightedText text={part.text} query={query} />
+      </a>
+    ) : (
+      <HighlightedText key={index} text={part.text} query={query} />
+    )
+  );
+}
+
+export function ConstitutionContent() {
+  const constitution = useDataDocument(
+    CONSTITUTION_SOURCE.url,
+    validateConstitutionDocument,
+    'constitution',
+    EMPTY_CONSTITUTION
+  );
+  const { hash } = useLocation();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const query = searchParams.get(CONSTITUTION_SEARCH_KEY) ?? '';
+  const results = useMemo(() => searchConstitution(constitution.sections, query), [constitution.sections, query]);
+  const searching = Boolean(query.trim());
+  const lastUpdated = parseCalendarDate(constitution.lastUpdated ?? '');
+
+  const setQuery = (value) => {
+    setSearchParams(
+      (current) => {
+        const next = new URLSearchParams(current);
+        if (value) next.set(CONSTITUTION_SEARCH_KEY, value);
+        else next.delete(CONSTITUTION_SEARCH_KEY);
+        return next;
+      },
+      { replace: true }
+    );
+  };
+
+  useEffect(() => {
+    // Deep links such as #clause-7-2 land on their clause once the document has rendered.
+    const target = hash ? document.getElementById(hash.slice(1)) : null;
+    target?.scrollIntoView({ block: 'start' });
+  }, [hash, constitution.status]);
+
+  return (
+    <div className="constitution-content">
+      <header>
+        <h1>{constitution.title}</h1>
+        {lastUpdated ? (
+          <p>
+            Last updated{' '}
+            <time dateTime={constitution.lastUpdated}>
+              {lastUpdated.toLocaleDateString(EVENTS_LOCALE, { dateStyle: 'long', timeZone: 'UTC' })}
+            </time>
+            .
+          </p>
+        ) : null}
+      </header>
+
+      <div className="constitution-actions" role="search" aria-label="Search the constitution">
+        <input
+          type="search"
+          className="events-toolbar__search"
+          placeholder="Search the constitution"
+          aria-label="Search the constitution"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+        />
+        {constitution.pdf ? (
+          <a className="scene-panel__button" href={constitution.pdf} download>
+            Download PDF
+          </a>
+        ) : null}
+      </div>
+
+      {constitution.status === 'loading' ? <p className="events-status">Loading the constitution…</p> : null}
+      {constitution.error || constitution.problems.length ? (
+        <DataErrorPanel
+          subject={constitution.error ? 'the constitution' : 'clauses'}
+          source={CONSTITUTION_SOURCE.url}
+          error={constitution.error}
+          problems={constitution.problems}
+          describe={(problem) => problem.label}
+        />
+      ) : null}
+      {constitution.status === 'error' ? (
+        <p className="constitution-fallback">
+          You can still <a href="/constitution.pdf">download the constitution as a PDF</a>.
+        </p>
+      ) : null}
+
+      {constitution.status === 'ready' ? (
+        <div className="constitution-layout">
+          <nav className="constitution-toc" aria-label="Contents">
+            <h2>Contents</h2>
+            <ol>
+              {results.sections.map((section) => (
+                <li key={section.number}>
+                  <a href={`#${sectionAnchor(section)}`}>
+                    <span className="constitution-toc__number">{section.number}</span>
+                    {section.title}
+                  </a>
+                </li>
+              ))}
+            </ol>
+          </nav>
+
+          <article className="constitution-document">
+            {searching ? (
+              <p className="constitution-search-status" role="status">
+                {results.matches
+                  ? `${results.matches} match${results.matches === 1 ? '' : 'es'} in ${results.sections.length} section${
+                      results.sections.length === 1 ? '' : 's'
+                    }.`
+                  : `Nothing in the constitution mentions “${query.trim()}”.`}{' '}
+                <button type="button" className="constitution-search-status__clear" onClick={() => setQuery('')}>
+                  Clear search
+                </button>
+              </p>
+            ) : null}
+            {results.sections.map((section) => (
+              <section key={section.number} id={sectionAnchor(section)} className="constitution-section">
+                <h2>
+                  {section.number}. <HighlightedText text={section.title} query={query} />
+                </h2>
+                <ol className="constitution-clauses">
+                  {section.clauses.map((clause) => (
+                    <li key={clause.number} id={clauseAnchor(clause)} className="constitution-clause">
+                      <a
+                        className="constitution-clause__number"
+                        href={`#${clauseAnchor(clause)}`}
+                        aria-label={`Link to clause ${clause.number}`}
+                      >
+                        {clause.number}
+                      </a>
+                      <div>
+                        <p>
+                          <ClauseText text={clause.text} query={query} />
+                        </p>
+                        {clause.items.length ? (
+                          <ol type="a">
+                            {clause.items.map((item) => (
+                              <li key={item}>
+                                <ClauseText text={item} query={query} />
+                              </li>
+                            ))}
+                          </ol>
+                        ) : null}
+                      </div>
+                    </li>
+                  ))}
+                </ol>
+              </section>
+            ))}
+          </article>
+        </div>
+      ) : null}
+    </div>
+  );
+}
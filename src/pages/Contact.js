@@ -0,0 +1,168 @@
+import { useState } from 'react';
+import {
+  CONTACT_CATEGORIES,
+  CONTACT_HONEYPOT_FIELD,
+  CONTACT_MESSAGE_MAX_LENGTH,
+  CONTACT_NAME_MAX_LENGTH,
+  validateEnquiry,
+} from '../enquiry.mjs';
+import { createContactTransport } from '../contact';
+import { normalizeEmail } from '../validation.mjs';
+
+let contactTransport = null;
+
+// Built on first use rather than at import, so a transport that can't start only takes down this form.
+function getContactTransport() {
+  contactTransport ??= createContactTransport();
+  return contactTransport;
+}
+
+const EMPTY_ENQUIRY = { name: '', email: '', category: '', message: '', [CONTACT_HONEYPOT_FIELD]: '' };
+
+export function ContactContent() {
+  const [enquiry, setEnquiry] = useState(EMPTY_ENQUIRY);
+  const [errors, setErrors] = useState({});
+  const [status, setStatus] = useState({ state: 'idle', receipt: null, message: null });
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setEnquiry((current) => ({ ...current, [name]: value }));
+    setErrors((current) => ({ ...current, [name]: undefined }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const nextErrors = validateEnquiry(enquiry);
+    setErrors(nextErrors);
+    if (Object.keys(nextErrors).length) return;
+    setStatus({ state: 'sending', receipt: null, message: null });
+    getContactTransport()
+      .send(enquiry)
+      .then((receipt) => setStatus({ state: 'sent', receipt, message: null }))
+      .catch((error) => {
+        if (error.field) {
+          setErrors({ [error.field]: error.message });
+          setStatus({ state: 'idle', receipt: null, message: null });
+        } else {
+          setStatus({ state: 'error', receipt: null, message: error.message });
+        }
+      });
+  };
+
+  const sendAnother = () => {
+    setEnquiry((current) => ({ ...EMPTY_ENQUIRY, name: current.name, email: current.email }));
+    setStatus({ state: 'idle', receipt: null, message: null });
+  };
+
+  const messageLength = enquiry.message.trim().length;
+
+  return (
+    <div className="join-panel contact-panel">
+      <header className="join-header">
+        <h1>Contact us</h1>
+        <p>Questions, sponsorship or ideas for an event? Send the committee a message.</p>
+      </header>
+      {status.state === 'sent' ? (
+        <section className="join-done" role="status">
+          <h2>Thanks, {enquiry.name.trim()}!</h2>
+          <p>
+            Your message is with the committee. We’ll reply to <strong>{normalizeEmail(enquiry.email)}</strong>,
+            usually within a week during trimester.
+          </p>
+          <button type="button" className="scene-panel__button" onClick={sendAnother}>
+            Send another message
+          </button>
+        </section>
+      ) : (
+        <form className="contact-form" onSubmit={handleSubmit} noValidate>
+          <label className="form-field">
+            Name
+            <input
+              name="name"
+              type="text"
+              autoComplete="name"
+              maxLength={CONTACT_NAME_MAX_LENGTH}
+              value={enquiry.name}
+              onChange={handleChange}
+              aria-invalid={Boolean(errors.name)}
+              required
+            />
+            {errors.name ? <span className="form-error">{errors.name}</span> : null}
+          </label>
+          <label className="form-field">
+            Email
+            <input
+              name="email"
+              type="email"
+              autoComplete="email"
+              value={enquiry.email}
+              onChange={handleChange}
+              aria-invalid={Boolean(errors.email)}
+              required
+            />
+            {errors.email ? <span className="form-error">{errors.email}</span> : null}
+          </label>
+          <fieldset className="form-field form-field--wide contact-categories">
+            <legend>What’s it about?</legend>
+            {CONTACT_CATEGORIES.map((option) => (
+              <label
+                key={option.value}
+                className={`join-interest contact-category${
+                  enquiry.category === option.value ? ' join-interest--selected' : ''
+                }`}
+              >
+                <input
+                  type="radio"
+                  name="category"
+                  value={option.value}
+                  checked={enquiry.category === option.value}
+                  onChange={handleChange}
+                />
+                <span>
+                  <strong>{option.label}</strong>
+                  <span className="contact-category__description">{option.description}</span>
+                </span>
+              </label>
+            ))}
+            {errors.category ? <span className="form-error">{errors.category}</span> : null}
+          </fieldset>
+          <label className="form-field form-field--wide">
+            Message
+            <textarea
+              name="message"
+              rows={6}
+              maxLength={CONTACT_MESSAGE_MAX_LENGTH}
+              value={enquiry.message}
+              onChange={handleChange}
+              aria-invalid={Boolean(errors.message)}
+              required
+            />
+            <span className="form-optional">
+              {messageLength} / {CONTACT_MESSAGE_MAX_LENGTH}
+            </span>
+            {errors.message ? <span className="form-error">{errors.message}</span> : null}
+          </label>
+          <label className="contact-honeypot" aria-hidden="true">
+            Leave this empty
+            <input
+              name={CONTACT_HONEYPOT_FIELD}
+              type="text"
+              tabIndex={-1}
+              autoComplete="off"
+              value={enquiry[CONTACT_HONEYPOT_FIELD]}
+              onChange={handleChange}
+            />
+          </label>
+          {status.state === 'error' ? (
+            <p className="form-error form-field--wide" role="alert">
+              {status.message}
+            </p>
+          ) : null}
+          <button type="submit" className="hero-button" disabled={status.state === 'sending'}>
+            {status.state === 'sending' ? 'Sending…' : 'Send message'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,14 @@
+import { Link, useLocation } from 'react-router-dom';
+
+export function HomeContent() {
+  const { search } = useLocation();
+  return (
+    <div className="home-content">
+      <h1>VIC DATASOC</h1>
+      <h2>For students interested in Data Science</h2>
+      <Link className="hero-button" to={{ pathname: '/join', search }}>
+        Join Us!
+      </Link>
+    </div>
+  );
+}
@@ -0,0 +1,404 @@
+import { useEffect, useMemo, useState } from 'react';
+import { Link, Outlet } from 'react-router-dom';
+import { EVENTS_LOCALE } from '../events.mjs';
+import { csvDataUrl, toCsv } from '../csv';
+import {
+  EMPTY_MEMBERSHIP_APPLICATION,
+  MEMBERSHIP_INTERESTS,
+  MEMBERSHIP_PROGRAMMES,
+  MEMBERSHIP_STEPS,
+  MEMBERSHIP_YEARS,
+  createMembershipAdapter,
+  validateApplication,
+} from '../membership';
+import { STUDENT_EMAIL_DOMAINS } from '../validation.mjs';
+
+let membershipStore = null;
+
+// Built on first use rather than at import, so a store that can't start only takes down signups.
+function getMembershipStore() {
+  membershipStore ??= createMembershipAdapter();
+  return membershipStore;
+}
+
+const MEMBERSHIP_LABELS = {
+  year: Object.fromEntries(MEMBERSHIP_YEARS.map((option) => [option.value, option.label])),
+  interests: Object.fromEntries(MEMBERSHIP_INTERESTS.map((option) => [option.value, option.label])),
+};
+
+const MEMBER_CSV_COLUMNS = [
+  { label: 'First name', value: (member) => member.firstName },
+  { label: 'Last name', value: (member) => member.lastName },
+  { label: 'Email', value: (member) => member.email },
+  { label: 'Student ID', value: (member) => member.studentId },
+  { label: 'Programme', value: (member) => member.programme },
+  { label: 'Majors', value: (member) => member.majors },
+  { label: 'Year', value: (member) => MEMBERSHIP_LABELS.year[member.year] ?? member.year },
+  {
+    label: 'Interests',
+    value: (member) => member.interests.map((value) => MEMBERSHIP_LABELS.interests[value] ?? value).join('; '),
+  },
+  { label: 'Newsletter', value: (member) => (member.newsletter ? 'yes' : 'no') },
+  { label: 'Joined at', value: (member) => member.joinedAt },
+];
+
+export function JoinContent() {
+  return (
+    <div className="join-panel">
+      <Outlet />
+    </div>
+  );
+}
+
+export function JoinForm() {
+  const [application, setApplication] = useState(EMPTY_MEMBERSHIP_APPLICATION);
+  const [stepIndex, setStepIndex] = useState(0);
+  const [errors, setErrors] = useState({});
+  const [submission, setSubmission] = useState({ state: 'idle', member: null, message: null });
+  const step = MEMBERSHIP_STEPS[stepIndex];
+  const lastStep = stepIndex === MEMBERSHIP_STEPS.length - 1;
+
+  const update = (field, value) => {
+    setApplication((current) => ({ ...current, [field]: value }));
+    setErrors((current) => ({ ...current, [field]: undefined }));
+  };
+  const handleInput = (e) => {
+    const { name, type, checked, value } = e.target;
+    update(name, type === 'checkbox' ? checked : value);
+  };
+  const fieldProps = (name) => ({
+    name,
+    value: application[name],
+    onChange: handleInput,
+    'aria-invalid': Boolean(errors[name]),
+  });
+  const toggleInterest = (value) => {
+    update(
+      'interests',
+      application.interests.includes(value)
+        ? application.interests.filter((item) => item !== value)
+        : [...application.interests, value]
+    );
+  };
+  const showErrorsFrom = (nextErrors) => {
+    setErrors(nextErrors);
+    const failing = MEMBERSHIP_STEPS.findIndex((item) => item.fields.some((field) => nextErrors[field]));
+    if (failing >= 0) setStepIndex(failing);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const stepErrors = step.validate(application);
+    if (Object.keys(stepErrors).length) {
+      setErrors(stepErrors);
+      return;
+    }
+    if (!lastStep) {
+      setStepIndex(stepIndex + 1);
+      return;
+    }
+    const allErrors = validateApplication(application);
+    if (Object.keys(allErrors).length) {
+      showErrorsFrom(allErrors);
+      return;
+    }
+    setSubmission({ state: 'submitting', member: null, message: null });
+    getMembershipStore()
+      .submit(application)
+      .then((member) => setSubmission({ state: 'done', member, message: null }))
+      .catch((error) => {
+        if (error.field) {
+          showErrorsFrom({ [error.field]: error.message });
+          setSubmission({ state: 'idle', member: null, message: null });
+        } else {
+          setSubmission({ state: 'error', member: null, message: error.message });
+        }
+      });
+  };
+
+  if (submission.state === 'done') {
+    return (
+      <section className="join-done" role="status">
+        <h1>Welcome to VIC DataSoc, {submission.member.firstName}!</h1>
+        <p>
+          You’re on the member list. We’ll be in touch at <strong>{submission.member.email}</strong> with event
+          invites{submission.member.newsletter ? ' and the newsletter' : ''}.
+        </p>
+        <Link to="/events" className="hero-button">
+          See upcoming events
+        </Link>
+      </section>
+    );
+  }
+
+  const programme = MEMBERSHIP_PROGRAMMES.find((option) => option.value === application.programme);
+
+  return (
+    <form className="join-form" onSubmit={handleSubmit} noValidate aria-labelledby="join-title">
+      <header className="join-header">
+        <h1 id="join-title">Join VIC DataSoc</h1>
+        <p>Membership is free for students. It takes about a minute.</p>
+        <ol className="join-steps">
+          {MEMBERSHIP_STEPS.map((item, index) => (
+            <li
+              key={item.id}
+              className={`join-step${index === stepIndex ? ' join-step--current' : ''}${
+                index < stepIndex ? ' join-step--done' : ''
+              }`}
+              aria-current={index === stepIndex ? 'step' : undefined}
+            >
+              <span className="join-step-number">{index + 1}</span>
+              {item.title}
+            </li>
+          ))}
+        </ol>
+      </header>
+
+      <fieldset className="join-fieldset">
+        <legend>{step.title}</legend>
+        {step.id === 'details' ? (
+          <>
+            <label className="form-field">
+              First name
+              <input {...fieldProps('firstName')} autoComplete="given-name" />
+              {errors.firstName ? <span className="form-error">{errors.firstName}</span> : null}
+            </label>
+            <label className="form-field">
+              Last name
+              <input {...fieldProps('lastName')} autoComplete="family-name" />
+              {errors.lastName ? <span className="form-error">{errors.lastName}</span> : null}
+            </label>
+            <label className="form-field">
+              Student email
+              <input
+                {...fieldProps('email')}
+                type="email"
+                autoComplete="email"
+                placeholder={`you@${STUDENT_EMAIL_DOMAINS[0]}`}
+              />
+              {errors.email ? <span className="form-error">{errors.email}</span> : null}
+            </label>
+            <label className="form-field">
+              Student ID <span className="form-optional">(optional)</span>
+              <input {...fieldProps('studentId')} inputMode="numeric" />
+              {errors.studentId ? <span className="form-error">{errors.studentId}</span> : null}
+            </label>
+          </>
+        ) : null}
+
+        {step.id === 'study' ? (
+          <>
+            <label className="form-field">
+              Programme
+              <select {...fieldProps('programme')}>
+                <option value="" disabled>
+                  Choose one…
+                </option>
+                {MEMBERSHIP_PROGRAMMES.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+              {errors.programme ? <span className="form-error">{errors.programme}</span> : null}
+            </label>
+            {application.programme === 'other' ? (
+              <label className="form-field">
+                Which programme?
+                <input {...fieldProps('programmeOther')} />
+                {errors.programmeOther ? <span className="form-error">{errors.programmeOther}</span> : null}
+              </label>
+            ) : null}
+            <label className="form-field">
+              Year of study
+              <select {...fieldProps('year')}>
+                <option value="" disabled>
+                  Choose one…
+                </option>
+                {MEMBERSHIP_YEARS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+              {errors.year ? <span className="form-error">{errors.year}</span> : null}
+            </label>
+            <label className="form-field form-field--wide">
+              Majors <span className="form-optional">(optional)</span>
+              <input {...fieldProps('majors')} placeholder="e.g. Statistics, Computer Science" />
+            </label>
+          </>
+        ) : null}
+
+        {step.id === 'interests' ? (
+          <div className="form-field--wide">
+            <p className="join-hint">What would you like to get out of DataSoc? Pick as many as you like.</p>
+            <div className="join-interests" role="group" aria-label="Interests">
+              {MEMBERSHIP_INTERESTS.map((option) => (
+                <label
+                  key={option.value}
+                  className={`join-interest${
+                    application.interests.includes(option.value) ? ' join-interest--selected' : ''
+                  }`}
+                >
+                  <input
+                    type="checkbox"
+                    checked={application.interests.includes(option.value)}
+                    onChange={() => toggleInterest(option.value)}
+                  />
+                  {option.label}
+                </label>
+              ))}
+            </div>
+            {errors.interests ? <span className="form-error">{errors.interests}</span> : null}
+          </div>
+        ) : null}
+
+        {step.id === 'consent' ? (
+          <div className="form-field--wide join-review">
+            <dl>
+              <div>
+                <dt>Name</dt>
+                <dd>
+                  {application.firstName} {application.lastName}
+                </dd>
+              </div>
+              <div>
+                <dt>Email</dt>
+                <dd>{application.email}</dd>
+              </div>
+              <div>
+                <dt>Study</dt>
+                <dd>
+                  {application.programme === 'other' ? application.programmeOther : programme?.label},{' '}
+                  {MEMBERSHIP_LABELS.year[application.year]?.toLowerCase()}
+                </dd>
+              </div>
+              <div>
+                <dt>Interests</dt>
+                <dd>{application.interests.map((value) => MEMBERSHIP_LABELS.interests[value]).join(', ')}</dd>
+              </div>
+            </dl>
+            <label className="join-checkbox">
+              <input type="checkbox" name="consent" checked={application.consent} onChange={handleInput} />
+              <span>
+                I agree to follow the <Link to="/constitution">VIC DataSoc constitution</Link> and for the committee
+                to keep these details to run my membership.
+              </span>
+            </label>
+            {errors.consent ? <span className="form-error">{errors.consent}</span> : null}
+            <label className="join-checkbox">
+              <input type="checkbox" name="newsletter" checked={application.newsletter} onChange={handleInput} />
+              <span>Send me the occasional newsletter.</span>
+            </label>
+          </div>
+        ) : null}
+      </fieldset>
+
+      {submission.state === 'error' ? (
+        <p className="form-error" role="alert">
+          {submission.message}
+        </p>
+      ) : null}
+
+      <div className="join-actions">
+        {stepIndex > 0 ? (
+          <button type="button" className="scene-panel__button" onClick={() => setStepIndex(stepIndex - 1)}>
+            Back
+          </button>
+        ) : null}
+        <button type="submit" className="hero-button" disabled={submission.state === 'submitting'}>
+          {lastStep ? (submission.state === 'submitting' ? 'Signing you up…' : 'Join') : 'Next'}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export function JoinMembersCommittee() {
+  const [members, setMembers] = useState({ status: 'loading', items: [], error: null });
+
+  useEffect(() => {
+    let cancelled = false;
+    getMembershipStore()
+      .list()
+      .then((items) => !cancelled && setMembers({ status: 'ready', items, error: null }))
+      .catch((error) => !cancelled && setMembers({ status: 'error', items: [], error: error.message }));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const csvHref = useMemo(() => csvDataUrl(toCsv(MEMBER_CSV_COLUMNS, members.items)), [members.items]);
+
+  const handleRemove = (member) => {
+    if (!window.confirm(`Remove ${member.firstName} ${member.lastName} from the member list?`)) return;
+    getMembershipStore()
+      .remove(member.id)
+      .then((items) => setMembers({ status: 'ready', items, error: null }))
+      .catch((error) => setMembers((current) => ({ ...current, error: error.message })));
+  };
+
+  return (
+    <div className="join-committee">
+      <header className="events-hero">
+        <h1>Members</h1>
+        <p>{members.status === 'ready' ? `${members.items.length} signed up` : 'Loading…'}</p>
+      </header>
+      {!process.env.REACT_APP_MEMBERSHIP_API_URL ? (
+        <p className="events-status">
+          Signups are being saved in this browser only. Set <code>REACT_APP_MEMBERSHIP_API_URL</code> to collect
+          them through the membership API.
+        </p>
+      ) : null}
+      {members.error ? (
+        <p className="form-error" role="alert">
+          {members.error}
+        </p>
+      ) : null}
+      {members.items.length ? (
+        <div className="event-rsvp-table__wrap">
+          <table className="event-rsvp-table">
+            <thead>
+              <tr>
+                <th scope="col">Name</th>
+                <th scope="col">Email</th>
+                <th scope="col">Programme</th>
+                <th scope="col">Year</th>
+                <th scope="col">Joined</th>
+                <th scope="col" aria-label="Actions" />
+              </tr>
+            </thead>
+            <tbody>
+              {members.items.map((member) => (
+                <tr key={member.id}>
+                  <td>
+                    {member.firstName} {member.lastName}
+                  </td>
+                  <td>{member.email}</td>
+                  <td>{member.programme}</td>
+                  <td>{MEMBERSHIP_LABELS.year[member.year] ?? member.year}</td>
+                  <td>
+                    <time dateTime={member.joinedAt}>
+                      {new Date(member.joinedAt).toLocaleDateString(EVENTS_LOCALE, { dateStyle: 'medium' })}
+                    </time>
+                  </td>
+                  <td>
+                    <button type="button" className="event-rsvp-table__remove" onClick={() => handleRemove(member)}>
+                      Remove
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <a className="hero-button event-cta" href={csvHref} download="vic-datasoc-members.csv">
+            Export CSV
+          </a>
+        </div>
+      ) : members.status === 'ready' ? (
+        <p className="events-status">No signups yet.</p>
+      ) : null}
+    </div>
+  );
+}
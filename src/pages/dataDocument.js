@@ -0,0 +1,71 @@
+// Fetching and validating the JSON documents behind the events, team and constitution pages.
+
+import { useEffect, useState } from 'react';
+
+/**
+ * Fetches one of the JSON files under public/data and runs it through its validator, which
+ * returns the parsed fields plus a list of skipped entries (`problems`).
+ */
+export function useDataDocument(url, validate, label, empty) {
+  const [state, setState] = useState({ status: 'loading', ...empty, problems: [], error: null });
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch(url, { cache: 'no-cache' })
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`Could not load the ${label} (${response.status}).`);
+        }
+        return response.json();
+      })
+      .then((source) => {
+        const result = validate(source);
+        if (!cancelled) {
+          setState({ status: 'ready', ...result, error: null });
+        }
+      })
+      .catch((error) => {
+        if (!cancelled) {
+          setState({ status: 'error', ...empty, problems: [], error: error.message });
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [url, validate, label, empty]);
+
+  return state;
+}
+
+/** Explains why a data file failed to load or which of its entries were skipped. */
+export function DataErrorPanel({ subject, source, error, problems, describe }) {
+  const heading = error
+    ? `${subject.charAt(0).toUpperCase()}${subject.slice(1)} could not be loaded`
+    : `Some ${subject} were skipped`;
+  return (
+    <section className="data-error" role="alert">
+      <h2>{heading}</h2>
+      {error ? <p>{error}</p> : null}
+      {problems.length ? (
+        <>
+          <p>
+            {problems.length === 1 ? 'One entry' : `${problems.length} entries`} in <code>{source}</code> failed
+            validation:
+          </p>
+          <ul>
+            {problems.map((problem) => (
+              <li key={describe(problem)}>
+                <strong>{describe(problem)}</strong>
+                <ul>
+                  {problem.messages.map((message) => (
+                    <li key={message}>{message}</li>
+                  ))}
+                </ul>
+              </li>
+            ))}
+          </ul>
+        </>
+      ) : null}
+    </section>
+  );
+}
@@ -0,0 +1,122 @@
+import { useMemo } from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import { buildICalendar, eventPath } from '../../events.mjs';
+import { isRsvpOpen } from './EventRsvp';
+import { formatEventSchedule } from './eventFormat';
+
+export function EventMedia({ event, date }) {
+  return (
+    <div className="event-media" aria-hidden="true">
+      <div className="event-media-fallback">{event.title.substring(0, 1)}</div>
+      {event.hero ? (
+        <img
+          src={event.hero}
+          alt=""
+          loading="lazy"
+          onError={(e) => {
+            e.currentTarget.style.display = 'none';
+          }}
+        />
+      ) : null}
+      <span className="event-date-tag">{date}</span>
+    </div>
+  );
+}
+
+export function EventTags({ tags }) {
+  return tags.length ? (
+    <ul className="event-tags" aria-label="Tags">
+      {tags.map((tag) => (
+        <li key={tag}>{tag}</li>
+      ))}
+    </ul>
+  ) : null;
+}
+
+export function EventActions({ event, past, children }) {
+  const calendarHref = useMemo(
+    () =>
+      past
+        ? null
+        : `data:text/calendar;charset=utf-8,${encodeURIComponent(
+            buildICalendar([event], { name: event.title, origin: window.location.origin })
+          )}`,
+    [event, past]
+  );
+  const { search } = useLocation();
+  // Past events keep their links (slides, recordings) but drop the call-to-action styling, and an
+  // open RSVP takes over the call to action from the external sign-up link.
+  const rsvpOpen = !past && isRsvpOpen(event);
+  const [primaryLink, ...otherLinks] = past || rsvpOpen ? [null, ...event.links] : event.links;
+
+  return (
+    <div className="event-links">
+      {rsvpOpen ? (
+        <Link to={{ pathname: eventPath(event), search, hash: '#rsvp' }} className="hero-button event-cta">
+          RSVP
+        </Link>
+      ) : null}
+      {primaryLink ? (
+        <a className="hero-button event-cta" href={primaryLink.href} target="_blank" rel="noreferrer">
+          {primaryLink.label}
+        </a>
+      ) : null}
+      {otherLinks.map((link) => (
+        <a key={link.href} className="event-link" href={link.href} target="_blank" rel="noreferrer">
+          {link.label}
+        </a>
+      ))}
+      {calendarHref ? (
+        <a className="event-link" href={calendarHref} download={`${event.id}.ics`}>
+          Add to calendar
+        </a>
+      ) : null}
+      {children}
+    </div>
+  );
+}
+
+export function EventCard({ event, past = false }) {
+  const { search } = useLocation();
+  const schedule = formatEventSchedule(event);
+  const detailLink = { pathname: eventPath(event), search };
+
+  return (
+    <article className={`event-card${past ? ' event-card--past' : ''}`}>
+      <EventMedia event={event} date={schedule.date} />
+      <div className="event-body">
+        <h2>
+          <Link to={detailLink} className="event-title-link">
+            {event.title}
+          </Link>
+        </h2>
+        <EventTags tags={event.tags} />
+        <dl className="event-meta">
+          <div>
+            <dt>Time</dt>
+            <dd>
+              <time dateTime={event.start}>{schedule.time}</time>
+            </dd>
+          </div>
+          <div>
+            <dt>Location</dt>
+            <dd>{event.location}</dd>
+          </div>
+        </dl>
+        <p className="event-summary">{event.summary}</p>
+        {event.highlights.length ? (
+          <ul className="event-highlights">
+            {event.highlights.map((item) => (
+              <li key={item}>{item}</li>
+            ))}
+          </ul>
+        ) : null}
+        <EventActions event={event} past={past}>
+          <Link to={detailLink} className="event-link">
+            Details
+          </Link>
+        </EventActions>
+      </div>
+    </article>
+  );
+}
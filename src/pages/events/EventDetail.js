@@ -0,0 +1,270 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { Link, useLocation, useOutletContext, useParams } from 'react-router-dom';
+import { eventPath } from '../../events.mjs';
+import { initialsOf } from '../../team';
+import { EventActions, EventMedia, EventTags } from './EventCard';
+import { EventRsvp } from './EventRsvp';
+import { EventsErrorPanel } from './EventsErrorPanel';
+import { formatAgendaTime, formatEventSchedule } from './eventFormat';
+
+function EventShareLink({ event }) {
+  const url = `${window.location.origin}${eventPath(event)}`;
+  const [status, setStatus] = useState('idle');
+
+  useEffect(() => {
+    if (status === 'idle') return undefined;
+    const timer = setTimeout(() => setStatus('idle'), 2400);
+    return () => clearTimeout(timer);
+  }, [status]);
+
+  const handleCopy = () => {
+    if (!navigator.clipboard) {
+      setStatus('failed');
+      return;
+    }
+    navigator.clipboard.writeText(url).then(
+      () => setStatus('copied'),
+      () => setStatus('failed')
+    );
+  };
+
+  return (
+    <div className="event-share">
+      <label htmlFor={`event-share-${event.id}`}>Share this event</label>
+      <div className="event-share__row">
+        <input
+          id={`event-share-${event.id}`}
+          type="text"
+          value={url}
+          readOnly
+          onFocus={(e) => e.currentTarget.select()}
+        />
+        <button type="button" className="scene-panel__button" onClick={handleCopy}>
+          {status === 'copied' ? 'Copied' : 'Copy link'}
+        </button>
+      </div>
+      {status === 'failed' ? (
+        <p className="event-share__hint" role="status">
+          Couldn’t reach the clipboard — select the link above and copy it manually.
+        </p>
+      ) : null}
+    </div>
+  );
+}
+
+export function EventNotFound({ eventId, problems, backLink }) {
+  const skipped = problems.find((problem) => problem.label === eventId);
+  return (
+    <div className="events-scroll">
+      <section className="event-not-found" role="alert">
+        <h1>Event not found</h1>
+        <p>
+          There’s no event with the id <code>{eventId}</code>.
+          {skipped
+            ? ' An entry with that id exists but failed validation, so it is hidden until it is fixed.'
+            : ' It may have been renamed or removed.'}
+        </p>
+        <Link to={backLink} className="hero-button">
+          See all events
+        </Link>
+      </section>
+    </div>
+  );
+}
+
+export function EventDetail() {
+  const feed = useOutletContext();
+  const { eventId } = useParams();
+  const { search, hash } = useLocation();
+  const scrollRef = useRef(null);
+  const chronological = useMemo(
+    () => [...feed.events].sort((a, b) => a.startsAt - b.startsAt),
+    [feed.events]
+  );
+  const index = chronological.findIndex((event) => event.id === eventId);
+  const event = index >= 0 ? chronological[index] : null;
+  const previous = index > 0 ? chronological[index - 1] : null;
+  const next = index >= 0 && index < chronological.length - 1 ? chronological[index + 1] : null;
+  const backLink = { pathname: '/events', search };
+
+  useEffect(() => {
+    // Deep links such as #rsvp land on their section once the event has rendered.
+    const target = hash ? document.getElementById(hash.slice(1)) : null;
+    if (target) {
+      target.scrollIntoView({ block: 'start' });
+    } else {
+      scrollRef.current?.scrollTo({ top: 0 });
+    }
+  }, [eventId, hash, feed.status]);
+
+  if (feed.status === 'loading') {
+    return <p className="events-status">Loading event…</p>;
+  }
+  if (feed.status === 'error') {
+    return <EventsErrorPanel error={feed.error} problems={feed.problems} />;
+  }
+  if (!event) {
+    return <EventNotFound eventId={eventId} problems={feed.problems} backLink={backLink} />;
+  }
+
+  const past = event.endsAt <= new Date();
+  const schedule = formatEventSchedule(event);
+  const speakersByName = new Map(event.speakers.map((speaker) => [speaker.name, speaker]));
+
+  return (
+    <article className="events-scroll event-detail" ref={scrollRef} aria-labelledby="event-detail-title">
+      <Link to={backLink} className="event-link event-detail__back">
+        ← All events
+      </Link>
+      <header className={`event-card event-detail__header${past ? ' event-card--past' : ''}`}>
+        <EventMedia event={event} date={schedule.date} />
+        <div className="event-body">
+          {past ? <span className="events-section__title">Past event</span> : null}
+          <h1 id="event-detail-title">{event.title}</h1>
+          <EventTags tags={event.tags} />
+          <dl className="event-meta">
+            <div>
+              <dt>Date</dt>
+              <dd>{schedule.date}</dd>
+            </div>
+            <div>
+              <dt>Time</dt>
+              <dd>
+                <time dateTime={event.start}>{schedule.time}</time>
+              </dd>
+            </div>
+            <div>
+              <dt>Location</dt>
+              <dd>{event.location}</dd>
+            </div>
+          </dl>
+          <p className="event-summary">{event.summary}</p>
+          <EventActions event={event} past={past} />
+        </div>
+      </header>
+
+      {event.highlights.length ? (
+        <section className="event-detail__section">
+          <h2>Highlights</h2>
+          <ul className="event-highlights">
+            {event.highlights.map((item) => (
+              <li key={item}>{item}</li>
+            ))}
+          </ul>
+        </section>
+      ) : null}
+
+      {event.agenda.length ? (
+        <section className="event-detail__section">
+          <h2>Agenda</h2>
+          <ol className="event-agenda">
+            {event.agenda.map((slot) => (
+              <li key={`${slot.startsAt.toISOString()}-${slot.title}`} className="event-agenda__slot">
+                <time className="event-agenda__time" dateTime={slot.startsAt.toISOString()}>
+                  {formatAgendaTime(slot, event)}
+                </time>
+                <div className="event-agenda__body">
+                  <h3>{slot.title}</h3>
+                  {slot.description ? <p>{slot.description}</p> : null}
+                  {slot.speakers.length ? (
+                    <p className="event-agenda__speakers">
+                      {slot.speakers
+                        .map((name) => [name, speakersByName.get(name)?.role].filter(Boolean).join(', '))
+                        .join(' · ')}
+                    </p>
+                  ) : null}
+                </div>
+              </li>
+            ))}
+          </ol>
+        </section>
+      ) : null}
+
+      {event.speakers.length ? (
+        <section className="event-detail__section">
+          <h2>Speakers</h2>
+          <ul className="event-speakers">
+            {event.speakers.map((speaker) => (
+              <li key={speaker.name} className="event-speaker">
+                <span className="event-speaker__avatar" aria-hidden="true">
+                  {initialsOf(speaker.name)}
+                </span>
+                <div>
+                  <h3>
+                    {speaker.href ? (
+                      <a href={speaker.href} target="_blank" rel="noreferrer">
+                        {speaker.name}
+                      </a>
+                    ) : (
+                      speaker.name
+                    )}
+                  </h3>
+                  {speaker.role ? <p className="event-speaker__role">{speaker.role}</p> : null}
+                  {speaker.bio ? <p>{speaker.bio}</p> : null}
+                </div>
+              </li>
+            ))}
+          </ul>
+        </section>
+      ) : null}
+
+      <section className="event-detail__section">
+        <h2>Venue</h2>
+        <dl className="event-meta">
+          <div>
+            <dt>Address</dt>
+            <dd>
+              {event.location}
+              {event.venue?.mapUrl ? (
+                <>
+                  {' '}
+                  <a className="event-link" href={event.venue.mapUrl} target="_blank" rel="noreferrer">
+                    Map
+                  </a>
+                </>
+              ) : null}
+            </dd>
+          </div>
+          {event.venue?.directions ? (
+            <div>
+              <dt>Getting there</dt>
+              <dd>{event.venue.directions}</dd>
+            </div>
+          ) : null}
+          <div>
+            <dt>Accessibility</dt>
+            <dd>
+              {event.venue?.accessibility ??
+                'Accessibility details haven’t been published yet — get in touch and we’ll find out for you.'}
+            </dd>
+          </div>
+        </dl>
+      </section>
+
+      {event.rsvp ? <EventRsvp event={event} /> : null}
+
+      <EventShareLink event={event} />
+
+      <nav className="event-detail__pager" aria-label="More events">
+        {previous ? (
+          <Link to={{ pathname: eventPath(previous), search }} className="event-detail__pager-link" rel="prev">
+            <span>Previous event</span>
+            {previous.title}
+          </Link>
+        ) : (
+          <span />
+        )}
+        {next ? (
+          <Link
+            to={{ pathname: eventPath(next), search }}
+            className="event-detail__pager-link event-detail__pager-link--next"
+            rel="next"
+          >
+            <span>Next event</span>
+            {next.title}
+          </Link>
+        ) : null}
+      </nav>
+    </article>
+  );
+}
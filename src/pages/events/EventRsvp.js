@@ -0,0 +1,170 @@
+import { useEffect, useState } from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import { eventPath } from '../../events.mjs';
+import { RSVP_DIETARY_MAX_LENGTH, createRsvpAdapter, validateAttendee } from '../../rsvp';
+import { STUDENT_EMAIL_DOMAINS } from '../../validation.mjs';
+
+let rsvpStore = null;
+
+// Built on first use rather than at import, so a store that can't start only takes down RSVPs.
+export function getRsvpStore() {
+  rsvpStore ??= createRsvpAdapter();
+  return rsvpStore;
+}
+
+const RSVP_EMPTY_FORM = { name: '', email: '', dietary: '' };
+
+export function isRsvpOpen(event, now = new Date()) {
+  return Boolean(event.rsvp) && event.startsAt > now;
+}
+
+function describeRsvpSummary(summary) {
+  if (summary.remaining > 0) {
+    return `${summary.remaining} of ${summary.capacity} spots left`;
+  }
+  return summary.waitlisted
+    ? `Full — ${summary.waitlisted} on the waitlist`
+    : 'Full — new RSVPs join the waitlist';
+}
+
+export function EventRsvp({ event }) {
+  const { search } = useLocation();
+  const capacity = event.rsvp.capacity;
+  const [summary, setSummary] = useState({ counts: null, error: null });
+  const [form, setForm] = useState(RSVP_EMPTY_FORM);
+  const [errors, setErrors] = useState({});
+  const [status, setStatus] = useState({ state: 'idle', message: null, rsvp: null });
+  const open = isRsvpOpen(event);
+
+  useEffect(() => {
+    let cancelled = false;
+    getRsvpStore()
+      .summary(event.id, capacity)
+      .then((counts) => !cancelled && setSummary({ counts, error: null }))
+      .catch((error) => !cancelled && setSummary({ counts: null, error: error.message }));
+    return () => {
+      cancelled = true;
+    };
+  }, [event.id, capacity, status.rsvp]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((current) => ({ ...current, [name]: value }));
+    setErrors((current) => ({ ...current, [name]: undefined }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const nextErrors = validateAttendee(form);
+    setErrors(nextErrors);
+    if (Object.keys(nextErrors).length) return;
+    setStatus({ state: 'submitting', message: null, rsvp: null });
+    getRsvpStore()
+      .submit(event.id, form, capacity)
+      .then((rsvp) => {
+        setStatus({ state: 'done', message: null, rsvp });
+        setForm(RSVP_EMPTY_FORM);
+      })
+      .catch((error) => {
+        if (error.field) {
+          setErrors({ [error.field]: error.message });
+          setStatus({ state: 'idle', message: null, rsvp: null });
+        } else {
+          setStatus({ state: 'error', message: error.message, rsvp: null });
+        }
+      });
+  };
+
+  return (
+    <section className="event-detail__section event-rsvp" id="rsvp" aria-labelledby="event-rsvp-title">
+      <h2 id="event-rsvp-title">RSVP</h2>
+      {summary.counts ? (
+        <p className="event-rsvp__capacity">{describeRsvpSummary(summary.counts)}</p>
+      ) : summary.error ? (
+        <p className="events-status" role="alert">
+          {summary.error}
+        </p>
+      ) : null}
+      {!open ? (
+        <p className="events-status">RSVPs for this event are closed.</p>
+      ) : status.state === 'done' ? (
+        <div className="event-rsvp__confirmation" role="status">
+          {status.rsvp.status === 'confirmed' ? (
+            <p>
+              <strong>You’re in, {status.rsvp.name}!</strong> Your spot is confirmed — see you there.
+            </p>
+          ) : (
+            <p>
+              <strong>You’re #{status.rsvp.position} on the waitlist.</strong> The event is full, but we’ll
+              email {status.rsvp.email} if a spot opens up.
+            </p>
+          )}
+          <button
+            type="button"
+            className="scene-panel__button"
+            onClick={() => setStatus({ state: 'idle', message: null, rsvp: null })}
+          >
+            RSVP for someone else
+          </button>
+        </div>
+      ) : (
+        <form className="event-rsvp__form" onSubmit={handleSubmit} noValidate>
+          <label className="form-field">
+            Name
+            <input
+              name="name"
+              type="text"
+              autoComplete="name"
+              value={form.name}
+              onChange={handleChange}
+              aria-invalid={Boolean(errors.name)}
+              required
+            />
+            {errors.name ? <span className="form-error">{errors.name}</span> : null}
+          </label>
+          <label className="form-field">
+            Student email
+            <input
+              name="email"
+              type="email"
+              autoComplete="email"
+              placeholder={`you@${STUDENT_EMAIL_DOMAINS[0]}`}
+              value={form.email}
+              onChange={handleChange}
+              aria-invalid={Boolean(errors.email)}
+              required
+            />
+            {errors.email ? <span className="form-error">{errors.email}</span> : null}
+          </label>
+          <label className="form-field form-field--wide">
+            Dietary requirements <span className="form-optional">(optional)</span>
+            <textarea
+              name="dietary"
+              rows={2}
+              maxLength={RSVP_DIETARY_MAX_LENGTH}
+              value={form.dietary}
+              onChange={handleChange}
+              aria-invalid={Boolean(errors.dietary)}
+            />
+            {errors.dietary ? <span className="form-error">{errors.dietary}</span> : null}
+          </label>
+          {status.state === 'error' ? (
+            <p className="form-error form-field--wide" role="alert">
+              {status.message}
+            </p>
+          ) : null}
+          <button type="submit" className="hero-button" disabled={status.state === 'submitting'}>
+            {status.state === 'submitting'
+              ? 'Sending…'
+              : summary.counts?.remaining === 0
+                ? 'Join the waitlist'
+                : 'RSVP'}
+          </button>
+        </form>
+      )}
+      <Link to={{ pathname: `${eventPath(event)}/rsvps`, search }} className="event-rsvp__committee">
+        Committee: view RSVPs
+      </Link>
+    </section>
+  );
+}
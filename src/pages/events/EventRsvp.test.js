@@ -0,0 +1,52 @@
+import { fireEvent, render, screen } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import { EventRsvp } from './EventRsvp';
+
+const event = { id: 'hack-night', rsvp: { capacity: 20 }, startsAt: new Date(Date.now() + 86400000) };
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+test('shows a duplicate RSVP against the email field', async () => {
+  window.localStorage.setItem(
+    'vic-datasoc:rsvps:hack-night',
+    JSON.stringify([{ id: 'r1', name: 'Ada', email: 'ada@myvuw.ac.nz', dietary: '', submittedAt: '' }])
+  );
+  render(
+    <MemoryRouter>
+      <EventRsvp event={event} />
+    </MemoryRouter>
+  );
+  fireEvent.change(screen.getByLabelText('Name'), { target: { value: 'Ada Lovelace' } });
+  fireEvent.change(screen.getByLabelText(/^Student email/), { target: { value: 'Ada@myvuw.ac.nz' } });
+  fireEvent.click(screen.getByRole('button', { name: 'RSVP' }));
+
+  expect(await screen.findByText('That email has already RSVPed to this event.')).toBeInTheDocument();
+  expect(screen.getByLabelText(/^Student email/)).toHaveAttribute('aria-invalid', 'true');
+  expect(screen.queryByRole('alert')).toBeNull();
+});
+
+describe('when the browser blocks storage', () => {
+  let storageGetter;
+
+  beforeEach(() => {
+    storageGetter = jest.spyOn(window, 'localStorage', 'get').mockImplementation(() => {
+      throw new DOMException('The operation is insecure.', 'SecurityError');
+    });
+  });
+
+  afterEach(() => {
+    storageGetter.mockRestore();
+  });
+
+  test('reports the failure in the form instead of crashing', async () => {
+    render(
+      <MemoryRouter>
+        <EventRsvp event={event} />
+      </MemoryRouter>
+    );
+    expect(await screen.findByRole('alert')).toHaveTextContent('isn’t letting us save anything');
+    expect(screen.getByRole('button', { name: 'RSVP' })).toBeEnabled();
+  });
+});
@@ -0,0 +1,134 @@
+import { useEffect, useMemo, useState } from 'react';
+import { Link, useLocation, useOutletContext, useParams } from 'react-router-dom';
+import { EVENTS_LOCALE, eventPath } from '../../events.mjs';
+import { csvDataUrl, toCsv } from '../../csv';
+import { EventNotFound } from './EventDetail';
+import { getRsvpStore } from './EventRsvp';
+
+const RSVP_CSV_COLUMNS = [
+  { label: 'Status', value: (rsvp) => rsvp.status },
+  { label: 'Waitlist position', value: (rsvp) => rsvp.position ?? '' },
+  { label: 'Name', value: (rsvp) => rsvp.name },
+  { label: 'Email', value: (rsvp) => rsvp.email },
+  { label: 'Dietary requirements', value: (rsvp) => rsvp.dietary },
+  { label: 'Submitted at', value: (rsvp) => rsvp.submittedAt },
+];
+
+export function EventRsvpCommittee() {
+  const feed = useOutletContext();
+  const { eventId } = useParams();
+  const { search } = useLocation();
+  const event = feed.events.find((item) => item.id === eventId);
+  const capacity = event?.rsvp?.capacity;
+  const [rsvps, setRsvps] = useState({ status: 'loading', items: [], error: null });
+
+  useEffect(() => {
+    if (!capacity) return undefined;
+    let cancelled = false;
+    getRsvpStore()
+      .list(eventId, capacity)
+      .then((items) => !cancelled && setRsvps({ status: 'ready', items, error: null }))
+      .catch((error) => !cancelled && setRsvps({ status: 'error', items: [], error: error.message }));
+    return () => {
+      cancelled = true;
+    };
+  }, [eventId, capacity]);
+
+  const csvHref = useMemo(() => csvDataUrl(toCsv(RSVP_CSV_COLUMNS, rsvps.items)), [rsvps.items]);
+
+  if (feed.status === 'loading') {
+    return <p className="events-status">Loading event…</p>;
+  }
+  if (!event) {
+    return (
+      <EventNotFound eventId={eventId} problems={feed.problems} backLink={{ pathname: '/events', search }} />
+    );
+  }
+
+  const handleCancel = (rsvp) => {
+    if (!window.confirm(`Remove ${rsvp.name}’s RSVP? The next person on the waitlist will be promoted.`)) return;
+    getRsvpStore()
+      .cancel(event.id, rsvp.id, capacity)
+      .then((items) => setRsvps({ status: 'ready', items, error: null }))
+      .catch((error) => setRsvps((current) => ({ ...current, error: error.message })));
+  };
+
+  const confirmed = rsvps.items.filter((rsvp) => rsvp.status === 'confirmed').length;
+
+  return (
+    <div className="events-scroll event-rsvp-committee">
+      <Link to={{ pathname: eventPath(event), search }} className="event-link event-detail__back">
+        ← {event.title}
+      </Link>
+      <header className="events-hero">
+        <h1>RSVPs</h1>
+        {capacity ? (
+          <p>
+            {confirmed} of {capacity} confirmed · {rsvps.items.length - confirmed} waitlisted
+          </p>
+        ) : (
+          <p>This event doesn’t take RSVPs.</p>
+        )}
+      </header>
+      {capacity && !process.env.REACT_APP_RSVP_API_URL ? (
+        <p className="events-status">
+          RSVPs are being saved in this browser only. Set <code>REACT_APP_RSVP_API_URL</code> to collect them
+          through the RSVP API.
+        </p>
+      ) : null}
+      {rsvps.error ? (
+        <p className="form-error" role="alert">
+          {rsvps.error}
+        </p>
+      ) : null}
+      {capacity && rsvps.status === 'ready' ? (
+        <>
+          {rsvps.items.length ? (
+            <div className="event-rsvp-table__wrap">
+              <table className="event-rsvp-table">
+                <thead>
+                  <tr>
+                    <th scope="col">Status</th>
+                    <th scope="col">Name</th>
+                    <th scope="col">Email</th>
+                    <th scope="col">Dietary</th>
+                    <th scope="col">Submitted</th>
+                    <th scope="col" aria-label="Actions" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {rsvps.items.map((rsvp) => (
+                    <tr key={rsvp.id} className={`event-rsvp-table__row--${rsvp.status}`}>
+                      <td>{rsvp.status === 'confirmed' ? 'Confirmed' : `Waitlist #${rsvp.position}`}</td>
+                      <td>{rsvp.name}</td>
+                      <td>{rsvp.email}</td>
+                      <td>{rsvp.dietary || '—'}</td>
+                      <td>
+                        <time dateTime={rsvp.submittedAt}>
+                          {new Date(rsvp.submittedAt).toLocaleString(EVENTS_LOCALE, {
+                            dateStyle: 'medium',
+                            timeStyle: 'short',
+                          })}
+                        </time>
+                      </td>
+                      <td>
+                        <button type="button" className="event-rsvp-table__remove" onClick={() => handleCancel(rsvp)}>
+                          Remove
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <a className="hero-button event-cta" href={csvHref} download={`${event.id}-rsvps.csv`}>
+                Export CSV
+              </a>
+            </div>
+          ) : (
+            <p className="events-status">No RSVPs yet.</p>
+          )}
+        </>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,85 @@
+import { useMemo } from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import { EVENTS_LOCALE, eventPath, parseCalendarDate } from '../../events.mjs';
+import { formatEventSchedule } from './eventFormat';
+import { CALENDAR_WEEKDAYS, buildMonthGrid, groupEventsByDay, shiftMonth, toCalendarDay } from './filters';
+
+export function EventsCalendar({ events, month, onMonthChange }) {
+  const { search } = useLocation();
+  const weeks = useMemo(() => buildMonthGrid(month), [month]);
+  const eventsByDay = useMemo(() => groupEventsByDay(events), [events]);
+  const now = new Date();
+  const today = toCalendarDay(now);
+  const title = new Intl.DateTimeFormat(EVENTS_LOCALE, { timeZone: 'UTC', month: 'long', year: 'numeric' }).format(
+    parseCalendarDate(`${month}-01`)
+  );
+
+  return (
+    <section className="events-calendar" aria-label={`Events in ${title}`}>
+      <header className="events-calendar__header">
+        <button
+          type="button"
+          className="scene-panel__button"
+          aria-label="Previous month"
+          onClick={() => onMonthChange(shiftMonth(month, -1))}
+        >
+          ‹
+        </button>
+        <h2>{title}</h2>
+        <button
+          type="button"
+          className="scene-panel__button"
+          aria-label="Next month"
+          onClick={() => onMonthChange(shiftMonth(month, 1))}
+        >
+          ›
+        </button>
+        <button type="button" className="scene-panel__button" onClick={() => onMonthChange(today.slice(0, 7))}>
+          Today
+        </button>
+      </header>
+      <div className="events-calendar__grid" role="grid">
+        <div className="events-calendar__week" role="row">
+          {CALENDAR_WEEKDAYS.map((weekday) => (
+            <span key={weekday} className="events-calendar__weekday" role="columnheader">
+              {weekday}
+            </span>
+          ))}
+        </div>
+        {weeks.map((week) => (
+          <div key={week[0].date} className="events-calendar__week" role="row">
+            {week.map((cell) => {
+              const dayEvents = eventsByDay.get(cell.date) ?? [];
+              const classes = [
+                'events-calendar__day',
+                cell.inMonth ? '' : 'events-calendar__day--outside',
+                cell.date === today ? 'events-calendar__day--today' : '',
+              ]
+                .filter(Boolean)
+                .join(' ');
+              return (
+                <div key={cell.date} className={classes} role="gridcell">
+                  <time dateTime={cell.date} className="events-calendar__date">
+                    {cell.day}
+                  </time>
+                  {dayEvents.map((event) => (
+                    <Link
+                      key={event.id}
+                      to={{ pathname: eventPath(event), search }}
+                      className={`events-calendar__event${
+                        event.endsAt <= now ? ' events-calendar__event--past' : ''
+                      }`}
+                      title={`${event.title} — ${formatEventSchedule(event).time}`}
+                    >
+                      {event.title}
+                    </Link>
+                  ))}
+                </div>
+              );
+            })}
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+}
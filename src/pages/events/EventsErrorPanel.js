@@ -0,0 +1,18 @@
+import { EVENTS_SOURCE } from '../../events.mjs';
+import { DataErrorPanel } from '../dataDocument';
+
+function describeEventProblem(problem) {
+  return `Entry ${problem.index + 1}${problem.label ? ` (${problem.label})` : ''}`;
+}
+
+export function EventsErrorPanel({ error, problems }) {
+  return (
+    <DataErrorPanel
+      subject="events"
+      source={EVENTS_SOURCE.url}
+      error={error}
+      problems={problems}
+      describe={describeEventProblem}
+    />
+  );
+}
@@ -0,0 +1,99 @@
+import { useMemo } from 'react';
+import { Outlet, useOutletContext } from 'react-router-dom';
+import { EVENTS_FEED_PATH, splitEventsByTime } from '../../events.mjs';
+import { EventCard } from './EventCard';
+import { EventsCalendar } from './EventsCalendar';
+import { EventsErrorPanel } from './EventsErrorPanel';
+import { EventsToolbar } from './EventsToolbar';
+import { filterEvents, hasActiveEventFilters, toCalendarDay, useEventFilters } from './filters';
+import { useEventsFeed } from './useEventsFeed';
+
+export function EventsContent() {
+  const feed = useEventsFeed();
+  return (
+    <div className="events-panel">
+      <Outlet context={feed} />
+    </div>
+  );
+}
+
+export function EventsList() {
+  const feed = useOutletContext();
+  const [filters, updateFilters] = useEventFilters();
+  const filtered = useMemo(() => filterEvents(feed.events, filters), [feed.events, filters]);
+  const { upcoming, past } = useMemo(() => splitEventsByTime(filtered), [filtered]);
+  const tagCounts = useMemo(() => {
+    const counts = {};
+    feed.events.forEach((event) => {
+      event.tags.forEach((tag) => {
+        counts[tag] = (counts[tag] ?? 0) + 1;
+      });
+    });
+    return counts;
+  }, [feed.events]);
+  const calendarMonth = filters.month || (filters.from || toCalendarDay(new Date())).slice(0, 7);
+  const filtering = hasActiveEventFilters(filters);
+
+  return (
+    <>
+      <header className="events-hero">
+        <h1>Events</h1>
+        <p>
+          Think of something to say here about events. Maybe a call to action to join the mailing list or
+          follow on socials to stay updated.
+        </p>
+        <p className="events-subscribe">
+          <a className="event-link" href={`webcal://${window.location.host}${EVENTS_FEED_PATH}`}>
+            Subscribe in your calendar
+          </a>{' '}
+          or add <code>{`${window.location.origin}${EVENTS_FEED_PATH}`}</code> to Google, Apple or Outlook
+          Calendar to get new events automatically.
+        </p>
+      </header>
+      <EventsToolbar
+        filters={filters}
+        onChange={updateFilters}
+        tagCounts={tagCounts}
+        total={feed.events.length}
+        matched={filtered.length}
+      />
+      <div className="events-scroll">
+        {feed.error || feed.problems.length ? (
+          <EventsErrorPanel error={feed.error} problems={feed.problems} />
+        ) : null}
+        {feed.status === 'loading' ? <p className="events-status">Loading events…</p> : null}
+        {feed.status === 'ready' && filters.view === 'calendar' ? (
+          <EventsCalendar
+            events={filtered}
+            month={calendarMonth}
+            onMonthChange={(month) => updateFilters({ month })}
+          />
+        ) : null}
+        {feed.status === 'ready' && filters.view === 'list' ? (
+          <>
+            <section className="events-section" aria-labelledby="events-upcoming">
+              <h2 id="events-upcoming" className="events-section__title">Upcoming</h2>
+              {upcoming.length ? (
+                upcoming.map((event) => <EventCard key={event.id} event={event} />)
+              ) : (
+                <p className="events-status">
+                  {filtering
+                    ? 'No upcoming events match these filters.'
+                    : 'Nothing is scheduled right now — check back soon or follow our socials for announcements.'}
+                </p>
+              )}
+            </section>
+            {past.length ? (
+              <section className="events-section" aria-labelledby="events-past">
+                <h2 id="events-past" className="events-section__title">Past</h2>
+                {past.map((event) => (
+                  <EventCard key={event.id} event={event} past />
+                ))}
+              </section>
+            ) : null}
+          </>
+        ) : null}
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,87 @@
+import { EVENTS_VIEWS, EVENT_TAG_FILTERS, hasActiveEventFilters } from './filters';
+
+export function EventsToolbar({ filters, onChange, tagCounts, total, matched }) {
+  const toggleTag = (tag) => {
+    onChange({
+      tags: filters.tags.includes(tag) ? filters.tags.filter((item) => item !== tag) : [...filters.tags, tag],
+    });
+  };
+
+  return (
+    <div className="events-toolbar" role="search" aria-label="Filter events">
+      <div className="events-toolbar__row">
+        <div className="events-view-toggle" role="group" aria-label="View">
+          {EVENTS_VIEWS.map((option) => (
+            <button
+              key={option.value}
+              type="button"
+              className={`events-view-toggle__button${
+                filters.view === option.value ? ' events-view-toggle__button--active' : ''
+              }`}
+              aria-pressed={filters.view === option.value}
+              onClick={() => onChange({ view: option.value }, { replace: false })}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        <input
+          type="search"
+          className="events-toolbar__search"
+          placeholder="Search events"
+          aria-label="Search events"
+          value={filters.query}
+          onChange={(e) => onChange({ query: e.target.value })}
+        />
+      </div>
+      <div className="events-toolbar__row">
+        <div className="events-tag-filters" role="group" aria-label="Tags">
+          {EVENT_TAG_FILTERS.map((tag) => (
+            <button
+              key={tag}
+              type="button"
+              className={`events-tag-filter${filters.tags.includes(tag) ? ' events-tag-filter--active' : ''}`}
+              aria-pressed={filters.tags.includes(tag)}
+              onClick={() => toggleTag(tag)}
+            >
+              {tag}
+              <span className="events-tag-filter__count">{tagCounts[tag] ?? 0}</span>
+            </button>
+          ))}
+        </div>
+        <div className="events-date-range">
+          <label>
+            From
+            <input
+              type="date"
+              value={filters.from}
+              max={filters.to || undefined}
+              onChange={(e) => onChange({ from: e.target.value })}
+            />
+          </label>
+          <label>
+            To
+            <input
+              type="date"
+              value={filters.to}
+              min={filters.from || undefined}
+              onChange={(e) => onChange({ to: e.target.value })}
+            />
+          </label>
+        </div>
+      </div>
+      {hasActiveEventFilters(filters) ? (
+        <p className="events-toolbar__summary" role="status">
+          Showing {matched} of {total} events.{' '}
+          <button
+            type="button"
+            className="events-toolbar__clear"
+            onClick={() => onChange({ tags: [], query: '', from: '', to: '' }, { replace: false })}
+          >
+            Clear filters
+          </button>
+        </p>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,54 @@
+// Date and time formatting shared by the event cards, detail pages and calendar.
+
+import { DAY_MS, EVENTS_LOCALE, parseCalendarDate } from '../../events.mjs';
+
+export function formatEventSchedule(event) {
+  if (event.allDay) {
+    // All-day dates are calendar dates, so format them as-is rather than via an instant.
+    const formatter = new Intl.DateTimeFormat(EVENTS_LOCALE, {
+      timeZone: 'UTC',
+      weekday: 'short',
+      day: 'numeric',
+      month: 'long',
+      year: 'numeric',
+    });
+    const first = parseCalendarDate(event.start);
+    const last = parseCalendarDate(event.end);
+    const days = Math.round((last - first) / DAY_MS) + 1;
+    const weekend = days === 2 && first.getUTCDay() === 6;
+    return {
+      date: days === 1 ? formatter.format(first) : formatter.formatRange(first, last),
+      time: days === 1 ? 'All day' : weekend ? 'All weekend' : `All day, ${days} days`,
+    };
+  }
+
+  const dateFormatter = new Intl.DateTimeFormat(EVENTS_LOCALE, {
+    timeZone: event.timezone,
+    weekday: 'short',
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+  });
+  const timeFormatter = new Intl.DateTimeFormat(EVENTS_LOCALE, {
+    timeZone: event.timezone,
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZoneName: 'short',
+  });
+  return {
+    date: dateFormatter.formatRange(event.startsAt, event.endsAt),
+    time: timeFormatter.formatRange(event.startsAt, event.endsAt),
+  };
+}
+
+export function formatAgendaTime(slot, event) {
+  const day = (date) => date.toLocaleDateString(EVENTS_LOCALE, { timeZone: event.timezone });
+  const multiDay = event.allDay ? event.start !== event.end : day(event.startsAt) !== day(event.endsAt);
+  const formatter = new Intl.DateTimeFormat(EVENTS_LOCALE, {
+    timeZone: event.timezone,
+    weekday: multiDay ? 'short' : undefined,
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+  return slot.endsAt ? formatter.formatRange(slot.startsAt, slot.endsAt) : formatter.format(slot.startsAt);
+}
@@ -0,0 +1,157 @@
+// Events list filters (tags, search, dates and the list/calendar view) and the month grid they feed.
+
+import { useCallback, useMemo } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { DAY_MS, parseCalendarDate } from '../../events.mjs';
+
+// Event filters live in the query string next to the background's keys, so these names must
+// stay clear of SCENE_SEARCH_KEYS.
+const EVENTS_SEARCH_KEYS = { view: 'view', tags: 'tag', query: 'q', from: 'from', to: 'to', month: 'month' };
+
+export const EVENTS_VIEWS = [
+  { value: 'list', label: 'List' },
+  { value: 'calendar', label: 'Calendar' },
+];
+
+export const EVENT_TAG_FILTERS = ['workshop', 'social', 'hackathon', 'industry'];
+
+export const CALENDAR_WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+const MONTH_PATTERN = /^\d{4}-\d{2}$/;
+
+export function readEventFilters(searchParams) {
+  const view = searchParams.get(EVENTS_SEARCH_KEYS.view);
+  const dateParam = (key) => {
+    const value = searchParams.get(key) ?? '';
+    return parseCalendarDate(value) ? value : '';
+  };
+  let from = dateParam(EVENTS_SEARCH_KEYS.from);
+  let to = dateParam(EVENTS_SEARCH_KEYS.to);
+  if (from && to && from > to) {
+    [from, to] = [to, from];
+  }
+  const month = searchParams.get(EVENTS_SEARCH_KEYS.month) ?? '';
+  return {
+    view: EVENTS_VIEWS.some((option) => option.value === view) ? view : 'list',
+    tags: [...new Set(searchParams.getAll(EVENTS_SEARCH_KEYS.tags).map((tag) => tag.toLowerCase()))],
+    query: searchParams.get(EVENTS_SEARCH_KEYS.query) ?? '',
+    from,
+    to,
+    month: MONTH_PATTERN.test(month) && parseCalendarDate(`${month}-01`) ? month : '',
+  };
+}
+
+export function writeEventFilters(searchParams, filters) {
+  const next = new URLSearchParams(searchParams);
+  Object.values(EVENTS_SEARCH_KEYS).forEach((key) => next.delete(key));
+  if (filters.view !== 'list') next.set(EVENTS_SEARCH_KEYS.view, filters.view);
+  filters.tags.forEach((tag) => next.append(EVENTS_SEARCH_KEYS.tags, tag));
+  if (filters.query) next.set(EVENTS_SEARCH_KEYS.query, filters.query);
+  if (filters.from) next.set(EVENTS_SEARCH_KEYS.from, filters.from);
+  if (filters.to) next.set(EVENTS_SEARCH_KEYS.to, filters.to);
+  if (filters.view === 'calendar' && filters.month) next.set(EVENTS_SEARCH_KEYS.month, filters.month);
+  return next;
+}
+
+export function hasActiveEventFilters(filters) {
+  return Boolean(filters.tags.length || filters.query.trim() || filters.from || filters.to);
+}
+
+export function toCalendarDay(date, timeZone) {
+  // en-CA formats as YYYY-MM-DD, which sorts and compares as plain strings.
+  return date.toLocaleDateString('en-CA', { timeZone });
+}
+
+/** First and last calendar day an event touches, in its own timezone. */
+export function eventDayRange(event) {
+  if (event.allDay) {
+    return { first: event.start, last: event.end };
+  }
+  return {
+    first: toCalendarDay(event.startsAt, event.timezone),
+    last: toCalendarDay(new Date(event.endsAt.getTime() - 1), event.timezone),
+  };
+}
+
+export function filterEvents(events, filters) {
+  const terms = filters.query.toLowerCase().split(/\s+/).filter(Boolean);
+  return events.filter((event) => {
+    if (filters.tags.length && !filters.tags.some((tag) => event.tags.includes(tag))) {
+      return false;
+    }
+    if (filters.from || filters.to) {
+      const { first, last } = eventDayRange(event);
+      if ((filters.from && last < filters.from) || (filters.to && first > filters.to)) {
+        return false;
+      }
+    }
+    if (terms.length) {
+      const haystack = [
+        event.title,
+        event.summary,
+        event.location,
+        ...event.tags,
+        ...event.highlights,
+        ...event.speakers.map((speaker) => speaker.name),
+      ]
+        .join(' ')
+        .toLowerCase();
+      return terms.every((term) => haystack.includes(term));
+    }
+    return true;
+  });
+}
+
+/** Events keyed by every calendar day they touch, each day's list in start order. */
+export function groupEventsByDay(events) {
+  const byDay = new Map();
+  [...events]
+    .sort((a, b) => a.startsAt - b.startsAt)
+    .forEach((event) => {
+      const { first, last } = eventDayRange(event);
+      const end = parseCalendarDate(last);
+      for (let day = parseCalendarDate(first); day <= end; day = new Date(day.getTime() + DAY_MS)) {
+        const key = day.toISOString().slice(0, 10);
+        byDay.set(key, [...(byDay.get(key) ?? []), event]);
+      }
+    });
+  return byDay;
+}
+
+export function shiftMonth(month, delta) {
+  const [year, monthIndex] = month.split('-').map(Number);
+  const date = new Date(Date.UTC(year, monthIndex - 1 + delta, 1));
+  return date.toISOString().slice(0, 7);
+}
+
+/** Monday-first weeks covering the month, padded with the neighbouring months' days. */
+export function buildMonthGrid(month) {
+  const first = parseCalendarDate(`${month}-01`);
+  const start = new Date(first.getTime() - ((first.getUTCDay() + 6) % 7) * DAY_MS);
+  const weeks = [];
+  for (let cursor = start; weeks.length === 0 || cursor.toISOString().slice(0, 7) === month; ) {
+    const week = [];
+    for (let day = 0; day < 7; day += 1) {
+      const iso = cursor.toISOString().slice(0, 10);
+      week.push({ date: iso, day: cursor.getUTCDate(), inMonth: iso.startsWith(month) });
+      cursor = new Date(cursor.getTime() + DAY_MS);
+    }
+    weeks.push(week);
+  }
+  return weeks;
+}
+
+export function useEventFilters() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const filters = useMemo(() => readEventFilters(searchParams), [searchParams]);
+  // Typing and date picking replace the history entry; switching views or clearing pushes one.
+  const updateFilters = useCallback(
+    (patch, { replace = true } = {}) => {
+      setSearchParams((current) => writeEventFilters(current, { ...readEventFilters(current), ...patch }), {
+        replace,
+      });
+    },
+    [setSearchParams]
+  );
+  return [filters, updateFilters];
+}
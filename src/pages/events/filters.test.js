@@ -0,0 +1,158 @@
+import {
+  buildMonthGrid,
+  eventDayRange,
+  filterEvents,
+  groupEventsByDay,
+  hasActiveEventFilters,
+  readEventFilters,
+  shiftMonth,
+  writeEventFilters,
+} from './filters';
+
+function timedEvent(id, startsAt, endsAt, fields = {}) {
+  return {
+    id,
+    title: id,
+    summary: '',
+    location: '',
+    tags: [],
+    highlights: [],
+    speakers: [],
+    allDay: false,
+    timezone: 'Pacific/Auckland',
+    startsAt: new Date(startsAt),
+    endsAt: new Date(endsAt),
+    ...fields,
+  };
+}
+
+const NO_FILTERS = { view: 'list', tags: [], query: '', from: '', to: '', month: '' };
+
+describe('readEventFilters', () => {
+  test('reads every key from the query string', () => {
+    const filters = readEventFilters(
+      new URLSearchParams(
+        'view=calendar&tag=Workshop&tag=social&tag=workshop&q=python&from=2025-03-01&to=2025-03-31&month=2025-03'
+      )
+    );
+    expect(filters).toEqual({
+      view: 'calendar',
+      tags: ['workshop', 'social'],
+      query: 'python',
+      from: '2025-03-01',
+      to: '2025-03-31',
+      month: '2025-03',
+    });
+  });
+
+  test('swaps a backwards date range and drops invalid dates, months and views', () => {
+    expect(readEventFilters(new URLSearchParams('from=2025-04-10&to=2025-04-01'))).toMatchObject({
+      from: '2025-04-01',
+      to: '2025-04-10',
+    });
+    const invalid = new URLSearchParams('view=map&from=2025-02-30&to=soon&month=2025-13');
+    expect(readEventFilters(invalid)).toEqual(NO_FILTERS);
+  });
+});
+
+describe('writeEventFilters', () => {
+  test('round-trips through readEventFilters and keeps the background keys', () => {
+    const filters = {
+      ...NO_FILTERS,
+      view: 'calendar',
+      tags: ['hackathon'],
+      query: 'ml',
+      from: '2025-05-01',
+      month: '2025-05',
+    };
+    const search = writeEventFilters(new URLSearchParams('bg=lorenz&rho=28&q=old'), filters);
+    expect(search.toString()).toBe('bg=lorenz&rho=28&view=calendar&tag=hackathon&q=ml&from=2025-05-01&month=2025-05');
+    expect(readEventFilters(search)).toEqual(filters);
+  });
+
+  test('leaves defaults out of the URL and only keeps the month in calendar view', () => {
+    expect(writeEventFilters(new URLSearchParams(), { ...NO_FILTERS, month: '2025-05' }).toString()).toBe('');
+  });
+});
+
+test('hasActiveEventFilters ignores the view, the month and a blank search', () => {
+  expect(hasActiveEventFilters({ ...NO_FILTERS, view: 'calendar', month: '2025-05', query: '  ' })).toBe(false);
+  expect(hasActiveEventFilters({ ...NO_FILTERS, tags: ['social'] })).toBe(true);
+});
+
+describe('eventDayRange', () => {
+  test('uses the event timezone, so a late UTC start falls on the next local day', () => {
+    // 10pm–11pm UTC on 3 March is 11am–12pm on 4 March in Wellington (NZDT, UTC+13)
+    const event = timedEvent('talk', '2025-03-03T22:00:00Z', '2025-03-03T23:00:00Z');
+    expect(eventDayRange(event)).toEqual({ first: '2025-03-04', last: '2025-03-04' });
+  });
+
+  test('does not count the midnight an event ends at as another day', () => {
+    const event = timedEvent('party', '2025-03-04T07:00:00Z', '2025-03-04T11:00:00Z');
+    expect(eventDayRange(event)).toEqual({ first: '2025-03-04', last: '2025-03-04' });
+  });
+
+  test('takes all-day events at their calendar dates', () => {
+    expect(eventDayRange({ allDay: true, start: '2025-03-08', end: '2025-03-09' })).toEqual({
+      first: '2025-03-08',
+      last: '2025-03-09',
+    });
+  });
+});
+
+describe('filterEvents', () => {
+  const events = [
+    timedEvent('Intro to Python', '2025-03-03T22:00:00Z', '2025-03-03T23:00:00Z', { tags: ['workshop'] }),
+    timedEvent('Quiz night', '2025-03-20T06:00:00Z', '2025-03-20T09:00:00Z', {
+      tags: ['social'],
+      speakers: [{ name: 'Grace Hopper' }],
+    }),
+    timedEvent('Datathon', '2025-03-28T20:00:00Z', '2025-03-29T20:00:00Z', { tags: ['hackathon'] }),
+  ];
+  const titles = (filters) => filterEvents(events, { ...NO_FILTERS, ...filters }).map((event) => event.title);
+
+  test('keeps events with any of the chosen tags', () => {
+    expect(titles({ tags: ['social', 'hackathon'] })).toEqual(['Quiz night', 'Datathon']);
+  });
+
+  test('keeps events overlapping the date range on their local days', () => {
+    expect(titles({ from: '2025-03-04', to: '2025-03-04' })).toEqual(['Intro to Python']);
+    expect(titles({ from: '2025-03-30' })).toEqual(['Datathon']);
+    expect(titles({ to: '2025-03-03' })).toEqual([]);
+  });
+
+  test('needs every search term somewhere in the event, speakers included', () => {
+    expect(titles({ query: 'grace NIGHT' })).toEqual(['Quiz night']);
+    expect(titles({ query: 'python quiz' })).toEqual([]);
+  });
+});
+
+describe('month grid', () => {
+  test('pads to whole Monday-first weeks', () => {
+    // March 2025 starts on a Saturday and ends on a Monday
+    const weeks = buildMonthGrid('2025-03');
+    expect(weeks).toHaveLength(6);
+    expect(weeks[0][0]).toEqual({ date: '2025-02-24', day: 24, inMonth: false });
+    expect(weeks[0][5]).toEqual({ date: '2025-03-01', day: 1, inMonth: true });
+    expect(weeks[5][0]).toEqual({ date: '2025-03-31', day: 31, inMonth: true });
+    expect(weeks.flat().filter((day) => day.inMonth)).toHaveLength(31);
+  });
+
+  test('shiftMonth crosses year boundaries', () => {
+    expect(shiftMonth('2025-01', -1)).toBe('2024-12');
+    expect(shiftMonth('2024-12', 1)).toBe('2025-01');
+  });
+
+  test('groupEventsByDay buckets events under every local day they touch, in start order', () => {
+    const late = timedEvent('late', '2025-03-04T08:00:00Z', '2025-03-04T09:00:00Z');
+    const early = timedEvent('early', '2025-03-03T22:00:00Z', '2025-03-03T23:00:00Z');
+    const weekend = timedEvent('weekend', '2025-03-07T11:00:00Z', '2025-03-09T11:00:00Z', {
+      allDay: true,
+      start: '2025-03-08',
+      end: '2025-03-09',
+    });
+    const byDay = groupEventsByDay([late, weekend, early]);
+    expect(byDay.get('2025-03-04').map((event) => event.id)).toEqual(['early', 'late']);
+    expect([...byDay.keys()].sort()).toEqual(['2025-03-04', '2025-03-08', '2025-03-09']);
+  });
+});
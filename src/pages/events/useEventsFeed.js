@@ -0,0 +1,8 @@
+import { EVENTS_SOURCE, validateEventsDocument } from '../../events.mjs';
+import { useDataDocument } from '../dataDocument';
+
+const EMPTY_EVENTS_FEED = { events: [] };
+
+export function useEventsFeed() {
+  return useDataDocument(EVENTS_SOURCE.url, validateEventsDocument, 'events list', EMPTY_EVENTS_FEED);
+}
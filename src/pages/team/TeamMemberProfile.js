@@ -0,0 +1,127 @@
+import { useMemo } from 'react';
+import { Link, useLocation, useOutletContext, useParams } from 'react-router-dom';
+import { eventPath } from '../../events.mjs';
+import { collectMemberProfile } from '../../team';
+import { formatEventSchedule } from '../events/eventFormat';
+import { useEventsFeed } from '../events/useEventsFeed';
+import { MemberAvatar, MemberSocialLinks } from './members';
+
+export function TeamMemberProfile() {
+  const roster = useOutletContext();
+  const eventsFeed = useEventsFeed();
+  const { slug } = useParams();
+  const { search } = useLocation();
+  const profile = useMemo(() => collectMemberProfile(roster.committees, slug), [roster.committees, slug]);
+  const organized = useMemo(
+    () =>
+      eventsFeed.events
+        .filter((event) => event.organizers.includes(slug))
+        .sort((a, b) => b.startsAt - a.startsAt),
+    [eventsFeed.events, slug]
+  );
+  const backLink = { pathname: '/team', search };
+
+  if (roster.status === 'loading') {
+    return <p className="team-status">Loading profile…</p>;
+  }
+  if (!profile) {
+    return (
+      <div className="team-content">
+        <section className="team-not-found" role="alert">
+          <h1>We couldn’t find that person</h1>
+          <p>
+            Nobody on a current or past committee has the profile <code>{slug}</code>. They may have changed
+            their link, or the address was mistyped.
+          </p>
+          {roster.error ? <p>{roster.error}</p> : null}
+          <Link to={backLink} className="hero-button">
+            Meet the team
+          </Link>
+        </section>
+      </div>
+    );
+  }
+
+  const { member, terms, projects } = profile;
+  const [latestTerm] = terms;
+  const details = [member.pronouns, member.degree].filter(Boolean);
+
+  return (
+    <article className="team-content team-profile" aria-labelledby="team-profile-name">
+      <Link to={backLink} className="team-profile-back">
+        ← Back to the team
+      </Link>
+      <header className="team-profile-header">
+        <MemberAvatar key={member.avatar} member={member} className="team-card-avatar team-profile-avatar" />
+        <div className="team-card-heading">
+          <span className="team-card-role">
+            {latestTerm.roles.map((role) => role.title).join(' & ')} · {latestTerm.year}
+          </span>
+          <h1 id="team-profile-name">{member.name}</h1>
+          {details.length ? <p className="team-card-meta">{details.join(' · ')}</p> : null}
+          <MemberSocialLinks member={member} />
+        </div>
+      </header>
+
+      {member.bio ? (
+        <section className="team-profile-section">
+          <h2>About</h2>
+          <p className="team-card-bio">{member.bio}</p>
+        </section>
+      ) : null}
+
+      <section className="team-profile-section">
+        <h2>Committee roles</h2>
+        <ol className="team-profile-terms">
+          {terms.map((term) => (
+            <li key={term.year}>
+              <span className="team-profile-year">{term.year}</span>
+              <ul>
+                {term.roles.map((role) => (
+                  <li key={`${role.portfolio.id}-${role.title}`}>
+                    <strong>{role.title}</strong>, {role.portfolio.title}
+                    {role.portfolio.description ? <p>{role.portfolio.description}</p> : null}
+                  </li>
+                ))}
+              </ul>
+            </li>
+          ))}
+        </ol>
+      </section>
+
+      {organized.length ? (
+        <section className="team-profile-section">
+          <h2>Events run</h2>
+          <ul className="team-profile-list">
+            {organized.map((event) => (
+              <li key={event.id}>
+                <Link to={eventPath(event)}>{event.title}</Link>
+                <span>{formatEventSchedule(event).date}</span>
+              </li>
+            ))}
+          </ul>
+        </section>
+      ) : null}
+
+      {projects.length ? (
+        <section className="team-profile-section">
+          <h2>Projects</h2>
+          <ul className="team-profile-list">
+            {projects.map((project) => (
+              <li key={project.title}>
+                {project.href ? (
+                  <a href={project.href} target="_blank" rel="noreferrer">
+                    {project.title}
+                  </a>
+                ) : (
+                  <strong>{project.title}</strong>
+                )}
+                {project.description ? <p>{project.description}</p> : null}
+              </li>
+            ))}
+          </ul>
+        </section>
+      ) : null}
+    </article>
+  );
+}
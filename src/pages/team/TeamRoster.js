@@ -0,0 +1,108 @@
+import { Link, Outlet, useLocation, useOutletContext, useSearchParams } from 'react-router-dom';
+import { TEAM_SOURCE, memberPath } from '../../team';
+import { DataErrorPanel } from '../dataDocument';
+import { MemberAvatar, MemberSocialLinks } from './members';
+import { describeTeamProblem, useTeamRoster } from './useTeamRoster';
+
+const TEAM_YEAR_PARAM = 'year';
+
+function TeamMemberCard({ member }) {
+  const { search } = useLocation();
+  const details = [member.pronouns, member.degree].filter(Boolean);
+  return (
+    <article className="team-card">
+      <div className="team-card-header">
+        <MemberAvatar key={member.avatar} member={member} className="team-card-avatar" />
+        <div className="team-card-heading">
+          <span className="team-card-role">{member.role}</span>
+          <h3>
+            <Link to={{ pathname: memberPath(member), search }} className="team-card-link">
+              {member.name}
+            </Link>
+          </h3>
+          {details.length ? <p className="team-card-meta">{details.join(' · ')}</p> : null}
+        </div>
+      </div>
+      {member.bio ? <p className="team-card-bio">{member.bio}</p> : null}
+      <MemberSocialLinks member={member} />
+    </article>
+  );
+}
+
+export function TeamContent() {
+  const roster = useTeamRoster();
+  return <Outlet context={roster} />;
+}
+
+export function TeamRoster() {
+  const roster = useOutletContext();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const latest = roster.committees[0] ?? null;
+  const requestedYear = Number(searchParams.get(TEAM_YEAR_PARAM));
+  const committee = roster.committees.find((item) => item.year === requestedYear) ?? latest;
+  const archived = Boolean(committee && latest && committee.year !== latest.year);
+
+  const handleYearChange = (e) => {
+    const year = Number(e.target.value);
+    setSearchParams((current) => {
+      const next = new URLSearchParams(current);
+      if (year === latest?.year) {
+        next.delete(TEAM_YEAR_PARAM);
+      } else {
+        next.set(TEAM_YEAR_PARAM, String(year));
+      }
+      return next;
+    });
+  };
+
+  return (
+    <div className="team-content">
+      <header className="team-hero">
+        <h1>{archived ? `The ${committee.year} Committee` : 'Meet the Team'}</h1>
+        {archived ? (
+          <p>An archive of the people who ran VIC DataSoc that year. Thanks to every one of our alumni.</p>
+        ) : (
+          <p>
+            The committee who guide VIC DataSoc and support members across every project, workshop, and
+            community initiative.
+          </p>
+        )}
+        {roster.committees.length > 1 ? (
+          <label className="team-year-select">
+            Committee year
+            <select value={committee?.year ?? ''} onChange={handleYearChange}>
+              {roster.committees.map((item) => (
+                <option key={item.year} value={item.year}>
+                  {item.year === latest.year ? `${item.year} (current)` : `${item.year} (alumni)`}
+                </option>
+              ))}
+            </select>
+          </label>
+        ) : null}
+      </header>
+      {roster.error || roster.problems.length ? (
+        <DataErrorPanel
+          subject="team members"
+          source={TEAM_SOURCE.url}
+          error={roster.error}
+          problems={roster.problems}
+          describe={describeTeamProblem}
+        />
+      ) : null}
+      {roster.status === 'loading' ? <p className="team-status">Loading the team…</p> : null}
+      {committee?.portfolios.map((portfolio) => (
+        <section key={portfolio.id} className="team-section">
+          <div className="team-section-heading">
+            <h2>{portfolio.title}</h2>
+            {portfolio.description ? <p>{portfolio.description}</p> : null}
+          </div>
+          <div className="team-grid">
+            {portfolio.members.map((member) => (
+              <TeamMemberCard key={member.id} member={member} />
+            ))}
+          </div>
+        </section>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,39 @@
+// Avatar and social-link pieces shared by the roster cards and member profiles.
+
+import { useState } from 'react';
+import { initialsOf } from '../../team';
+
+const TEAM_SOCIAL_LABELS = { linkedin: 'LinkedIn', github: 'GitHub' };
+
+export function MemberAvatar({ member, className }) {
+  const [failed, setFailed] = useState(false);
+  return (
+    <span className={className} aria-hidden="true">
+      {member.avatar && !failed ? (
+        <img src={member.avatar} alt="" loading="lazy" onError={() => setFailed(true)} />
+      ) : (
+        initialsOf(member.name)
+      )}
+    </span>
+  );
+}
+
+export function MemberSocialLinks({ member }) {
+  const links = Object.entries(member.links).filter(([, href]) => href);
+  return links.length ? (
+    <ul className="team-card-links">
+      {links.map(([kind, href]) => (
+        <li key={kind}>
+          <a
+            href={href}
+            target="_blank"
+            rel="noreferrer"
+            aria-label={`${member.name} on ${TEAM_SOCIAL_LABELS[kind]}`}
+          >
+            {TEAM_SOCIAL_LABELS[kind]}
+          </a>
+        </li>
+      ))}
+    </ul>
+  ) : null;
+}
@@ -0,0 +1,12 @@
+import { TEAM_SOURCE, validateTeamDocument } from '../../team';
+import { useDataDocument } from '../dataDocument';
+
+const EMPTY_TEAM_ROSTER = { committees: [] };
+
+export function useTeamRoster() {
+  return useDataDocument(TEAM_SOURCE.url, validateTeamDocument, 'team roster', EMPTY_TEAM_ROSTER);
+}
+
+export function describeTeamProblem(problem) {
+  return `${problem.year}${problem.label ? ` · ${problem.label}` : ''}`;
+}
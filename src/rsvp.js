@@ -0,0 +1,123 @@
+// Event RSVPs behind a small storage adapter so the Events page doesn't care where they live.
+// Every adapter implements:
+//   summary(eventId, capacity)          -> { capacity, confirmed, waitlisted, remaining }
+//   list(eventId, capacity)             -> RSVP[] in submission order
+//   submit(eventId, attendee, capacity) -> RSVP with status 'confirmed' or 'waitlisted'
+//   cancel(eventId, rsvpId, capacity)   -> RSVP[] after the first waitlisted guest is promoted
+// Capacity comes from the events file; adapters backed by a server may ignore it.
+// The localStorage adapter is the default; set REACT_APP_RSVP_API_URL to use the HTTP one.
+
+import { browserStorage, createJsonClient, createRecordId, createStoredList, fieldError } from './adapters';
+import { normalizeEmail, studentEmailError } from './validation.mjs';
+
+export const RSVP_DIETARY_MAX_LENGTH = 200;
+const RSVP_STORAGE_PREFIX = 'vic-datasoc:rsvps:';
+
+/** Field-level errors for the RSVP form; an empty object means the attendee is valid. */
+export function validateAttendee({ name, email, dietary }) {
+  const errors = {};
+  if (!String(name ?? '').trim()) {
+    errors.name = 'Please enter your name.';
+  }
+  const emailError = studentEmailError(email);
+  if (emailError) {
+    errors.email = emailError;
+  }
+  if (String(dietary ?? '').length > RSVP_DIETARY_MAX_LENGTH) {
+    errors.dietary = `Keep dietary requirements under ${RSVP_DIETARY_MAX_LENGTH} characters.`;
+  }
+  return errors;
+}
+
+/** Re-derives statuses from submission order: the first `capacity` guests are confirmed. */
+export function assignRsvpStatuses(rsvps, capacity) {
+  let waitlistPosition = 0;
+  return rsvps.map((rsvp, index) => {
+    if (index < capacity) {
+      return { ...rsvp, status: 'confirmed', position: null };
+    }
+    waitlistPosition += 1;
+    return { ...rsvp, status: 'waitlisted', position: waitlistPosition };
+  });
+}
+
+function summarize(rsvps, capacity) {
+  const confirmed = rsvps.filter((rsvp) => rsvp.status === 'confirmed').length;
+  return {
+    capacity,
+    confirmed,
+    waitlisted: rsvps.length - confirmed,
+    remaining: Math.max(0, capacity - confirmed),
+  };
+}
+
+export function createLocalStorageRsvpAdapter(storage = browserStorage) {
+  const listFor = (eventId) => createStoredList(storage, `${RSVP_STORAGE_PREFIX}${eventId}`);
+  const read = (eventId) => listFor(eventId).read();
+  const write = (eventId, rsvps) => listFor(eventId).write(rsvps);
+  const withStatuses = (eventId, capacity) => assignRsvpStatuses(read(eventId), capacity);
+
+  return {
+    async summary(eventId, capacity) {
+      return summarize(withStatuses(eventId, capacity), capacity);
+    },
+    async list(eventId, capacity) {
+      return withStatuses(eventId, capacity);
+    },
+    async submit(eventId, attendee, capacity) {
+      const email = normalizeEmail(attendee.email);
+      const rsvps = read(eventId);
+      if (rsvps.some((rsvp) => rsvp.email === email)) {
+        throw fieldError('email', 'That email has already RSVPed to this event.');
+      }
+      const rsvp = {
+        id: createRecordId(),
+        name: attendee.name.trim(),
+        email,
+        dietary: attendee.dietary?.trim() ?? '',
+        submittedAt: new Date().toISOString(),
+      };
+      write(eventId, [...rsvps, rsvp]);
+      return withStatuses(eventId, capacity).find((item) => item.id === rsvp.id);
+    },
+    async cancel(eventId, rsvpId, capacity) {
+      write(eventId, read(eventId).filter((rsvp) => rsvp.id !== rsvpId));
+      return withStatuses(eventId, capacity);
+    },
+  };
+}
+
+/**
+ * Talks to our own RSVP API, which owns capacity and waitlisting:
+ *   GET    {base}/events/:id/rsvps/summary
+ *   GET    {base}/events/:id/rsvps
+ *   POST   {base}/events/:id/rsvps          body { name, email, dietary }
+ *   DELETE {base}/events/:id/rsvps/:rsvpId
+ */
+export function createHttpRsvpAdapter(baseUrl, { fetchImpl } = {}) {
+  const request = createJsonClient(baseUrl, { service: 'RSVP service', fetchImpl });
+  const rsvpsPath = (eventId) => `/events/${encodeURIComponent(eventId)}/rsvps`;
+
+  return {
+    summary: (eventId) => request(`${rsvpsPath(eventId)}/summary`),
+    list: (eventId) => request(rsvpsPath(eventId)),
+    submit: (eventId, attendee) =>
+      request(rsvpsPath(eventId), {
+        method: 'POST',
+        body: JSON.stringify({
+          name: attendee.name.trim(),
+          email: normalizeEmail(attendee.email),
+          dietary: attendee.dietary?.trim() ?? '',
+        }),
+      }),
+    cancel: async (eventId, rsvpId) => {
+      await request(`${rsvpsPath(eventId)}/${encodeURIComponent(rsvpId)}`, { method: 'DELETE' });
+      return request(rsvpsPath(eventId));
+    },
+  };
+}
+
+export function createRsvpAdapter() {
+  const apiUrl = process.env.REACT_APP_RSVP_API_URL;
+  return apiUrl ? createHttpRsvpAdapter(apiUrl) : createLocalStorageRsvpAdapter();
+}
@@ -0,0 +1,53 @@
+import { assignRsvpStatuses, createRsvpAdapter, RSVP_DIETARY_MAX_LENGTH, validateAttendee } from './rsvp';
+
+describe('assignRsvpStatuses', () => {
+  const rsvps = ['a', 'b', 'c', 'd'].map((id) => ({ id }));
+
+  test('confirms the first guests up to capacity and numbers the waitlist from one', () => {
+    expect(assignRsvpStatuses(rsvps, 2)).toEqual([
+      { id: 'a', status: 'confirmed', position: null },
+      { id: 'b', status: 'confirmed', position: null },
+      { id: 'c', status: 'waitlisted', position: 1 },
+      { id: 'd', status: 'waitlisted', position: 2 },
+    ]);
+  });
+
+  test('promotes the first waitlisted guest when someone ahead cancels', () => {
+    const statuses = assignRsvpStatuses(rsvps.slice(1), 2);
+    expect(statuses.map((rsvp) => rsvp.status)).toEqual(['confirmed', 'confirmed', 'waitlisted']);
+    expect(statuses[2]).toMatchObject({ id: 'd', position: 1 });
+  });
+
+  test('waitlists everyone when the event has no capacity', () => {
+    expect(assignRsvpStatuses(rsvps, 0).every((rsvp) => rsvp.status === 'waitlisted')).toBe(true);
+  });
+});
+
+describe('validateAttendee', () => {
+  const attendee = { name: 'Ada Lovelace', email: 'lovelada@myvuw.ac.nz', dietary: '' };
+
+  test('accepts a student with a university address', () => {
+    expect(validateAttendee(attendee)).toEqual({});
+  });
+
+  test('flags a blank name, a non-student address and long dietary notes', () => {
+    const errors = validateAttendee({
+      name: '   ',
+      email: 'ada@example.com',
+      dietary: 'x'.repeat(RSVP_DIETARY_MAX_LENGTH + 1),
+    });
+    expect(Object.keys(errors).sort()).toEqual(['dietary', 'email', 'name']);
+  });
+});
+
+test('a blocked localStorage only fails the requests, not creating the store', async () => {
+  const storageGetter = jest.spyOn(window, 'localStorage', 'get').mockImplementation(() => {
+    throw new DOMException('The operation is insecure.', 'SecurityError');
+  });
+  try {
+    const store = createRsvpAdapter();
+    await expect(store.summary('hack-night', 10)).rejects.toThrow('isn’t letting us save anything');
+  } finally {
+    storageGetter.mockRestore();
+  }
+});
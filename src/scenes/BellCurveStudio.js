@@ -0,0 +1,230 @@
+import { useEffect, useMemo, useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { Grid } from '@react-three/drei';
+import * as THREE from 'three';
+import { mulberry32 } from '../random';
+import { SceneHud } from './SceneHud';
+import {
+  BELL_CURVE_CONFIG,
+  GALTON_TIME_STEP,
+  createGaltonBalls,
+  createGaltonBoard,
+  normalDensity,
+  releaseGaltonBall,
+  stepGaltonBalls,
+} from './galton';
+
+function BellCurveScene({ config = BELL_CURVE_CONFIG }) {
+  const { ballCount, pegRows, horizontalStep, spawnHeight, groundY, bias, releaseInterval } = config;
+
+  const board = useMemo(
+    () => createGaltonBoard({ ballCount, pegRows, horizontalStep, spawnHeight, groundY, bias }),
+    [ballCount, pegRows, horizontalStep, spawnHeight, groundY, bias]
+  );
+
+  // expected counts as a step outline and the normal approximation N(np, np(1-p)), both in stack height
+  const overlays = useMemo(() => {
+    const { binCenters, spacing, perLayer, ballRadius, pmf } = board;
+    const countToY = (count) => groundY + (count / perLayer) * ballRadius * 2;
+    const stepPositions = new Float32Array(binCenters.length * 2 * 3);
+    binCenters.forEach((center, k) => {
+      const y = countToY(pmf[k] * ballCount);
+      stepPositions.set([center - spacing / 2, y, 0.02, center + spacing / 2, y, 0.02], k * 6);
+    });
+    const stepGeometry = new THREE.BufferGeometry();
+    stepGeometry.setAttribute('position', new THREE.BufferAttribute(stepPositions, 3));
+
+    const mean = pegRows * bias;
+    const sigma = Math.sqrt(pegRows * bias * (1 - bias));
+    const segments = 240;
+    const curvePositions = new Float32Array(segments * 3);
+    for (let i = 0; i < segments; i += 1) {
+      const k = -0.5 + ((pegRows + 1) * i) / (segments - 1);
+      const x = (k - pegRows / 2) * spacing;
+      curvePositions.set([x, countToY(normalDensity(k, mean, sigma) * ballCount), 0.04], i * 3);
+    }
+    const curveGeometry = new THREE.BufferGeometry();
+    curveGeometry.setAttribute('position', new THREE.BufferAttribute(curvePositions, 3));
+
+    return { stepGeometry, curveGeometry, mean, sigma };
+  }, [board, ballCount, pegRows, bias, groundY]);
+
+  useEffect(
+    () => () => {
+      overlays.stepGeometry.dispose();
+      overlays.curveGeometry.dispose();
+    },
+    [overlays]
+  );
+
+  const rngRef = useRef(mulberry32(0x51a3c4));
+  const runRef = useRef(null);
+  const pegMeshRef = useRef();
+  const ballMeshRef = useRef();
+  const tempObject = useMemo(() => new THREE.Object3D(), []);
+  const hudRefs = {
+    settled: useRef(),
+    mean: useRef(),
+    sigma: useRef(),
+    distance: useRef(),
+  };
+
+  useEffect(() => {
+    const mesh = pegMeshRef.current;
+    if (!mesh) return;
+    board.pegs.forEach((peg, i) => {
+      tempObject.position.set(peg.x, peg.y, 0);
+      tempObject.rotation.set(Math.PI / 2, 0, 0);
+      tempObject.updateMatrix();
+      mesh.setMatrixAt(i, tempObject.matrix);
+    });
+    mesh.instanceMatrix.needsUpdate = true;
+  }, [board, tempObject]);
+
+  useFrame((_, delta) => {
+    // a rebuilt board empties the bins and starts releasing again
+    if (!runRef.current || runRef.current.board !== board) {
+      runRef.current = { board, balls: createGaltonBalls(board, ballCount), releaseClock: 0, accumulator: 0, holdTime: 0 };
+    }
+    const run = runRef.current;
+    const { balls } = run;
+    const rng = rngRef.current;
+    const settings = { gravity: config.gravity, bias, restitution: config.restitution };
+
+    run.accumulator += Math.min(delta, 1 / 20);
+    while (run.accumulator >= GALTON_TIME_STEP) {
+      run.accumulator -= GALTON_TIME_STEP;
+      run.releaseClock += GALTON_TIME_STEP;
+      while (balls.released < ballCount && run.releaseClock >= releaseInterval) {
+        run.releaseClock -= releaseInterval;
+        releaseGaltonBall(board, balls, rng);
+      }
+      stepGaltonBalls(board, balls, GALTON_TIME_STEP, settings, rng);
+    }
+
+    if (balls.settled === ballCount) {
+      run.holdTime += delta;
+      if (run.holdTime > 5) {
+        runRef.current = null;
+      }
+    }
+
+    const mesh = ballMeshRef.current;
+    if (mesh) {
+      for (let i = 0; i < ballCount; i += 1) {
+        const visible = balls.phase[i] !== 0;
+        tempObject.position.set(balls.x[i], balls.y[i], 0);
+        tempObject.rotation.set(0, 0, 0);
+        tempObject.scale.setScalar(visible ? board.ballRadius : 0);
+        tempObject.updateMatrix();
+        mesh.setMatrixAt(i, tempObject.matrix);
+      }
+      tempObject.scale.setScalar(1);
+      mesh.instanceMatrix.needsUpdate = true;
+    }
+
+    let sum = 0;
+    let sumSquares = 0;
+    balls.binCounts.forEach((count, k) => {
+      sum += count * k;
+      sumSquares += count * k * k;
+    });
+    const settled = balls.settled;
+    let distance = 0;
+    board.pmf.forEach((probability, k) => {
+      distance += settled > 0 ? Math.abs(balls.binCounts[k] / settled - probability) / 2 : 0;
+    });
+    const mean = settled > 0 ? sum / settled : 0;
+    const sigma = settled > 1 ? Math.sqrt(Math.max(0, sumSquares / settled - mean * mean)) : 0;
+    if (hudRefs.settled.current) hudRefs.settled.current.textContent = `${settled} / ${ballCount}`;
+    if (hudRefs.mean.current) {
+      hudRefs.mean.current.textContent = `${settled > 0 ? mean.toFixed(2) : '—'} (np = ${overlays.mean.toFixed(2)})`;
+    }
+    if (hudRefs.sigma.current) {
+      hudRefs.sigma.current.textContent = `${settled > 1 ? sigma.toFixed(2) : '—'} (√npq = ${overlays.sigma.toFixed(2)})`;
+    }
+    if (hudRefs.distance.current) {
+      hudRefs.distance.current.textContent = settled > 0 ? distance.toFixed(3) : '—';
+    }
+  });
+
+  const wallDepth = board.ballRadius * 3;
+  const boardHeight = spawnHeight - groundY;
+
+  return (
+    <group>
+      <instancedMesh ref={pegMeshRef} args={[null, null, board.pegs.length]} key={`pegs-${board.pegs.length}`}>
+        <cylinderGeometry args={[board.pegRadius, board.pegRadius, wallDepth, 16]} />
+        <meshStandardMaterial color="#cbd5f5" metalness={0.55} roughness={0.3} />
+      </instancedMesh>
+      {board.wallXs.map((x, k) => {
+        const outer = k === 0 || k === board.wallXs.length - 1;
+        const height = outer ? boardHeight : board.binHeight;
+        return (
+          <mesh key={`wall-${k}`} position={[x, groundY + height / 2, 0]}>
+            <boxGeometry args={[board.wallThickness, height, wallDepth]} />
+            <meshStandardMaterial color="#94a3b8" transparent opacity={outer ? 0.18 : 0.45} roughness={0.6} />
+          </mesh>
+        );
+      })}
+      <mesh position={[0, groundY - board.wallThickness / 2, 0]}>
+        <boxGeometry args={[board.halfWidth * 2 + board.wallThickness, board.wallThickness, wallDepth]} />
+        <meshStandardMaterial color="#64748b" roughness={0.7} />
+      </mesh>
+      <lineSegments geometry={overlays.stepGeometry}>
+        <lineBasicMaterial color="#f8fafc" transparent opacity={0.85} />
+      </lineSegments>
+      <line geometry={overlays.curveGeometry}>
+        <lineBasicMaterial color="#f472b6" transparent opacity={0.85} />
+      </line>
+      <instancedMesh ref={ballMeshRef} args={[null, null, ballCount]} key={`balls-${ballCount}`} frustumCulled={false}>
+        <sphereGeometry args={[1, 12, 12]} />
+        <meshStandardMaterial color="#facc15" emissive="#facc15" emissiveIntensity={0.35} roughness={0.35} />
+      </instancedMesh>
+      <SceneHud>
+        <span className="scene-hud__title">
+          Binomial({pegRows}, {bias.toFixed(2)})
+        </span>
+        <dl className="scene-hud__stats">
+          <div>
+            <dt>Settled</dt>
+            <dd ref={hudRefs.settled} />
+          </div>
+          <div>
+            <dt>Mean</dt>
+            <dd ref={hudRefs.mean} />
+          </div>
+          <div>
+            <dt>σ</dt>
+            <dd ref={hudRefs.sigma} />
+          </div>
+          <div>
+            <dt>TV distance</dt>
+            <dd ref={hudRefs.distance} />
+          </div>
+        </dl>
+        <p className="scene-hud__note">White steps: expected count per bin · pink: normal approximation</p>
+      </SceneHud>
+    </group>
+  );
+}
+
+export function BellCurveStudio({ parameters = BELL_CURVE_CONFIG }) {
+  return (
+    <group position={[0, -9, 0]}>
+      <Grid
+        renderOrder={-1}
+        position={[0, -9.5, 0]}
+        infiniteGrid
+        cellSize={1}
+        cellThickness={0.45}
+        sectionSize={3}
+        sectionThickness={1}
+        sectionColor={[0.25, 0.45, 0.65]}
+        fadeDistance={60}
+        fadeStrength={0.28}
+      />
+      <BellCurveScene config={parameters} />
+    </group>
+  );
+}
@@ -0,0 +1,569 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { Grid } from '@react-three/drei';
+import * as THREE from 'three';
+import { mulberry32 } from '../random';
+import { SceneHud } from './SceneHud';
+import {
+  GAUSSIAN_DEFAULTS,
+  GAUSSIAN_ELLIPSE_RADII,
+  GAUSSIAN_EM,
+  GAUSSIAN_MIXTURE_COLORS,
+  bivariateNormalDensity,
+  confidenceEllipsePositions,
+  covarianceMatrix,
+  createGaussianMixture,
+  expectationStep,
+  initializeEM,
+  lerpComponent,
+  maximizationStep,
+  mixtureDensity,
+  normalDensity1D,
+  normalizeCovariance,
+  sampleGaussianMixture,
+  serializeCovariance,
+} from './gaussian';
+import { formatMatrix, matrixDeterminant } from './linearAlgebra';
+
+function GaussianPoints({ landscape, size, spacing, amplitude }) {
+  const data = useMemo(() => {
+    const { components, surfaceHeight } = landscape;
+    const grid = size;
+    const total = grid * grid;
+    const positions = new Float32Array(total * 3);
+    const colors = new Float32Array(total * 3);
+    const half = (grid - 1) / 2;
+    const color = new THREE.Color();
+    const hsl = { h: 0, s: 0, l: 0 };
+
+    let index = 0;
+    for (let ix = 0; ix < grid; ix += 1) {
+      for (let iz = 0; iz < grid; iz += 1) {
+        const x = (ix - half) * spacing;
+        const z = (iz - half) * spacing;
+        const height = surfaceHeight(x, z);
+
+        positions[index * 3] = x;
+        positions[index * 3 + 1] = height;
+        positions[index * 3 + 2] = z;
+
+        if (components.length > 1) {
+          // tint each point by the component that explains it best
+          let best = components[0];
+          let bestDensity = -1;
+          components.forEach((component) => {
+            const density = component.weight * bivariateNormalDensity(component, x, z);
+            if (density > bestDensity) {
+              bestDensity = density;
+              best = component;
+            }
+          });
+          color.set(best.color).getHSL(hsl);
+          color.setHSL(hsl.h, 0.75, 0.3 + (height / amplitude) * 0.4);
+        } else {
+          const hue = THREE.MathUtils.clamp(0.55 - height / (amplitude * 2.5), 0, 1);
+          color.setHSL(hue, 0.75, 0.45 + (height / amplitude) * 0.35);
+        }
+
+        colors[index * 3] = color.r;
+        colors[index * 3 + 1] = color.g;
+        colors[index * 3 + 2] = color.b;
+        index += 1;
+      }
+    }
+
+    return { positions, colors };
+  }, [landscape, size, spacing, amplitude]);
+
+  return (
+    <points>
+      <bufferGeometry>
+        <bufferAttribute attach="attributes-position" args={[data.positions, 3]} />
+        <bufferAttribute attach="attributes-color" args={[data.colors, 3]} />
+      </bufferGeometry>
+      <pointsMaterial size={0.25} vertexColors transparent opacity={0.95} sizeAttenuation />
+    </points>
+  );
+}
+
+function ConfidenceEllipses({ components, color }) {
+  const rings = useMemo(
+    () =>
+      components.flatMap((component, idx) =>
+        GAUSSIAN_ELLIPSE_RADII.slice(0, components.length > 1 ? 2 : 3).map((radius) => ({
+          id: `${idx}-${radius}`,
+          color: color ?? (components.length > 1 ? component.color : '#f8fafc'),
+          opacity: 0.85 - radius * 0.18,
+          positions: confidenceEllipsePositions(component, radius, 0.03),
+        }))
+      ),
+    [components, color]
+  );
+
+  return (
+    <group>
+      {rings.map((ring) => (
+        <line key={ring.id}>
+          <bufferGeometry>
+            <bufferAttribute attach="attributes-position" args={[ring.positions, 3]} />
+          </bufferGeometry>
+          <lineBasicMaterial color={ring.color} transparent opacity={ring.opacity} />
+        </line>
+      ))}
+    </group>
+  );
+}
+
+function SampledPoints({ samples, surfaceHeight }) {
+  const positions = useMemo(() => {
+    const values = new Float32Array(samples.length * 3);
+    samples.forEach(([x, z], idx) => {
+      values.set([x, surfaceHeight(x, z) + 0.12, z], idx * 3);
+    });
+    return values;
+  }, [samples, surfaceHeight]);
+
+  return (
+    <points key={samples.length}>
+      <bufferGeometry>
+        <bufferAttribute attach="attributes-position" args={[positions, 3]} />
+      </bufferGeometry>
+      <pointsMaterial size={0.42} color="#f8fafc" transparent opacity={0.9} sizeAttenuation depthWrite={false} />
+    </points>
+  );
+}
+
+// Marginal densities of x and z drawn on the back (z = -extent) and side (x = -extent) walls:
+// the mixture total plus each weighted component.
+function MarginalWalls({ components, extent, amplitude }) {
+  const curves = useMemo(() => {
+    const segments = 160;
+    const axes = [
+      { axis: 0, sigma: 'sigmaX' },
+      { axis: 1, sigma: 'sigmaZ' },
+    ];
+    return axes.flatMap(({ axis, sigma }) => {
+      const sampleAt = (t) => THREE.MathUtils.lerp(-extent, extent, t);
+      const componentDensity = (component, value) => component.weight * normalDensity1D(value, component.mean[axis], component[sigma]);
+      let peak = 0;
+      for (let i = 0; i < segments; i += 1) {
+        const value = sampleAt(i / (segments - 1));
+        peak = Math.max(peak, components.reduce((sum, component) => sum + componentDensity(component, value), 0));
+      }
+      const scale = (amplitude * 0.9) / (peak || 1);
+      const toPosition = (value, height) => (axis === 0 ? [value, height, -extent] : [-extent, height, value]);
+      const build = (density) => {
+        const positions = new Float32Array(segments * 3);
+        for (let i = 0; i < segments; i += 1) {
+          const value = sampleAt(i / (segments - 1));
+          positions.set(toPosition(value, density(value) * scale), i * 3);
+        }
+        return positions;
+      };
+      const parts =
+        components.length > 1
+          ? components.map((component, idx) => ({
+              id: `${axis}-${idx}`,
+              color: component.color,
+              opacity: 0.55,
+              positions: build((value) => componentDensity(component, value)),
+            }))
+          : [];
+      return [
+        ...parts,
+        {
+          id: `${axis}-total`,
+          color: '#7dd3fc',
+          opacity: 1,
+          positions: build((value) => components.reduce((sum, component) => sum + componentDensity(component, value), 0)),
+        },
+      ];
+    });
+  }, [components, extent, amplitude]);
+
+  const wallHeight = amplitude * 1.1;
+
+  return (
+    <group>
+      <mesh position={[0, wallHeight / 2, -extent - 0.02]}>
+        <planeGeometry args={[extent * 2, wallHeight]} />
+        <meshBasicMaterial color="#0f172a" transparent opacity={0.35} side={THREE.DoubleSide} depthWrite={false} />
+      </mesh>
+      <mesh position={[-extent - 0.02, wallHeight / 2, 0]} rotation={[0, Math.PI / 2, 0]}>
+        <planeGeometry args={[extent * 2, wallHeight]} />
+        <meshBasicMaterial color="#0f172a" transparent opacity={0.35} side={THREE.DoubleSide} depthWrite={false} />
+      </mesh>
+      {curves.map((curve) => (
+        <line key={curve.id}>
+          <bufferGeometry>
+            <bufferAttribute attach="attributes-position" args={[curve.positions, 3]} />
+          </bufferGeometry>
+          <lineBasicMaterial color={curve.color} transparent opacity={curve.opacity} />
+        </line>
+      ))}
+    </group>
+  );
+}
+
+function AxisGuides() {
+  const positions = useMemo(
+    () =>
+      new Float32Array([
+        -15, 0, 0,
+        15, 0, 0,
+        0, 0, -15,
+        0, 0, 15,
+      ]),
+    []
+  );
+
+  return (
+    <lineSegments>
+      <bufferGeometry>
+        <bufferAttribute attach="attributes-position" args={[positions, 3]} />
+      </bufferGeometry>
+      <lineBasicMaterial color="#ffffff" transparent opacity={0.25} />
+    </lineSegments>
+  );
+}
+
+const EM_PLOT = { width: 240, height: 90 };
+
+function LogLikelihoodPlot({ history, maxIterations }) {
+  const { width, height } = EM_PLOT;
+  if (history.length < 2) return null;
+  const low = Math.min(...history);
+  const high = Math.max(...history);
+  const span = high - low || 1;
+  const points = history
+    .map((value, idx) => {
+      const x = (idx / Math.max(maxIterations, history.length - 1)) * width;
+      const y = height - ((value - low) / span) * height;
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    })
+    .join(' ');
+  return (
+    <svg
+      className="scene-hud__plot"
+      viewBox={`0 0 ${width} ${height}`}
+      width={width}
+      height={height}
+      role="img"
+      aria-label="Log-likelihood per EM iteration"
+    >
+      {[0, 0.5, 1].map((fraction) => (
+        <line
+          key={`grid-${fraction}`}
+          x1="0"
+          x2={width}
+          y1={fraction * height}
+          y2={fraction * height}
+          className="scene-hud__gridline"
+        />
+      ))}
+      <polyline points={points} stroke="#facc15" className="scene-hud__series" />
+    </svg>
+  );
+}
+
+// Expectation–maximisation on points drawn from the hidden mixture, one iteration per tick: points take
+// the blended colour of their soft responsibilities and the fitted ellipses glide to their new shape.
+function GaussianEMFit({ samples, fitCount, speed, amplitude, size, spacing, extent, showMarginals }) {
+  const rngRef = useRef(mulberry32(0x1f83d9ab));
+  const runRef = useRef(null);
+  const [snapshot, setSnapshot] = useState(null);
+  const pointsRef = useRef();
+  const ringRefs = useRef([]);
+  const meanRefs = useRef([]);
+  const colors = useMemo(() => new Float32Array(samples.length * 3).fill(0.8), [samples]);
+  const positions = useMemo(() => {
+    const values = new Float32Array(samples.length * 3);
+    samples.forEach(([x, z], idx) => values.set([x, 0.12, z], idx * 3));
+    return values;
+  }, [samples]);
+  const ringPositions = useMemo(
+    () => Array.from({ length: fitCount * 2 }, () => new Float32Array(97 * 3)),
+    [fitCount]
+  );
+  const mixColor = useMemo(() => new THREE.Color(), []);
+  const blend = useMemo(() => new THREE.Color(), []);
+
+  const restart = useCallback(() => {
+    const components = initializeEM(samples, fitCount, rngRef.current);
+    const { logLikelihood } = expectationStep(components, samples);
+    runRef.current = {
+      samples,
+      components,
+      previous: components,
+      clock: 0,
+      hold: 0,
+      iteration: 0,
+      converged: false,
+      history: [logLikelihood / samples.length],
+    };
+    colors.fill(0.8);
+    setSnapshot({ components, iteration: 0, history: runRef.current.history, converged: false });
+  }, [samples, fitCount, colors]);
+
+  useEffect(() => {
+    restart();
+  }, [restart]);
+
+  useFrame((_, delta) => {
+    const run = runRef.current;
+    if (!run || run.samples !== samples) return;
+    const interval = 1 / speed;
+    run.clock += delta;
+
+    if (run.converged) {
+      run.hold += delta;
+      if (run.hold > GAUSSIAN_EM.restartDelay) restart();
+    } else if (run.clock >= interval) {
+      run.clock = 0;
+      const { responsibilities, logLikelihood } = expectationStep(run.components, samples);
+      const next = maximizationStep(samples, responsibilities, run.components, rngRef.current);
+      const meanLogLikelihood = logLikelihood / samples.length;
+      const gain = meanLogLikelihood - run.history[run.history.length - 1];
+      run.previous = run.components;
+      run.components = next;
+      run.iteration += 1;
+      run.history = [...run.history, meanLogLikelihood];
+      run.converged = (run.iteration > 1 && Math.abs(gain) < GAUSSIAN_EM.tolerance) || run.iteration >= GAUSSIAN_EM.maxIterations;
+
+      samples.forEach((_, i) => {
+        mixColor.setRGB(0, 0, 0);
+        for (let k = 0; k < fitCount; k += 1) {
+          blend.set(next[k].color).multiplyScalar(responsibilities[i * fitCount + k]);
+          mixColor.add(blend);
+        }
+        colors.set([mixColor.r, mixColor.g, mixColor.b], i * 3);
+      });
+      if (pointsRef.current) pointsRef.current.geometry.attributes.color.needsUpdate = true;
+      setSnapshot({ components: next, iteration: run.iteration, history: run.history, converged: run.converged });
+    }
+
+    const t = THREE.MathUtils.smoothstep(Math.min(run.clock / (interval * 0.7), 1), 0, 1);
+    run.components.forEach((component, k) => {
+      const shown = run.converged ? component : lerpComponent(run.previous[k], component, t);
+      [1, 2].forEach((radius, ring) => {
+        const index = k * 2 + ring;
+        confidenceEllipsePositions(shown, radius, 0.05, 96, ringPositions[index]);
+        const line = ringRefs.current[index];
+        if (line) line.geometry.attributes.position.needsUpdate = true;
+      });
+      if (meanRefs.current[k]) meanRefs.current[k].position.set(shown.mean[0], 0.2, shown.mean[1]);
+    });
+  });
+
+  const landscape = useMemo(() => {
+    if (!snapshot) return null;
+    const half = (size - 1) / 2;
+    let peak = 0;
+    for (let ix = 0; ix < size; ix += 1) {
+      for (let iz = 0; iz < size; iz += 1) {
+        peak = Math.max(peak, mixtureDensity(snapshot.components, (ix - half) * spacing, (iz - half) * spacing));
+      }
+    }
+    const scale = amplitude / (peak || 1);
+    return {
+      components: snapshot.components,
+      surfaceHeight: (x, z) => mixtureDensity(snapshot.components, x, z) * scale,
+    };
+  }, [snapshot, size, spacing, amplitude]);
+
+  return (
+    <group>
+      {landscape ? <GaussianPoints landscape={landscape} size={size} spacing={spacing} amplitude={amplitude} /> : null}
+      {landscape && showMarginals ? (
+        <MarginalWalls components={landscape.components} extent={extent} amplitude={amplitude} />
+      ) : null}
+      <points ref={pointsRef} key={`em-points-${samples.length}`}>
+        <bufferGeometry>
+          <bufferAttribute attach="attributes-position" args={[positions, 3]} />
+          <bufferAttribute attach="attributes-color" args={[colors, 3]} usage={THREE.DynamicDrawUsage} />
+        </bufferGeometry>
+        <pointsMaterial size={0.42} vertexColors sizeAttenuation depthWrite={false} />
+      </points>
+      {ringPositions.map((ring, index) => (
+        <line
+          key={`em-ring-${fitCount}-${index}`}
+          ref={(element) => {
+            ringRefs.current[index] = element;
+          }}
+          frustumCulled={false}
+        >
+          <bufferGeometry>
+            <bufferAttribute attach="attributes-position" args={[ring, 3]} usage={THREE.DynamicDrawUsage} />
+          </bufferGeometry>
+          <lineBasicMaterial
+            color={GAUSSIAN_MIXTURE_COLORS[Math.floor(index / 2) % GAUSSIAN_MIXTURE_COLORS.length]}
+            transparent
+            opacity={index % 2 === 0 ? 0.95 : 0.55}
+          />
+        </line>
+      ))}
+      {Array.from({ length: fitCount }, (_, k) => (
+        <mesh
+          key={`em-mean-${fitCount}-${k}`}
+          ref={(element) => {
+            meanRefs.current[k] = element;
+          }}
+        >
+          <sphereGeometry args={[0.32, 16, 16]} />
+          <meshStandardMaterial color={GAUSSIAN_MIXTURE_COLORS[k % GAUSSIAN_MIXTURE_COLORS.length]} emissive="#ffffff" emissiveIntensity={0.2} />
+        </mesh>
+      ))}
+      <SceneHud>
+        <span className="scene-hud__title">EM · K = {fitCount}</span>
+        <dl className="scene-hud__stats">
+          <div>
+            <dt>Iteration</dt>
+            <dd>
+              {snapshot?.iteration ?? 0}
+              {snapshot?.converged ? ' ✓ converged' : ''}
+            </dd>
+          </div>
+          <div>
+            <dt>Log-lik / pt</dt>
+            <dd>{snapshot ? snapshot.history[snapshot.history.length - 1].toFixed(4) : '—'}</dd>
+          </div>
+        </dl>
+        {snapshot ? <LogLikelihoodPlot history={snapshot.history} maxIterations={30} /> : null}
+        <p className="scene-hud__note">Points blend component colours by responsibility</p>
+      </SceneHud>
+    </group>
+  );
+}
+
+export function GaussianStudio({ showCurve = true, parameters = GAUSSIAN_DEFAULTS }) {
+  const { model, size, spacing, amplitude, components: componentCount, mixtureSeed, sampleCount } = parameters;
+  const covarianceKey = serializeCovariance(parameters.covariance ?? GAUSSIAN_DEFAULTS.covariance);
+  const isMixture = model === 'mixture';
+  const isFitting = model === 'em';
+  const extent = ((size - 1) / 2) * spacing;
+
+  // in EM mode the seeded mixture is the hidden truth the fit tries to recover
+  const components = useMemo(
+    () =>
+      isMixture || isFitting
+        ? createGaussianMixture(componentCount, mixtureSeed)
+        : [{ ...normalizeCovariance(covarianceKey), weight: 1, mean: [0, 0], color: '#7dd3fc' }],
+    [isMixture, isFitting, componentCount, mixtureSeed, covarianceKey]
+  );
+
+  // heights are scaled so the tallest grid point sits at `amplitude`
+  const landscape = useMemo(() => {
+    const half = (size - 1) / 2;
+    let peak = 0;
+    for (let ix = 0; ix < size; ix += 1) {
+      for (let iz = 0; iz < size; iz += 1) {
+        peak = Math.max(peak, mixtureDensity(components, (ix - half) * spacing, (iz - half) * spacing));
+      }
+    }
+    const scale = amplitude / (peak || 1);
+    return { components, surfaceHeight: (x, z) => mixtureDensity(components, x, z) * scale };
+  }, [components, size, spacing, amplitude]);
+
+  const samples = useMemo(
+    () =>
+      sampleGaussianMixture(
+        components,
+        isFitting ? Math.max(sampleCount, GAUSSIAN_EM.minSamples) : sampleCount,
+        mulberry32(0x2545f491 + mixtureSeed)
+      ),
+    [components, sampleCount, mixtureSeed, isFitting]
+  );
+
+  if (isFitting) {
+    return (
+      <group position={[0, -9, 0]}>
+        <Grid
+          renderOrder={-1}
+          position={[0, 0, 0]}
+          infiniteGrid
+          cellSize={1}
+          cellThickness={0.5}
+          sectionSize={3}
+          sectionThickness={1}
+          sectionColor={[0.5, 0.5, 0.5]}
+          fadeDistance={50}
+        />
+        <GaussianEMFit
+          samples={samples}
+          fitCount={Math.min(parameters.fitComponents, samples.length)}
+          speed={parameters.emSpeed}
+          amplitude={amplitude}
+          size={size}
+          spacing={spacing}
+          extent={extent}
+          showMarginals={showCurve && parameters.showCurve}
+        />
+        {parameters.showHidden ? <ConfidenceEllipses components={components} color="#64748b" /> : null}
+        <AxisGuides />
+      </group>
+    );
+  }
+
+  return (
+    <group position={[0, -9, 0]}>
+      <Grid
+        renderOrder={-1}
+        position={[0, 0, 0]}
+        infiniteGrid
+        cellSize={1}
+        cellThickness={0.5}
+        sectionSize={3}
+        sectionThickness={1}
+        sectionColor={[0.5, 0.5, 0.5]}
+        fadeDistance={50}
+      />
+      <GaussianPoints landscape={landscape} size={size} spacing={spacing} amplitude={amplitude} />
+      <ConfidenceEllipses components={components} />
+      {sampleCount > 0 ? <SampledPoints samples={samples} surfaceHeight={landscape.surfaceHeight} /> : null}
+      {showCurve && parameters.showCurve ? (
+        <MarginalWalls components={components} extent={extent} amplitude={amplitude} />
+      ) : null}
+      <AxisGuides />
+      <SceneHud>
+        <span className="scene-hud__title">
+          {isMixture ? `Mixture of ${components.length} Gaussians` : 'Bivariate normal'}
+        </span>
+        {isMixture ? (
+          <dl className="scene-hud__stats">
+            {components.map((component, idx) => (
+              <div key={`component-${idx}`}>
+                <dt style={{ color: component.color }}>k = {idx + 1}</dt>
+                <dd>
+                  w {component.weight.toFixed(2)} · μ ({component.mean.map((value) => value.toFixed(1)).join(', ')}) · ρ{' '}
+                  {component.correlation.toFixed(2)}
+                </dd>
+              </div>
+            ))}
+          </dl>
+        ) : (
+          <dl className="scene-hud__stats">
+            <div>
+              <dt>Σ</dt>
+              <dd>{formatMatrix(covarianceMatrix(components[0]))}</dd>
+            </div>
+            <div>
+              <dt>|Σ|</dt>
+              <dd>{matrixDeterminant(covarianceMatrix(components[0])).toFixed(2)}</dd>
+            </div>
+            <div>
+              <dt>ρ</dt>
+              <dd>{components[0].correlation.toFixed(2)}</dd>
+            </div>
+          </dl>
+        )}
+        <p className="scene-hud__note">
+          {isMixture
+            ? 'Rings: 1σ and 2σ per component'
+            : `Rings: ${GAUSSIAN_ELLIPSE_RADII.map(
+                (radius) => `${radius}σ ${((1 - Math.exp(-(radius * radius) / 2)) * 100).toFixed(0)}%`
+              ).join(' · ')}`}
+        </p>
+      </SceneHud>
+    </group>
+  );
+}
@@ -0,0 +1,555 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
+import { Html, useCursor } from '@react-three/drei';
+import * as THREE from 'three';
+import { SceneHud } from './SceneHud';
+import { AxisArrow } from './axes';
+import {
+  LINEAR_MATRIX_LIMITS,
+  LINEAR_PRESET,
+  LINEAR_VIEW,
+  applyMatrix,
+  columnSpaceBasis,
+  computeEigen2,
+  createLatticeSegments,
+  createUnitCell,
+  describeRank,
+  formatMatrix,
+  identityMatrix,
+  invertMatrix,
+  lerpMatrices,
+  linearToWorld,
+  matrixDeterminant,
+  multiplyMatrices,
+  normalizeLinearMatrices,
+  serializeLinearMatrices,
+  worldToLinear,
+} from './linearAlgebra';
+
+const LINEAR_BASIS_COLORS = {
+  2: ['#f97316', '#38bdf8'],
+  3: ['#f97316', '#22d3ee', '#38bdf8'],
+};
+
+function LinearLattice({ matrixRef, size, color, opacity, offset = 0 }) {
+  // linear maps (and straight-line blends of them) keep lines straight, so endpoints are enough
+  const base = useMemo(() => createLatticeSegments(size, LINEAR_VIEW.extent[size]), [size]);
+  const positions = useMemo(() => new Float32Array(base.length * 3), [base]);
+  const latticeRef = useRef();
+  const point = useMemo(() => new THREE.Vector3(), []);
+
+  useFrame(() => {
+    const matrix = matrixRef.current;
+    if (matrix.length !== size) return;
+    base.forEach((vertex, idx) => {
+      linearToWorld(applyMatrix(matrix, vertex), point);
+      positions[idx * 3] = point.x;
+      positions[idx * 3 + 1] = point.y + offset;
+      positions[idx * 3 + 2] = point.z;
+    });
+    if (latticeRef.current) {
+      latticeRef.current.geometry.attributes.position.needsUpdate = true;
+    }
+  });
+
+  return (
+    <lineSegments ref={latticeRef} frustumCulled={false}>
+      <bufferGeometry>
+        <bufferAttribute attach="attributes-position" args={[positions, 3]} usage={THREE.DynamicDrawUsage} />
+      </bufferGeometry>
+      <lineBasicMaterial color={color} transparent opacity={opacity} />
+    </lineSegments>
+  );
+}
+
+function UnitCell({ matrixRef, size }) {
+  const cell = useMemo(() => createUnitCell(size), [size]);
+  const positions = useMemo(() => new Float32Array(cell.corners.length * 3), [cell]);
+  const edgePositions = useMemo(() => new Float32Array(cell.edges.length * 3), [cell]);
+  const meshRef = useRef();
+  const edgesRef = useRef();
+  const materialRef = useRef();
+  const point = useMemo(() => new THREE.Vector3(), []);
+
+  useFrame(() => {
+    const matrix = matrixRef.current;
+    if (matrix.length !== size) return;
+    cell.corners.forEach((corner, idx) => {
+      linearToWorld(applyMatrix(matrix, corner), point);
+      positions.set([point.x, point.y + (size === 2 ? 0.01 : 0), point.z], idx * 3);
+    });
+    cell.edges.forEach((corner, idx) => {
+      edgePositions.set(positions.subarray(corner * 3, corner * 3 + 3), idx * 3);
+    });
+    if (meshRef.current) {
+      meshRef.current.geometry.attributes.position.needsUpdate = true;
+    }
+    if (edgesRef.current) edgesRef.current.geometry.attributes.position.needsUpdate = true;
+    // a negative determinant means the matrix flipped orientation
+    if (materialRef.current) materialRef.current.color.set(matrixDeterminant(matrix) >= 0 ? '#38bdf8' : '#f87171');
+  });
+
+  return (
+    <group>
+      <mesh ref={meshRef} frustumCulled={false}>
+        <bufferGeometry>
+          <bufferAttribute attach="attributes-position" args={[positions, 3]} usage={THREE.DynamicDrawUsage} />
+          <bufferAttribute attach="index" args={[cell.faces, 1]} />
+        </bufferGeometry>
+        <meshBasicMaterial ref={materialRef} transparent opacity={0.28} side={THREE.DoubleSide} depthWrite={false} />
+      </mesh>
+      <lineSegments ref={edgesRef} frustumCulled={false}>
+        <bufferGeometry>
+          <bufferAttribute attach="attributes-position" args={[edgePositions, 3]} usage={THREE.DynamicDrawUsage} />
+        </bufferGeometry>
+        <lineBasicMaterial color="#e2e8f0" transparent opacity={0.7} />
+      </lineSegments>
+    </group>
+  );
+}
+
+// Where a rank-deficient matrix sends everything: a plane or a line through the origin.
+function CollapsedImage({ matrix }) {
+  const shape = useMemo(() => {
+    const size = matrix.length;
+    const basis = columnSpaceBasis(matrix);
+    if (basis.length === 0 || basis.length === size) return null;
+    const reach = LINEAR_VIEW.extent[size] * 3;
+    const toWorld = (coefficients) =>
+      linearToWorld(basis[0].map((_, k) => coefficients.reduce((sum, c, idx) => sum + c * basis[idx][k], 0)));
+    if (basis.length === 1) {
+      return { type: 'line', positions: new Float32Array([...toWorld([-reach]).toArray(), ...toWorld([reach]).toArray()]) };
+    }
+    const corners = [
+      [-reach, -reach],
+      [reach, -reach],
+      [reach, reach],
+      [-reach, reach],
+    ].flatMap((coefficients) => toWorld(coefficients).toArray());
+    return { type: 'plane', positions: new Float32Array(corners), index: new Uint16Array([0, 1, 2, 0, 2, 3]) };
+  }, [matrix]);
+
+  if (!shape) return null;
+  return shape.type === 'line' ? (
+    <line frustumCulled={false}>
+      <bufferGeometry>
+        <bufferAttribute attach="attributes-position" args={[shape.positions, 3]} />
+      </bufferGeometry>
+      <lineBasicMaterial color="#fbbf24" transparent opacity={0.8} />
+    </line>
+  ) : (
+    <mesh frustumCulled={false}>
+      <bufferGeometry>
+        <bufferAttribute attach="attributes-position" args={[shape.positions, 3]} />
+        <bufferAttribute attach="index" args={[shape.index, 1]} />
+      </bufferGeometry>
+      <meshBasicMaterial color="#fbbf24" transparent opacity={0.12} side={THREE.DoubleSide} depthWrite={false} />
+    </mesh>
+  );
+}
+
+function BasisVectors({ matrixRef, size, draggable, onDragStart, onDrag, onDragEnd }) {
+  const colors = LINEAR_BASIS_COLORS[size];
+  const positions = useMemo(() => colors.map(() => new Float32Array(6)), [colors]);
+  const lineRefs = useRef([]);
+  const handleRefs = useRef([]);
+  const draggingRef = useRef(false);
+  const [hovered, setHovered] = useState(null);
+  const origin = useMemo(() => new THREE.Vector3(), []);
+  const tip = useMemo(() => new THREE.Vector3(), []);
+  useCursor(hovered !== null && draggable, 'grab');
+
+  useFrame(() => {
+    const matrix = matrixRef.current;
+    if (matrix.length !== size) return;
+    // lift the 2D arrows just off the floor grid
+    const raise = size === 2 ? 0.05 : 0;
+    linearToWorld(new Array(size).fill(0), origin);
+    colors.forEach((_, column) => {
+      linearToWorld(
+        matrix.map((row) => row[column]),
+        tip
+      );
+      positions[column].set([origin.x, origin.y + raise, origin.z, tip.x, tip.y + raise, tip.z]);
+      if (lineRefs.current[column]) lineRefs.current[column].geometry.attributes.position.needsUpdate = true;
+      if (handleRefs.current[column]) handleRefs.current[column].position.set(tip.x, tip.y + raise, tip.z);
+    });
+  });
+
+  return (
+    <group>
+      {colors.map((color, column) => (
+        <group key={`basis-${column}`}>
+          <line
+            ref={(element) => {
+              lineRefs.current[column] = element;
+            }}
+            frustumCulled={false}
+          >
+            <bufferGeometry>
+              <bufferAttribute attach="attributes-position" args={[positions[column], 3]} usage={THREE.DynamicDrawUsage} />
+            </bufferGeometry>
+            <lineBasicMaterial color={color} linewidth={2} />
+          </line>
+          <mesh
+            ref={(element) => {
+              handleRefs.current[column] = element;
+            }}
+            onPointerOver={(event) => {
+              event.stopPropagation();
+              setHovered(column);
+            }}
+            onPointerOut={() => setHovered(null)}
+            onPointerDown={(event) => {
+              if (!draggable) return;
+              event.stopPropagation();
+              event.target.setPointerCapture(event.pointerId);
+              draggingRef.current = true;
+              onDragStart(column, event);
+            }}
+            onPointerMove={(event) => {
+              if (!draggingRef.current) return;
+              event.stopPropagation();
+              onDrag(column, event.ray);
+            }}
+            onPointerUp={(event) => {
+              if (!draggingRef.current) return;
+              event.stopPropagation();
+              event.target.releasePointerCapture(event.pointerId);
+              draggingRef.current = false;
+              onDragEnd();
+            }}
+          >
+            <sphereGeometry args={[hovered === column && draggable ? 0.3 : 0.22, 20, 20]} />
+            <meshStandardMaterial
+              color={color}
+              emissive={color}
+              emissiveIntensity={0.4}
+              transparent
+              opacity={draggable ? 1 : 0.4}
+            />
+          </mesh>
+        </group>
+      ))}
+    </group>
+  );
+}
+
+// Eigenvectors of the step being played. Every matrix on the path (1 - t)I + tM shares them,
+// so the marked vectors only stretch or flip along their span while the grid moves.
+function EigenvectorSpans({ stepRef, progressRef }) {
+  const spanPositions = useMemo(() => [new Float32Array(6), new Float32Array(6)], []);
+  const vectorPositions = useMemo(() => [new Float32Array(6), new Float32Array(6)], []);
+  const spanRefs = useRef([]);
+  const vectorRefs = useRef([]);
+
+  useFrame(() => {
+    if (stepRef.current.length !== 2) return;
+    const eigen = computeEigen2(stepRef.current);
+    const t = progressRef.current;
+    const height = LINEAR_VIEW.height + 0.03;
+    const reach = LINEAR_VIEW.extent[2] * LINEAR_VIEW.unit * 1.4;
+    [0, 1].forEach((idx) => {
+      const pair = eigen.real ? eigen.pairs[idx] : null;
+      const span = spanRefs.current[idx];
+      const vector = vectorRefs.current[idx];
+      if (span) span.visible = Boolean(pair);
+      if (vector) vector.visible = Boolean(pair);
+      if (!pair) return;
+      const [x, z] = pair.vector;
+      const length = (1 - t + t * pair.value) * LINEAR_VIEW.unit;
+      spanPositions[idx].set([-x * reach, height, -z * reach, x * reach, height, z * reach]);
+      vectorPositions[idx].set([0, height + 0.01, 0, x * length, height + 0.01, z * length]);
+      if (span) span.geometry.attributes.position.needsUpdate = true;
+      if (vector) vector.geometry.attributes.position.needsUpdate = true;
+    });
+  });
+
+  return (
+    <group>
+      {[0, 1].map((idx) => (
+        <group key={`eigen-${idx}`}>
+          <line
+            ref={(element) => {
+              spanRefs.current[idx] = element;
+            }}
+            frustumCulled={false}
+          >
+            <bufferGeometry>
+              <bufferAttribute attach="attributes-position" args={[spanPositions[idx], 3]} usage={THREE.DynamicDrawUsage} />
+            </bufferGeometry>
+            <lineBasicMaterial color="#facc15" transparent opacity={0.35} />
+          </line>
+          <line
+            ref={(element) => {
+              vectorRefs.current[idx] = element;
+            }}
+            frustumCulled={false}
+          >
+            <bufferGeometry>
+              <bufferAttribute attach="attributes-position" args={[vectorPositions[idx], 3]} usage={THREE.DynamicDrawUsage} />
+            </bufferGeometry>
+            <lineBasicMaterial color="#fde047" linewidth={2} />
+          </line>
+        </group>
+      ))}
+    </group>
+  );
+}
+
+function StaticAxesAnchor({ length = 1.2, height = -0.55, showY = true }) {
+  const axes = useMemo(
+    () =>
+      [
+        { id: 'anchor-x', direction: new THREE.Vector3(1, 0, 0), color: '#f97316', label: 'X' },
+        { id: 'anchor-y', direction: new THREE.Vector3(0, 1, 0), color: '#22d3ee', label: 'Y' },
+        { id: 'anchor-z', direction: new THREE.Vector3(0, 0, 1), color: '#38bdf8', label: 'Z' },
+      ].filter(({ id }) => showY || id !== 'anchor-y'),
+    [showY]
+  );
+
+  return (
+    <group position={[0, height, 0]}>
+      {axes.map(({ id, direction, color, label }) => (
+        <group key={id}>
+          <AxisArrow direction={direction} length={length} color={color} opacity={0.85} />
+          <Html position={direction.clone().normalize().multiplyScalar(length + 0.28)} transform center>
+            <div
+              style={{
+                padding: '4px 10px',
+                borderRadius: '999px',
+                background: 'rgba(15,23,42,0.85)',
+                border: '1px solid rgba(148,163,184,0.35)',
+                color,
+                fontSize: '0.7rem',
+                fontWeight: 700,
+                letterSpacing: '0.16em',
+                textTransform: 'uppercase',
+              }}
+            >
+              {label}
+            </div>
+          </Html>
+        </group>
+      ))}
+    </group>
+  );
+}
+
+export function LinearTransformStudio({ parameters = LINEAR_PRESET, onParameterChange }) {
+  const size = parameters.mode === '3d' ? 3 : 2;
+  const matrixKey = size === 3 ? 'matrices3' : 'matrices';
+  const matrices = parameters[matrixKey] ?? LINEAR_PRESET[matrixKey];
+  const matricesKey = serializeLinearMatrices(matrices);
+  const steps = matrices.length;
+  // composites[k] is the product of the first k steps, so composites[0] is the identity
+  const composites = useMemo(
+    () =>
+      normalizeLinearMatrices(matricesKey, size).reduce(
+        (list, matrix) => [...list, multiplyMatrices(matrix, list[list.length - 1])],
+        [identityMatrix(size)]
+      ),
+    [matricesKey, size]
+  );
+  const [stage, setStage] = useState(1);
+  const activeStage = Math.min(stage, steps);
+  const target = composites[activeStage];
+  const previousInverse = useMemo(() => invertMatrix(composites[activeStage - 1]), [composites, activeStage]);
+  const rank = useMemo(() => columnSpaceBasis(target).length, [target]);
+
+  const displayRef = useRef(identityMatrix(size));
+  const identityRef = useRef(identityMatrix(size));
+  const stepRef = useRef(matrices[0]);
+  const progressRef = useRef(0);
+  const holdRef = useRef(0);
+  const dragRef = useRef(null);
+  const localRay = useMemo(() => new THREE.Ray(), []);
+  const inverseWorld = useMemo(() => new THREE.Matrix4(), []);
+  const hit = useMemo(() => new THREE.Vector3(), []);
+  const groupRef = useRef();
+  const controls = useThree((state) => state.controls);
+  const hudRefs = {
+    step: useRef(),
+    composite: useRef(),
+    determinant: useRef(),
+    eigen: useRef(),
+  };
+
+  const goToStage = useCallback((next) => {
+    progressRef.current = 0;
+    holdRef.current = 0;
+    setStage(next);
+  }, []);
+
+  useEffect(() => {
+    // switching between 2D and 3D replays the new sequence from the identity
+    identityRef.current = identityMatrix(size);
+    goToStage(1);
+  }, [size, goToStage]);
+
+  useFrame((_, delta) => {
+    const drag = dragRef.current;
+    let display;
+    let step;
+    if (drag) {
+      display = drag.matrix;
+      step = multiplyMatrices(drag.matrix, previousInverse);
+    } else {
+      if (progressRef.current < 1) {
+        progressRef.current = Math.min(1, progressRef.current + delta / parameters.stepDuration);
+      } else if (parameters.autoplay) {
+        holdRef.current += delta;
+        if (holdRef.current > LINEAR_VIEW.hold) {
+          goToStage(activeStage < steps ? activeStage + 1 : 1);
+        }
+      }
+      const eased = THREE.MathUtils.smoothstep(progressRef.current, 0, 1);
+      display = lerpMatrices(composites[activeStage - 1], target, eased);
+      step = matrices[activeStage - 1];
+    }
+    displayRef.current = display;
+    stepRef.current = step;
+
+    if (hudRefs.step.current) hudRefs.step.current.textContent = formatMatrix(step);
+    if (hudRefs.composite.current) hudRefs.composite.current.textContent = formatMatrix(display);
+    if (hudRefs.determinant.current) hudRefs.determinant.current.textContent = matrixDeterminant(display).toFixed(3);
+    if (hudRefs.eigen.current && size === 2) {
+      const eigen = computeEigen2(step);
+      hudRefs.eigen.current.textContent = eigen.real
+        ? eigen.pairs
+            .filter((pair, idx, list) => list.findIndex((other) => other.value === pair.value) === idx)
+            .map((pair) => pair.value.toFixed(2))
+            .join(', ')
+        : `${eigen.re.toFixed(2)} ± ${eigen.im.toFixed(2)}i (no real span)`;
+    }
+  });
+
+  const handleDragStart = (column, event) => {
+    if (!previousInverse || !groupRef.current) return;
+    progressRef.current = 1;
+    holdRef.current = 0;
+    const matrix = target.map((row) => [...row]);
+    // the floor in 2D; in 3D a camera-facing plane through the tip so the drag follows the pointer
+    const plane = new THREE.Plane();
+    if (size === 2) {
+      plane.set(new THREE.Vector3(0, 1, 0), -LINEAR_VIEW.height);
+    } else {
+      const facing = event.camera.getWorldDirection(new THREE.Vector3());
+      plane.setFromNormalAndCoplanarPoint(facing, linearToWorld(matrix.map((row) => row[column])));
+    }
+    dragRef.current = { column, matrix, plane };
+    if (controls) controls.enabled = false;
+  };
+
+  const handleDrag = (column, ray) => {
+    const drag = dragRef.current;
+    if (!drag || !groupRef.current) return;
+    inverseWorld.copy(groupRef.current.matrixWorld).invert();
+    localRay.copy(ray).applyMatrix4(inverseWorld);
+    if (!localRay.intersectPlane(drag.plane, hit)) return;
+    const { snap } = LINEAR_VIEW;
+    const { maxEntry } = LINEAR_MATRIX_LIMITS;
+    worldToLinear(hit, size).forEach((value, row) => {
+      drag.matrix[row][column] = THREE.MathUtils.clamp(Math.round(value / snap) * snap, -maxEntry, maxEntry);
+    });
+  };
+
+  const handleDragEnd = () => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (controls) controls.enabled = true;
+    if (!drag || !onParameterChange) return;
+    // the tips show the composite so far; solve for the step that lands them there
+    const step = multiplyMatrices(drag.matrix, previousInverse).map((row) =>
+      row.map((value) => Number(value.toFixed(3)))
+    );
+    onParameterChange(
+      matrixKey,
+      normalizeLinearMatrices(
+        matrices.map((matrix, idx) => (idx === activeStage - 1 ? step : matrix)),
+        size
+      )
+    );
+  };
+
+  return (
+    <group position={[0, -9, 0]} ref={groupRef}>
+      {size === 2 ? (
+        <LinearLattice key="reference-2" matrixRef={identityRef} size={2} color="#334155" opacity={0.45} offset={-0.02} />
+      ) : null}
+      <LinearLattice key={`lattice-${size}`} matrixRef={displayRef} size={size} color="#67e8f9" opacity={size === 2 ? 0.85 : 0.4} />
+      <UnitCell key={`cell-${size}`} matrixRef={displayRef} size={size} />
+      <CollapsedImage matrix={target} />
+      <StaticAxesAnchor
+        length={2.6}
+        height={size === 2 ? -0.55 : LINEAR_VIEW.lift}
+        showY={size === 3}
+      />
+      {parameters.showEigenvectors && size === 2 ? <EigenvectorSpans stepRef={stepRef} progressRef={progressRef} /> : null}
+      <BasisVectors
+        key={`basis-${size}`}
+        matrixRef={displayRef}
+        size={size}
+        draggable={Boolean(previousInverse && onParameterChange)}
+        onDragStart={handleDragStart}
+        onDrag={handleDrag}
+        onDragEnd={handleDragEnd}
+      />
+      <SceneHud>
+        <span className="scene-hud__title">
+          {steps > 1 ? `Step ${activeStage} of ${steps}` : 'Identity → M'}
+        </span>
+        <dl className="scene-hud__stats">
+          <div>
+            <dt>M{steps > 1 ? activeStage : ''}</dt>
+            <dd ref={hudRefs.step} />
+          </div>
+          {steps > 1 ? (
+            <div>
+              <dt>Product</dt>
+              <dd ref={hudRefs.composite} />
+            </div>
+          ) : null}
+          <div>
+            <dt>{size === 3 ? 'Volume' : 'Signed area'}</dt>
+            <dd ref={hudRefs.determinant} />
+          </div>
+          <div>
+            <dt>Rank</dt>
+            <dd>{describeRank(rank, size)}</dd>
+          </div>
+          {size === 2 ? (
+            <div>
+              <dt>λ</dt>
+              <dd ref={hudRefs.eigen} />
+            </div>
+          ) : null}
+        </dl>
+        <div className="scene-hud__actions">
+          <button
+            type="button"
+            className="scene-hud__button"
+            onClick={() => goToStage(Math.max(1, activeStage - 1))}
+            disabled={activeStage <= 1}
+          >
+            ◀ Previous
+          </button>
+          <button type="button" className="scene-hud__button" onClick={() => goToStage(1)}>
+            Replay
+          </button>
+          <button
+            type="button"
+            className="scene-hud__button"
+            onClick={() => goToStage(activeStage + 1)}
+            disabled={activeStage >= steps}
+          >
+            Next ▶
+          </button>
+        </div>
+        <p className="scene-hud__note">
+          {previousInverse ? 'Drag the basis tips to edit this step' : 'Earlier steps collapse space — edit them in Tune'}
+        </p>
+      </SceneHud>
+    </group>
+  );
+}
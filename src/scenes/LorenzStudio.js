@@ -0,0 +1,192 @@
+import { useEffect, useMemo, useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { Grid } from '@react-three/drei';
+import * as THREE from 'three';
+import { SceneHud } from './SceneHud';
+import { ATTRACTOR_SYSTEMS, LORENZ_DEFAULTS, integrateAttractor } from './attractors';
+
+const DIVERGENCE_PLOT = { width: 240, height: 110, samples: 240 };
+
+function DivergencePlot({ data, progressRef }) {
+  const cursorRef = useRef();
+  const clipRef = useRef();
+  const readoutRef = useRef();
+  const minLog = Math.floor(Math.log10(data.epsilon)) - 1;
+  const maxLog = Math.ceil(Math.log10(data.extent || 1)) + 0.5;
+  const { width, height, samples } = DIVERGENCE_PLOT;
+
+  const paths = useMemo(
+    () =>
+      data.trajectories.slice(1).map((trajectory, idx) => {
+        const points = [];
+        for (let s = 0; s < samples; s += 1) {
+          const index = Math.floor((s / (samples - 1)) * (data.plotPoints - 1));
+          const distance = Math.max(trajectory.divergence[index], 10 ** minLog);
+          const y = height - ((Math.log10(distance) - minLog) / (maxLog - minLog)) * height;
+          points.push(`${((s / (samples - 1)) * width).toFixed(1)},${THREE.MathUtils.clamp(y, 0, height).toFixed(1)}`);
+        }
+        return {
+          id: `divergence-${idx + 1}`,
+          points: points.join(' '),
+          color: `#${trajectory.headColor.getHexString()}`,
+        };
+      }),
+    [data, minLog, maxLog, width, height, samples]
+  );
+
+  useFrame(() => {
+    const fraction = THREE.MathUtils.clamp(progressRef.current / data.plotPoints, 0, 1);
+    const x = (fraction * width).toFixed(1);
+    if (cursorRef.current) {
+      cursorRef.current.setAttribute('x1', x);
+      cursorRef.current.setAttribute('x2', x);
+    }
+    if (clipRef.current) {
+      clipRef.current.setAttribute('width', x);
+    }
+    if (readoutRef.current && data.trajectories.length > 1) {
+      const index = Math.min(data.totalPoints - 1, Math.floor(progressRef.current));
+      const distance = data.trajectories[1].divergence[index];
+      const time = (index * data.dt).toFixed(1);
+      readoutRef.current.textContent = `t = ${time} · |Δ| = ${distance.toExponential(1)}`;
+    }
+  });
+
+  if (data.trajectories.length < 2) {
+    return <p className="scene-hud__note">Add a second trajectory to compare divergence.</p>;
+  }
+
+  return (
+    <>
+      <svg
+        className="scene-hud__plot"
+        viewBox={`0 0 ${width} ${height}`}
+        width={width}
+        height={height}
+        role="img"
+        aria-label="Log distance between perturbed trajectories over time"
+      >
+        <defs>
+          <clipPath id="divergence-clip">
+            <rect ref={clipRef} x="0" y="0" width="0" height={height} />
+          </clipPath>
+        </defs>
+        {Array.from({ length: Math.floor(maxLog) - minLog + 1 }, (_, idx) => {
+          const y = height - ((idx) / (maxLog - minLog)) * height;
+          return <line key={`grid-${idx}`} x1="0" x2={width} y1={y} y2={y} className="scene-hud__gridline" />;
+        })}
+        {paths.map((path) => (
+          <polyline key={`${path.id}-ghost`} points={path.points} stroke={path.color} className="scene-hud__series scene-hud__series--ghost" />
+        ))}
+        <g clipPath="url(#divergence-clip)">
+          {paths.map((path) => (
+            <polyline key={path.id} points={path.points} stroke={path.color} className="scene-hud__series" />
+          ))}
+        </g>
+        <line ref={cursorRef} x1="0" x2="0" y1="0" y2={height} className="scene-hud__cursor" />
+      </svg>
+      <span className="scene-hud__readout" ref={readoutRef} />
+    </>
+  );
+}
+
+function AttractorTrajectories({ config = LORENZ_DEFAULTS }) {
+  const data = useMemo(() => integrateAttractor(config), [config]);
+  const lineRefs = useRef([]);
+  const headRefs = useRef([]);
+  const progressRef = useRef(0);
+
+  useEffect(() => {
+    progressRef.current = 0;
+    lineRefs.current.forEach((line) => {
+      if (!line) return;
+      line.geometry.setDrawRange(0, 2);
+      line.geometry.computeBoundingSphere();
+    });
+  }, [data]);
+
+  useFrame((_, delta) => {
+    progressRef.current += delta * (data.totalPoints / (config.duration ?? 6.5));
+    if (progressRef.current >= data.totalPoints) {
+      progressRef.current -= data.totalPoints;
+    }
+    const drawCount = Math.max(2, Math.floor(progressRef.current));
+    const headIndex = (drawCount - 1 + data.totalPoints) % data.totalPoints;
+    data.trajectories.forEach((trajectory, idx) => {
+      const line = lineRefs.current[idx];
+      const head = headRefs.current[idx];
+      if (line) line.geometry.setDrawRange(0, drawCount);
+      if (head) {
+        head.position.set(
+          trajectory.positions[headIndex * 3],
+          trajectory.positions[headIndex * 3 + 1],
+          trajectory.positions[headIndex * 3 + 2]
+        );
+      }
+    });
+  });
+
+  return (
+    <group>
+      {data.trajectories.map((trajectory, idx) => (
+        <group key={`trajectory-${idx}`}>
+          <line
+            ref={(instance) => {
+              lineRefs.current[idx] = instance;
+            }}
+            frustumCulled={false}
+          >
+            <bufferGeometry>
+              <bufferAttribute attach="attributes-position" args={[trajectory.positions, 3]} />
+              <bufferAttribute attach="attributes-color" args={[trajectory.colors, 3]} />
+            </bufferGeometry>
+            <lineBasicMaterial vertexColors transparent opacity={idx === 0 ? 0.95 : 0.8} />
+          </line>
+          <mesh
+            ref={(instance) => {
+              headRefs.current[idx] = instance;
+            }}
+            frustumCulled={false}
+          >
+            <sphereGeometry args={[0.35, 20, 20]} />
+            <meshStandardMaterial
+              color={trajectory.headColor}
+              emissive={trajectory.headColor}
+              emissiveIntensity={0.85}
+              roughness={0.2}
+              metalness={0.1}
+            />
+          </mesh>
+        </group>
+      ))}
+      <SceneHud>
+        <span className="scene-hud__title">
+          {(ATTRACTOR_SYSTEMS[config.system] ?? ATTRACTOR_SYSTEMS.lorenz).label} divergence
+        </span>
+        <DivergencePlot data={data} progressRef={progressRef} />
+      </SceneHud>
+    </group>
+  );
+}
+
+export function LorenzStudio({ parameters = LORENZ_DEFAULTS }) {
+  return (
+    <group position={[0, -9, 0]}>
+      <Grid
+        renderOrder={-1}
+        position={[0, -8, 0]}
+        infiniteGrid
+        cellSize={1}
+        cellThickness={0.4}
+        sectionSize={3}
+        sectionThickness={1}
+        sectionColor={[0.25, 0.5, 0.85]}
+        fadeDistance={60}
+        fadeStrength={0.3}
+      />
+      <group rotation={[-Math.PI / 2.3, Math.PI / 6, 0]}>
+        <AttractorTrajectories config={parameters} />
+      </group>
+    </group>
+  );
+}
@@ -0,0 +1,239 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { Grid, Html } from '@react-three/drei';
+import * as THREE from 'three';
+import { mulberry32 } from '../random';
+import { SceneHud } from './SceneHud';
+import {
+  MARKOV_CHAIN_CONFIG,
+  MARKOV_NODE_RADIUS,
+  createMarkovChainData,
+  markovStateLetter,
+  normalizeTransitionMatrix,
+  serializeTransitionMatrix,
+} from './markov';
+
+function MarkovStateNode({ state, index, isActive }) {
+  const meshRef = useRef();
+  useFrame(({ clock }, delta) => {
+    if (!meshRef.current) return;
+    const t = clock.getElapsedTime();
+    const pulse = 1 + 0.06 * Math.sin(t * 1.2 + index);
+    const targetScale = (isActive ? 1.25 : 1) * pulse;
+    meshRef.current.scale.setScalar(THREE.MathUtils.damp(meshRef.current.scale.x, targetScale, 6, delta));
+    const material = meshRef.current.material;
+    if (material) {
+      const targetEmissive = isActive ? 0.9 : 0.32;
+      material.emissiveIntensity = THREE.MathUtils.damp(material.emissiveIntensity, targetEmissive, 8, delta);
+    }
+  });
+
+  return (
+    <group position={state.position}>
+      <mesh ref={meshRef}>
+        <sphereGeometry args={[MARKOV_NODE_RADIUS, 32, 32]} />
+        <meshStandardMaterial color={state.color} emissive={state.color} emissiveIntensity={isActive ? 0.8 : 0.3} roughness={0.35} metalness={0.28} />
+      </mesh>
+      <Html position={[0, 1.3, 0]} center>
+        <div
+          style={{
+            padding: '6px 14px',
+            borderRadius: '999px',
+            border: '1px solid rgba(148,163,184,0.26)',
+            background: 'rgba(15,23,42,0.68)',
+            fontSize: '0.7rem',
+            letterSpacing: '0.16em',
+            textTransform: 'uppercase',
+            color: 'rgba(226,232,240,0.85)',
+            fontWeight: 600,
+          }}
+        >
+          {state.label}
+        </div>
+      </Html>
+    </group>
+  );
+}
+
+const MARKOV_HIGHLIGHT_SEGMENTS = 32;
+
+function MarkovChainScene({ config = MARKOV_CHAIN_CONFIG }) {
+  // parameters are rebuilt on every URL change, so only rebuild the chain when its shape changes
+  const transitionsKey = serializeTransitionMatrix(config.transitions);
+  const { radius, edgeThreshold, colors } = config;
+  const data = useMemo(
+    () =>
+      createMarkovChainData({
+        transitions: normalizeTransitionMatrix(transitionsKey),
+        radius,
+        edgeThreshold,
+        colors,
+      }),
+    [transitionsKey, radius, edgeThreshold, colors]
+  );
+  const highlightGeometry = useMemo(() => {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute(
+      'position',
+      new THREE.BufferAttribute(new Float32Array((MARKOV_HIGHLIGHT_SEGMENTS + 1) * 3), 3)
+    );
+    return geometry;
+  }, []);
+  const walkerRef = useRef();
+  const transitionRef = useRef({
+    current: 0,
+    next: 1,
+    progress: 0,
+  });
+  const visitsRef = useRef({ counts: [1], total: 1 });
+  const barRefs = useRef([]);
+  const valueRefs = useRef([]);
+  const summaryRef = useRef();
+  const rngRef = useRef(mulberry32(0x9d11ab4));
+  const [activeStateIndex, setActiveStateIndex] = useState(0);
+  const tempVector = useMemo(() => new THREE.Vector3(), []);
+  const histogramScale = Math.min(1, Math.max(...data.stationary) * 1.6);
+
+  const selectNextState = useCallback(
+    (fromIndex) => {
+      const roll = rngRef.current();
+      const cumulative = data.cumulative[fromIndex];
+      for (let i = 0; i < cumulative.length; i += 1) {
+        if (roll <= cumulative[i]) {
+          return i;
+        }
+      }
+      return cumulative.length - 1;
+    },
+    [data.cumulative]
+  );
+
+  useEffect(() => {
+    // restart the walk and its histogram whenever the chain itself changes
+    const current = Math.min(transitionRef.current.current, data.states.length - 1);
+    transitionRef.current = { current, next: selectNextState(current), progress: 0 };
+    const counts = new Array(data.states.length).fill(0);
+    counts[current] = 1;
+    visitsRef.current = { counts, total: 1 };
+    setActiveStateIndex(current);
+  }, [data.states.length, transitionsKey, selectNextState]);
+
+  useEffect(() => () => data.edges.forEach((edge) => edge.geometry.dispose()), [data.edges]);
+
+  useFrame((_, delta) => {
+    const { current, next } = transitionRef.current;
+    const progress = (transitionRef.current.progress += delta * config.speed);
+    const curve = data.curves[current]?.[next];
+    if (!curve) return;
+    const eased = 0.5 - 0.5 * Math.cos(Math.min(progress, 1) * Math.PI);
+    curve.getPoint(eased, tempVector);
+    if (walkerRef.current) {
+      walkerRef.current.position.copy(tempVector);
+    }
+    const attr = highlightGeometry.attributes.position;
+    for (let i = 0; i <= MARKOV_HIGHLIGHT_SEGMENTS; i += 1) {
+      curve.getPoint((i / MARKOV_HIGHLIGHT_SEGMENTS) * eased, tempVector);
+      attr.setXYZ(i, tempVector.x, tempVector.y, tempVector.z);
+    }
+    attr.needsUpdate = true;
+    if (progress >= 1) {
+      transitionRef.current.current = next;
+      const upcoming = selectNextState(next);
+      transitionRef.current.next = upcoming;
+      transitionRef.current.progress = 0;
+      visitsRef.current.counts[next] += 1;
+      visitsRef.current.total += 1;
+      setActiveStateIndex(next);
+    }
+
+    const { counts, total } = visitsRef.current;
+    let distance = 0;
+    data.stationary.forEach((target, idx) => {
+      const frequency = (counts[idx] ?? 0) / total;
+      distance += Math.abs(frequency - target) / 2;
+      if (barRefs.current[idx]) {
+        barRefs.current[idx].style.width = `${Math.min(frequency / histogramScale, 1) * 100}%`;
+      }
+      if (valueRefs.current[idx]) {
+        valueRefs.current[idx].textContent = `${(frequency * 100).toFixed(1)}%`;
+      }
+    });
+    if (summaryRef.current) {
+      summaryRef.current.textContent = `${total} visits · TV distance ${distance.toFixed(3)}`;
+    }
+  });
+
+  return (
+    <group position={[0, -9, 0]}>
+      <Grid
+        renderOrder={-1}
+        position={[0, -0.8, 0]}
+        infiniteGrid
+        cellSize={1}
+        cellThickness={0.35}
+        sectionSize={3}
+        sectionThickness={1}
+        sectionColor={[0.32, 0.58, 0.86]}
+        fadeDistance={60}
+        fadeStrength={0.32}
+      />
+      {data.edges.map((edge) => (
+        <group key={edge.id}>
+          <mesh geometry={edge.geometry}>
+            <meshBasicMaterial color={edge.color} transparent opacity={0.35 + edge.weight * 0.5} />
+          </mesh>
+          <mesh position={edge.headPosition} quaternion={edge.headQuaternion}>
+            <coneGeometry args={[edge.headRadius, edge.headLength, 12]} />
+            <meshBasicMaterial color={edge.color} transparent opacity={0.5 + edge.weight * 0.5} />
+          </mesh>
+        </group>
+      ))}
+      <line geometry={highlightGeometry} frustumCulled={false}>
+        <lineBasicMaterial color="#fbbf24" transparent opacity={0.85} linewidth={2} />
+      </line>
+      {data.states.map((state, idx) => (
+        <MarkovStateNode key={state.id} state={state} index={idx} isActive={idx === activeStateIndex} />
+      ))}
+      <mesh ref={walkerRef} frustumCulled={false}>
+        <sphereGeometry args={[0.32, 24, 24]} />
+        <meshStandardMaterial color="#fef08a" emissive="#facc15" emissiveIntensity={1.2} roughness={0.2} metalness={0.35} />
+      </mesh>
+      <SceneHud>
+        <span className="scene-hud__title">Visits vs stationary π</span>
+        <ol className="markov-histogram">
+          {data.states.map((state, idx) => (
+            <li key={state.id}>
+              <span className="markov-histogram__label">{markovStateLetter(idx)}</span>
+              <span className="markov-histogram__track">
+                <span
+                  className="markov-histogram__bar"
+                  style={{ background: state.color }}
+                  ref={(element) => {
+                    barRefs.current[idx] = element;
+                  }}
+                />
+                <span
+                  className="markov-histogram__target"
+                  style={{ left: `${Math.min(data.stationary[idx] / histogramScale, 1) * 100}%` }}
+                  title={`π = ${data.stationary[idx].toFixed(3)}`}
+                />
+              </span>
+              <span
+                className="markov-histogram__value"
+                ref={(element) => {
+                  valueRefs.current[idx] = element;
+                }}
+              />
+              <span className="markov-histogram__target-value">{(data.stationary[idx] * 100).toFixed(1)}%</span>
+            </li>
+          ))}
+        </ol>
+        <span className="scene-hud__readout" ref={summaryRef} />
+      </SceneHud>
+    </group>
+  );
+}
+
+export function MarkovStudio({ parameters = MARKOV_CHAIN_CONFIG }) {
+  return <MarkovChainScene config={parameters} />;
+}
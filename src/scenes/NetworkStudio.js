@@ -0,0 +1,507 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
+import { Grid, Html, useCursor } from '@react-three/drei';
+import * as THREE from 'three';
+import {
+  NETWORK_SCENE_SETTINGS,
+  analyseGraph,
+  createAdjacencyList,
+  createImportedNetworkData,
+  createNetworkData,
+  findShortestPath,
+  parseGraphText,
+  withCommunityColors,
+} from './graph';
+
+// world-space pick radius around each point, roughly the rendered point size
+const NETWORK_PICK_THRESHOLD = 0.35;
+
+const NETWORK_EMPTY_SELECTION = { selected: null, pathStart: null, pathEnd: null };
+
+// Louvain and Brandes betweenness are too slow for the main thread, so each request gets its own
+// analysis worker; `cancel` terminates it once the answer is no longer wanted.
+function runGraphAnalysis(request) {
+  if (typeof Worker === 'undefined') {
+    return { result: Promise.resolve().then(() => analyseGraph(request)), cancel: () => {} };
+  }
+  let worker = null;
+  let cancelled = false;
+  const result = import('./networkWorkers').then(
+    ({ createGraphAnalysisWorker }) =>
+      new Promise((resolve, reject) => {
+        if (cancelled) return;
+        worker = createGraphAnalysisWorker();
+        worker.onmessage = (event) => {
+          worker.terminate();
+          resolve(event.data);
+        };
+        worker.onerror = (event) => {
+          worker.terminate();
+          reject(new Error(event.message || 'Graph analysis failed.'));
+        };
+        worker.postMessage(request);
+      })
+  );
+  return {
+    result,
+    cancel: () => {
+      cancelled = true;
+      worker?.terminate();
+    },
+  };
+}
+
+function NetworkGraph({ data, settings }) {
+  const pointsRef = useRef();
+  const linesRef = useRef();
+  const groupRef = useRef();
+  const highlightRef = useRef();
+  const selectedRef = useRef();
+  const pathStartRef = useRef();
+  const animatedPositions = useMemo(() => data.basePositions.slice(), [data.basePositions]);
+  const linePositions = useMemo(() => new Float32Array(data.edges.length * 3), [data.edges]);
+  const dataRef = useRef({ data, settings });
+  const raycaster = useThree((state) => state.raycaster);
+  const nodeCount = data.basePositions.length / 3;
+  const adjacency = useMemo(() => createAdjacencyList(nodeCount, data.edges), [nodeCount, data.edges]);
+  const [hovered, setHovered] = useState(null);
+  const [selection, setSelection] = useState(NETWORK_EMPTY_SELECTION);
+  const [metrics, setMetrics] = useState(null);
+  // betweenness is O(VE), so wait until someone actually asks for it
+  const wantsMetrics = selection.selected !== null && metrics === null;
+  const path = useMemo(
+    () =>
+      selection.pathStart !== null && selection.pathEnd !== null
+        ? findShortestPath(adjacency, selection.pathStart, selection.pathEnd)
+        : null,
+    [adjacency, selection.pathStart, selection.pathEnd]
+  );
+  const highlight = useMemo(() => {
+    const maxDegree = adjacency.reduce((max, neighbours) => Math.max(max, neighbours.length), 0);
+    return {
+      positions: new Float32Array((maxDegree + nodeCount) * 6),
+      colors: new Float32Array((maxDegree + nodeCount) * 6),
+    };
+  }, [adjacency, nodeCount]);
+  const hoverColor = useMemo(() => new THREE.Color('#e0f2fe'), []);
+  const pathColor = useMemo(() => new THREE.Color('#fbbf24'), []);
+  const nodeLabel = (index) => data.labels?.[index] ?? `Node ${index + 1}`;
+
+  useCursor(hovered !== null);
+
+  useEffect(() => {
+    setHovered(null);
+    setSelection(NETWORK_EMPTY_SELECTION);
+  }, [data, settings.pathMode]);
+
+  useEffect(() => {
+    setMetrics(null);
+  }, [data]);
+
+  useEffect(() => {
+    if (!wantsMetrics) return undefined;
+    let active = true;
+    const analysis = runGraphAnalysis({ type: 'metrics', nodeCount, edges: data.edges });
+    analysis.result
+      .then((result) => {
+        if (active) setMetrics(result);
+      })
+      .catch((error) => {
+        if (active) setMetrics({ error: error.message });
+      });
+    return () => {
+      active = false;
+      analysis.cancel();
+    };
+  }, [wantsMetrics, nodeCount, data.edges]);
+
+  useEffect(() => {
+    const previous = raycaster.params.Points.threshold;
+    raycaster.params.Points.threshold = NETWORK_PICK_THRESHOLD;
+    return () => {
+      raycaster.params.Points.threshold = previous;
+    };
+  }, [raycaster]);
+
+  useEffect(() => {
+    dataRef.current = { data, settings };
+  }, [data, settings]);
+
+  useEffect(() => {
+    if (!pointsRef.current || !linesRef.current) return;
+    const pointPositionAttr = pointsRef.current.geometry.attributes.position;
+    if (pointPositionAttr) {
+      pointPositionAttr.usage = THREE.DynamicDrawUsage;
+    }
+    const linePositionAttr = linesRef.current.geometry.attributes.position;
+    if (linePositionAttr) {
+      linePositionAttr.usage = THREE.DynamicDrawUsage;
+    }
+  }, [animatedPositions, linePositions]);
+
+  useFrame(({ clock }) => {
+    const { data: currentData, settings: currentSettings } = dataRef.current;
+    const t = clock.getElapsedTime();
+    const nodeCount = currentData.basePositions.length / 3;
+    const pulse = currentSettings.pulseStrength;
+
+    if (groupRef.current) {
+      groupRef.current.rotation.y = t * currentSettings.spin;
+    }
+
+    for (let i = 0; i < nodeCount; i += 1) {
+      const idx = i * 3;
+      const baseX = currentData.basePositions[idx];
+      const baseY = currentData.basePositions[idx + 1];
+      const baseZ = currentData.basePositions[idx + 2];
+      const phase = currentData.modulations[i];
+      const wobble = Math.sin(t * 0.9 + phase) * pulse;
+      const radial = Math.sin(t * 0.4 + i * 0.07) * pulse * 0.6;
+
+      animatedPositions[idx] = baseX + wobble * 0.6 + radial * baseX * 0.03;
+      animatedPositions[idx + 1] = baseY + wobble;
+      animatedPositions[idx + 2] = baseZ + wobble * 0.6 + radial * baseZ * 0.03;
+    }
+
+    if (pointsRef.current) {
+      const attr = pointsRef.current.geometry.attributes.position;
+      attr.needsUpdate = true;
+    }
+
+    let lpIndex = 0;
+    for (let e = 0; e < currentData.edges.length; e += 2) {
+      const a = currentData.edges[e];
+      const b = currentData.edges[e + 1];
+      const aIdx = a * 3;
+      const bIdx = b * 3;
+      linePositions[lpIndex] = animatedPositions[aIdx];
+      linePositions[lpIndex + 1] = animatedPositions[aIdx + 1];
+      linePositions[lpIndex + 2] = animatedPositions[aIdx + 2];
+      linePositions[lpIndex + 3] = animatedPositions[bIdx];
+      linePositions[lpIndex + 4] = animatedPositions[bIdx + 1];
+      linePositions[lpIndex + 5] = animatedPositions[bIdx + 2];
+      lpIndex += 6;
+    }
+
+    if (linesRef.current) {
+      const attr = linesRef.current.geometry.attributes.position;
+      attr.needsUpdate = true;
+    }
+
+    if (pointsRef.current) {
+      // positions move every frame, so keep the bounds current for picking
+      pointsRef.current.geometry.computeBoundingSphere();
+    }
+
+    if (highlightRef.current) {
+      let count = 0;
+      const writeEdge = (edge, color) => {
+        for (let end = 0; end < 2; end += 1) {
+          const source = currentData.edges[edge * 2 + end] * 3;
+          const target = (count * 2 + end) * 3;
+          highlight.positions[target] = animatedPositions[source];
+          highlight.positions[target + 1] = animatedPositions[source + 1];
+          highlight.positions[target + 2] = animatedPositions[source + 2];
+          highlight.colors[target] = color.r;
+          highlight.colors[target + 1] = color.g;
+          highlight.colors[target + 2] = color.b;
+        }
+        count += 1;
+      };
+      if (hovered !== null) {
+        adjacency[hovered]?.forEach(({ edge }) => writeEdge(edge, hoverColor));
+      }
+      path?.edges.forEach((edge) => writeEdge(edge, pathColor));
+      const { geometry } = highlightRef.current;
+      geometry.setDrawRange(0, count * 2);
+      geometry.attributes.position.needsUpdate = true;
+      geometry.attributes.color.needsUpdate = true;
+    }
+
+    [
+      [selectedRef, selection.selected],
+      [pathStartRef, selection.pathEnd !== null ? selection.pathStart : null],
+    ].forEach(([ref, index]) => {
+      if (!ref.current || index === null) return;
+      ref.current.position.set(
+        animatedPositions[index * 3],
+        animatedPositions[index * 3 + 1],
+        animatedPositions[index * 3 + 2]
+      );
+    });
+  });
+
+  const handleClick = (event) => {
+    event.stopPropagation();
+    const { index } = event;
+    if (index === undefined) return;
+    setSelection((current) => {
+      if (!settings.pathMode) return { selected: index, pathStart: null, pathEnd: null };
+      // first click picks the start, the second the end, a third starts over
+      if (current.pathStart === null || current.pathEnd !== null) {
+        return { selected: index, pathStart: index, pathEnd: null };
+      }
+      return { selected: index, pathStart: current.pathStart, pathEnd: index };
+    });
+  };
+
+  const selected = selection.selected;
+  const metricValue = (key, digits) => {
+    if (metrics?.error) return 'n/a';
+    if (!metrics) return '…';
+    return digits === undefined ? metrics[key][selected] : metrics[key][selected].toFixed(digits);
+  };
+
+  return (
+    <group ref={groupRef}>
+      <points
+        ref={pointsRef}
+        onPointerMove={(event) => {
+          event.stopPropagation();
+          setHovered(event.index ?? null);
+        }}
+        onPointerOut={() => setHovered(null)}
+        onClick={handleClick}
+      >
+        <bufferGeometry>
+          <bufferAttribute attach="attributes-position" args={[animatedPositions, 3]} />
+          <bufferAttribute attach="attributes-color" args={[data.colors, 3]} />
+        </bufferGeometry>
+        <pointsMaterial
+          size={0.26}
+          vertexColors
+          transparent
+          opacity={0.95}
+          sizeAttenuation
+          depthWrite={false}
+        />
+      </points>
+      <lineSegments ref={linesRef}>
+        <bufferGeometry>
+          <bufferAttribute attach="attributes-position" args={[linePositions, 3]} />
+        </bufferGeometry>
+        <lineBasicMaterial color="#38bdf8" transparent opacity={0.42} />
+      </lineSegments>
+      <lineSegments ref={highlightRef} key={`highlight-${highlight.positions.length}`} frustumCulled={false}>
+        <bufferGeometry>
+          <bufferAttribute attach="attributes-position" args={[highlight.positions, 3]} />
+          <bufferAttribute attach="attributes-color" args={[highlight.colors, 3]} />
+        </bufferGeometry>
+        <lineBasicMaterial vertexColors transparent opacity={0.95} depthTest={false} />
+      </lineSegments>
+      {selection.pathStart !== null && selection.pathEnd !== null ? (
+        <mesh ref={pathStartRef}>
+          <sphereGeometry args={[0.32, 16, 16]} />
+          <meshBasicMaterial color="#fbbf24" transparent opacity={0.85} />
+        </mesh>
+      ) : null}
+      {selected !== null ? (
+        <group ref={selectedRef}>
+          <mesh>
+            <sphereGeometry args={[0.32, 16, 16]} />
+            <meshBasicMaterial color={settings.pathMode ? '#fbbf24' : '#e0f2fe'} transparent opacity={0.85} />
+          </mesh>
+          <Html zIndexRange={[2, 0]}>
+            <div className="network-tooltip" role="dialog" aria-label={`${nodeLabel(selected)} metrics`}>
+              <div className="network-tooltip__header">
+                <span className="network-tooltip__title">{nodeLabel(selected)}</span>
+                <button
+                  type="button"
+                  className="network-tooltip__close"
+                  aria-label="Close"
+                  onClick={() => setSelection(NETWORK_EMPTY_SELECTION)}
+                >
+                  ×
+                </button>
+              </div>
+              <dl className="scene-hud__stats">
+                <div>
+                  <dt>Degree</dt>
+                  <dd>{metricValue('degree')}</dd>
+                </div>
+                <div>
+                  <dt>Betweenness</dt>
+                  <dd>{metricValue('betweenness', 4)}</dd>
+                </div>
+                <div>
+                  <dt>Clustering</dt>
+                  <dd>{metricValue('clustering', 3)}</dd>
+                </div>
+              </dl>
+              {settings.pathMode ? (
+                <p className="network-tooltip__note">
+                  {selection.pathEnd === null
+                    ? 'Click another node to trace the shortest path.'
+                    : path
+                      ? `${path.edges.length} ${path.edges.length === 1 ? 'hop' : 'hops'} from ${nodeLabel(
+                          selection.pathStart
+                        )}`
+                      : `No path from ${nodeLabel(selection.pathStart)}.`}
+                </p>
+              ) : null}
+            </div>
+          </Html>
+        </group>
+      ) : null}
+    </group>
+  );
+}
+
+export function NetworkStudio({ variant = 'default', parameters = null, graph = null }) {
+  const settings = parameters ?? NETWORK_SCENE_SETTINGS[variant] ?? NETWORK_SCENE_SETTINGS.default;
+  const baseData = useMemo(
+    () =>
+      graph
+        ? createImportedNetworkData(graph, settings.radius)
+        : createNetworkData({
+            nodeCount: settings.nodeCount,
+            radius: settings.radius,
+            linkPerNode: settings.linkPerNode,
+          }),
+    [graph, settings.nodeCount, settings.radius, settings.linkPerNode]
+  );
+  // Imported graphs arrive with their communities; the synthetic one asks the analysis worker
+  // whenever its edges change and keeps the planted cluster colours until the answer arrives.
+  const [synthetic, setSynthetic] = useState(null);
+  useEffect(() => {
+    if (graph) return undefined;
+    const analysis = runGraphAnalysis({
+      type: 'communities',
+      nodeCount: baseData.basePositions.length / 3,
+      edges: baseData.edges,
+    });
+    analysis.result
+      .then(({ communities }) => setSynthetic({ edges: baseData.edges, communities }))
+      .catch(() => setSynthetic(null));
+    return analysis.cancel;
+  }, [graph, baseData]);
+  const data = useMemo(
+    () =>
+      !graph && synthetic?.edges === baseData.edges ? withCommunityColors(baseData, synthetic.communities) : baseData,
+    [graph, baseData, synthetic]
+  );
+
+  useEffect(() => {
+    if (!graph || typeof Worker === 'undefined') return undefined;
+    let worker = null;
+    let cancelled = false;
+    import('./networkWorkers').then(({ createForceLayoutWorker }) => {
+      if (cancelled) return;
+      worker = createForceLayoutWorker();
+      worker.onmessage = (event) => {
+        if (event.data.type === 'tick') {
+          data.basePositions.set(event.data.positions);
+        }
+      };
+      worker.postMessage({
+        type: 'start',
+        nodeCount: graph.labels.length,
+        edges: graph.edges,
+        weights: graph.weights,
+        radius: settings.radius,
+      });
+    });
+    return () => {
+      cancelled = true;
+      worker?.terminate();
+    };
+  }, [data, graph, settings.radius]);
+
+  return (
+    <group position={[0, -9, 0]}>
+      <Grid
+        renderOrder={-1}
+        position={[0, -0.6, 0]}
+        infiniteGrid
+        cellSize={1}
+        cellThickness={0.35}
+        sectionSize={3}
+        sectionThickness={1}
+        sectionColor={[0.2, 0.5, 0.9]}
+        fadeDistance={60}
+        fadeStrength={0.3}
+      />
+      <NetworkGraph data={data} settings={settings} />
+    </group>
+  );
+}
+
+export function NetworkGraphPanel({ graph, onGraphChange }) {
+  const [status, setStatus] = useState({ tone: 'idle', message: '' });
+  const analysisRef = useRef(null);
+
+  useEffect(() => () => analysisRef.current?.cancel(), []);
+
+  const handleFileChange = (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    analysisRef.current?.cancel();
+    file
+      .text()
+      .then((text) => {
+        const parsed = parseGraphText(text, file.name);
+        const analysis = runGraphAnalysis({
+          type: 'communities',
+          nodeCount: parsed.labels.length,
+          edges: parsed.edges,
+          weights: parsed.weights,
+        });
+        analysisRef.current = analysis;
+        setStatus({ tone: 'idle', message: `Finding communities in ${file.name}…` });
+        return analysis.result.then(({ communities, count, modularity }) => {
+          if (analysisRef.current !== analysis) return;
+          analysisRef.current = null;
+          onGraphChange({ ...parsed, communities, communityCount: count, modularity });
+          setStatus({ tone: 'ok', message: `Loaded ${file.name}` });
+        });
+      })
+      .catch((error) => setStatus({ tone: 'error', message: error.message }));
+  };
+
+  return (
+    <section className="scene-panel__section" aria-label="Network graph">
+      <span className="scene-panel__subtitle">Graph</span>
+      <p className="scene-panel__meta">
+        {graph
+          ? `${graph.name} · ${graph.labels.length} nodes × ${graph.edges.length / 2} edges`
+          : 'Synthetic clusters · node and link controls shape this graph'}
+      </p>
+      {graph ? (
+        <p className="scene-panel__meta">
+          Louvain found {graph.communityCount} communities (Q = {graph.modularity.toFixed(3)})
+        </p>
+      ) : null}
+      <div className="scene-panel__actions">
+        <label className="scene-panel__button">
+          Upload CSV / GraphML / JSON
+          <input
+            type="file"
+            accept=".csv,.tsv,.txt,.graphml,.xml,.json,text/csv,application/json,application/xml"
+            onChange={handleFileChange}
+            hidden
+          />
+        </label>
+        {graph ? (
+          <button
+            type="button"
+            className="scene-panel__button"
+            onClick={() => {
+              analysisRef.current?.cancel();
+              analysisRef.current = null;
+              onGraphChange(null);
+              setStatus({ tone: 'idle', message: '' });
+            }}
+          >
+            Synthetic
+          </button>
+        ) : null}
+      </div>
+      {status.message ? (
+        <p className={`scene-panel__status scene-panel__status--${status.tone}`} role="status">
+          {status.message}
+        </p>
+      ) : null}
+    </section>
+  );
+}
@@ -0,0 +1,402 @@
+import { useEffect, useMemo, useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { Grid, Html } from '@react-three/drei';
+import * as THREE from 'three';
+import { mulberry32 } from '../random';
+import { SceneHud } from './SceneHud';
+import {
+  NEURAL_BOUNDARY,
+  NEURAL_CLASS_COLORS,
+  NEURAL_DATASETS,
+  NEURAL_DEFAULT_LAYERS,
+  NEURAL_SCENE_SETTINGS,
+  NEURAL_TRAINING,
+  buildNeuralStructure,
+  createMLP,
+  createNeuralDataset,
+  createNeuralGraph,
+  evaluateMLP,
+  forwardMLP,
+  normalizeNeuralLayers,
+  serializeNeuralLayers,
+  signedActivation,
+  trainMLPEpoch,
+} from './neural';
+
+function NeuralNetworkGraph({ structure, training, settings = NEURAL_SCENE_SETTINGS }) {
+  const { layers, connections, offsets, totalNodes } = useMemo(
+    () => createNeuralGraph(structure, settings.nodeSpacing),
+    [structure, settings.nodeSpacing]
+  );
+  const nodesRef = useRef([]);
+  const edgeMeshRef = useRef();
+  const edgeGeometry = useMemo(() => new THREE.CylinderGeometry(1, 1, 1, 6, 1, true), []);
+  const edgeMaterial = useMemo(
+    () => new THREE.MeshBasicMaterial({ color: '#ffffff', transparent: true, opacity: 0.9 }),
+    []
+  );
+  const pulseProgress = useMemo(() => connections.map(() => Math.random()), [connections]);
+  const pulseSpeed = useMemo(() => connections.map(() => 0.25 + Math.random() * 0.35), [connections]);
+  const pulseMeshRef = useRef();
+  const pulseMatrix = useMemo(() => new THREE.Object3D(), []);
+  const pulseGeometry = useMemo(() => new THREE.SphereGeometry(0.25, 16, 16), []);
+  const pulseMaterial = useMemo(
+    () =>
+      new THREE.MeshStandardMaterial({
+        color: '#88dbffff',
+        emissive: '#fcff4aff',
+        emissiveIntensity: 1.4,
+        roughness: 0.25,
+        metalness: 0.1,
+        transparent: true,
+        opacity: 0.85,
+        vertexColors: true,
+      }),
+    []
+  );
+  const edgeMatrix = useMemo(() => new THREE.Object3D(), []);
+  const positiveColor = useMemo(() => new THREE.Color(NEURAL_CLASS_COLORS[1]), []);
+  const negativeColor = useMemo(() => new THREE.Color(NEURAL_CLASS_COLORS[0]), []);
+  const neutralColor = useMemo(() => new THREE.Color('#334155'), []);
+  const nodeColor = useMemo(() => new THREE.Color('#f8fafc'), []);
+  const droppedColor = useMemo(() => new THREE.Color('#475569'), []);
+  const scratchColor = useMemo(() => new THREE.Color(), []);
+
+  useEffect(() => () => edgeGeometry.dispose(), [edgeGeometry]);
+
+  const signColor = (signed, target) =>
+    target.copy(neutralColor).lerp(signed >= 0 ? positiveColor : negativeColor, Math.min(Math.abs(signed), 1));
+
+  useFrame((_, delta) => {
+    const { model, probe } = training;
+    const up = THREE.Object3D.DEFAULT_UP;
+    const isDropped = (layerIdx, nodeIdx) => probe.masks[layerIdx]?.[nodeIdx] === 0;
+
+    if (edgeMeshRef.current) {
+      connections.forEach((connection, index) => {
+        const weight = model.layers[connection.layerIndex]?.weights[connection.weightIndex] ?? 0;
+        const strength = Math.min(Math.abs(weight) / 3, 1);
+        edgeMatrix.position.copy(connection.from).addScaledVector(connection.direction, connection.length / 2);
+        edgeMatrix.quaternion.setFromUnitVectors(up, connection.direction);
+        const dropped =
+          isDropped(connection.layerIndex, connection.sourceIndex) ||
+          isDropped(connection.layerIndex + 1, connection.targetIndex);
+        const radius = dropped ? 0.015 : 0.02 + 0.1 * strength;
+        edgeMatrix.scale.set(radius, connection.length, radius);
+        edgeMatrix.updateMatrix();
+        edgeMeshRef.current.setMatrixAt(index, edgeMatrix.matrix);
+        edgeMeshRef.current.setColorAt(
+          index,
+          dropped ? scratchColor.copy(neutralColor) : signColor(Math.sign(weight) * (0.25 + 0.75 * strength), scratchColor)
+        );
+      });
+      edgeMeshRef.current.instanceMatrix.needsUpdate = true;
+      if (edgeMeshRef.current.instanceColor) {
+        edgeMeshRef.current.instanceColor.needsUpdate = true;
+      }
+    }
+
+    layers.forEach((layer, layerIdx) => {
+      const activation = layer.activation ?? 'linear';
+      layer.nodes.forEach((_, nodeIdx) => {
+        const mesh = nodesRef.current[offsets[layerIdx] + nodeIdx];
+        if (!mesh) return;
+        const dropped = isDropped(layerIdx, nodeIdx);
+        const signed = dropped ? 0 : signedActivation(probe.activations[layerIdx]?.[nodeIdx] ?? 0, activation);
+        const target = dropped ? 0.8 : 1 + 0.25 * Math.abs(signed);
+        mesh.scale.setScalar(THREE.MathUtils.lerp(mesh.scale.x, target, 0.15));
+        mesh.material.emissiveIntensity = THREE.MathUtils.lerp(
+          mesh.material.emissiveIntensity,
+          dropped ? 0.05 : 0.25 + 1.6 * Math.abs(signed),
+          0.15
+        );
+        mesh.material.emissive.lerp(signColor(signed, scratchColor), 0.15);
+        mesh.material.color.lerp(dropped ? droppedColor : nodeColor, 0.15);
+      });
+    });
+
+    if (pulseMeshRef.current && settings.showPulses) {
+      connections.forEach((connection, index) => {
+        pulseProgress[index] += pulseSpeed[index] * settings.pulseSpeed * delta;
+        if (pulseProgress[index] > 1) {
+          pulseProgress[index] -= 1;
+        }
+        // each pulse carries the signal a·w travelling along its edge for the current probe sample
+        const weight = model.layers[connection.layerIndex]?.weights[connection.weightIndex] ?? 0;
+        const signal = isDropped(connection.layerIndex + 1, connection.targetIndex)
+          ? 0
+          : (probe.activations[connection.layerIndex]?.[connection.sourceIndex] ?? 0) * weight;
+        const position = connection.from.clone().addScaledVector(connection.direction, connection.length * pulseProgress[index]);
+        pulseMatrix.position.copy(position);
+        pulseMatrix.scale.setScalar(0.15 + 0.6 * Math.min(Math.abs(signal) / 2, 1));
+        pulseMatrix.updateMatrix();
+        pulseMeshRef.current.setMatrixAt(index, pulseMatrix.matrix);
+        pulseMeshRef.current.setColorAt(index, signColor(Math.tanh(signal), scratchColor));
+      });
+      pulseMeshRef.current.instanceMatrix.needsUpdate = true;
+      if (pulseMeshRef.current.instanceColor) {
+        pulseMeshRef.current.instanceColor.needsUpdate = true;
+      }
+    }
+  });
+
+  return (
+    <group>
+      <instancedMesh key={`edges-${connections.length}`} ref={edgeMeshRef} args={[edgeGeometry, edgeMaterial, connections.length]} />
+      <instancedMesh
+        key={`pulses-${connections.length}`}
+        ref={pulseMeshRef}
+        args={[pulseGeometry, pulseMaterial, connections.length]}
+        visible={settings.showPulses}
+      />
+      {layers.map((layer, layerIdx) => (
+        <group key={layer.id}>
+          {layer.nodes.map((node, nodeIdx) => (
+            <mesh
+              key={`${layer.id}-${nodeIdx}`}
+              position={node.position}
+              ref={(instance) => {
+                // trimmed here, not in an effect: effects run after these callbacks and would wipe them
+                nodesRef.current.length = totalNodes;
+                nodesRef.current[offsets[layerIdx] + nodeIdx] = instance;
+              }}
+            >
+              <sphereGeometry args={[layer.radius ?? 0.4, 24, 24]} />
+              <meshStandardMaterial
+                color="#f8fafc"
+                emissive="#38bdf8"
+                emissiveIntensity={0.6}
+                roughness={0.35}
+                metalness={0.1}
+              />
+            </mesh>
+          ))}
+          {layer.labels ? (
+            layer.labels.map((label, labelIdx) => {
+              const node = layer.nodes[labelIdx] ?? layer.nodes[0];
+              const labelOffset = (layer.radius ?? 0.4) * 2.1;
+              return (
+                <Html key={`${layer.id}-label-${labelIdx}`} position={node.position.clone().add(new THREE.Vector3(0, -labelOffset, 0))}>
+                  <div
+                    style={{
+                      padding: '4px 8px',
+                      borderRadius: '999px',
+                      background: 'rgba(15,23,42,0.75)',
+                      border: '1px solid rgba(148,163,184,0.4)',
+                      color: '#e2e8f0',
+                      fontSize: '0.7rem',
+                      letterSpacing: '0.12em',
+                      textTransform: 'uppercase',
+                    }}
+                  >
+                    {label}
+                  </div>
+                </Html>
+              );
+            })
+          ) : null}
+        </group>
+      ))}
+    </group>
+  );
+}
+
+function neuralFloorPosition(x, y, lift = 0) {
+  const half = NEURAL_BOUNDARY.size / 2;
+  return [x * half, NEURAL_BOUNDARY.height + lift, NEURAL_BOUNDARY.centerZ - y * half];
+}
+
+function paintDecisionBoundary(texture, model) {
+  const { resolution } = NEURAL_BOUNDARY;
+  const { data } = texture.image;
+  const [low, high] = NEURAL_CLASS_COLORS.map((hex) => new THREE.Color(hex));
+  const color = new THREE.Color();
+
+  for (let j = 0; j < resolution; j += 1) {
+    const y = ((j + 0.5) / resolution) * 2 - 1;
+    for (let i = 0; i < resolution; i += 1) {
+      const x = ((i + 0.5) / resolution) * 2 - 1;
+      const p = forwardMLP(model, x, y);
+      color.copy(low).lerp(high, THREE.MathUtils.clamp(p, 0, 1));
+      const idx = (j * resolution + i) * 4;
+      data[idx] = Math.round(color.r * 255);
+      data[idx + 1] = Math.round(color.g * 255);
+      data[idx + 2] = Math.round(color.b * 255);
+      data[idx + 3] = Math.round(60 + 130 * Math.min(Math.abs(p * 2 - 1), 1));
+    }
+  }
+  texture.needsUpdate = true;
+}
+
+function DecisionBoundary({ training, visible }) {
+  const { resolution, size, refreshInterval } = NEURAL_BOUNDARY;
+  const texture = useMemo(() => {
+    const map = new THREE.DataTexture(new Uint8Array(resolution * resolution * 4), resolution, resolution);
+    map.colorSpace = THREE.SRGBColorSpace;
+    map.magFilter = THREE.LinearFilter;
+    map.minFilter = THREE.LinearFilter;
+    return map;
+  }, [resolution]);
+  const sinceRefresh = useRef(Infinity);
+  const pointsRef = useRef();
+  const probeRef = useRef();
+  const pointMatrix = useMemo(() => new THREE.Object3D(), []);
+  const pointColor = useMemo(() => new THREE.Color(), []);
+  const { samples } = training;
+
+  useEffect(() => () => texture.dispose(), [texture]);
+
+  useEffect(() => {
+    sinceRefresh.current = Infinity;
+    if (!pointsRef.current) return;
+    samples.forEach(({ x, y, label }, index) => {
+      pointMatrix.position.set(...neuralFloorPosition(x, y, 0.12));
+      pointMatrix.updateMatrix();
+      pointsRef.current.setMatrixAt(index, pointMatrix.matrix);
+      pointsRef.current.setColorAt(index, pointColor.set(NEURAL_CLASS_COLORS[label]));
+    });
+    pointsRef.current.instanceMatrix.needsUpdate = true;
+    if (pointsRef.current.instanceColor) {
+      pointsRef.current.instanceColor.needsUpdate = true;
+    }
+  }, [samples, pointMatrix, pointColor]);
+
+  useFrame((_, delta) => {
+    const sample = samples[training.probe.index];
+    if (probeRef.current && sample) {
+      probeRef.current.position.set(...neuralFloorPosition(sample.x, sample.y, 0.14));
+    }
+    if (!visible) return;
+    sinceRefresh.current += delta;
+    if (sinceRefresh.current < refreshInterval) return;
+    sinceRefresh.current = 0;
+    paintDecisionBoundary(texture, training.model);
+  });
+
+  return (
+    <group>
+      <mesh rotation={[-Math.PI / 2, 0, 0]} position={neuralFloorPosition(0, 0)} visible={visible}>
+        <planeGeometry args={[size, size]} />
+        <meshBasicMaterial map={texture} transparent depthWrite={false} side={THREE.DoubleSide} />
+      </mesh>
+      <instancedMesh key={`samples-${samples.length}`} ref={pointsRef} args={[null, null, samples.length]}>
+        <sphereGeometry args={[0.13, 10, 10]} />
+        <meshStandardMaterial roughness={0.4} metalness={0.1} />
+      </instancedMesh>
+      <mesh ref={probeRef} rotation={[-Math.PI / 2, 0, 0]}>
+        <torusGeometry args={[0.34, 0.05, 8, 32]} />
+        <meshBasicMaterial color="#fde68a" />
+      </mesh>
+    </group>
+  );
+}
+
+export function NeuralNetworkStudio({ parameters = NEURAL_SCENE_SETTINGS }) {
+  const { dataset, noise } = parameters;
+  // parameters are rebuilt on every URL change, so key the topology on its serialised form
+  const layersKey = serializeNeuralLayers(parameters.layers ?? NEURAL_DEFAULT_LAYERS);
+  const structure = useMemo(() => buildNeuralStructure(normalizeNeuralLayers(layersKey)), [layersKey]);
+  const training = useMemo(() => {
+    const rng = mulberry32(NEURAL_TRAINING.seed);
+    const model = createMLP(structure, rng);
+    return {
+      rng,
+      model,
+      samples: createNeuralDataset(dataset, NEURAL_TRAINING.sampleCount, noise),
+      epochBudget: 0,
+      probe: {
+        index: 0,
+        elapsed: 0,
+        activations: model.sizes.map((count) => new Float64Array(count)),
+        masks: model.masks.map((mask) => mask && Float64Array.from(mask)),
+        prediction: 0.5,
+      },
+    };
+  }, [structure, dataset, noise]);
+  const hudRefs = {
+    epoch: useRef(),
+    loss: useRef(),
+    accuracy: useRef(),
+    probe: useRef(),
+  };
+
+  useFrame((_, delta) => {
+    const { model, samples, probe } = training;
+    const step = Math.min(delta, 0.1);
+
+    training.epochBudget += step * parameters.trainingSpeed;
+    let trained = false;
+    while (training.epochBudget >= 1) {
+      training.epochBudget -= 1;
+      trainMLPEpoch(model, samples, parameters.learningRate, training.rng);
+      trained = true;
+    }
+    if (trained || Number.isNaN(model.loss)) {
+      Object.assign(model, evaluateMLP(model, samples));
+    }
+
+    probe.elapsed += step;
+    if (probe.elapsed > NEURAL_TRAINING.probeInterval) {
+      probe.elapsed = 0;
+      probe.index = (probe.index + 1 + Math.floor(training.rng() * 7)) % samples.length;
+      // snapshot the dropout pattern from the latest training step so greyed nodes hold still
+      model.masks.forEach((mask, layerIdx) => mask && probe.masks[layerIdx].set(mask));
+    }
+    const sample = samples[probe.index];
+    probe.prediction = forwardMLP(model, sample.x, sample.y);
+    model.activations.forEach((values, layerIdx) => probe.activations[layerIdx].set(values));
+
+    if (hudRefs.epoch.current) hudRefs.epoch.current.textContent = `${model.epoch}`;
+    if (hudRefs.loss.current) hudRefs.loss.current.textContent = model.loss.toFixed(4);
+    if (hudRefs.accuracy.current) {
+      hudRefs.accuracy.current.textContent = `${(model.accuracy * 100).toFixed(1)}%`;
+    }
+    if (hudRefs.probe.current) {
+      hudRefs.probe.current.textContent = `(${sample.x.toFixed(2)}, ${sample.y.toFixed(2)}) → ${probe.prediction.toFixed(
+        2
+      )} · class ${sample.label}`;
+    }
+  });
+
+  return (
+    <group position={[0, -9, 0]}>
+      <Grid
+        renderOrder={-1}
+        position={[0, -6.5, 0]}
+        infiniteGrid
+        cellSize={1}
+        cellThickness={0.45}
+        sectionSize={3}
+        sectionThickness={1}
+        sectionColor={[0.3, 0.45, 0.9]}
+        fadeDistance={60}
+      />
+      <DecisionBoundary training={training} visible={parameters.showBoundary} />
+      <NeuralNetworkGraph structure={structure} training={training} settings={parameters} />
+      <SceneHud>
+        <span className="scene-hud__title">
+          {NEURAL_DATASETS[dataset]?.label ?? dataset} ·{' '}
+          {structure.map((layer) => (layer.type === 'dropout' ? `${layer.count}d` : layer.count)).join('–')}
+        </span>
+        <dl className="scene-hud__stats">
+          <div>
+            <dt>Epoch</dt>
+            <dd ref={hudRefs.epoch} />
+          </div>
+          <div>
+            <dt>Loss</dt>
+            <dd ref={hudRefs.loss} />
+          </div>
+          <div>
+            <dt>Accuracy</dt>
+            <dd ref={hudRefs.accuracy} />
+          </div>
+          <div>
+            <dt>Probe</dt>
+            <dd ref={hudRefs.probe} />
+          </div>
+        </dl>
+      </SceneHud>
+    </group>
+  );
+}
@@ -0,0 +1,302 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { Grid } from '@react-three/drei';
+import * as THREE from 'three';
+import { AXIS_COLORS, AxisPair } from './axes';
+import { PCA_SCENE_SCALE, createPCAData, parseNumericDataset } from './pca';
+
+function PCAScatter({ data, mode }) {
+  const pointsRef = useRef();
+  const groupRef = useRef();
+  const animatedPositions = useMemo(() => data.basePositions.slice(), [data.basePositions]);
+  const pointCount = animatedPositions.length / 3;
+  const dataRef = useRef(data);
+  const modeRef = useRef(mode);
+
+  useEffect(() => {
+    dataRef.current = data;
+  }, [data]);
+
+  useEffect(() => {
+    modeRef.current = mode;
+  }, [mode]);
+
+  useEffect(() => {
+    if (!pointsRef.current) return;
+    const { position } = pointsRef.current.geometry.attributes;
+    if (position) {
+      position.usage = THREE.DynamicDrawUsage;
+    }
+    pointsRef.current.geometry.computeBoundingSphere();
+  }, [animatedPositions]);
+
+  useFrame(({ clock }) => {
+    const t = clock.getElapsedTime();
+    const currentMode = modeRef.current;
+    const currentData = dataRef.current;
+    const rotationSpeed = currentMode === 'network' ? 0.14 : currentMode === 'soft' ? 0.05 : 0.09;
+    if (groupRef.current) {
+      groupRef.current.rotation.y = t * rotationSpeed;
+    }
+    if (!pointsRef.current) return;
+
+    const wobbleStrength = currentMode === 'network' ? 0.24 : currentMode === 'soft' ? 0.16 : 0.2;
+    const secondaryStrength = currentMode === 'network' ? 0.16 : 0.12;
+
+    for (let i = 0; i < pointCount; i += 1) {
+      const idx = i * 3;
+      const baseX = currentData.basePositions[idx];
+      const baseY = currentData.basePositions[idx + 1];
+      const baseZ = currentData.basePositions[idx + 2];
+      const wobble = Math.sin(t * 0.6 + i * 0.035 + currentData.modulations[i]) * wobbleStrength;
+      const secondary = Math.cos(t * 0.45 + i * 0.021) * secondaryStrength;
+
+      const offsetX =
+        currentData.eigenvectors[1].x * wobble + currentData.eigenvectors[2].x * secondary;
+      const offsetY =
+        currentData.eigenvectors[1].y * wobble + currentData.eigenvectors[2].y * secondary;
+      const offsetZ =
+        currentData.eigenvectors[1].z * wobble + currentData.eigenvectors[2].z * secondary;
+
+      animatedPositions[idx] = baseX + offsetX;
+      animatedPositions[idx + 1] = baseY + offsetY;
+      animatedPositions[idx + 2] = baseZ + offsetZ;
+    }
+
+    const positionAttr = pointsRef.current.geometry.attributes.position;
+    positionAttr.needsUpdate = true;
+  });
+
+  return (
+    <group ref={groupRef}>
+      <points ref={pointsRef}>
+        <bufferGeometry>
+          <bufferAttribute attach="attributes-position" args={[animatedPositions, 3]} />
+          <bufferAttribute attach="attributes-color" args={[data.colors, 3]} />
+        </bufferGeometry>
+        <pointsMaterial
+          size={0.22}
+          vertexColors
+          transparent
+          opacity={0.94}
+          sizeAttenuation
+          depthWrite={false}
+        />
+      </points>
+    </group>
+  );
+}
+
+function PrincipalAxes({ eigenvectors, sigmas, explainedVariance = [], scale = PCA_SCENE_SCALE }) {
+  return (
+    <group>
+      {eigenvectors.map((vector, idx) => {
+        const color = AXIS_COLORS[idx % AXIS_COLORS.length];
+        const length = sigmas[idx] * scale.axis;
+        return (
+          <AxisPair
+            key={`axis-${idx}`}
+            vector={vector}
+            length={length}
+            color={color}
+            label={
+              explainedVariance[idx] != null
+                ? `PC${idx + 1} · ${Math.round(explainedVariance[idx] * 100)}%`
+                : `PC${idx + 1}`
+            }
+          />
+        );
+      })}
+    </group>
+  );
+}
+
+function PrincipalPlane({ eigenvectors, sigmas, mode, scale = PCA_SCENE_SCALE }) {
+  const planeRef = useRef();
+  const [primary, secondary] = eigenvectors;
+
+  useEffect(() => {
+    if (!planeRef.current) return;
+    const normal = new THREE.Vector3().crossVectors(primary, secondary).normalize();
+    const basis = new THREE.Matrix4().makeBasis(
+      primary.clone().normalize(),
+      secondary.clone().normalize(),
+      normal
+    );
+    const quaternion = new THREE.Quaternion().setFromRotationMatrix(basis);
+    planeRef.current.setRotationFromQuaternion(quaternion);
+    planeRef.current.scale.set(
+      sigmas[0] * scale.planePrimary,
+      sigmas[1] * scale.planeSecondary,
+      1
+    );
+  }, [primary, secondary, sigmas, scale.planePrimary, scale.planeSecondary]);
+
+  useFrame(({ clock }) => {
+    if (!planeRef.current) return;
+    const t = clock.getElapsedTime();
+    const baseOpacity = mode === 'soft' ? 0.26 : 0.34;
+    const variation = mode === 'network' ? 0.06 : 0.04;
+    planeRef.current.material.opacity = baseOpacity + variation * Math.sin(t * 0.6);
+  });
+
+  return (
+    <mesh ref={planeRef} position={[0, -0.15, 0]}>
+      <planeGeometry args={[1, 1, 16, 16]} />
+      <meshStandardMaterial
+        color="#0f172a"
+        transparent
+        opacity={0.32}
+        roughness={1}
+        metalness={0}
+        side={THREE.DoubleSide}
+      />
+    </mesh>
+  );
+}
+
+export function PCAStudio({ mode = 'default', analysis, parameters = PCA_SCENE_SCALE }) {
+  const varianceMultiplier = mode === 'network' ? 1.18 : mode === 'soft' ? 0.9 : 1;
+  const data = useMemo(
+    () => createPCAData(analysis, varianceMultiplier, parameters),
+    [analysis, varianceMultiplier, parameters]
+  );
+
+  return (
+    <group position={[0, -9, 0]}>
+      <Grid
+        renderOrder={-1}
+        position={[0, -0.4, 0]}
+        infiniteGrid
+        cellSize={1}
+        cellThickness={0.45}
+        sectionSize={3}
+        sectionThickness={1}
+        sectionColor={[0.35, 0.54, 0.78]}
+        fadeDistance={60}
+        fadeStrength={0.2}
+      />
+      <PCAScatter data={data} mode={mode} />
+      <PrincipalAxes
+        eigenvectors={data.eigenvectors}
+        sigmas={data.sigmas}
+        explainedVariance={data.summary.explainedVariance}
+        scale={parameters}
+      />
+      {parameters.showPlane !== false ? (
+        <PrincipalPlane
+          eigenvectors={data.eigenvectors}
+          sigmas={data.sigmas}
+          mode={mode}
+          scale={parameters}
+        />
+      ) : null}
+    </group>
+  );
+}
+
+export function PCADatasetPanel({ analysis, uploaded, onDatasetChange }) {
+  const [status, setStatus] = useState({ tone: 'idle', message: '' });
+  const summary = useMemo(() => {
+    const { dataset, pca } = analysis;
+    return {
+      name: dataset.name,
+      rowCount: dataset.rows.length,
+      columns: dataset.columns,
+      explainedVariance: pca.explainedVariance,
+      topLoadings: pca.components.slice(0, 3).map((component) => {
+        const strongest = component.reduce(
+          (best, weight, col) => (Math.abs(weight) > Math.abs(component[best]) ? col : best),
+          0
+        );
+        return { column: dataset.columns[strongest], weight: component[strongest] };
+      }),
+    };
+  }, [analysis]);
+
+  const loadText = (text, name) => {
+    try {
+      onDatasetChange(parseNumericDataset(text, name));
+      setStatus({ tone: 'ok', message: `Loaded ${name}` });
+    } catch (error) {
+      setStatus({ tone: 'error', message: error.message });
+    }
+  };
+
+  const handleFileChange = (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    file
+      .text()
+      .then((text) => loadText(text, file.name))
+      .catch((error) => setStatus({ tone: 'error', message: error.message }));
+  };
+
+  const handleLoadIris = () => {
+    fetch('/datasets/iris.csv')
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`Could not load the Iris sample (${response.status}).`);
+        }
+        return response.text();
+      })
+      .then((text) => loadText(text, 'Iris (Fisher, 1936)'))
+      .catch((error) => setStatus({ tone: 'error', message: error.message }));
+  };
+
+  return (
+    <section className="scene-panel__section" aria-label="PCA dataset">
+      <span className="scene-panel__subtitle">Dataset</span>
+      <p className="scene-panel__meta">
+        {summary.name} · {summary.rowCount} rows × {summary.columns.length} features
+      </p>
+      <div className="scene-panel__actions">
+        <label className="scene-panel__button">
+          Upload CSV / JSON
+          <input
+            type="file"
+            accept=".csv,.tsv,.txt,.json,text/csv,application/json"
+            onChange={handleFileChange}
+            hidden
+          />
+        </label>
+        <button type="button" className="scene-panel__button" onClick={handleLoadIris}>
+          Load Iris
+        </button>
+        {uploaded ? (
+          <button
+            type="button"
+            className="scene-panel__button"
+            onClick={() => {
+              onDatasetChange(null);
+              setStatus({ tone: 'idle', message: '' });
+            }}
+          >
+            Synthetic
+          </button>
+        ) : null}
+      </div>
+      <ol className="scene-panel__variance">
+        {summary.explainedVariance.slice(0, 3).map((ratio, idx) => (
+          <li key={`pc-${idx}`}>
+            <span className="scene-panel__variance-label">PC{idx + 1}</span>
+            <span className="scene-panel__variance-bar">
+              <span style={{ width: `${(ratio * 100).toFixed(1)}%` }} />
+            </span>
+            <span className="scene-panel__variance-value">{(ratio * 100).toFixed(1)}%</span>
+            <span className="scene-panel__variance-loading">
+              {summary.topLoadings[idx]?.weight < 0 ? '−' : '+'}
+              {summary.topLoadings[idx]?.column}
+            </span>
+          </li>
+        ))}
+      </ol>
+      {status.message ? (
+        <p className={`scene-panel__status scene-panel__status--${status.tone}`} role="status">
+          {status.message}
+        </p>
+      ) : null}
+    </section>
+  );
+}
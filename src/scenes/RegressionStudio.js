@@ -0,0 +1,278 @@
+import { useCallback, useEffect, useMemo, useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { Grid } from '@react-three/drei';
+import * as THREE from 'three';
+import { mulberry32 } from '../random';
+import { SceneHud } from './SceneHud';
+import {
+  REGRESSION_CONFIG,
+  createRegressionDataset,
+  evaluateRegression,
+  fitOrdinaryLeastSquares,
+  formatPlaneEquation,
+  gradientDescentStep,
+  regressionConfigFromParameters,
+  updateRegressionPlaneGeometry,
+} from './regression';
+
+function RegressionScene({ config = REGRESSION_CONFIG }) {
+  // keep the sampled points stable while only the fitting controls change
+  const { sampleCount, xRange, zRange, noiseSigma, gridResolution } = config;
+  const { a: planeA, b: planeB, c: planeC } = config.plane;
+  const data = useMemo(
+    () =>
+      createRegressionDataset({
+        sampleCount,
+        xRange,
+        zRange,
+        noiseSigma,
+        gridResolution,
+        plane: { a: planeA, b: planeB, c: planeC },
+      }),
+    [sampleCount, xRange, zRange, noiseSigma, gridResolution, planeA, planeB, planeC]
+  );
+  const olsFit = useMemo(() => fitOrdinaryLeastSquares(data.samples), [data.samples]);
+  const lineRef = useRef();
+  const residualColor = useMemo(() => new THREE.Color(), []);
+  const rngRef = useRef(mulberry32(0x51ed270b));
+  const fitRef = useRef(null);
+  const hudRefs = {
+    equation: useRef(),
+    loss: useRef(),
+    rSquared: useRef(),
+    iteration: useRef(),
+  };
+  const isDescent = config.fitMode === 'gradient';
+
+  const startFit = useCallback(() => {
+    const rng = rngRef.current;
+    fitRef.current = {
+      coefficients: isDescent
+        ? { a: THREE.MathUtils.lerp(-3, 3, rng()), b: THREE.MathUtils.lerp(-3, 3, rng()), c: THREE.MathUtils.lerp(-4, 8, rng()) }
+        : olsFit,
+      iteration: 0,
+      stepBudget: 0,
+      previousLoss: Infinity,
+      status: isDescent ? 'running' : 'solved',
+      holdTime: 0,
+    };
+  }, [isDescent, olsFit]);
+
+  useEffect(() => {
+    startFit();
+  }, [startFit]);
+
+  useFrame(({ clock }, delta) => {
+    if (!fitRef.current) startFit();
+    const fit = fitRef.current;
+
+    if (isDescent) {
+      if (fit.status === 'running') {
+        fit.stepBudget += delta * config.descentSpeed;
+        while (fit.stepBudget >= 1 && fit.status === 'running') {
+          fit.stepBudget -= 1;
+          fit.coefficients = gradientDescentStep(data.samples, fit.coefficients, config.learningRate);
+          fit.iteration += 1;
+          const { loss } = evaluateRegression(data.samples, fit.coefficients);
+          if (!Number.isFinite(loss) || loss > 1e12) {
+            fit.status = 'diverged';
+          } else if (Math.abs(fit.previousLoss - loss) < 1e-7 * Math.max(loss, 1)) {
+            fit.status = 'converged';
+          }
+          fit.previousLoss = loss;
+        }
+      } else {
+        fit.holdTime += delta;
+        if (fit.holdTime > 3) {
+          startFit();
+        }
+      }
+    }
+
+    const { coefficients } = fit;
+    const stable = fit.status !== 'diverged';
+    if (stable) {
+      updateRegressionPlaneGeometry(data.planeGeometry, coefficients);
+    }
+
+    data.samples.forEach(({ x, z, y }, i) => {
+      const prediction = stable ? coefficients.a * x + coefficients.b * z + coefficients.c : y;
+      const idx = i * 6;
+      data.residualPositions[idx] = x;
+      data.residualPositions[idx + 1] = prediction;
+      data.residualPositions[idx + 2] = z;
+      data.residualPositions[idx + 3] = x;
+      data.residualPositions[idx + 4] = y;
+      data.residualPositions[idx + 5] = z;
+      residualColor.set(y >= prediction ? '#f87171' : '#38bdf8');
+      for (let end = 0; end < 2; end += 1) {
+        data.residualColors[idx + end * 3] = residualColor.r;
+        data.residualColors[idx + end * 3 + 1] = residualColor.g;
+        data.residualColors[idx + end * 3 + 2] = residualColor.b;
+      }
+    });
+
+    if (lineRef.current) {
+      const { attributes } = lineRef.current.geometry;
+      attributes.position.needsUpdate = true;
+      attributes.color.needsUpdate = true;
+      const t = clock.getElapsedTime();
+      lineRef.current.material.opacity = 0.65 + 0.2 * Math.sin(t * 1.2);
+    }
+
+    const { loss, rSquared } = evaluateRegression(data.samples, coefficients);
+    if (hudRefs.equation.current) {
+      hudRefs.equation.current.textContent = stable
+        ? formatPlaneEquation(coefficients)
+        : 'diverged — lower the learning rate';
+    }
+    if (hudRefs.loss.current) {
+      hudRefs.loss.current.textContent = stable ? loss.toFixed(4) : '∞';
+    }
+    if (hudRefs.rSquared.current) {
+      hudRefs.rSquared.current.textContent = stable ? rSquared.toFixed(4) : '—';
+    }
+    if (hudRefs.iteration.current) {
+      hudRefs.iteration.current.textContent = `${fit.iteration}${fit.status === 'converged' ? ' ✓' : ''}`;
+    }
+  });
+
+  const axisSetup = useMemo(() => {
+    const arrowHeight = 0.9;
+    const makeGeometry = (length) => {
+      const geom = new THREE.BufferGeometry();
+      geom.setAttribute(
+        'position',
+        new THREE.BufferAttribute(new Float32Array([0, 0, 0, 0, Math.max(length - arrowHeight, 0.001), 0]), 3)
+      );
+      return geom;
+    };
+    const xLength = Math.abs(config.xRange[1]) * 1.15;
+    const zLength = Math.abs(config.zRange[1]) * 1.15;
+    const yLength = Math.max(config.plane.c, 0) + 7.5;
+    return {
+      arrowHeight,
+      axes: [
+        {
+          key: 'x',
+          color: '#ef4444',
+          geometry: makeGeometry(xLength),
+          quaternion: new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 1, 0), new THREE.Vector3(1, 0, 0)),
+          length: xLength,
+        },
+        {
+          key: 'y',
+          color: '#22c55e',
+          geometry: makeGeometry(yLength),
+          quaternion: new THREE.Quaternion(),
+          length: yLength,
+        },
+        {
+          key: 'z',
+          color: '#3b82f6',
+          geometry: makeGeometry(zLength),
+          quaternion: new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 1, 0), new THREE.Vector3(0, 0, 1)),
+          length: zLength,
+        },
+      ],
+    };
+  }, [config.xRange, config.zRange, config.plane.c]);
+
+  return (
+    <group rotation={[-Math.PI / 3, Math.PI / 6, 0]}>
+      {axisSetup.axes.map((axis) => (
+        <group key={axis.key} quaternion={axis.quaternion}>
+          <lineSegments>
+            <primitive object={axis.geometry} attach="geometry" />
+            <lineBasicMaterial color={axis.color} transparent opacity={0.85} />
+          </lineSegments>
+          <mesh position={[0, axis.length - axisSetup.arrowHeight * 0.5, 0]}>
+            <coneGeometry args={[0.25, axisSetup.arrowHeight, 18]} />
+            <meshStandardMaterial color={axis.color} emissive={axis.color} emissiveIntensity={0.35} roughness={0.3} />
+          </mesh>
+        </group>
+      ))}
+      <mesh geometry={data.planeGeometry} receiveShadow castShadow>
+        <meshStandardMaterial
+          color="#cbd5f5"
+          transparent
+          opacity={0.32}
+          metalness={0.1}
+          roughness={0.6}
+          side={THREE.DoubleSide}
+        />
+      </mesh>
+      {config.showTruePlane ? (
+        <mesh geometry={data.truePlaneGeometry}>
+          <meshBasicMaterial color="#fbbf24" wireframe transparent opacity={0.45} />
+        </mesh>
+      ) : null}
+      <points>
+        <bufferGeometry>
+          <bufferAttribute attach="attributes-position" args={[data.pointPositions, 3]} />
+          <bufferAttribute attach="attributes-color" args={[data.pointColors, 3]} />
+        </bufferGeometry>
+        <pointsMaterial size={0.25} vertexColors sizeAttenuation depthWrite={false} />
+      </points>
+      <lineSegments ref={lineRef} frustumCulled={false}>
+        <bufferGeometry>
+          <bufferAttribute attach="attributes-position" args={[data.residualPositions, 3]} />
+          <bufferAttribute attach="attributes-color" args={[data.residualColors, 3]} />
+        </bufferGeometry>
+        <lineBasicMaterial vertexColors transparent opacity={0.75} />
+      </lineSegments>
+      <SceneHud>
+        <span className="scene-hud__title">{isDescent ? 'Gradient descent' : 'Least squares fit'}</span>
+        <dl className="scene-hud__stats">
+          <div>
+            <dt>Fit</dt>
+            <dd ref={hudRefs.equation} />
+          </div>
+          <div>
+            <dt>True</dt>
+            <dd>{formatPlaneEquation(config.plane)}</dd>
+          </div>
+          <div>
+            <dt>MSE</dt>
+            <dd ref={hudRefs.loss} />
+          </div>
+          <div>
+            <dt>R²</dt>
+            <dd ref={hudRefs.rSquared} />
+          </div>
+          {isDescent ? (
+            <div>
+              <dt>Step</dt>
+              <dd ref={hudRefs.iteration} />
+            </div>
+          ) : null}
+        </dl>
+      </SceneHud>
+    </group>
+  );
+}
+
+export function RegressionStudio({ parameters = null }) {
+  const config = useMemo(
+    () => (parameters ? regressionConfigFromParameters(parameters) : REGRESSION_CONFIG),
+    [parameters]
+  );
+
+  return (
+    <group position={[0, -9, 0]}>
+      <Grid
+        renderOrder={-1}
+        position={[0, -6.5, 0]}
+        infiniteGrid
+        cellSize={1}
+        cellThickness={0.45}
+        sectionSize={3}
+        sectionThickness={1}
+        sectionColor={[0.45, 0.45, 0.75]}
+        fadeDistance={60}
+        fadeStrength={0.25}
+      />
+      <RegressionScene config={config} />
+    </group>
+  );
+}
@@ -0,0 +1,58 @@
+import { OrbitControls } from '@react-three/drei';
+import { BellCurveStudio } from './BellCurveStudio';
+import { GaussianStudio } from './GaussianStudio';
+import { LinearTransformStudio } from './LinearTransformStudio';
+import { LorenzStudio } from './LorenzStudio';
+import { MarkovStudio } from './MarkovStudio';
+import { NetworkStudio } from './NetworkStudio';
+import { NeuralNetworkStudio } from './NeuralNetworkStudio';
+import { PCAStudio } from './PCAStudio';
+import { RegressionStudio } from './RegressionStudio';
+
+export function Scene({
+  controlsEnabled = true,
+  backgroundMode = 'pca',
+  variant = 'default',
+  showGaussianCurve = true,
+  pcaAnalysis = null,
+  networkGraph = null,
+  parameters,
+  onParameterChange,
+}) {
+  return (
+    <>
+      {controlsEnabled ? (
+        <OrbitControls
+          makeDefault
+          enablePan={false}
+          minDistance={12}
+          maxDistance={80}
+          maxPolarAngle={Math.PI * 0.82}
+          target={[0, -6.5, 0]}
+        />
+      ) : null}
+      <ambientLight intensity={0.55} />
+      <pointLight position={[12, 18, 8]} intensity={1.4} />
+      <pointLight position={[-12, -8, -10]} intensity={0.5} color="#38bdf8" />
+      {backgroundMode === 'pca' ? (
+        <PCAStudio mode={variant} analysis={pcaAnalysis} parameters={parameters} />
+      ) : backgroundMode === 'neural' ? (
+        <NeuralNetworkStudio parameters={parameters} />
+      ) : backgroundMode === 'lorenz' ? (
+        <LorenzStudio parameters={parameters} />
+      ) : backgroundMode === 'regression' ? (
+        <RegressionStudio parameters={parameters} />
+      ) : backgroundMode === 'network' ? (
+        <NetworkStudio variant={variant} parameters={parameters} graph={networkGraph} />
+      ) : backgroundMode === 'bell' ? (
+        <BellCurveStudio parameters={parameters} />
+      ) : backgroundMode === 'markov' ? (
+        <MarkovStudio parameters={parameters} />
+      ) : backgroundMode === 'linear' ? (
+        <LinearTransformStudio parameters={parameters} onParameterChange={onParameterChange} />
+      ) : (
+        <GaussianStudio showCurve={showGaussianCurve} parameters={parameters} />
+      )}
+    </>
+  );
+}
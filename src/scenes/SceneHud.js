@@ -0,0 +1,24 @@
+// Overlay panels pinned to a corner of the scene canvas.
+
+import { useCallback } from 'react';
+import { Html } from '@react-three/drei';
+
+const HUD_ANCHORS = {
+  'bottom-left': (size) => [24, size.height - 24],
+  'bottom-right': (size) => [size.width - 24, size.height - 24],
+};
+
+export function SceneHud({ anchor = 'bottom-left', className = '', children }) {
+  const calculatePosition = useCallback(
+    (_, __, size) => (HUD_ANCHORS[anchor] ?? HUD_ANCHORS['bottom-left'])(size),
+    [anchor]
+  );
+
+  return (
+    <Html calculatePosition={calculatePosition} zIndexRange={[2, 0]}>
+      <div className={`scene-hud scene-hud--${anchor}${className ? ` ${className}` : ''}`}>
+        {children}
+      </div>
+    </Html>
+  );
+}
@@ -0,0 +1,440 @@
+import { useState } from 'react';
+import { GAUSSIAN_COVARIANCE_FIELDS, covarianceMatrix } from './gaussian';
+import { LINEAR_MATRIX_LIMITS, identityMatrix } from './linearAlgebra';
+import { MARKOV_STATE_LIMITS, markovStateLetter, normalizeMarkovRow } from './markov';
+import { NEURAL_ACTIVATIONS, NEURAL_LAYER_LIMITS, NEURAL_LAYER_TYPES, normalizeNeuralLayers } from './neural';
+import { clampParameterValue, formatParameterValue, isControlVisible } from './parameterValues';
+
+function SceneParameterControl({ control, value, onChange }) {
+  const inputId = `scene-parameter-${control.key}`;
+  // number inputs keep the raw text while typing so partial values aren't clamped mid-edit
+  const [draft, setDraft] = useState(null);
+
+  if (control.type === 'toggle') {
+    return (
+      <label className="scene-parameter scene-parameter--toggle" htmlFor={inputId}>
+        <span className="scene-parameter__label">{control.label}</span>
+        <input
+          id={inputId}
+          type="checkbox"
+          checked={Boolean(value)}
+          onChange={(event) => onChange(control.key, event.target.checked)}
+        />
+      </label>
+    );
+  }
+
+  const handleChange = (event) => {
+    const next = clampParameterValue(control, event.target.value);
+    if (next !== null) {
+      onChange(control.key, next);
+    }
+  };
+
+  if (control.type === 'custom') {
+    // structured values (layer stacks, matrices) bring their own editor and URL codec
+    const Editor = PARAMETER_EDITORS[control.editor];
+    return <Editor label={control.label} value={value} onChange={(next) => onChange(control.key, next)} />;
+  }
+
+  if (control.type === 'select') {
+    return (
+      <div className="scene-parameter">
+        <label className="scene-parameter__label" htmlFor={inputId}>
+          {control.label}
+        </label>
+        <select id={inputId} className="scene-parameter__select" value={value} onChange={handleChange}>
+          {control.options.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </div>
+    );
+  }
+
+  return (
+    <div className="scene-parameter">
+      <label className="scene-parameter__label" htmlFor={inputId}>
+        {control.label}
+      </label>
+      {control.type === 'range' ? (
+        <>
+          <span className="scene-parameter__value">
+            {control.format ? control.format(value) : formatParameterValue(value, control.step)}
+          </span>
+          <input
+            id={inputId}
+            type="range"
+            min={control.min}
+            max={control.max}
+            step={control.step}
+            value={value}
+            onChange={handleChange}
+          />
+        </>
+      ) : (
+        <input
+          id={inputId}
+          className="scene-parameter__number"
+          type="number"
+          min={control.min}
+          max={control.max}
+          step={control.step}
+          value={draft ?? value}
+          onChange={(event) => {
+            setDraft(event.target.value);
+            const numeric = Number(event.target.value);
+            if (event.target.value !== '' && numeric >= control.min && numeric <= control.max) {
+              onChange(control.key, numeric);
+            }
+          }}
+          onBlur={(event) => {
+            setDraft(null);
+            handleChange(event);
+          }}
+        />
+      )}
+    </div>
+  );
+}
+
+function NeuralLayerEditor({ label, value: layers, onChange }) {
+  const hiddenCount = layers.length - 1;
+  const updateLayer = (index, patch) =>
+    onChange(normalizeNeuralLayers(layers.map((layer, idx) => (idx === index ? { ...layer, ...patch } : layer))));
+  const removeLayer = (index) => onChange(layers.filter((_, idx) => idx !== index));
+  const addLayer = () =>
+    onChange([...layers.slice(0, -1), { count: 4, activation: 'tanh', type: 'dense' }, layers[layers.length - 1]]);
+
+  return (
+    <div className="scene-layers">
+      <span className="scene-parameter__label">{label}</span>
+      <ol className="scene-layers__list">
+        <li className="scene-layers__item">
+          <span className="scene-layers__name">Input</span>
+          <span className="scene-layers__meta">2 features</span>
+        </li>
+        {layers.map((layer, index) => {
+          const isOutput = index === hiddenCount;
+          const name = isOutput ? 'Output' : `Hidden ${index + 1}`;
+          return (
+            <li key={`${name}-${layer.type}`} className="scene-layers__item">
+              <span className="scene-layers__name">{name}</span>
+              {isOutput ? (
+                <span className="scene-layers__meta">1 unit</span>
+              ) : (
+                <select
+                  className="scene-parameter__select"
+                  aria-label={`${name} neurons`}
+                  value={layer.count}
+                  onChange={(event) => updateLayer(index, { count: Number(event.target.value) })}
+                >
+                  {Array.from({ length: NEURAL_LAYER_LIMITS.maxCount }, (_, idx) => (
+                    <option key={idx + 1} value={idx + 1}>
+                      {idx + 1}
+                    </option>
+                  ))}
+                </select>
+              )}
+              <select
+                className="scene-parameter__select"
+                aria-label={`${name} activation`}
+                value={layer.activation}
+                onChange={(event) => updateLayer(index, { activation: event.target.value })}
+              >
+                {Object.entries(NEURAL_ACTIVATIONS).map(([value, activation]) => (
+                  <option key={value} value={value}>
+                    {activation.label}
+                  </option>
+                ))}
+              </select>
+              {isOutput ? null : (
+                <>
+                  <select
+                    className="scene-parameter__select"
+                    aria-label={`${name} type`}
+                    value={layer.type}
+                    onChange={(event) => updateLayer(index, { type: event.target.value, rate: layer.rate ?? 0.2 })}
+                  >
+                    {Object.entries(NEURAL_LAYER_TYPES).map(([value, type]) => (
+                      <option key={value} value={value}>
+                        {type.label}
+                      </option>
+                    ))}
+                  </select>
+                  {layer.type === 'dropout' ? (
+                    <select
+                      className="scene-parameter__select"
+                      aria-label={`${name} dropout rate`}
+                      value={layer.rate}
+                      onChange={(event) => updateLayer(index, { rate: Number(event.target.value) })}
+                    >
+                      {NEURAL_LAYER_LIMITS.dropoutRates.map((rate) => (
+                        <option key={rate} value={rate}>
+                          p = {rate}
+                        </option>
+                      ))}
+                    </select>
+                  ) : null}
+                  <button
+                    type="button"
+                    className="scene-layers__remove"
+                    aria-label={`Remove ${name}`}
+                    onClick={() => removeLayer(index)}
+                  >
+                    ×
+                  </button>
+                </>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+      <button
+        type="button"
+        className="scene-panel__button"
+        onClick={addLayer}
+        disabled={hiddenCount >= NEURAL_LAYER_LIMITS.maxHidden}
+      >
+        Add hidden layer
+      </button>
+    </div>
+  );
+}
+
+function MarkovMatrixEditor({ label, value, onChange }) {
+  // cells keep the raw text while typing so partial numbers like "0." survive
+  const [draft, setDraft] = useState(null);
+  const size = value.length;
+
+  const updateCell = (row, col, probability) => {
+    const others = value[row].reduce((sum, entry, idx) => (idx === col ? sum : sum + entry), 0);
+    const nextRow = value[row].map((entry, idx) => {
+      if (idx === col) return probability;
+      // the typed cell is kept as entered and the rest of the row shares what's left
+      return others > 0 ? (entry / others) * (1 - probability) : (1 - probability) / (size - 1);
+    });
+    onChange(value.map((entries, idx) => (idx === row ? normalizeMarkovRow(nextRow) : entries)));
+  };
+  const addState = () =>
+    onChange([
+      ...value.map((row) => [...row.map((entry) => (entry * size) / (size + 1)), 1 / (size + 1)]),
+      new Array(size + 1).fill(1 / (size + 1)),
+    ]);
+  const removeState = (index) =>
+    onChange(
+      value
+        .filter((_, row) => row !== index)
+        .map((row) => normalizeMarkovRow(row.filter((__, col) => col !== index)))
+    );
+
+  return (
+    <div className="scene-matrix">
+      <span className="scene-parameter__label">{label}</span>
+      <table className="scene-matrix__table">
+        <thead>
+          <tr>
+            <th scope="col" aria-label="From state" />
+            {value.map((_, col) => (
+              <th key={`head-${col}`} scope="col">
+                {markovStateLetter(col)}
+              </th>
+            ))}
+            <th aria-label="Remove" />
+          </tr>
+        </thead>
+        <tbody>
+          {value.map((row, rowIdx) => (
+            <tr key={`row-${rowIdx}`}>
+              <th scope="row">{markovStateLetter(rowIdx)}</th>
+              {row.map((entry, colIdx) => {
+                const isDraft = draft?.row === rowIdx && draft?.col === colIdx;
+                return (
+                  <td key={`cell-${rowIdx}-${colIdx}`}>
+                    <input
+                      type="number"
+                      className="scene-matrix__cell"
+                      aria-label={`P(${markovStateLetter(rowIdx)} → ${markovStateLetter(colIdx)})`}
+                      min={0}
+                      max={1}
+                      step={0.01}
+                      value={isDraft ? draft.text : Number(entry.toFixed(2))}
+                      onChange={(event) => {
+                        setDraft({ row: rowIdx, col: colIdx, text: event.target.value });
+                        const numeric = Number(event.target.value);
+                        if (event.target.value !== '' && numeric >= 0 && numeric <= 1) {
+                          updateCell(rowIdx, colIdx, numeric);
+                        }
+                      }}
+                      onBlur={() => setDraft(null)}
+                    />
+                  </td>
+                );
+              })}
+              <td>
+                <button
+                  type="button"
+                  className="scene-layers__remove"
+                  aria-label={`Remove state ${markovStateLetter(rowIdx)}`}
+                  onClick={() => removeState(rowIdx)}
+                  disabled={size <= MARKOV_STATE_LIMITS.min}
+                >
+                  ×
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <button
+        type="button"
+        className="scene-panel__button"
+        onClick={addState}
+        disabled={size >= MARKOV_STATE_LIMITS.max}
+      >
+        Add state
+      </button>
+    </div>
+  );
+}
+
+function LinearMatrixEditor({ label, value, onChange }) {
+  // cells keep the raw text while typing so partial numbers like "-" or "0." survive
+  const [draft, setDraft] = useState(null);
+  const { maxSteps, maxEntry } = LINEAR_MATRIX_LIMITS;
+  const size = value[0].length;
+
+  const updateCell = (step, row, col, entry) =>
+    onChange(
+      value.map((matrix, idx) =>
+        idx === step ? matrix.map((cells, r) => cells.map((cell, c) => (r === row && c === col ? entry : cell))) : matrix
+      )
+    );
+
+  return (
+    <div className="scene-matrix">
+      <span className="scene-parameter__label">{label}</span>
+      {value.map((matrix, step) => (
+        <div className="scene-matrix__step" key={`step-${step}`}>
+          <span className="scene-matrix__step-label">M{step + 1}</span>
+          <table className="scene-matrix__table">
+            <tbody>
+              {matrix.map((cells, row) => (
+                <tr key={`row-${row}`}>
+                  {cells.map((entry, col) => {
+                    const isDraft = draft?.step === step && draft?.row === row && draft?.col === col;
+                    return (
+                      <td key={`cell-${row}-${col}`}>
+                        <input
+                          type="number"
+                          className="scene-matrix__cell"
+                          aria-label={`M${step + 1} row ${row + 1} column ${col + 1}`}
+                          min={-maxEntry}
+                          max={maxEntry}
+                          step={0.1}
+                          value={isDraft ? draft.text : Number(entry.toFixed(3))}
+                          onChange={(event) => {
+                            setDraft({ step, row, col, text: event.target.value });
+                            const numeric = Number(event.target.value);
+                            if (event.target.value !== '' && Math.abs(numeric) <= maxEntry) {
+                              updateCell(step, row, col, numeric);
+                            }
+                          }}
+                          onBlur={() => setDraft(null)}
+                        />
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <button
+            type="button"
+            className="scene-layers__remove"
+            aria-label={`Remove step M${step + 1}`}
+            onClick={() => onChange(value.filter((_, idx) => idx !== step))}
+            disabled={value.length <= 1}
+          >
+            ×
+          </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        className="scene-panel__button"
+        onClick={() => onChange([...value, identityMatrix(size)])}
+        disabled={value.length >= maxSteps}
+      >
+        Add step
+      </button>
+    </div>
+  );
+}
+
+function CovarianceEditor({ label, value, onChange }) {
+  const matrix = covarianceMatrix(value);
+  return (
+    <div className="scene-matrix">
+      <span className="scene-parameter__label">{label}</span>
+      {GAUSSIAN_COVARIANCE_FIELDS.map((field) => (
+        <SceneParameterControl
+          key={field.key}
+          control={field}
+          value={value[field.key]}
+          onChange={(key, next) => onChange({ ...value, [key]: next })}
+        />
+      ))}
+      <table className="scene-matrix__table" aria-label="Covariance matrix">
+        <tbody>
+          {matrix.map((row, rowIdx) => (
+            <tr key={`row-${rowIdx}`}>
+              <th scope="row">{rowIdx === 0 ? 'x' : 'z'}</th>
+              {row.map((entry, colIdx) => (
+                <td key={`cell-${rowIdx}-${colIdx}`} className="scene-matrix__value">
+                  {entry.toFixed(2)}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// editors for the schema's custom controls, by the name each control gives in `editor`
+const PARAMETER_EDITORS = {
+  covariance: CovarianceEditor,
+  'linear-matrices': LinearMatrixEditor,
+  'markov-matrix': MarkovMatrixEditor,
+  'neural-layers': NeuralLayerEditor,
+};
+
+export function SceneParameterPanel({ title, schema, values, onChange, onReset, children }) {
+  return (
+    <section className="scene-panel" id="scene-parameter-panel" aria-label={`${title} parameters`}>
+      <div className="scene-panel__header">
+        <span className="scene-panel__title">{title}</span>
+        <button type="button" className="scene-panel__button" onClick={onReset}>
+          Reset
+        </button>
+      </div>
+      {schema && values ? (
+        <div className="scene-panel__section">
+          {schema.controls.filter((control) => isControlVisible(control, values)).map((control) => (
+            <SceneParameterControl
+              key={control.key}
+              control={control}
+              value={values[control.key]}
+              onChange={onChange}
+            />
+          ))}
+        </div>
+      ) : null}
+      {children}
+    </section>
+  );
+}
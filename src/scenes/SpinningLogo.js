@@ -0,0 +1,29 @@
+import { useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+
+export function SpinningLogo() {
+  const groupRef = useRef();
+
+  useFrame((_, delta) => {
+    if (groupRef.current) {
+      groupRef.current.rotation.y += delta * 0.5;
+    }
+  });
+
+  return (
+    <group ref={groupRef}>
+      <mesh position={[0, 0, 0]}>
+        <boxGeometry args={[1, 1, 1]} />
+        <meshStandardMaterial color="#ffffff" />
+      </mesh>
+      <mesh position={[0.5, 0.5, 0.5]}>
+        <boxGeometry args={[0.5, 0.5, 0.5]} />
+        <meshStandardMaterial color="#cccccc" />
+      </mesh>
+      <mesh position={[-0.5, -0.5, -0.5]}>
+        <boxGeometry args={[0.5, 0.5, 0.5]} />
+        <meshStandardMaterial color="#999999" />
+      </mesh>
+    </group>
+  );
+}
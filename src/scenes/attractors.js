@@ -0,0 +1,201 @@
+// Chaotic systems for the Lorenz scene: their equations, an RK4 integrator and divergence tracking.
+
+import * as THREE from 'three';
+import { mulberry32 } from '../random';
+
+export const LORENZ_DEFAULTS = {
+  system: 'lorenz',
+  sigma: 10,
+  rho: 28,
+  beta: 8 / 3,
+  rosslerA: 0.2,
+  rosslerB: 0.2,
+  rosslerC: 5.7,
+  thomasB: 0.208186,
+  chenA: 35,
+  chenB: 3,
+  chenC: 28,
+  aizawaA: 0.95,
+  aizawaB: 0.7,
+  aizawaC: 0.6,
+  aizawaD: 3.5,
+  aizawaE: 0.25,
+  aizawaF: 0.1,
+  steps: 30000,
+  discard: 1000,
+  speed: 1, // multiplies the chosen system's integration step
+  zoom: 1, // multiplies the chosen system's scene scale
+  trajectories: 3,
+  perturbation: -6, // log10 of the initial separation between trajectories
+  duration: 6.5, // seconds to draw the full trajectory
+};
+
+const seededRandom = mulberry32(0x1f2e3d4c);
+
+export const ATTRACTOR_SYSTEMS = {
+  lorenz: {
+    label: 'Lorenz',
+    dt: 0.01,
+    scale: 0.5,
+    initial: [0.1, 0, 0],
+    derivative: ({ sigma, rho, beta }, x, y, z, out) => {
+      out[0] = sigma * (y - x);
+      out[1] = x * (rho - z) - y;
+      out[2] = x * y - beta * z;
+    },
+  },
+  rossler: {
+    label: 'Rössler',
+    dt: 0.03,
+    scale: 0.75,
+    initial: [1, 1, 0],
+    derivative: ({ rosslerA, rosslerB, rosslerC }, x, y, z, out) => {
+      out[0] = -y - z;
+      out[1] = x + rosslerA * y;
+      out[2] = rosslerB + z * (x - rosslerC);
+    },
+  },
+  thomas: {
+    label: 'Thomas',
+    dt: 0.05,
+    scale: 3,
+    initial: [0.1, 0, 0],
+    derivative: ({ thomasB }, x, y, z, out) => {
+      out[0] = Math.sin(y) - thomasB * x;
+      out[1] = Math.sin(z) - thomasB * y;
+      out[2] = Math.sin(x) - thomasB * z;
+    },
+  },
+  chen: {
+    label: 'Chen',
+    dt: 0.003,
+    scale: 0.4,
+    initial: [-0.1, 0.5, -0.6],
+    derivative: ({ chenA, chenB, chenC }, x, y, z, out) => {
+      out[0] = chenA * (y - x);
+      out[1] = (chenC - chenA) * x - x * z + chenC * y;
+      out[2] = x * y - chenB * z;
+    },
+  },
+  aizawa: {
+    label: 'Aizawa',
+    dt: 0.01,
+    scale: 6,
+    initial: [0.1, 0, 0],
+    derivative: ({ aizawaA, aizawaB, aizawaC, aizawaD, aizawaE, aizawaF }, x, y, z, out) => {
+      out[0] = (z - aizawaB) * x - aizawaD * y;
+      out[1] = aizawaD * x + (z - aizawaB) * y;
+      out[2] =
+        aizawaC +
+        aizawaA * z -
+        (z * z * z) / 3 -
+        (x * x + y * y) * (1 + aizawaE * z) +
+        aizawaF * z * x * x * x;
+    },
+  },
+};
+
+const TRAJECTORY_HUES = [0.55, 0.08, 0.33, 0.85, 0.14, 0.97];
+
+export function stepRK4(derivative, parameters, state, dt, scratch) {
+  const [k1, k2, k3, k4] = scratch;
+  const [x, y, z] = state;
+  derivative(parameters, x, y, z, k1);
+  derivative(parameters, x + k1[0] * dt * 0.5, y + k1[1] * dt * 0.5, z + k1[2] * dt * 0.5, k2);
+  derivative(parameters, x + k2[0] * dt * 0.5, y + k2[1] * dt * 0.5, z + k2[2] * dt * 0.5, k3);
+  derivative(parameters, x + k3[0] * dt, y + k3[1] * dt, z + k3[2] * dt, k4);
+  state[0] += (dt / 6) * (k1[0] + 2 * k2[0] + 2 * k3[0] + k4[0]);
+  state[1] += (dt / 6) * (k1[1] + 2 * k2[1] + 2 * k3[1] + k4[1]);
+  state[2] += (dt / 6) * (k1[2] + 2 * k2[2] + 2 * k3[2] + k4[2]);
+}
+
+export function integrateAttractor(config) {
+  const system = ATTRACTOR_SYSTEMS[config.system] ?? ATTRACTOR_SYSTEMS.lorenz;
+  const { steps, discard } = config;
+  const dt = system.dt * (config.speed ?? 1);
+  const scale = system.scale * (config.zoom ?? 1);
+  const trajectoryCount = Math.max(1, Math.round(config.trajectories ?? 1));
+  const epsilon = 10 ** (config.perturbation ?? -6);
+  const totalPoints = steps - discard;
+  const scratch = [new Float64Array(3), new Float64Array(3), new Float64Array(3), new Float64Array(3)];
+
+  // Settle onto the attractor once, then perturb copies of that state so divergence starts from
+  // a known separation rather than from whatever the transient left behind.
+  const settled = Float64Array.from(system.initial);
+  for (let step = 0; step < discard; step += 1) {
+    stepRK4(system.derivative, config, settled, dt, scratch);
+  }
+  const states = Array.from({ length: trajectoryCount }, (_, idx) => {
+    const state = Float64Array.from(settled);
+    state[0] += idx * epsilon;
+    return state;
+  });
+
+  const positions = states.map(() => new Float32Array(totalPoints * 3));
+  const divergence = states.map(() => new Float32Array(totalPoints));
+  const bounds = { min: [Infinity, Infinity, Infinity], max: [-Infinity, -Infinity, -Infinity] };
+
+  for (let step = 0; step < totalPoints; step += 1) {
+    states.forEach((state, idx) => {
+      stepRK4(system.derivative, config, state, dt, scratch);
+      for (let axis = 0; axis < 3; axis += 1) {
+        const value = state[axis] * scale;
+        positions[idx][step * 3 + axis] = value;
+        bounds.min[axis] = Math.min(bounds.min[axis], value);
+        bounds.max[axis] = Math.max(bounds.max[axis], value);
+      }
+      divergence[idx][step] = Math.hypot(
+        state[0] - states[0][0],
+        state[1] - states[0][1],
+        state[2] - states[0][2]
+      );
+    });
+  }
+
+  const center = bounds.min.map((min, axis) => (min + bounds.max[axis]) / 2);
+  const minZ = bounds.min[2] - center[2];
+  const span = bounds.max[2] - bounds.min[2] || 1;
+  const hueShift = seededRandom() * 0.1 - 0.05;
+  const color = new THREE.Color();
+
+  const trajectories = positions.map((points, idx) => {
+    const colors = new Float32Array(totalPoints * 3);
+    const baseHue = TRAJECTORY_HUES[idx % TRAJECTORY_HUES.length] + (idx === 0 ? hueShift : 0);
+    for (let i = 0; i < totalPoints; i += 1) {
+      points[i * 3] -= center[0];
+      points[i * 3 + 1] -= center[1];
+      points[i * 3 + 2] -= center[2];
+      const zNorm = (points[i * 3 + 2] - minZ) / span;
+      const progression = i / (totalPoints - 1 || 1);
+      color.setHSL(baseHue + 0.12 * (zNorm - 0.5), 0.7, 0.35 + 0.4 * progression);
+      colors[i * 3] = color.r;
+      colors[i * 3 + 1] = color.g;
+      colors[i * 3 + 2] = color.b;
+    }
+    return {
+      positions: points,
+      colors,
+      divergence: divergence[idx],
+      headColor: new THREE.Color().setHSL(baseHue, 0.85, 0.6),
+    };
+  });
+
+  // largest separation the plot needs to show: the diameter of the attractor, unscaled
+  const extent = Math.hypot(...bounds.max.map((max, axis) => max - bounds.min[axis])) / scale;
+  // the interesting part of the divergence plot is the exponential growth phase, so the plot
+  // window ends a little after the first pair saturates at the size of the attractor
+  let saturationIndex = totalPoints;
+  if (trajectoryCount > 1) {
+    const saturated = divergence[1].findIndex((distance) => distance >= extent * 0.2);
+    if (saturated !== -1) saturationIndex = saturated;
+  }
+
+  return {
+    trajectories,
+    totalPoints,
+    plotPoints: Math.max(2, Math.min(totalPoints, Math.ceil(saturationIndex * 1.6))),
+    dt,
+    epsilon,
+    extent,
+  };
+}
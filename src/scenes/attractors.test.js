@@ -0,0 +1,101 @@
+import { ATTRACTOR_SYSTEMS, integrateAttractor, LORENZ_DEFAULTS, stepRK4 } from './attractors';
+
+const scratch = () => [new Float64Array(3), new Float64Array(3), new Float64Array(3), new Float64Array(3)];
+
+describe('stepRK4', () => {
+  test('follows the closed-form solution of a harmonic oscillator with exponential decay in z', () => {
+    // x′ = y, y′ = −x, z′ = −z from (1, 0, 1) gives (cos t, −sin t, e^−t)
+    const derivative = (_, x, y, z, out) => {
+      out[0] = y;
+      out[1] = -x;
+      out[2] = -z;
+    };
+    const state = Float64Array.from([1, 0, 1]);
+    const buffers = scratch();
+    for (let step = 0; step < 100; step += 1) {
+      stepRK4(derivative, null, state, 0.02, buffers);
+    }
+    expect(state[0]).toBeCloseTo(Math.cos(2), 8);
+    expect(state[1]).toBeCloseTo(-Math.sin(2), 8);
+    expect(state[2]).toBeCloseTo(Math.exp(-2), 8);
+  });
+
+  test('has fourth-order local error', () => {
+    const derivative = (_, x, y, z, out) => {
+      out[0] = x;
+      out[1] = 0;
+      out[2] = 0;
+    };
+    const errorAfter = (dt) => {
+      const state = Float64Array.from([1, 0, 0]);
+      stepRK4(derivative, null, state, dt, scratch());
+      return Math.abs(state[0] - Math.exp(dt));
+    };
+    // halving the step cuts a single step's error by about 2⁵
+    expect(errorAfter(0.1) / errorAfter(0.05)).toBeCloseTo(32, 0);
+  });
+});
+
+describe('ATTRACTOR_SYSTEMS', () => {
+  const derivativeAt = (system, point, parameters = LORENZ_DEFAULTS) => {
+    const out = new Float64Array(3);
+    ATTRACTOR_SYSTEMS[system].derivative(parameters, ...point, out);
+    return Array.from(out);
+  };
+
+  test('writes out the Lorenz equations', () => {
+    const [dx, dy, dz] = derivativeAt('lorenz', [1, 2, 3]);
+    expect(dx).toBe(10);
+    expect(dy).toBe(23);
+    expect(dz).toBeCloseTo(-6, 12);
+  });
+
+  test('vanishes at the fixed points of the Lorenz and Chen systems', () => {
+    const { beta, rho, chenA, chenB, chenC } = LORENZ_DEFAULTS;
+    const lorenz = Math.sqrt(beta * (rho - 1));
+    const chen = Math.sqrt(chenB * (2 * chenC - chenA));
+    [
+      ['lorenz', [0, 0, 0]],
+      ['lorenz', [lorenz, lorenz, rho - 1]],
+      ['lorenz', [-lorenz, -lorenz, rho - 1]],
+      ['chen', [chen, chen, 2 * chenC - chenA]],
+    ].forEach(([system, point]) => {
+      derivativeAt(system, point).forEach((rate) => expect(rate).toBeCloseTo(0, 10));
+    });
+  });
+
+  test('keeps every system on a bounded attractor with the default constants', () => {
+    Object.keys(ATTRACTOR_SYSTEMS).forEach((system) => {
+      const { extent, trajectories } = integrateAttractor({ ...LORENZ_DEFAULTS, system, steps: 3000, trajectories: 1 });
+      expect(Number.isFinite(extent)).toBe(true);
+      expect(extent).toBeGreaterThan(0.5);
+      expect(trajectories[0].positions.every(Number.isFinite)).toBe(true);
+    });
+  });
+});
+
+describe('integrateAttractor', () => {
+  const run = (perturbation) =>
+    integrateAttractor({ ...LORENZ_DEFAULTS, steps: 5000, trajectories: 2, perturbation });
+
+  test('starts the second trajectory 10^perturbation away and lets the gap grow to the attractor size', () => {
+    const { trajectories, epsilon, extent } = run(-8);
+    const divergence = trajectories[1].divergence;
+    expect(epsilon).toBe(1e-8);
+    expect(divergence[0]).toBeGreaterThan(epsilon / 10);
+    expect(divergence[0]).toBeLessThan(epsilon * 10);
+    expect(Math.max(...divergence)).toBeGreaterThan(extent * 0.2);
+    expect(trajectories[0].divergence.every((distance) => distance === 0)).toBe(true);
+  });
+
+  test('saturates later the closer the trajectories start', () => {
+    const saturation = (perturbation) => {
+      const { trajectories, extent } = run(perturbation);
+      return trajectories[1].divergence.findIndex((distance) => distance >= extent * 0.2);
+    };
+    const near = saturation(-10);
+    const far = saturation(-3);
+    expect(far).toBeGreaterThan(0);
+    expect(near).toBeGreaterThan(far);
+  });
+});
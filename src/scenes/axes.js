@@ -0,0 +1,100 @@
+// Labelled arrows for drawing coordinate and principal axes inside a scene.
+
+import { useEffect, useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { Html } from '@react-three/drei';
+import * as THREE from 'three';
+
+export function AxisArrow({ direction, length, color, opacity = 1 }) {
+  const arrowRef = useRef();
+
+  useEffect(() => {
+    if (!arrowRef.current) return;
+    const axis = new THREE.Vector3(0, 1, 0);
+    const dir = direction.clone().normalize();
+    const quaternion = new THREE.Quaternion().setFromUnitVectors(axis, dir);
+    arrowRef.current.quaternion.copy(quaternion);
+  }, [direction]);
+
+  const headLength = length * 0.2;
+  const shaftLength = length - headLength;
+
+  return (
+    <group ref={arrowRef}>
+      <mesh position={[0, shaftLength / 2, 0]}>
+        <cylinderGeometry args={[0.05, 0.05, shaftLength, 20]} />
+        <meshStandardMaterial
+          color={color}
+          transparent
+          opacity={opacity}
+          roughness={0.32}
+          metalness={0.18}
+        />
+      </mesh>
+      <mesh position={[0, shaftLength + headLength / 2, 0]}>
+        <coneGeometry args={[0.14, headLength, 20]} />
+        <meshStandardMaterial
+          color={color}
+          transparent
+          opacity={opacity}
+          roughness={0.22}
+          metalness={0.35}
+        />
+      </mesh>
+    </group>
+  );
+}
+
+function AxisLabel({ direction, length, text, color }) {
+  const position = direction.clone().normalize().multiplyScalar(length + 0.5);
+
+  return (
+    <Html position={position} center>
+      <div
+        style={{
+          padding: '4px 10px',
+          borderRadius: '999px',
+          border: '1px solid rgba(148,163,184,0.35)',
+          background: 'rgba(15,23,42,0.78)',
+          color,
+          fontSize: '0.7rem',
+          fontWeight: 600,
+          letterSpacing: '0.16em',
+          textTransform: 'uppercase',
+          pointerEvents: 'none',
+          whiteSpace: 'nowrap',
+        }}
+      >
+        {text}
+      </div>
+    </Html>
+  );
+}
+
+export const AXIS_COLORS = ['#38bdf8', '#a855f7', '#f97316'];
+
+export function AxisPair({ vector, length, color, label }) {
+  const pairRef = useRef();
+
+  useFrame(({ clock }) => {
+    if (!pairRef.current) return;
+    const t = clock.getElapsedTime();
+    const pulse = 1 + 0.04 * Math.sin(t * 1.1 + length);
+    pairRef.current.scale.setScalar(pulse);
+  });
+
+  return (
+    <group>
+      <group ref={pairRef}>
+        <AxisArrow direction={vector} length={length} color={color} />
+        <AxisArrow
+          direction={vector.clone().multiplyScalar(-1)}
+          length={length * 0.85}
+          color={color}
+          opacity={0.4}
+        />
+      </group>
+      <AxisLabel direction={vector} length={length} text={label} color={color} />
+    </group>
+  );
+}
@@ -0,0 +1,138 @@
+/* eslint-env worker */
+// 3D force-directed layout for the Network scene, kept off the main thread.
+// The main thread posts { type: 'start', nodeCount, edges, weights, radius } and receives
+// { type: 'tick', positions, alpha } batches until the simulation cools, then { type: 'done' }.
+
+import { mulberry32 } from '../random';
+
+const LAYOUT = {
+  linkDistance: 30,
+  charge: -30,
+  velocityDecay: 0.4,
+  alphaMin: 0.001,
+  alphaDecay: 1 - Math.pow(0.001, 1 / 300),
+  frameBudget: 14, // ms of simulation per posted batch
+};
+
+let timer = null;
+
+function createSimulation({ nodeCount, edges, weights }) {
+  const rng = mulberry32(0x5eed1e);
+  const positions = new Float64Array(nodeCount * 3);
+  const velocities = new Float64Array(nodeCount * 3);
+  const degree = new Float64Array(nodeCount);
+  const spread = 10 * Math.cbrt(nodeCount);
+
+  for (let i = 0; i < nodeCount; i += 1) {
+    // uniform in a ball so nothing starts coincident
+    const r = spread * Math.cbrt(rng());
+    const theta = rng() * Math.PI * 2;
+    const phi = Math.acos(rng() * 2 - 1);
+    positions[i * 3] = r * Math.sin(phi) * Math.cos(theta);
+    positions[i * 3 + 1] = r * Math.cos(phi);
+    positions[i * 3 + 2] = r * Math.sin(phi) * Math.sin(theta);
+  }
+
+  for (let e = 0; e < edges.length; e += 2) {
+    degree[edges[e]] += 1;
+    degree[edges[e + 1]] += 1;
+  }
+
+  return { nodeCount, edges, weights, positions, velocities, degree, alpha: 1 };
+}
+
+function tick(simulation) {
+  const { nodeCount, edges, weights, positions, velocities, degree } = simulation;
+  const alpha = simulation.alpha;
+
+  // springs, weaker on edges touching hubs so they don't collapse onto their neighbours
+  for (let e = 0, w = 0; e < edges.length; e += 2, w += 1) {
+    const a = edges[e] * 3;
+    const b = edges[e + 1] * 3;
+    const dx = positions[b] + velocities[b] - positions[a] - velocities[a] || 1e-6;
+    const dy = positions[b + 1] + velocities[b + 1] - positions[a + 1] - velocities[a + 1] || 1e-6;
+    const dz = positions[b + 2] + velocities[b + 2] - positions[a + 2] - velocities[a + 2] || 1e-6;
+    const length = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    const degreeA = degree[edges[e]];
+    const degreeB = degree[edges[e + 1]];
+    const strength = Math.min(1, weights[w] || 1) / Math.min(degreeA, degreeB);
+    const pull = ((length - LAYOUT.linkDistance) / length) * alpha * strength;
+    const bias = degreeA / (degreeA + degreeB);
+    velocities[b] -= dx * pull * bias;
+    velocities[b + 1] -= dy * pull * bias;
+    velocities[b + 2] -= dz * pull * bias;
+    velocities[a] += dx * pull * (1 - bias);
+    velocities[a + 1] += dy * pull * (1 - bias);
+    velocities[a + 2] += dz * pull * (1 - bias);
+  }
+
+  // exact O(n²) many-body repulsion, fine for the few thousand nodes the importer allows
+  for (let i = 0; i < nodeCount; i += 1) {
+    const a = i * 3;
+    for (let j = i + 1; j < nodeCount; j += 1) {
+      const b = j * 3;
+      const dx = positions[b] - positions[a];
+      const dy = positions[b + 1] - positions[a + 1];
+      const dz = positions[b + 2] - positions[a + 2];
+      const distanceSq = Math.max(dx * dx + dy * dy + dz * dz, 1);
+      const push = (LAYOUT.charge * alpha) / distanceSq;
+      velocities[a] += dx * push;
+      velocities[a + 1] += dy * push;
+      velocities[a + 2] += dz * push;
+      velocities[b] -= dx * push;
+      velocities[b + 1] -= dy * push;
+      velocities[b + 2] -= dz * push;
+    }
+  }
+
+  const centre = [0, 0, 0];
+  for (let i = 0; i < nodeCount * 3; i += 1) {
+    velocities[i] *= 1 - LAYOUT.velocityDecay;
+    positions[i] += velocities[i];
+    centre[i % 3] += positions[i] / nodeCount;
+  }
+  for (let i = 0; i < nodeCount * 3; i += 1) {
+    positions[i] -= centre[i % 3];
+  }
+
+  simulation.alpha += (0 - simulation.alpha) * LAYOUT.alphaDecay;
+}
+
+function postPositions(simulation, radius) {
+  const { nodeCount, positions } = simulation;
+  let extent = 0;
+  for (let i = 0; i < nodeCount; i += 1) {
+    const idx = i * 3;
+    extent = Math.max(extent, Math.hypot(positions[idx], positions[idx + 1], positions[idx + 2]));
+  }
+  const scale = extent > 0 ? radius / extent : 1;
+  const scaled = new Float32Array(nodeCount * 3);
+  for (let i = 0; i < scaled.length; i += 1) {
+    scaled[i] = positions[i] * scale;
+  }
+  postMessage({ type: 'tick', positions: scaled, alpha: simulation.alpha }, [scaled.buffer]);
+}
+
+function run(simulation, radius) {
+  const started = Date.now();
+  do {
+    tick(simulation);
+  } while (simulation.alpha > LAYOUT.alphaMin && Date.now() - started < LAYOUT.frameBudget);
+
+  postPositions(simulation, radius);
+  if (simulation.alpha > LAYOUT.alphaMin) {
+    timer = setTimeout(() => run(simulation, radius), 0);
+  } else {
+    timer = null;
+    postMessage({ type: 'done' });
+  }
+}
+
+onmessage = (event) => {
+  const message = event.data;
+  clearTimeout(timer);
+  timer = null;
+  if (message.type === 'start') {
+    run(createSimulation(message), message.radius);
+  }
+};
@@ -0,0 +1,188 @@
+// Galton board physics for the bell-curve scene, plus the binomial and normal curves it converges to.
+
+import * as THREE from 'three';
+
+export const BELL_CURVE_CONFIG = {
+  ballCount: 140,
+  pegRows: 12,
+  horizontalStep: 0.48,
+  spawnHeight: 9.5,
+  groundY: -10.2,
+  gravity: -18,
+  bias: 0.5, // probability of bouncing right at each peg
+  restitution: 0.35,
+  releaseInterval: 0.08, // seconds between balls leaving the hopper
+};
+
+export const GALTON_TIME_STEP = 1 / 240;
+
+export function binomialPMF(trials, probability) {
+  const pmf = new Float64Array(trials + 1);
+  pmf[0] = (1 - probability) ** trials;
+  for (let k = 0; k < trials; k += 1) {
+    pmf[k + 1] = (pmf[k] * (trials - k) * probability) / ((k + 1) * (1 - probability));
+  }
+  return pmf;
+}
+
+export function createGaltonBoard({ ballCount, pegRows, horizontalStep, spawnHeight, groundY, bias }) {
+  const spacing = horizontalStep * 2;
+  const pegRadius = horizontalStep * 0.2;
+  const wallThickness = horizontalStep * 0.08;
+  const binCount = pegRows + 1;
+  const halfWidth = (binCount / 2) * spacing;
+  const pmf = binomialPMF(pegRows, bias);
+  // the fullest bin should hold its expected share with headroom while the bins take at most 40% of the drop,
+  // so balls shrink when there are too many of them to stack
+  const expectedPeak = Math.max(...pmf) * ballCount * 1.3;
+  const maxBinHeight = (spawnHeight - groundY) * 0.4;
+  const ballRadius = Math.min(horizontalStep * 0.3, Math.sqrt((maxBinHeight * spacing) / expectedPeak) * 0.42);
+  const perLayer = Math.max(1, Math.floor((spacing - wallThickness) / (ballRadius * 2)));
+  const binHeight = Math.min(maxBinHeight, Math.max(2.5, Math.ceil(expectedPeak / perLayer) * ballRadius * 2 + 0.4));
+  const topY = spawnHeight - 1.2;
+  const bottomY = groundY + binHeight + 0.8;
+  const rowSpacing = pegRows > 1 ? (topY - bottomY) / (pegRows - 1) : 1;
+
+  const pegs = [];
+  for (let row = 0; row < pegRows; row += 1) {
+    for (let k = 0; k <= row; k += 1) {
+      pegs.push({ x: (k - row / 2) * spacing, y: topY - row * rowSpacing });
+    }
+  }
+
+  return {
+    pegRows,
+    spacing,
+    pegRadius,
+    ballRadius,
+    wallThickness,
+    binCount,
+    halfWidth,
+    perLayer,
+    binHeight,
+    topY,
+    rowSpacing,
+    groundY,
+    spawnHeight,
+    pegs,
+    pmf,
+    binCenters: Array.from({ length: binCount }, (_, k) => (k - pegRows / 2) * spacing),
+    wallXs: Array.from({ length: binCount + 1 }, (_, k) => -halfWidth + k * spacing),
+  };
+}
+
+export function createGaltonBalls(board, ballCount) {
+  return {
+    x: new Float32Array(ballCount),
+    y: new Float32Array(ballCount),
+    vx: new Float32Array(ballCount),
+    vy: new Float32Array(ballCount),
+    // 0 waiting, 1 falling, 2 settled
+    phase: new Uint8Array(ballCount),
+    lastRow: new Int16Array(ballCount).fill(-1),
+    targetX: new Float32Array(ballCount),
+    bin: new Int16Array(ballCount).fill(-1),
+    binCounts: new Int32Array(board.binCount),
+    released: 0,
+    settled: 0,
+  };
+}
+
+// One integration step for every falling ball: gravity, peg contacts with restitution, walls and bin stacking.
+// Contacts only shape the bounce; which side of each peg a ball leaves by is the coin flip below, because
+// free collisions on a board this sparse skip rows and never settle into the binomial the overlay draws.
+export function stepGaltonBalls(board, balls, dt, { gravity, bias, restitution }, rng) {
+  const { spacing, pegRadius, ballRadius, topY, rowSpacing, pegRows, halfWidth, groundY, binHeight } = board;
+  const contact = pegRadius + ballRadius;
+
+  for (let i = 0; i < balls.released; i += 1) {
+    if (balls.phase[i] !== 1) continue;
+    balls.vy[i] += gravity * dt;
+    balls.x[i] += balls.vx[i] * dt;
+    balls.y[i] += balls.vy[i] * dt;
+    const x = balls.x[i];
+    const y = balls.y[i];
+
+    const rowGuess = Math.round((topY - y) / rowSpacing);
+    for (let row = Math.max(0, rowGuess - 1); row <= Math.min(pegRows - 1, rowGuess + 1); row += 1) {
+      const pegY = topY - row * rowSpacing;
+      if (Math.abs(y - pegY) >= contact) continue;
+      const kGuess = Math.round(x / spacing + row / 2);
+      for (let k = Math.max(0, kGuess - 1); k <= Math.min(row, kGuess + 1); k += 1) {
+        const pegX = (k - row / 2) * spacing;
+        const dx = balls.x[i] - pegX;
+        const dy = balls.y[i] - pegY;
+        const distanceSq = dx * dx + dy * dy;
+        if (distanceSq >= contact * contact) continue;
+        const distance = Math.sqrt(distanceSq) || 1e-6;
+        const nx = dx / distance;
+        const ny = dy / distance;
+        balls.x[i] = pegX + nx * contact;
+        balls.y[i] = pegY + ny * contact;
+        const normalSpeed = balls.vx[i] * nx + balls.vy[i] * ny;
+        if (normalSpeed < 0) {
+          balls.vx[i] -= (1 + restitution) * normalSpeed * nx;
+          balls.vy[i] -= (1 + restitution) * normalSpeed * ny;
+        }
+        if (row > balls.lastRow[i]) {
+          // the bias decides which side of the peg the ball leaves by: one Bernoulli trial per row
+          balls.lastRow[i] = row;
+          const direction = rng() < bias ? 1 : -1;
+          balls.targetX[i] = pegX + direction * (spacing / 2) * (0.9 + 0.2 * rng());
+        }
+        if (row === balls.lastRow[i]) {
+          // steer the rebound so it lands on the chosen side however many times it bounces on this peg
+          const vy = balls.vy[i];
+          const drop = Math.max(0.01, balls.y[i] - (pegY - rowSpacing + contact));
+          const fallTime = (vy + Math.sqrt(vy * vy + 2 * -gravity * drop)) / -gravity;
+          balls.vx[i] = (balls.targetX[i] - balls.x[i]) / fallTime;
+        }
+      }
+    }
+
+    const limit = halfWidth - ballRadius;
+    if (Math.abs(balls.x[i]) > limit) {
+      balls.x[i] = Math.sign(balls.x[i]) * limit;
+      balls.vx[i] *= -restitution;
+    }
+
+    if (balls.y[i] < groundY + binHeight) {
+      if (balls.bin[i] === -1) {
+        balls.bin[i] = THREE.MathUtils.clamp(Math.floor((balls.x[i] + halfWidth) / spacing), 0, board.binCount - 1);
+      }
+      const bin = balls.bin[i];
+      const left = board.wallXs[bin] + board.wallThickness / 2 + ballRadius;
+      const right = board.wallXs[bin + 1] - board.wallThickness / 2 - ballRadius;
+      if (balls.x[i] < left || balls.x[i] > right) {
+        balls.x[i] = THREE.MathUtils.clamp(balls.x[i], left, right);
+        balls.vx[i] *= -restitution;
+      }
+      const count = balls.binCounts[bin];
+      const stackY = groundY + ballRadius + Math.floor(count / board.perLayer) * ballRadius * 2;
+      if (balls.y[i] <= stackY) {
+        const slot = count % board.perLayer;
+        balls.x[i] = board.binCenters[bin] + (slot - (board.perLayer - 1) / 2) * ballRadius * 2;
+        balls.y[i] = stackY;
+        balls.vx[i] = 0;
+        balls.vy[i] = 0;
+        balls.phase[i] = 2;
+        balls.binCounts[bin] += 1;
+        balls.settled += 1;
+      }
+    }
+  }
+}
+
+export function releaseGaltonBall(board, balls, rng) {
+  const i = balls.released;
+  balls.x[i] = (rng() - 0.5) * board.ballRadius * 0.5;
+  balls.y[i] = board.spawnHeight;
+  balls.vx[i] = 0;
+  balls.vy[i] = 0;
+  balls.phase[i] = 1;
+  balls.released += 1;
+}
+
+export function normalDensity(x, mean, sigma) {
+  return Math.exp(-((x - mean) ** 2) / (2 * sigma * sigma)) / (sigma * Math.sqrt(2 * Math.PI));
+}
@@ -0,0 +1,92 @@
+import { mulberry32 } from '../random';
+import {
+  BELL_CURVE_CONFIG,
+  binomialPMF,
+  createGaltonBalls,
+  createGaltonBoard,
+  GALTON_TIME_STEP,
+  normalDensity,
+  releaseGaltonBall,
+  stepGaltonBalls,
+} from './galton';
+
+function choose(n, k) {
+  let result = 1;
+  for (let i = 1; i <= k; i += 1) {
+    result = (result * (n - k + i)) / i;
+  }
+  return result;
+}
+
+describe('binomialPMF', () => {
+  test('matches C(n,k)pᵏ(1−p)ⁿ⁻ᵏ for a biased coin and sums to one', () => {
+    const pmf = binomialPMF(12, 0.3);
+    expect(pmf).toHaveLength(13);
+    pmf.forEach((probability, k) => {
+      expect(probability).toBeCloseTo(choose(12, k) * 0.3 ** k * 0.7 ** (12 - k), 12);
+    });
+    expect(pmf.reduce((sum, probability) => sum + probability, 0)).toBeCloseTo(1, 12);
+  });
+
+  test('is symmetric for a fair coin', () => {
+    const pmf = binomialPMF(7, 0.5);
+    pmf.forEach((probability, k) => expect(probability).toBeCloseTo(pmf[7 - k], 14));
+  });
+});
+
+describe('createGaltonBoard', () => {
+  const board = createGaltonBoard(BELL_CURVE_CONFIG);
+
+  test('lays out one more bin than peg rows, centred under the pegs', () => {
+    const { pegRows, horizontalStep } = BELL_CURVE_CONFIG;
+    expect(board.binCount).toBe(pegRows + 1);
+    expect(board.pegs).toHaveLength((pegRows * (pegRows + 1)) / 2);
+    expect(board.binCenters[0]).toBeCloseTo(-board.binCenters[pegRows], 12);
+    expect(board.binCenters[1] - board.binCenters[0]).toBeCloseTo(horizontalStep * 2, 12);
+    expect(board.wallXs).toHaveLength(board.binCount + 1);
+    board.binCenters.forEach((center, k) => {
+      expect((board.wallXs[k] + board.wallXs[k + 1]) / 2).toBeCloseTo(center, 12);
+    });
+  });
+
+  test('keeps balls small enough to stack the expected peak inside the bins', () => {
+    const expectedPeak = Math.max(...board.pmf) * BELL_CURVE_CONFIG.ballCount;
+    const stackHeight = Math.ceil(expectedPeak / board.perLayer) * board.ballRadius * 2;
+    expect(board.ballRadius).toBeLessThan(board.pegRadius * 2);
+    expect(stackHeight).toBeLessThan(board.binHeight);
+  });
+});
+
+describe('stepGaltonBalls', () => {
+  test('seeded runs land in the bins with the frequencies the binomial overlay draws', () => {
+    const config = { ...BELL_CURVE_CONFIG, ballCount: 600, pegRows: 8, bias: 0.7 };
+    const board = createGaltonBoard(config);
+    const balls = createGaltonBalls(board, config.ballCount);
+    const rng = mulberry32(0x51a3c4);
+    let releaseClock = 0;
+    for (let step = 0; step < 200000 && balls.settled < config.ballCount; step += 1) {
+      releaseClock += GALTON_TIME_STEP;
+      while (balls.released < config.ballCount && releaseClock >= config.releaseInterval) {
+        releaseClock -= config.releaseInterval;
+        releaseGaltonBall(board, balls, rng);
+      }
+      stepGaltonBalls(board, balls, GALTON_TIME_STEP, config, rng);
+    }
+
+    expect(balls.settled).toBe(config.ballCount);
+    const frequencies = Array.from(balls.binCounts, (count) => count / config.ballCount);
+    // total variation distance from Binomial(8, 0.7); sampling noise alone puts it around 0.05 for 600 balls
+    const distance = frequencies.reduce((sum, frequency, k) => sum + Math.abs(frequency - board.pmf[k]), 0) / 2;
+    expect(distance).toBeLessThan(0.08);
+    const mean = frequencies.reduce((sum, frequency, k) => sum + frequency * k, 0);
+    expect(mean).toBeCloseTo(8 * 0.7, 0);
+  });
+});
+
+test('normalDensity integrates to one', () => {
+  let total = 0;
+  for (let x = -10; x <= 10; x += 0.01) {
+    total += normalDensity(x, 1, 1.5) * 0.01;
+  }
+  expect(total).toBeCloseTo(1, 6);
+});
@@ -0,0 +1,246 @@
+// Bivariate Gaussian mixtures for the Gaussian scene: densities, sampling, confidence ellipses and EM fitting.
+
+import * as THREE from 'three';
+import { mulberry32 } from '../random';
+
+export const GAUSSIAN_DEFAULTS = {
+  model: 'single',
+  covariance: { sigmaX: 6, sigmaZ: 3.5, correlation: 0.55 },
+  components: 3,
+  mixtureSeed: 7,
+  fitComponents: 3,
+  emSpeed: 1.5, // EM iterations per second
+  showHidden: false,
+  sampleCount: 300,
+  size: 45,
+  spacing: 0.7,
+  amplitude: 8,
+  showCurve: true,
+};
+
+export const GAUSSIAN_COVARIANCE_FIELDS = [
+  { key: 'sigmaX', label: 'σx', type: 'range', min: 1, max: 12, step: 0.1 },
+  { key: 'sigmaZ', label: 'σz', type: 'range', min: 1, max: 12, step: 0.1 },
+  { key: 'correlation', label: 'Correlation ρ', type: 'range', min: -0.95, max: 0.95, step: 0.01 },
+];
+
+export const GAUSSIAN_MIXTURE_COLORS = ['#38bdf8', '#f472b6', '#facc15', '#34d399', '#a78bfa'];
+
+// Mahalanobis radii drawn as confidence ellipses; in 2D a radius r encloses 1 - exp(-r²/2) of the mass
+export const GAUSSIAN_ELLIPSE_RADII = [1, 2, 3];
+
+export function normalizeCovariance(value) {
+  const raw =
+    typeof value === 'string'
+      ? (([sigmaX, sigmaZ, correlation]) => ({ sigmaX, sigmaZ, correlation }))(value.split(',').map(Number))
+      : value;
+  if (!raw || typeof raw !== 'object') return null;
+  const fields = GAUSSIAN_COVARIANCE_FIELDS.map((field) => [field, Number(raw[field.key])]);
+  if (!fields.every(([, numeric]) => Number.isFinite(numeric))) return null;
+  return Object.fromEntries(fields.map(([field, numeric]) => [field.key, THREE.MathUtils.clamp(numeric, field.min, field.max)]));
+}
+
+// compact URL form: `σx,σz,ρ`
+export function serializeCovariance({ sigmaX, sigmaZ, correlation }) {
+  return [sigmaX, sigmaZ, correlation].map((value) => Number(value.toFixed(3))).join(',');
+}
+
+export function covarianceMatrix({ sigmaX, sigmaZ, correlation }) {
+  const covariance = correlation * sigmaX * sigmaZ;
+  return [
+    [sigmaX * sigmaX, covariance],
+    [covariance, sigmaZ * sigmaZ],
+  ];
+}
+
+// Lower Cholesky factor L with LLᵀ = Σ: maps standard normal draws and unit circles onto the Gaussian.
+function covarianceCholesky({ sigmaX, sigmaZ, correlation }) {
+  return [
+    [sigmaX, 0],
+    [correlation * sigmaZ, sigmaZ * Math.sqrt(1 - correlation * correlation)],
+  ];
+}
+
+export function bivariateNormalDensity(component, x, z) {
+  const { mean, sigmaX, sigmaZ, correlation } = component;
+  const u = (x - mean[0]) / sigmaX;
+  const v = (z - mean[1]) / sigmaZ;
+  const oneMinusRho = 1 - correlation * correlation;
+  const mahalanobis = (u * u - 2 * correlation * u * v + v * v) / oneMinusRho;
+  return Math.exp(-mahalanobis / 2) / (2 * Math.PI * sigmaX * sigmaZ * Math.sqrt(oneMinusRho));
+}
+
+export function mixtureDensity(components, x, z) {
+  return components.reduce((sum, component) => sum + component.weight * bivariateNormalDensity(component, x, z), 0);
+}
+
+export function normalDensity1D(x, mean, sigma) {
+  return Math.exp(-((x - mean) ** 2) / (2 * sigma * sigma)) / (sigma * Math.sqrt(2 * Math.PI));
+}
+
+// K components spread around a ring with random shapes and weights, reproducible from the seed
+export function createGaussianMixture(count, seed) {
+  const rng = mulberry32(seed * 0x9e3779b1);
+  const offset = rng() * Math.PI * 2;
+  const components = Array.from({ length: count }, (_, idx) => {
+    const angle = offset + (idx / count) * Math.PI * 2 + (rng() - 0.5) * 0.6;
+    const radius = count === 1 ? 0 : THREE.MathUtils.lerp(5.5, 9, rng());
+    return {
+      weight: 0.6 + rng(),
+      mean: [Math.cos(angle) * radius, Math.sin(angle) * radius],
+      sigmaX: THREE.MathUtils.lerp(2.2, 4.6, rng()),
+      sigmaZ: THREE.MathUtils.lerp(2.2, 4.6, rng()),
+      correlation: THREE.MathUtils.lerp(-0.7, 0.7, rng()),
+      color: GAUSSIAN_MIXTURE_COLORS[idx % GAUSSIAN_MIXTURE_COLORS.length],
+    };
+  });
+  const total = components.reduce((sum, component) => sum + component.weight, 0);
+  return components.map((component) => ({ ...component, weight: component.weight / total }));
+}
+
+export function sampleGaussianMixture(components, count, rng) {
+  const samples = [];
+  for (let i = 0; i < count; i += 1) {
+    let pick = rng();
+    let component = components[components.length - 1];
+    for (let k = 0; k < components.length; k += 1) {
+      pick -= components[k].weight;
+      if (pick <= 0) {
+        component = components[k];
+        break;
+      }
+    }
+    const radius = Math.sqrt(-2 * Math.log(1 - rng()));
+    const angle = 2 * Math.PI * rng();
+    const [[l11], [l21, l22]] = covarianceCholesky(component);
+    const u = radius * Math.cos(angle);
+    const v = radius * Math.sin(angle);
+    samples.push([component.mean[0] + l11 * u, component.mean[1] + l21 * u + l22 * v]);
+  }
+  return samples;
+}
+
+export function confidenceEllipsePositions(component, radius, height, segments = 96, positions = new Float32Array((segments + 1) * 3)) {
+  const [[l11], [l21, l22]] = covarianceCholesky(component);
+  for (let i = 0; i <= segments; i += 1) {
+    const angle = (i / segments) * Math.PI * 2;
+    const u = radius * Math.cos(angle);
+    const v = radius * Math.sin(angle);
+    positions.set([component.mean[0] + l11 * u, height, component.mean[1] + l21 * u + l22 * v], i * 3);
+  }
+  return positions;
+}
+
+export const GAUSSIAN_EM = {
+  minSamples: 60,
+  varianceFloor: 0.05, // added to each variance so a component can't collapse onto one point
+  tolerance: 1e-5, // change in mean log-likelihood per point that counts as converged
+  maxIterations: 150,
+  restartDelay: 4,
+};
+
+function componentFromMoments(mean, varianceX, varianceZ, covariance, weight, color) {
+  const sigmaX = Math.sqrt(varianceX + GAUSSIAN_EM.varianceFloor);
+  const sigmaZ = Math.sqrt(varianceZ + GAUSSIAN_EM.varianceFloor);
+  return {
+    weight,
+    mean,
+    sigmaX,
+    sigmaZ,
+    correlation: THREE.MathUtils.clamp(covariance / (sigmaX * sigmaZ), -0.98, 0.98),
+    color,
+  };
+}
+
+// Random distinct points as means, the pooled spread as every covariance and equal weights.
+// There can't be more components than points, so `count` is capped at the sample count.
+export function initializeEM(samples, requested, rng) {
+  const n = samples.length;
+  const count = Math.min(requested, n);
+  const meanX = samples.reduce((sum, [x]) => sum + x, 0) / n;
+  const meanZ = samples.reduce((sum, [, z]) => sum + z, 0) / n;
+  const varianceX = samples.reduce((sum, [x]) => sum + (x - meanX) ** 2, 0) / n;
+  const varianceZ = samples.reduce((sum, [, z]) => sum + (z - meanZ) ** 2, 0) / n;
+  const picked = new Set();
+  while (picked.size < count) picked.add(Math.floor(rng() * n));
+  return [...picked].map((index, k) =>
+    componentFromMoments(
+      [...samples[index]],
+      varianceX / count,
+      varianceZ / count,
+      0,
+      1 / count,
+      GAUSSIAN_MIXTURE_COLORS[k % GAUSSIAN_MIXTURE_COLORS.length]
+    )
+  );
+}
+
+// E-step: soft responsibilities r[i·K + k] = w_k N(x_i | k) / Σ_j w_j N(x_i | j), plus the
+// log-likelihood of the current parameters.
+export function expectationStep(components, samples) {
+  const count = components.length;
+  const responsibilities = new Float64Array(samples.length * count);
+  let logLikelihood = 0;
+  samples.forEach(([x, z], i) => {
+    let total = 0;
+    components.forEach((component, k) => {
+      const density = component.weight * bivariateNormalDensity(component, x, z);
+      responsibilities[i * count + k] = density;
+      total += density;
+    });
+    const safeTotal = Math.max(total, 1e-300);
+    for (let k = 0; k < count; k += 1) {
+      responsibilities[i * count + k] /= safeTotal;
+    }
+    logLikelihood += Math.log(safeTotal);
+  });
+  return { responsibilities, logLikelihood };
+}
+
+// M-step: responsibility-weighted weights, means and covariances. Weights are renormalised at the
+// end because a restarted component takes a share of its own.
+export function maximizationStep(samples, responsibilities, previous, rng) {
+  const count = previous.length;
+  const n = samples.length;
+  const next = previous.map((component, k) => {
+    let mass = 0;
+    let sumX = 0;
+    let sumZ = 0;
+    samples.forEach(([x, z], i) => {
+      const r = responsibilities[i * count + k];
+      mass += r;
+      sumX += r * x;
+      sumZ += r * z;
+    });
+    if (mass < 1e-6) {
+      // an empty component restarts on a random point instead of dividing by zero
+      return { ...component, mean: [...samples[Math.floor(rng() * n)]], weight: 1 / n };
+    }
+    const mean = [sumX / mass, sumZ / mass];
+    let varianceX = 0;
+    let varianceZ = 0;
+    let covariance = 0;
+    samples.forEach(([x, z], i) => {
+      const r = responsibilities[i * count + k];
+      const dx = x - mean[0];
+      const dz = z - mean[1];
+      varianceX += r * dx * dx;
+      varianceZ += r * dz * dz;
+      covariance += r * dx * dz;
+    });
+    return componentFromMoments(mean, varianceX / mass, varianceZ / mass, covariance / mass, mass / n, component.color);
+  });
+  const totalWeight = next.reduce((sum, component) => sum + component.weight, 0);
+  return next.map((component) => ({ ...component, weight: component.weight / totalWeight }));
+}
+
+export function lerpComponent(from, to, t) {
+  return {
+    ...to,
+    weight: THREE.MathUtils.lerp(from.weight, to.weight, t),
+    mean: [THREE.MathUtils.lerp(from.mean[0], to.mean[0], t), THREE.MathUtils.lerp(from.mean[1], to.mean[1], t)],
+    sigmaX: THREE.MathUtils.lerp(from.sigmaX, to.sigmaX, t),
+    sigmaZ: THREE.MathUtils.lerp(from.sigmaZ, to.sigmaZ, t),
+    correlation: THREE.MathUtils.lerp(from.correlation, to.correlation, t),
+  };
+}
@@ -0,0 +1,142 @@
+import { mulberry32 } from '../random';
+import { invertMatrix } from './linearAlgebra';
+import {
+  bivariateNormalDensity,
+  confidenceEllipsePositions,
+  covarianceMatrix,
+  createGaussianMixture,
+  expectationStep,
+  GAUSSIAN_DEFAULTS,
+  initializeEM,
+  maximizationStep,
+  mixtureDensity,
+  normalDensity1D,
+  normalizeCovariance,
+  sampleGaussianMixture,
+  serializeCovariance,
+} from './gaussian';
+
+const sumWeights = (components) => components.reduce((sum, component) => sum + component.weight, 0);
+
+describe('EM for Gaussian mixtures', () => {
+  const hidden = createGaussianMixture(3, 7);
+  const samples = sampleGaussianMixture(hidden, 400, mulberry32(11));
+
+  test('initializeEM caps the components at the sample count and weights them equally', () => {
+    const components = initializeEM(samples.slice(0, 2), 5, mulberry32(1));
+    expect(components).toHaveLength(2);
+    expect(components.map((component) => component.weight)).toEqual([0.5, 0.5]);
+  });
+
+  test('expectationStep gives every sample responsibilities that sum to one', () => {
+    const components = initializeEM(samples, 3, mulberry32(2));
+    const { responsibilities, logLikelihood } = expectationStep(components, samples);
+    for (let i = 0; i < samples.length; i += 1) {
+      const total = responsibilities[i * 3] + responsibilities[i * 3 + 1] + responsibilities[i * 3 + 2];
+      expect(total).toBeCloseTo(1, 10);
+    }
+    const expected = samples.reduce((sum, [x, z]) => sum + Math.log(mixtureDensity(components, x, z)), 0);
+    expect(logLikelihood).toBeCloseTo(expected, 8);
+  });
+
+  test('never lowers the log-likelihood and keeps the weights a distribution', () => {
+    const rng = mulberry32(3);
+    let components = initializeEM(samples, 3, rng);
+    let previous = -Infinity;
+    for (let iteration = 0; iteration < 40; iteration += 1) {
+      const { responsibilities, logLikelihood } = expectationStep(components, samples);
+      expect(logLikelihood).toBeGreaterThanOrEqual(previous - 1e-6);
+      previous = logLikelihood;
+      components = maximizationStep(samples, responsibilities, components, rng);
+      expect(sumWeights(components)).toBeCloseTo(1, 10);
+    }
+  });
+
+  test('maximizationStep renormalises after restarting an empty component', () => {
+    const points = [
+      [0, 0],
+      [1, 0],
+      [0, 1],
+    ];
+    const previous = initializeEM(points, 2, mulberry32(4));
+    // every point belongs to the first component, so the second has no mass
+    const responsibilities = Float64Array.from([1, 0, 1, 0, 1, 0]);
+    const next = maximizationStep(points, responsibilities, previous, mulberry32(5));
+    expect(sumWeights(next)).toBeCloseTo(1, 10);
+    expect(next[1].weight).toBeCloseTo(1 / 3 / (1 + 1 / 3), 10);
+    expect(points).toContainEqual(next[1].mean);
+  });
+});
+
+describe('covariance URL codec', () => {
+  test('round-trips the default covariance', () => {
+    const { covariance } = GAUSSIAN_DEFAULTS;
+    expect(serializeCovariance(covariance)).toBe('6,3.5,0.55');
+    expect(normalizeCovariance(serializeCovariance(covariance))).toEqual(covariance);
+  });
+
+  test('clamps each field into its slider range', () => {
+    expect(normalizeCovariance('20,0.5,1.5')).toEqual({ sigmaX: 12, sigmaZ: 1, correlation: 0.95 });
+    expect(normalizeCovariance({ sigmaX: 2, sigmaZ: '3', correlation: -1 })).toEqual({
+      sigmaX: 2,
+      sigmaZ: 3,
+      correlation: -0.95,
+    });
+  });
+
+  test('rejects missing or non-numeric fields', () => {
+    expect(normalizeCovariance('1,2')).toBeNull();
+    expect(normalizeCovariance('1,two,0')).toBeNull();
+    expect(normalizeCovariance(null)).toBeNull();
+  });
+});
+
+describe('bivariateNormalDensity', () => {
+  test('factors into the 1D densities when ρ = 0', () => {
+    const component = { mean: [1, -2], sigmaX: 2, sigmaZ: 0.5, correlation: 0 };
+    [
+      [1, -2],
+      [3.5, -1.2],
+      [-4, 0.3],
+    ].forEach(([x, z]) => {
+      expect(bivariateNormalDensity(component, x, z)).toBeCloseTo(
+        normalDensity1D(x, 1, 2) * normalDensity1D(z, -2, 0.5),
+        14
+      );
+    });
+  });
+
+  test('integrates to one with correlation', () => {
+    const component = { mean: [0.5, 0], sigmaX: 1.5, sigmaZ: 1, correlation: 0.7 };
+    const step = 0.05;
+    let total = 0;
+    for (let x = -10; x <= 10; x += step) {
+      for (let z = -8; z <= 8; z += step) {
+        total += bivariateNormalDensity(component, x, z) * step * step;
+      }
+    }
+    expect(total).toBeCloseTo(1, 4);
+  });
+});
+
+describe('confidenceEllipsePositions', () => {
+  test('puts every point at Mahalanobis distance r from the mean', () => {
+    const component = { mean: [2, -1], sigmaX: 3, sigmaZ: 1.5, correlation: -0.6 };
+    const inverse = invertMatrix(covarianceMatrix(component));
+    [1, 2.5].forEach((radius) => {
+      const positions = confidenceEllipsePositions(component, radius, 0.2, 32);
+      for (let i = 0; i <= 32; i += 1) {
+        const dx = positions[i * 3] - component.mean[0];
+        const dz = positions[i * 3 + 2] - component.mean[1];
+        const [ax, az] = [inverse[0][0] * dx + inverse[0][1] * dz, inverse[1][0] * dx + inverse[1][1] * dz];
+        expect(Math.sqrt(dx * ax + dz * az)).toBeCloseTo(radius, 4);
+        expect(positions[i * 3 + 1]).toBeCloseTo(0.2, 6);
+      }
+    });
+  });
+
+  test('closes the loop', () => {
+    const positions = confidenceEllipsePositions({ mean: [0, 0], sigmaX: 1, sigmaZ: 2, correlation: 0.3 }, 1, 0, 12);
+    expect(Array.from(positions.slice(-3))).toEqual(Array.from(positions.slice(0, 3)));
+  });
+});
@@ -0,0 +1,558 @@
+// Graphs for the network scene: importers, Louvain communities, centrality metrics and shortest paths.
+
+import * as THREE from 'three';
+import { gaussianRandom, mulberry32 } from '../random';
+import { readTabularText } from '../tabular';
+
+export const NETWORK_SCENE_SETTINGS = {
+  default: {
+    nodeCount: 360,
+    radius: 20.4,
+    linkPerNode: 3,
+    pulseStrength: 0.2,
+    spin: 0.1,
+  },
+  soft: {
+    nodeCount: 280,
+    radius: 4.6,
+    linkPerNode: 5,
+    pulseStrength: 2,
+    spin: 0.12,
+  },
+  network: {
+    nodeCount: 420,
+    radius: 600.2,
+    linkPerNode: 4,
+    pulseStrength: 0.1,
+    spin: 0.24,
+  },
+};
+
+const NETWORK_CLUSTER_HUES = [0.53, 0.72, 0.88, 0.1];
+
+const NETWORK_IMPORT_LIMITS = {
+  maxNodes: 3000,
+  maxEdges: 20000,
+};
+
+// first hues match the original palette, further communities step round the wheel by the golden ratio
+function communityHue(rank) {
+  return rank < NETWORK_CLUSTER_HUES.length
+    ? NETWORK_CLUSTER_HUES[rank]
+    : (NETWORK_CLUSTER_HUES[0] + rank * 0.618034) % 1;
+}
+
+function createGraphBuilder(name) {
+  const indexById = new Map();
+  const labels = [];
+  const edgeWeights = new Map();
+
+  const addNode = (id, label) => {
+    const key = String(id).trim();
+    if (key === '') return -1;
+    if (!indexById.has(key)) {
+      if (labels.length >= NETWORK_IMPORT_LIMITS.maxNodes) {
+        throw new Error(`Graphs are limited to ${NETWORK_IMPORT_LIMITS.maxNodes} nodes.`);
+      }
+      indexById.set(key, labels.length);
+      labels.push(label ? String(label) : key);
+    } else if (label) {
+      labels[indexById.get(key)] = String(label);
+    }
+    return indexById.get(key);
+  };
+
+  const addEdge = (source, target, weight) => {
+    const a = addNode(source);
+    const b = addNode(target);
+    // self-loops carry no layout or community information here
+    if (a === -1 || b === -1 || a === b) return;
+    const key = a < b ? `${a}-${b}` : `${b}-${a}`;
+    const numeric = Number(weight);
+    edgeWeights.set(key, (edgeWeights.get(key) ?? 0) + (Number.isFinite(numeric) && numeric > 0 ? numeric : 1));
+    if (edgeWeights.size > NETWORK_IMPORT_LIMITS.maxEdges) {
+      throw new Error(`Graphs are limited to ${NETWORK_IMPORT_LIMITS.maxEdges} edges.`);
+    }
+  };
+
+  const build = () => {
+    if (edgeWeights.size === 0) {
+      throw new Error('No edges found. Expected source/target pairs.');
+    }
+    const edges = new Uint32Array(edgeWeights.size * 2);
+    const weights = new Float32Array(edgeWeights.size);
+    let index = 0;
+    edgeWeights.forEach((weight, key) => {
+      const [a, b] = key.split('-').map(Number);
+      edges[index * 2] = a;
+      edges[index * 2 + 1] = b;
+      weights[index] = weight;
+      index += 1;
+    });
+    return { name, labels, edges, weights };
+  };
+
+  return { addNode, addEdge, build };
+}
+
+function parseNodeLinkJSON(text, builder) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+  const nodes = Array.isArray(parsed?.nodes) ? parsed.nodes : [];
+  const links = Array.isArray(parsed) ? parsed : parsed?.links ?? parsed?.edges;
+  if (!Array.isArray(links)) {
+    throw new Error('JSON graphs need a "links" (or "edges") array in node-link format.');
+  }
+
+  // node-link files may reference nodes by id or by position in the nodes array
+  const nodeIds = nodes.map((node, index) => {
+    const id = typeof node === 'object' && node !== null ? node.id ?? index : node;
+    builder.addNode(id, node?.label ?? node?.name);
+    return id;
+  });
+  const resolve = (ref) => {
+    if (ref !== null && typeof ref === 'object') return ref.id;
+    if (typeof ref === 'number' && nodes.length > 0 && !nodeIds.includes(ref)) return nodeIds[ref];
+    return ref;
+  };
+
+  links.forEach((link) => {
+    if (Array.isArray(link)) {
+      builder.addEdge(link[0], link[1], link[2]);
+    } else if (link) {
+      builder.addEdge(resolve(link.source), resolve(link.target), link.weight ?? link.value);
+    }
+  });
+}
+
+function parseGraphML(text, builder) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Invalid GraphML: the XML could not be parsed.');
+  }
+  const keyNames = new Map(
+    Array.from(doc.getElementsByTagName('key')).map((key) => [key.getAttribute('id'), key.getAttribute('attr.name')])
+  );
+  const readData = (element, names) => {
+    const match = Array.from(element.getElementsByTagName('data')).find((data) =>
+      names.includes((keyNames.get(data.getAttribute('key')) ?? data.getAttribute('key') ?? '').toLowerCase())
+    );
+    return match?.textContent.trim();
+  };
+
+  Array.from(doc.getElementsByTagName('node')).forEach((node) => {
+    builder.addNode(node.getAttribute('id'), readData(node, ['label', 'name']));
+  });
+  Array.from(doc.getElementsByTagName('edge')).forEach((edge) => {
+    builder.addEdge(edge.getAttribute('source'), edge.getAttribute('target'), readData(edge, ['weight', 'value']));
+  });
+}
+
+function parseEdgeList(text, builder) {
+  // SNAP-style lists use # comments and whitespace between ids
+  const lines = text.split(/\r?\n/).filter((line) => !line.trim().startsWith('#'));
+  const spaced = lines.length > 0 && !/[,;\t]/.test(lines.find((line) => line.trim()) ?? '');
+  const { header, records } = readTabularText(
+    spaced ? lines.map((line) => line.trim().split(/\s+/).join('\t')).join('\n') : lines.join('\n')
+  );
+  const findColumn = (pattern, fallback) => {
+    const index = header.findIndex((name) => pattern.test(name));
+    return index === -1 ? fallback : index;
+  };
+  const source = findColumn(/^(source|from|src|node1|u)$/i, 0);
+  const target = findColumn(/^(target|to|dst|node2|v)$/i, 1);
+  const weight = findColumn(/^(weight|value|count)$/i, header.length > 2 ? 2 : -1);
+
+  if (header.length < 2) {
+    throw new Error('Edge lists need at least two columns: source and target.');
+  }
+  records.forEach((record) => {
+    builder.addEdge(record[source] ?? '', record[target] ?? '', weight === -1 ? 1 : record[weight]);
+  });
+}
+
+export function parseGraphText(text, name = 'Uploaded graph') {
+  const trimmed = text.trim();
+  if (!trimmed) {
+    throw new Error('The file is empty.');
+  }
+  const builder = createGraphBuilder(name);
+  if (trimmed.startsWith('<')) {
+    parseGraphML(trimmed, builder);
+  } else if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    parseNodeLinkJSON(trimmed, builder);
+  } else {
+    parseEdgeList(trimmed, builder);
+  }
+  return builder.build();
+}
+
+// Louvain: greedily move nodes between communities while modularity improves, then collapse each
+// community into a single node and repeat on the smaller graph until nothing moves.
+export function detectCommunities(nodeCount, edges, weights = null, rng = mulberry32(0x10f7a1)) {
+  let adjacency = Array.from({ length: nodeCount }, () => new Map());
+  for (let e = 0; e < edges.length; e += 2) {
+    const a = edges[e];
+    const b = edges[e + 1];
+    const weight = weights ? weights[e / 2] : 1;
+    adjacency[a].set(b, (adjacency[a].get(b) ?? 0) + weight);
+    adjacency[b].set(a, (adjacency[b].get(a) ?? 0) + weight);
+  }
+  const membership = Int32Array.from({ length: nodeCount }, (_, index) => index);
+  const totalWeight = adjacency.reduce((sum, neighbours) => {
+    neighbours.forEach((weight) => {
+      sum += weight;
+    });
+    return sum;
+  }, 0);
+  if (totalWeight === 0) {
+    return { communities: new Int32Array(nodeCount), count: nodeCount ? 1 : 0, modularity: 0 };
+  }
+
+  for (let level = 0; level < 16; level += 1) {
+    const size = adjacency.length;
+    const strength = adjacency.map((neighbours) => {
+      let sum = 0;
+      neighbours.forEach((weight) => {
+        sum += weight;
+      });
+      return sum;
+    });
+    const community = Int32Array.from({ length: size }, (_, index) => index);
+    const communityStrength = Float64Array.from(strength);
+    const order = Array.from({ length: size }, (_, index) => index);
+    for (let i = size - 1; i > 0; i -= 1) {
+      const j = Math.floor(rng() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+
+    let movedAny = false;
+    for (let pass = 0; pass < 32; pass += 1) {
+      let moved = false;
+      for (let k = 0; k < size; k += 1) {
+        const node = order[k];
+        const current = community[node];
+        const links = new Map();
+        const neighbours = adjacency[node];
+        neighbours.forEach((weight, neighbour) => {
+          if (neighbour === node) return;
+          links.set(community[neighbour], (links.get(community[neighbour]) ?? 0) + weight);
+        });
+        communityStrength[current] -= strength[node];
+        let best = current;
+        let bestGain = (links.get(current) ?? 0) - (communityStrength[current] * strength[node]) / totalWeight;
+        links.forEach((weight, candidate) => {
+          const gain = weight - (communityStrength[candidate] * strength[node]) / totalWeight;
+          if (gain > bestGain + 1e-12) {
+            best = candidate;
+            bestGain = gain;
+          }
+        });
+        communityStrength[best] += strength[node];
+        if (best !== current) {
+          community[node] = best;
+          moved = true;
+          movedAny = true;
+        }
+      }
+      if (!moved) break;
+    }
+    if (!movedAny) break;
+
+    const renumber = new Map();
+    community.forEach((value) => {
+      if (!renumber.has(value)) renumber.set(value, renumber.size);
+    });
+    for (let i = 0; i < nodeCount; i += 1) {
+      membership[i] = renumber.get(community[membership[i]]);
+    }
+    const collapsed = Array.from({ length: renumber.size }, () => new Map());
+    adjacency.forEach((neighbours, node) => {
+      const from = renumber.get(community[node]);
+      neighbours.forEach((weight, neighbour) => {
+        const to = renumber.get(community[neighbour]);
+        collapsed[from].set(to, (collapsed[from].get(to) ?? 0) + weight);
+      });
+    });
+    adjacency = collapsed;
+  }
+
+  // rank communities by size so the largest always gets the first hue
+  const sizes = new Map();
+  membership.forEach((value) => sizes.set(value, (sizes.get(value) ?? 0) + 1));
+  const ranked = [...sizes.keys()].sort((a, b) => sizes.get(b) - sizes.get(a));
+  const rankOf = new Map(ranked.map((value, rank) => [value, rank]));
+  const communities = Int32Array.from(membership, (value) => rankOf.get(value));
+
+  const internal = new Float64Array(ranked.length);
+  const totals = new Float64Array(ranked.length);
+  for (let e = 0; e < edges.length; e += 2) {
+    const weight = weights ? weights[e / 2] : 1;
+    const a = communities[edges[e]];
+    const b = communities[edges[e + 1]];
+    totals[a] += weight;
+    totals[b] += weight;
+    if (a === b) internal[a] += 2 * weight;
+  }
+  let modularity = 0;
+  for (let c = 0; c < ranked.length; c += 1) {
+    modularity += internal[c] / totalWeight - (totals[c] / totalWeight) ** 2;
+  }
+
+  return { communities, count: ranked.length, modularity };
+}
+
+export function createAdjacencyList(nodeCount, edges) {
+  const adjacency = Array.from({ length: nodeCount }, () => []);
+  for (let e = 0; e < edges.length; e += 2) {
+    adjacency[edges[e]].push({ node: edges[e + 1], edge: e / 2 });
+    adjacency[edges[e + 1]].push({ node: edges[e], edge: e / 2 });
+  }
+  return adjacency;
+}
+
+// degree, Brandes betweenness (normalised to [0, 1]) and the local clustering coefficient for every node
+export function computeGraphMetrics(adjacency) {
+  const nodeCount = adjacency.length;
+  const degree = Int32Array.from(adjacency, (neighbours) => neighbours.length);
+  const betweenness = new Float64Array(nodeCount);
+  const clustering = new Float64Array(nodeCount);
+
+  const sigma = new Float64Array(nodeCount);
+  const distance = new Int32Array(nodeCount);
+  const dependency = new Float64Array(nodeCount);
+  const stack = new Int32Array(nodeCount);
+  const queue = new Int32Array(nodeCount);
+  const predecessors = Array.from({ length: nodeCount }, () => []);
+
+  for (let source = 0; source < nodeCount; source += 1) {
+    sigma.fill(0);
+    distance.fill(-1);
+    dependency.fill(0);
+    predecessors.forEach((list) => {
+      list.length = 0;
+    });
+    sigma[source] = 1;
+    distance[source] = 0;
+    let head = 0;
+    let tail = 0;
+    let depth = 0;
+    queue[tail] = source;
+    tail += 1;
+
+    while (head < tail) {
+      const v = queue[head];
+      head += 1;
+      stack[depth] = v;
+      depth += 1;
+      for (let k = 0; k < adjacency[v].length; k += 1) {
+        const w = adjacency[v][k].node;
+        if (distance[w] < 0) {
+          distance[w] = distance[v] + 1;
+          queue[tail] = w;
+          tail += 1;
+        }
+        if (distance[w] === distance[v] + 1) {
+          sigma[w] += sigma[v];
+          predecessors[w].push(v);
+        }
+      }
+    }
+
+    while (depth > 0) {
+      depth -= 1;
+      const w = stack[depth];
+      for (let k = 0; k < predecessors[w].length; k += 1) {
+        const v = predecessors[w][k];
+        dependency[v] += (sigma[v] / sigma[w]) * (1 + dependency[w]);
+      }
+      if (w !== source) betweenness[w] += dependency[w];
+    }
+  }
+
+  // every undirected pair was counted from both ends
+  const pairs = ((nodeCount - 1) * (nodeCount - 2)) / 2;
+  for (let i = 0; i < nodeCount; i += 1) {
+    betweenness[i] = pairs > 0 ? betweenness[i] / 2 / pairs : 0;
+  }
+
+  const marks = new Int32Array(nodeCount).fill(-1);
+  for (let i = 0; i < nodeCount; i += 1) {
+    const neighbours = adjacency[i];
+    const k = neighbours.length;
+    if (k < 2) continue;
+    neighbours.forEach(({ node }) => {
+      marks[node] = i;
+    });
+    let links = 0;
+    neighbours.forEach(({ node }) => {
+      adjacency[node].forEach((entry) => {
+        if (marks[entry.node] === i) links += 1;
+      });
+    });
+    // each triangle edge is seen from both of its endpoints
+    clustering[i] = links / (k * (k - 1));
+  }
+
+  return { degree, betweenness, clustering };
+}
+
+// the work behind graphAnalysis.worker.js, also run inline where workers aren't available
+export function analyseGraph({ type, nodeCount, edges, weights = null }) {
+  if (type === 'communities') {
+    return { type, ...detectCommunities(nodeCount, edges, weights) };
+  }
+  if (type === 'metrics') {
+    return { type, ...computeGraphMetrics(createAdjacencyList(nodeCount, edges)) };
+  }
+  throw new Error(`Unknown graph analysis "${type}".`);
+}
+
+export function findShortestPath(adjacency, start, end) {
+  if (start === end) return { nodes: [start], edges: [] };
+  const previous = new Int32Array(adjacency.length).fill(-1);
+  const via = new Int32Array(adjacency.length).fill(-1);
+  const queue = [start];
+  previous[start] = start;
+
+  for (let head = 0; head < queue.length; head += 1) {
+    const v = queue[head];
+    for (let k = 0; k < adjacency[v].length; k += 1) {
+      const { node, edge } = adjacency[v][k];
+      if (previous[node] !== -1) continue;
+      previous[node] = v;
+      via[node] = edge;
+      if (node === end) {
+        const nodes = [end];
+        const edges = [];
+        for (let step = end; step !== start; step = previous[step]) {
+          edges.push(via[step]);
+          nodes.push(previous[step]);
+        }
+        return { nodes: nodes.reverse(), edges: edges.reverse() };
+      }
+      queue.push(node);
+    }
+  }
+  return null;
+}
+
+function colorByCommunity(communities, colors, rng = Math.random) {
+  const color = new THREE.Color();
+  communities.forEach((community, i) => {
+    color.setHSL(communityHue(community), 0.72, 0.58 + rng() * 0.18);
+    colors[i * 3] = color.r;
+    colors[i * 3 + 1] = color.g;
+    colors[i * 3 + 2] = color.b;
+  });
+  return colors;
+}
+
+export function createImportedNetworkData(graph, radius) {
+  const nodeCount = graph.labels.length;
+  const rng = mulberry32(0x7e11a5);
+  const basePositions = new Float32Array(nodeCount * 3);
+  const modulations = new Float32Array(nodeCount);
+
+  // a loose ball until the worker's first layout batch arrives
+  for (let i = 0; i < nodeCount; i += 1) {
+    const r = radius * Math.cbrt(rng());
+    const theta = rng() * Math.PI * 2;
+    const phi = Math.acos(rng() * 2 - 1);
+    basePositions[i * 3] = r * Math.sin(phi) * Math.cos(theta);
+    basePositions[i * 3 + 1] = r * Math.cos(phi);
+    basePositions[i * 3 + 2] = r * Math.sin(phi) * Math.sin(theta);
+    modulations[i] = rng() * Math.PI * 2;
+  }
+
+  return {
+    basePositions,
+    // communities come from the import step, which runs Louvain on the analysis worker
+    colors: colorByCommunity(graph.communities, new Float32Array(nodeCount * 3), rng),
+    modulations,
+    edges: graph.edges,
+    labels: graph.labels,
+  };
+}
+
+/** The same network with its nodes recoloured by `communities`, one hue per community. */
+export function withCommunityColors(data, communities) {
+  return { ...data, colors: colorByCommunity(communities, new Float32Array(data.colors.length)) };
+}
+
+export function createNetworkData({ nodeCount, radius, linkPerNode }) {
+  const basePositions = new Float32Array(nodeCount * 3);
+  const colors = new Float32Array(nodeCount * 3);
+  const modulations = new Float32Array(nodeCount);
+  const vector = new THREE.Vector3();
+  const clusterCount = NETWORK_CLUSTER_HUES.length;
+  const clusterSize = Math.ceil(nodeCount / clusterCount);
+
+  for (let i = 0; i < nodeCount; i += 1) {
+    const swirl = (i / nodeCount) * Math.PI * 2;
+    const radial = radius * (0.65 + Math.random() * 0.35);
+    const verticalOffset = Math.sin(swirl * 0.45) * 1.4;
+
+    vector.set(
+      Math.cos(swirl) * radial + gaussianRandom() * 0.9,
+      verticalOffset + gaussianRandom() * 0.7,
+      Math.sin(swirl) * radial + gaussianRandom() * 0.9
+    );
+
+    basePositions[i * 3] = vector.x;
+    basePositions[i * 3 + 1] = vector.y;
+    basePositions[i * 3 + 2] = vector.z;
+
+    modulations[i] = Math.random() * Math.PI * 2;
+  }
+
+  const edgeSet = new Set();
+  const tentativeStep = Math.max(3, Math.floor(nodeCount / (clusterCount * 3)));
+
+  for (let i = 0; i < nodeCount; i += 1) {
+    for (let link = 1; link <= linkPerNode; link += 1) {
+      const sameClusterOffset = link * tentativeStep + Math.floor(Math.random() * tentativeStep);
+      const neighborWithinCluster = (i + sameClusterOffset) % nodeCount;
+      const crossClusterOffset =
+        Math.floor(nodeCount / clusterCount) * link +
+        Math.floor(Math.random() * clusterSize);
+      const neighborCrossCluster = (i + crossClusterOffset) % nodeCount;
+
+      const candidates = [neighborWithinCluster, neighborCrossCluster];
+
+      candidates.forEach((candidate) => {
+        if (candidate === i) return;
+        const key = i < candidate ? `${i}-${candidate}` : `${candidate}-${i}`;
+        if (!edgeSet.has(key)) {
+          edgeSet.add(key);
+        }
+      });
+    }
+  }
+
+  const edgePairs = new Uint16Array(edgeSet.size * 2);
+  let edgeIndex = 0;
+  edgeSet.forEach((value) => {
+    const [a, b] = value.split('-').map((item) => Number.parseInt(item, 10));
+    edgePairs[edgeIndex] = a;
+    edgePairs[edgeIndex + 1] = b;
+    edgeIndex += 2;
+  });
+
+  // the planted clusters show until NetworkStudio gets Louvain's communities back from the analysis worker
+  colorByCommunity(
+    Array.from({ length: nodeCount }, (_, i) => Math.min(clusterCount - 1, Math.floor(i / clusterSize))),
+    colors
+  );
+
+  return {
+    basePositions,
+    colors,
+    modulations,
+    edges: edgePairs,
+  };
+}
@@ -0,0 +1,143 @@
+import * as THREE from 'three';
+import {
+  analyseGraph,
+  computeGraphMetrics,
+  createAdjacencyList,
+  createNetworkData,
+  detectCommunities,
+  findShortestPath,
+  parseGraphText,
+  withCommunityColors,
+} from './graph';
+
+// two 4-cliques joined by a single bridge between nodes 3 and 4
+const BRIDGED_CLIQUES = Uint32Array.from([
+  0, 1, 0, 2, 0, 3, 1, 2, 1, 3, 2, 3,
+  4, 5, 4, 6, 4, 7, 5, 6, 5, 7, 6, 7,
+  3, 4,
+]);
+
+describe('parseGraphText', () => {
+  test('reads a weighted CSV edge list, merging repeated edges and dropping self-loops', () => {
+    const graph = parseGraphText('source,target,weight\nA,B,2\nB,A,1\nB,C,\nC,C,5\n', 'edges.csv');
+    expect(graph.name).toBe('edges.csv');
+    expect(graph.labels).toEqual(['A', 'B', 'C']);
+    expect(Array.from(graph.edges)).toEqual([0, 1, 1, 2]);
+    expect(Array.from(graph.weights)).toEqual([3, 1]);
+  });
+
+  test('resolves node-link JSON links given by position in the nodes array', () => {
+    const graph = parseGraphText(
+      JSON.stringify({
+        nodes: [{ id: 'x', label: 'Ada' }, { id: 'y', label: 'Grace' }, { id: 'z' }],
+        links: [
+          { source: 0, target: 1 },
+          { source: 'y', target: 'z', weight: 4 },
+        ],
+      })
+    );
+    expect(graph.labels).toEqual(['Ada', 'Grace', 'z']);
+    expect(Array.from(graph.edges)).toEqual([0, 1, 1, 2]);
+    expect(Array.from(graph.weights)).toEqual([1, 4]);
+  });
+
+  test('reads GraphML nodes, labels and edge weights', () => {
+    const graph = parseGraphText(`<?xml version="1.0"?>
+      <graphml>
+        <key id="d0" for="node" attr.name="label" />
+        <key id="d1" for="edge" attr.name="weight" />
+        <graph edgedefault="undirected">
+          <node id="n0"><data key="d0">Left</data></node>
+          <node id="n1"><data key="d0">Right</data></node>
+          <edge source="n0" target="n1"><data key="d1">2.5</data></edge>
+        </graph>
+      </graphml>`);
+    expect(graph.labels).toEqual(['Left', 'Right']);
+    expect(Array.from(graph.weights)).toEqual([2.5]);
+  });
+
+  test('rejects files without any edges', () => {
+    expect(() => parseGraphText('source,target\n')).toThrow('No edges found');
+    expect(() => parseGraphText('   ')).toThrow('The file is empty.');
+  });
+});
+
+describe('detectCommunities', () => {
+  test('splits two bridged cliques into one community each', () => {
+    const { communities, count, modularity } = detectCommunities(8, BRIDGED_CLIQUES);
+    expect(count).toBe(2);
+    expect(new Set(communities.slice(0, 4)).size).toBe(1);
+    expect(new Set(communities.slice(4)).size).toBe(1);
+    expect(communities[0]).not.toBe(communities[4]);
+    // Q = Σ_c (internal_c / 2m − (degree_c / 2m)²) with m = 13 edges and each side holding 6 of them
+    expect(modularity).toBeCloseTo(2 * (12 / 26 - (13 / 26) ** 2), 10);
+  });
+
+  test('puts an edgeless graph in a single community', () => {
+    const { communities, count, modularity } = detectCommunities(3, new Uint32Array(0));
+    expect(Array.from(communities)).toEqual([0, 0, 0]);
+    expect(count).toBe(1);
+    expect(modularity).toBe(0);
+  });
+});
+
+describe('computeGraphMetrics', () => {
+  test('scores the bridge node by betweenness and clustering', () => {
+    const { degree, betweenness, clustering } = computeGraphMetrics(createAdjacencyList(8, BRIDGED_CLIQUES));
+    expect(Array.from(degree)).toEqual([3, 3, 3, 4, 4, 3, 3, 3]);
+    // node 3 sits on every shortest path from 0, 1 and 2 to the other clique: 12 of the 21 pairs
+    expect(betweenness[3]).toBeCloseTo(12 / 21, 10);
+    expect(betweenness[0]).toBe(0);
+    // three of the six pairs among its neighbours are linked
+    expect(clustering[3]).toBeCloseTo(0.5, 10);
+    expect(clustering[0]).toBe(1);
+  });
+
+  test('gives the middle of a path all the betweenness', () => {
+    const { betweenness, clustering } = computeGraphMetrics(createAdjacencyList(3, [0, 1, 1, 2]));
+    expect(Array.from(betweenness)).toEqual([0, 1, 0]);
+    expect(Array.from(clustering)).toEqual([0, 0, 0]);
+  });
+});
+
+describe('findShortestPath', () => {
+  const adjacency = createAdjacencyList(8, BRIDGED_CLIQUES);
+
+  test('returns the nodes and edge indices across the bridge', () => {
+    expect(findShortestPath(adjacency, 0, 7)).toEqual({ nodes: [0, 3, 4, 7], edges: [2, 12, 8] });
+  });
+
+  test('returns null when the end is unreachable', () => {
+    expect(findShortestPath(createAdjacencyList(3, [0, 1]), 0, 2)).toBeNull();
+  });
+});
+
+describe('analyseGraph', () => {
+  test('answers the requests the analysis worker receives', () => {
+    const request = { nodeCount: 8, edges: BRIDGED_CLIQUES, weights: null };
+    expect(analyseGraph({ ...request, type: 'communities' })).toMatchObject({ type: 'communities', count: 2 });
+    expect(analyseGraph({ ...request, type: 'metrics' }).degree).toHaveLength(8);
+    expect(() => analyseGraph({ ...request, type: 'layout' })).toThrow('Unknown graph analysis "layout".');
+  });
+});
+
+describe('withCommunityColors', () => {
+  const hueOf = (colors, node) => {
+    const hsl = {};
+    new THREE.Color(colors[node * 3], colors[node * 3 + 1], colors[node * 3 + 2]).getHSL(hsl);
+    return hsl.h;
+  };
+
+  test('recolours the synthetic network once its communities arrive, one hue per community', () => {
+    const data = createNetworkData({ nodeCount: 8, radius: 6, linkPerNode: 2 });
+    const { communities } = analyseGraph({ type: 'communities', nodeCount: 8, edges: BRIDGED_CLIQUES, weights: null });
+    const recoloured = withCommunityColors(data, communities);
+
+    expect(recoloured.basePositions).toBe(data.basePositions);
+    expect(recoloured.edges).toBe(data.edges);
+    expect(recoloured.colors).not.toBe(data.colors);
+    expect(hueOf(recoloured.colors, 1)).toBeCloseTo(hueOf(recoloured.colors, 2), 5);
+    expect(hueOf(recoloured.colors, 5)).toBeCloseTo(hueOf(recoloured.colors, 6), 5);
+    expect(hueOf(recoloured.colors, 1)).not.toBeCloseTo(hueOf(recoloured.colors, 6), 2);
+  });
+});
@@ -0,0 +1,10 @@
+/* eslint-env worker */
+// Louvain communities and Brandes betweenness for the Network scene, kept off the main thread
+// because both grow quickly with imported graphs. The main thread posts one analyseGraph
+// request ({ type: 'communities' | 'metrics', nodeCount, edges, weights }) and gets one reply.
+
+import { analyseGraph } from './graph';
+
+onmessage = (event) => {
+  postMessage(analyseGraph(event.data));
+};
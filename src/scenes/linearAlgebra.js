@@ -0,0 +1,231 @@
+// 2×2 and 3×3 linear algebra for the transform scene: products, inverses, eigenvectors, rank and the lattice geometry.
+
+import * as THREE from 'three';
+
+export const LINEAR_PRESET = {
+  mode: '2d',
+  matrices: [
+    [
+      [2, 1],
+      [0.5, 1.5],
+    ],
+  ],
+  // a shear-and-scale followed by a projection, so the sequence ends with space flattened onto a plane
+  matrices3: [
+    [
+      [1, 0.4, 0],
+      [0.2, 1.2, 0.3],
+      [0, -0.3, 0.9],
+    ],
+    [
+      [1, 0, 0.5],
+      [0, 0, 0],
+      [0, 0.5, 1],
+    ],
+  ],
+  stepDuration: 1.6, // seconds to interpolate one step of the sequence
+  autoplay: true,
+  showEigenvectors: true,
+};
+
+export const LINEAR_MATRIX_LIMITS = { maxSteps: 5, maxEntry: 5 };
+
+// Math units are scaled by `unit` so the basis vectors read at a distance. The 2D plane lies on the
+// floor at `height` (math y runs along world z); 3D space keeps y up with its origin raised to `lift`.
+export const LINEAR_VIEW = { unit: 2, height: -0.6, lift: 2.5, extent: { 2: 5, 3: 2 }, hold: 1.4, snap: 0.05 };
+
+export function linearToWorld(point, out = new THREE.Vector3()) {
+  const { unit, height, lift } = LINEAR_VIEW;
+  return point.length === 2
+    ? out.set(point[0] * unit, height, point[1] * unit)
+    : out.set(point[0] * unit, lift + point[1] * unit, point[2] * unit);
+}
+
+export function worldToLinear(position, size) {
+  const { unit, lift } = LINEAR_VIEW;
+  return size === 2
+    ? [position.x / unit, position.z / unit]
+    : [position.x / unit, (position.y - lift) / unit, position.z / unit];
+}
+
+export function identityMatrix(size) {
+  return Array.from({ length: size }, (_, row) => Array.from({ length: size }, (__, col) => (row === col ? 1 : 0)));
+}
+
+export function multiplyMatrices(left, right) {
+  return left.map((row) => right[0].map((_, col) => row.reduce((sum, value, k) => sum + value * right[k][col], 0)));
+}
+
+export function applyMatrix(matrix, vector) {
+  return matrix.map((row) => row.reduce((sum, value, k) => sum + value * vector[k], 0));
+}
+
+export function lerpMatrices(from, to, t) {
+  return from.map((row, r) => row.map((value, c) => value + (to[r][c] - value) * t));
+}
+
+export function matrixDeterminant(matrix) {
+  if (matrix.length === 2) {
+    return matrix[0][0] * matrix[1][1] - matrix[0][1] * matrix[1][0];
+  }
+  return matrix[0].reduce((sum, value, col) => {
+    const minor = matrix.slice(1).map((row) => row.filter((_, idx) => idx !== col));
+    return sum + (col % 2 === 0 ? 1 : -1) * value * matrixDeterminant(minor);
+  }, 0);
+}
+
+// Gauss–Jordan with partial pivoting; null when the matrix is (numerically) singular
+export function invertMatrix(matrix) {
+  const size = matrix.length;
+  const rows = matrix.map((row, r) => [...row, ...identityMatrix(size)[r]]);
+  for (let col = 0; col < size; col += 1) {
+    let pivot = col;
+    for (let r = col + 1; r < size; r += 1) {
+      if (Math.abs(rows[r][col]) > Math.abs(rows[pivot][col])) pivot = r;
+    }
+    if (Math.abs(rows[pivot][col]) < 1e-9) return null;
+    [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+    const scale = rows[col][col];
+    rows[col] = rows[col].map((value) => value / scale);
+    for (let r = 0; r < size; r += 1) {
+      if (r === col) continue;
+      const factor = rows[r][col];
+      rows[r] = rows[r].map((value, c) => value - factor * rows[col][c]);
+    }
+  }
+  return rows.map((row) => row.slice(size));
+}
+
+// Orthonormal basis of the column space by Gram–Schmidt; its length is the rank.
+export function columnSpaceBasis(matrix, tolerance = 1e-6) {
+  const basis = [];
+  matrix[0].forEach((_, col) => {
+    let vector = matrix.map((row) => row[col]);
+    basis.forEach((unit) => {
+      const projection = unit.reduce((sum, value, k) => sum + value * vector[k], 0);
+      vector = vector.map((value, k) => value - projection * unit[k]);
+    });
+    const length = Math.hypot(...vector);
+    if (length > tolerance) basis.push(vector.map((value) => value / length));
+  });
+  return basis;
+}
+
+export function describeRank(rank, size) {
+  if (rank === size) return `${rank} (full rank)`;
+  if (rank === 0) return '0 — everything lands on the origin';
+  if (rank === 1) return `1 — ${size === 3 ? 'space' : 'the plane'} collapses onto a line`;
+  return '2 — space flattens onto a plane';
+}
+
+// Real eigenpairs of a 2×2 matrix. Complex pairs come back as { real: false, re, im }; a repeated
+// eigenvalue of a non-scalar matrix (a shear) has a single eigenvector.
+export function computeEigen2(matrix) {
+  const [[a, b], [c, d]] = matrix;
+  const trace = a + d;
+  const discriminant = trace * trace - 4 * (a * d - b * c);
+  if (discriminant < -1e-9) {
+    return { real: false, re: trace / 2, im: Math.sqrt(-discriminant) / 2 };
+  }
+  const root = Math.sqrt(Math.max(0, discriminant));
+  const values = root < 1e-6 ? [trace / 2] : [(trace + root) / 2, (trace - root) / 2];
+  const pairs = [];
+  values.forEach((value) => {
+    const candidates = [
+      [b, value - a],
+      [value - d, c],
+    ];
+    const vector = candidates.find(([x, y]) => Math.hypot(x, y) > 1e-6);
+    if (vector) {
+      const length = Math.hypot(vector[0], vector[1]);
+      pairs.push({ value, vector: [vector[0] / length, vector[1] / length] });
+    } else {
+      // λI: every direction is an eigenvector, show the axes
+      pairs.push({ value, vector: [1, 0] }, { value, vector: [0, 1] });
+    }
+  });
+  return { real: true, pairs };
+}
+
+export function formatMatrix(matrix) {
+  return `[${matrix.map((row) => row.map((value) => Number(value.toFixed(2))).join(' ')).join('; ')}]`;
+}
+
+export function normalizeLinearMatrices(value, size = 2) {
+  const matrices =
+    typeof value === 'string'
+      ? value
+          .split('_')
+          .filter(Boolean)
+          .map((entry) => {
+            const numbers = entry.split(',').map(Number);
+            return numbers.length === size * size
+              ? Array.from({ length: size }, (_, row) => numbers.slice(row * size, (row + 1) * size))
+              : null;
+          })
+      : value;
+  if (!Array.isArray(matrices) || matrices.length < 1 || matrices.length > LINEAR_MATRIX_LIMITS.maxSteps) return null;
+  const valid = matrices.every(
+    (matrix) =>
+      Array.isArray(matrix) &&
+      matrix.length === size &&
+      matrix.every(
+        (row) => Array.isArray(row) && row.length === size && row.every((entry) => Number.isFinite(Number(entry)))
+      )
+  );
+  if (!valid) return null;
+  const { maxEntry } = LINEAR_MATRIX_LIMITS;
+  return matrices.map((matrix) => matrix.map((row) => row.map((entry) => THREE.MathUtils.clamp(Number(entry), -maxEntry, maxEntry))));
+}
+
+// compact URL form: matrices joined by `_`, row-major entries by `,`
+export function serializeLinearMatrices(matrices) {
+  return matrices.map((matrix) => matrix.flat().map((value) => Number(value.toFixed(3))).join(',')).join('_');
+}
+
+// every lattice line parallel to an axis through the integer points of the other axes, as endpoint pairs
+export function createLatticeSegments(size, extent) {
+  const range = Array.from({ length: extent * 2 + 1 }, (_, idx) => idx - extent);
+  const crossings = size === 2 ? range.map((u) => [u]) : range.flatMap((u) => range.map((v) => [u, v]));
+  const points = [];
+  for (let axis = 0; axis < size; axis += 1) {
+    const others = [0, 1, 2].slice(0, size).filter((idx) => idx !== axis);
+    crossings.forEach((values) => {
+      [-extent, extent].forEach((end) => {
+        const point = new Array(size);
+        point[axis] = end;
+        others.forEach((other, idx) => {
+          point[other] = values[idx];
+        });
+        points.push(point);
+      });
+    });
+  }
+  return points;
+}
+
+// The unit square (2D) or cube (3D) carried by the matrix: its signed area or volume is the determinant.
+export function createUnitCell(size) {
+  const corners = Array.from({ length: 2 ** size }, (_, idx) => Array.from({ length: size }, (__, bit) => (idx >> bit) & 1));
+  const faces = size === 2 ? [0, 1, 3, 0, 3, 2] : [];
+  if (size === 3) {
+    // two faces per axis, each the quad of corners that agree on that axis, wound so every normal
+    // points out of the cube and the mesh's signed volume is the determinant
+    for (let axis = 0; axis < 3; axis += 1) {
+      const [u, v] = [0, 1, 2].filter((idx) => idx !== axis);
+      [0, 1].forEach((side) => {
+        const quad = [0, 1 << u, (1 << u) | (1 << v), 1 << v].map((corner) => (side << axis) | corner);
+        // u × v is +axis except for the y faces, where x × z points down
+        if ((axis === 1) === (side === 1)) quad.reverse();
+        faces.push(quad[0], quad[1], quad[2], quad[0], quad[2], quad[3]);
+      });
+    }
+  }
+  const edges = [];
+  corners.forEach((_, idx) => {
+    for (let bit = 0; bit < size; bit += 1) {
+      if (!((idx >> bit) & 1)) edges.push(idx, idx | (1 << bit));
+    }
+  });
+  return { corners, faces: new Uint16Array(faces), edges };
+}
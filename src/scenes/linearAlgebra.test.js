@@ -0,0 +1,152 @@
+import {
+  applyMatrix,
+  columnSpaceBasis,
+  computeEigen2,
+  createUnitCell,
+  describeRank,
+  identityMatrix,
+  invertMatrix,
+  LINEAR_PRESET,
+  matrixDeterminant,
+  multiplyMatrices,
+  normalizeLinearMatrices,
+  serializeLinearMatrices,
+} from './linearAlgebra';
+
+const expectMatrixClose = (actual, expected) => {
+  actual.forEach((row, r) => row.forEach((value, c) => expect(value).toBeCloseTo(expected[r][c], 10)));
+};
+
+describe('invertMatrix', () => {
+  test('inverts a 2×2 and a 3×3 matrix', () => {
+    expectMatrixClose(invertMatrix([[4, 7], [2, 6]]), [[0.6, -0.7], [-0.2, 0.4]]);
+    const matrix = [
+      [0, 2, 1],
+      [1, 0, 0],
+      [3, 1, 1],
+    ];
+    expectMatrixClose(multiplyMatrices(matrix, invertMatrix(matrix)), identityMatrix(3));
+  });
+
+  test('returns null for a singular matrix', () => {
+    expect(invertMatrix([[1, 2], [2, 4]])).toBeNull();
+    expect(matrixDeterminant([[1, 2], [2, 4]])).toBe(0);
+  });
+});
+
+describe('computeEigen2', () => {
+  test('finds both eigenpairs of a symmetric matrix', () => {
+    const matrix = [[2, 1], [1, 2]];
+    const { real, pairs } = computeEigen2(matrix);
+    expect(real).toBe(true);
+    expect(pairs.map((pair) => pair.value)).toEqual([3, 1]);
+    pairs.forEach(({ value, vector }) => {
+      const image = applyMatrix(matrix, vector);
+      expect(image[0]).toBeCloseTo(value * vector[0], 10);
+      expect(image[1]).toBeCloseTo(value * vector[1], 10);
+    });
+  });
+
+  test('reports a rotation as a complex pair', () => {
+    expect(computeEigen2([[0, -1], [1, 0]])).toEqual({ real: false, re: 0, im: 1 });
+  });
+
+  test('gives a shear a single eigenvector and a scalar matrix both axes', () => {
+    expect(computeEigen2([[1, 1], [0, 1]]).pairs).toEqual([{ value: 1, vector: [1, 0] }]);
+    expect(computeEigen2([[2, 0], [0, 2]]).pairs).toEqual([
+      { value: 2, vector: [1, 0] },
+      { value: 2, vector: [0, 1] },
+    ]);
+  });
+});
+
+describe('columnSpaceBasis', () => {
+  const dot = (a, b) => a.reduce((sum, value, k) => sum + value * b[k], 0);
+
+  test('finds rank 0 to 3 in 3D', () => {
+    const [shear, projection] = LINEAR_PRESET.matrices3;
+    expect(columnSpaceBasis([[0, 0, 0], [0, 0, 0], [0, 0, 0]])).toHaveLength(0);
+    expect(columnSpaceBasis([[1, 2, -1], [2, 4, -2], [3, 6, -3]])).toHaveLength(1);
+    expect(columnSpaceBasis(projection)).toHaveLength(2);
+    expect(columnSpaceBasis(shear)).toHaveLength(3);
+  });
+
+  test('finds rank 1 and 2 in 2D', () => {
+    expect(columnSpaceBasis([[1, 2], [2, 4]])).toHaveLength(1);
+    expect(columnSpaceBasis([[2, 1], [0.5, 1.5]])).toHaveLength(2);
+  });
+
+  test('returns orthonormal vectors spanning the columns', () => {
+    const [line] = columnSpaceBasis([[1, 2, -1], [2, 4, -2], [3, 6, -3]]);
+    expect(Math.abs(dot(line, [1, 2, 3]))).toBeCloseTo(Math.sqrt(14), 10);
+
+    const plane = columnSpaceBasis(LINEAR_PRESET.matrices3[1]);
+    expect(dot(plane[0], plane[1])).toBeCloseTo(0, 10);
+    plane.forEach((unit) => expect(Math.hypot(...unit)).toBeCloseTo(1, 10));
+    // the middle row is zero, so the image is the xz-plane
+    plane.forEach((unit) => expect(unit[1]).toBe(0));
+  });
+
+  test('describes each rank', () => {
+    expect(describeRank(3, 3)).toBe('3 (full rank)');
+    expect(describeRank(1, 3)).toBe('1 — space collapses onto a line');
+    expect(describeRank(0, 2)).toBe('0 — everything lands on the origin');
+  });
+});
+
+describe('createUnitCell', () => {
+  const sub = (a, b) => a.map((value, k) => value - b[k]);
+
+  // signed area (2D) or volume (3D) enclosed by the transformed cell's triangles
+  function transformedMeasure(matrix) {
+    const size = matrix.length;
+    const { corners, faces } = createUnitCell(size);
+    const points = corners.map((corner) => applyMatrix(matrix, corner));
+    let total = 0;
+    for (let i = 0; i < faces.length; i += 3) {
+      const [a, b, c] = [faces[i], faces[i + 1], faces[i + 2]].map((idx) => points[idx]);
+      total += size === 2 ? matrixDeterminant([sub(b, a), sub(c, a)]) / 2 : matrixDeterminant([a, b, c]) / 6;
+    }
+    return total;
+  }
+
+  test('has a corner per vertex of the square or cube and an edge per side', () => {
+    expect(createUnitCell(2).corners).toEqual([[0, 0], [1, 0], [0, 1], [1, 1]]);
+    expect(createUnitCell(2).edges).toHaveLength(4 * 2);
+    expect(createUnitCell(3).corners).toHaveLength(8);
+    expect(createUnitCell(3).edges).toHaveLength(12 * 2);
+    expect(createUnitCell(3).faces).toHaveLength(6 * 2 * 3);
+  });
+
+  test('encloses an area or volume equal to the determinant', () => {
+    [
+      [[2, 1], [0.5, 1.5]],
+      [[0, 1], [1, 0]],
+      ...LINEAR_PRESET.matrices3,
+      [[1, 0, 0], [0, 0, 1], [0, 1, 0]],
+      [[2, -1, 0.5], [0.3, 1, 1], [-1, 0.2, 3]],
+    ].forEach((matrix) => {
+      expect(transformedMeasure(matrix)).toBeCloseTo(matrixDeterminant(matrix), 10);
+    });
+  });
+});
+
+describe('linear matrix URL codec', () => {
+  test('round-trips the 2D and 3D presets', () => {
+    expect(normalizeLinearMatrices(serializeLinearMatrices(LINEAR_PRESET.matrices), 2)).toEqual(
+      LINEAR_PRESET.matrices
+    );
+    expect(serializeLinearMatrices(LINEAR_PRESET.matrices3)).toBe('1,0.4,0,0.2,1.2,0.3,0,-0.3,0.9_1,0,0.5,0,0,0,0,0.5,1');
+    expect(normalizeLinearMatrices(serializeLinearMatrices(LINEAR_PRESET.matrices3), 3)).toEqual(
+      LINEAR_PRESET.matrices3
+    );
+  });
+
+  test('clamps entries and rejects the wrong shape or too many steps', () => {
+    expect(normalizeLinearMatrices('9,0,-12,1', 2)).toEqual([[[5, 0], [-5, 1]]]);
+    expect(normalizeLinearMatrices('1,0,0,1', 3)).toBeNull();
+    expect(normalizeLinearMatrices('1,0,x,1', 2)).toBeNull();
+    expect(normalizeLinearMatrices(Array(6).fill('1,0,0,1').join('_'), 2)).toBeNull();
+    expect(normalizeLinearMatrices('', 2)).toBeNull();
+  });
+});
@@ -0,0 +1,177 @@
+// Markov chains for the background scene: transition-matrix parsing, the stationary distribution and edge geometry.
+
+import * as THREE from 'three';
+
+export const MARKOV_CHAIN_CONFIG = {
+  colors: ['#38bdf8', '#22d3ee', '#14b8a6', '#f97316', '#a855f7', '#f43f5e', '#eab308', '#84cc16'],
+  transitions: [
+    [0.05, 0.45, 0.25, 0.2, 0.05],
+    [0.12, 0.05, 0.48, 0.25, 0.1],
+    [0.22, 0.15, 0.04, 0.36, 0.23],
+    [0.18, 0.2, 0.28, 0.06, 0.28],
+    [0.35, 0.18, 0.24, 0.16, 0.07],
+  ],
+  radius: 6.2,
+  speed: 0.45,
+  edgeThreshold: 0.04,
+};
+
+export const MARKOV_STATE_LIMITS = { min: 2, max: 8 };
+
+export const MARKOV_NODE_RADIUS = 0.62;
+
+export function markovStateLetter(index) {
+  return String.fromCharCode(65 + index);
+}
+
+// clamp negatives, then rescale so the row sums to 1; an all-zero row becomes uniform
+export function normalizeMarkovRow(row) {
+  const cleaned = row.map((value) => (Number.isFinite(Number(value)) ? Math.max(0, Number(value)) : 0));
+  const total = cleaned.reduce((sum, value) => sum + value, 0);
+  if (total <= 0) return cleaned.map(() => 1 / cleaned.length);
+  // rows that already sum to one (up to rounding) are kept as typed instead of picking up float noise
+  return Math.abs(total - 1) < 1e-9 ? cleaned : cleaned.map((value) => value / total);
+}
+
+export function normalizeTransitionMatrix(value) {
+  const rows =
+    typeof value === 'string'
+      ? value
+          .split('_')
+          .filter(Boolean)
+          .map((row) => row.split('-').map(Number))
+      : value;
+  if (!Array.isArray(rows) || rows.length < MARKOV_STATE_LIMITS.min || rows.length > MARKOV_STATE_LIMITS.max) {
+    return null;
+  }
+  if (!rows.every((row) => Array.isArray(row) && row.length === rows.length)) return null;
+  return rows.map(normalizeMarkovRow);
+}
+
+// compact URL form: rows joined by `_`, probabilities by `-`
+export function serializeTransitionMatrix(rows) {
+  return rows.map((row) => row.map((value) => Number(value.toFixed(3))).join('-')).join('_');
+}
+
+// Power iteration on the lazy chain (P + I) / 2, which shares P's stationary distribution
+// but converges even when P itself is periodic.
+export function computeStationaryDistribution(transitions, tolerance = 1e-10, maxIterations = 10000) {
+  const size = transitions.length;
+  let pi = new Float64Array(size).fill(1 / size);
+  let iterations = 0;
+  for (; iterations < maxIterations; iterations += 1) {
+    const next = new Float64Array(size);
+    for (let from = 0; from < size; from += 1) {
+      next[from] += pi[from] / 2;
+      for (let to = 0; to < size; to += 1) {
+        next[to] += (pi[from] * transitions[from][to]) / 2;
+      }
+    }
+    let change = 0;
+    for (let i = 0; i < size; i += 1) {
+      change += Math.abs(next[i] - pi[i]);
+    }
+    pi = next;
+    if (change < tolerance) break;
+  }
+  return { distribution: Array.from(pi), iterations };
+}
+
+function createMarkovEdgeCurve(from, to, radius = MARKOV_NODE_RADIUS) {
+  if (from === to) {
+    // self-loop: a teardrop bulging outward from the ring
+    const outward = from.clone().setY(0).normalize();
+    const side = new THREE.Vector3(-outward.z, 0, outward.x);
+    const spread = Math.PI / 5;
+    const start = from
+      .clone()
+      .addScaledVector(outward, Math.cos(spread) * radius)
+      .addScaledVector(side, Math.sin(spread) * radius);
+    const end = from
+      .clone()
+      .addScaledVector(outward, Math.cos(spread) * radius)
+      .addScaledVector(side, -Math.sin(spread) * radius);
+    return new THREE.CubicBezierCurve3(
+      start,
+      from.clone().addScaledVector(outward, 2.4).addScaledVector(side, 1.1),
+      from.clone().addScaledVector(outward, 2.4).addScaledVector(side, -1.1),
+      end
+    );
+  }
+
+  // bow each arc to its right so A→B and B→A stay apart
+  const direction = to.clone().sub(from);
+  const right = new THREE.Vector3(-direction.z, 0, direction.x).normalize();
+  const control = from
+    .clone()
+    .add(to)
+    .multiplyScalar(0.5)
+    .addScaledVector(right, direction.length() * 0.16)
+    .setY(0.6);
+  const start = from.clone().add(control.clone().sub(from).normalize().multiplyScalar(radius));
+  const end = to.clone().add(control.clone().sub(to).normalize().multiplyScalar(radius));
+  return new THREE.QuadraticBezierCurve3(start, control, end);
+}
+
+export function createMarkovChainData(config = MARKOV_CHAIN_CONFIG) {
+  const transitions = config.transitions;
+  const stateCount = transitions.length;
+  const { radius, edgeThreshold } = config;
+  const states = transitions.map((_, index) => {
+    const angle = (index / stateCount) * Math.PI * 2;
+    const position = new THREE.Vector3(
+      Math.cos(angle) * radius,
+      0,
+      Math.sin(angle) * radius
+    );
+    return {
+      id: `markov-${index}`,
+      index,
+      label: `State ${markovStateLetter(index)}`,
+      position,
+      color: config.colors[index % config.colors.length],
+    };
+  });
+
+  const cumulative = transitions.map((row) => {
+    const cumulativeRow = [];
+    let runningTotal = 0;
+    row.forEach((weight) => {
+      runningTotal += weight;
+      cumulativeRow.push(runningTotal);
+    });
+    cumulativeRow[cumulativeRow.length - 1] = 1;
+    return cumulativeRow;
+  });
+
+  // every pair gets a curve so the walker can follow rare transitions that aren't drawn
+  const curves = states.map((fromState) => states.map((toState) => createMarkovEdgeCurve(fromState.position, toState.position)));
+  const edges = [];
+  transitions.forEach((row, fromIndex) => {
+    row.forEach((weight, toIndex) => {
+      if (weight <= edgeThreshold) return;
+      const curve = curves[fromIndex][toIndex];
+      const tangent = curve.getTangent(1);
+      const headLength = 0.32 + weight * 0.3;
+      edges.push({
+        id: `markov-edge-${fromIndex}-${toIndex}`,
+        weight,
+        color: new THREE.Color(states[toIndex].color).lerp(new THREE.Color('#0f172a'), 0.45 - weight * 0.2),
+        geometry: new THREE.TubeGeometry(curve, fromIndex === toIndex ? 28 : 20, 0.015 + weight * 0.06, 6, false),
+        headLength,
+        headRadius: 0.1 + weight * 0.14,
+        headPosition: curve.getPoint(1).addScaledVector(tangent, -headLength / 2),
+        headQuaternion: new THREE.Quaternion().setFromUnitVectors(THREE.Object3D.DEFAULT_UP, tangent),
+      });
+    });
+  });
+
+  return {
+    states,
+    transitions,
+    cumulative,
+    curves,
+    edges,
+    stationary: computeStationaryDistribution(transitions).distribution,
+  };
+}
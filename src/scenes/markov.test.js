@@ -0,0 +1,50 @@
+import {
+  computeStationaryDistribution,
+  normalizeMarkovRow,
+  normalizeTransitionMatrix,
+  serializeTransitionMatrix,
+} from './markov';
+
+describe('computeStationaryDistribution', () => {
+  test('solves πP = π for a two-state chain', () => {
+    // balance: π_A · 0.1 = π_B · 0.5, so π = (5/6, 1/6)
+    const { distribution } = computeStationaryDistribution([
+      [0.9, 0.1],
+      [0.5, 0.5],
+    ]);
+    expect(distribution[0]).toBeCloseTo(5 / 6, 8);
+    expect(distribution[1]).toBeCloseTo(1 / 6, 8);
+  });
+
+  test('converges on a periodic chain through the lazy walk', () => {
+    const { distribution, iterations } = computeStationaryDistribution([
+      [0, 1, 0],
+      [0, 0, 1],
+      [1, 0, 0],
+    ]);
+    distribution.forEach((probability) => expect(probability).toBeCloseTo(1 / 3, 8));
+    expect(iterations).toBeLessThan(10000);
+  });
+});
+
+describe('transition matrices', () => {
+  test('normalizeMarkovRow clamps negatives and spreads an empty row evenly', () => {
+    expect(normalizeMarkovRow([2, -1, 'x', 6])).toEqual([0.25, 0, 0, 0.75]);
+    expect(normalizeMarkovRow([0, 0])).toEqual([0.5, 0.5]);
+  });
+
+  test('round-trips through the URL form', () => {
+    const rows = [
+      [0.25, 0.75],
+      [0.6, 0.4],
+    ];
+    const serialized = serializeTransitionMatrix(rows);
+    expect(serialized).toBe('0.25-0.75_0.6-0.4');
+    expect(normalizeTransitionMatrix(serialized)).toEqual(rows);
+  });
+
+  test('rejects matrices that are not square or outside the state limits', () => {
+    expect(normalizeTransitionMatrix('1-0_0.5')).toBeNull();
+    expect(normalizeTransitionMatrix([[1]])).toBeNull();
+  });
+});
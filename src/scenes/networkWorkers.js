@@ -0,0 +1,10 @@
+// Worker factories for the network scene, kept apart from NetworkStudio so only the browser
+// bundle sees `import.meta`; webpack turns each URL below into its own worker chunk.
+
+export function createForceLayoutWorker() {
+  return new Worker(new URL('./forceLayout.worker.js', import.meta.url));
+}
+
+export function createGraphAnalysisWorker() {
+  return new Worker(new URL('./graphAnalysis.worker.js', import.meta.url));
+}
@@ -0,0 +1,355 @@
+// A small multilayer perceptron for the neural network scene: topology, toy datasets and training.
+
+import * as THREE from 'three';
+import { mulberry32 } from '../random';
+
+// derivatives are written in terms of the activation output, which is what backprop has on hand
+export const NEURAL_ACTIVATIONS = {
+  tanh: { label: 'tanh', fn: Math.tanh, derivative: (y) => 1 - y * y },
+  sigmoid: { label: 'Sigmoid', fn: (x) => 1 / (1 + Math.exp(-x)), derivative: (y) => y * (1 - y) },
+  relu: { label: 'ReLU', fn: (x) => (x > 0 ? x : 0), derivative: (y) => (y > 0 ? 1 : 0) },
+  linear: { label: 'Linear', fn: (x) => x, derivative: () => 1 },
+};
+
+export const NEURAL_LAYER_TYPES = {
+  dense: { label: 'Dense' },
+  dropout: { label: 'Dropout' },
+};
+
+export const NEURAL_LAYER_LIMITS = {
+  maxHidden: 5,
+  maxCount: 10,
+  dropoutRates: [0.1, 0.2, 0.3, 0.4, 0.5],
+};
+
+// hidden layers followed by the single output unit; the two inputs are implied by the datasets
+export const NEURAL_DEFAULT_LAYERS = [
+  { count: 7, activation: 'tanh', type: 'dense' },
+  { count: 5, activation: 'tanh', type: 'dense' },
+  { count: 1, activation: 'sigmoid', type: 'dense' },
+];
+
+export function normalizeNeuralLayers(value) {
+  const layers = typeof value === 'string' ? parseNeuralLayers(value) : value;
+  if (!Array.isArray(layers) || layers.length === 0) return null;
+  const hidden = layers.slice(0, -1).slice(0, NEURAL_LAYER_LIMITS.maxHidden);
+
+  return [...hidden, layers[layers.length - 1]].map((layer, index, all) => {
+    const isOutput = index === all.length - 1;
+    const activation = NEURAL_ACTIVATIONS[layer?.activation] ? layer.activation : isOutput ? 'sigmoid' : 'tanh';
+    if (isOutput) {
+      return { count: 1, activation, type: 'dense' };
+    }
+    const count = THREE.MathUtils.clamp(Math.round(Number(layer?.count)) || 1, 1, NEURAL_LAYER_LIMITS.maxCount);
+    if (layer?.type !== 'dropout') {
+      return { count, activation, type: 'dense' };
+    }
+    const rates = NEURAL_LAYER_LIMITS.dropoutRates;
+    const rate = rates.reduce((best, option) =>
+      Math.abs(option - Number(layer.rate)) < Math.abs(best - Number(layer.rate)) ? option : best
+    );
+    return { count, activation, type: 'dropout', rate };
+  });
+}
+
+// compact URL form, e.g. `7-tanh_5-relu-d0.2_1-sigmoid`
+function parseNeuralLayers(text) {
+  return text
+    .split('_')
+    .filter(Boolean)
+    .map((token) => {
+      const [count, activation, dropout] = token.split('-');
+      return {
+        count: Number(count),
+        activation,
+        type: dropout?.startsWith('d') ? 'dropout' : 'dense',
+        rate: dropout ? Number(dropout.slice(1)) : undefined,
+      };
+    });
+}
+
+export function serializeNeuralLayers(layers) {
+  return layers
+    .map((layer) =>
+      [layer.count, layer.activation, layer.type === 'dropout' ? `d${layer.rate}` : null].filter(Boolean).join('-')
+    )
+    .join('_');
+}
+
+export function buildNeuralStructure(layers) {
+  return [
+    {
+      id: 'input',
+      count: 2,
+      depth: -10,
+      labels: ['x₁', 'x₂'],
+      radius: 0.65,
+    },
+    ...layers.map((layer, index) => {
+      const isOutput = index === layers.length - 1;
+      return {
+        ...layer,
+        id: isOutput ? 'output' : `hidden-${index + 1}`,
+        depth: THREE.MathUtils.lerp(-10, 11, (index + 1) / layers.length),
+        radius: isOutput ? 0.8 : Math.max(0.4, 0.58 - index * 0.06),
+        labels: isOutput ? ['ŷ'] : undefined,
+      };
+    }),
+  ];
+}
+
+export const NEURAL_DATASETS = {
+  xor: { label: 'XOR' },
+  circles: { label: 'Circles' },
+  spirals: { label: 'Spirals' },
+};
+
+export const NEURAL_TRAINING = {
+  sampleCount: 200,
+  seed: 0x2b1d9e,
+  probeInterval: 1.4,
+};
+
+export const NEURAL_BOUNDARY = {
+  size: 18,
+  resolution: 64,
+  height: -6.45,
+  centerZ: 0.5,
+  refreshInterval: 0.2,
+};
+
+export const NEURAL_CLASS_COLORS = ['#38bdf8', '#f97316'];
+
+export const NEURAL_SCENE_SETTINGS = {
+  layers: NEURAL_DEFAULT_LAYERS,
+  dataset: 'xor',
+  noise: 0.08,
+  learningRate: 0.01,
+  trainingSpeed: 8, // epochs per second, 0 pauses training
+  showBoundary: true,
+  nodeSpacing: 1.4,
+  pulseSpeed: 1,
+  showPulses: true,
+};
+
+export function createNeuralDataset(kind, count, noise, rng = mulberry32(NEURAL_TRAINING.seed)) {
+  const jitter = () => (rng() * 2 - 1) * noise;
+  const samples = [];
+
+  for (let i = 0; i < count; i += 1) {
+    let x;
+    let y;
+    let label;
+    if (kind === 'circles') {
+      label = i % 2;
+      const radius = label ? rng() * 0.4 : 0.6 + rng() * 0.35;
+      const angle = rng() * Math.PI * 2;
+      x = Math.cos(angle) * radius;
+      y = Math.sin(angle) * radius;
+    } else if (kind === 'spirals') {
+      label = i % 2;
+      const t = Math.floor(i / 2) / Math.ceil(count / 2);
+      const angle = t * Math.PI * 2.5 + label * Math.PI;
+      x = Math.cos(angle) * t * 0.95;
+      y = Math.sin(angle) * t * 0.95;
+    } else {
+      // keep a small margin around the axes so the quadrants stay separable before noise
+      x = (0.08 + rng() * 0.9) * (rng() < 0.5 ? -1 : 1);
+      y = (0.08 + rng() * 0.9) * (rng() < 0.5 ? -1 : 1);
+      label = x * y > 0 ? 1 : 0;
+    }
+    samples.push({
+      x: THREE.MathUtils.clamp(x + jitter(), -1, 1),
+      y: THREE.MathUtils.clamp(y + jitter(), -1, 1),
+      label,
+    });
+  }
+
+  return samples;
+}
+
+export function createMLP(structure, rng) {
+  const sizes = structure.map((layer) => layer.count);
+  const layers = [];
+
+  for (let l = 1; l < structure.length; l += 1) {
+    const inputs = sizes[l - 1];
+    const outputs = sizes[l];
+    // Xavier/Glorot uniform initialisation
+    const limit = Math.sqrt(6 / (inputs + outputs));
+    const weights = new Float64Array(inputs * outputs);
+    for (let i = 0; i < weights.length; i += 1) {
+      weights[i] = (rng() * 2 - 1) * limit;
+    }
+    layers.push({
+      inputs,
+      outputs,
+      weights,
+      biases: new Float64Array(outputs),
+      activation: structure[l].activation ?? 'tanh',
+      dropout: structure[l].type === 'dropout' ? structure[l].rate : 0,
+    });
+  }
+
+  return {
+    sizes,
+    layers,
+    activations: sizes.map((size) => new Float64Array(size)),
+    deltas: sizes.map((size) => new Float64Array(size)),
+    // inverted dropout: each entry is 0 for a dropped unit or 1 / (1 − rate) for a kept one
+    masks: sizes.map((size, l) => (l > 0 && layers[l - 1].dropout ? new Float64Array(size).fill(1) : null)),
+    epoch: 0,
+    loss: NaN,
+    accuracy: NaN,
+  };
+}
+
+export function forwardMLP(model, x1, x2, training = false) {
+  const { activations } = model;
+  activations[0][0] = x1;
+  activations[0][1] = x2;
+
+  model.layers.forEach((layer, l) => {
+    const input = activations[l];
+    const output = activations[l + 1];
+    const activate = NEURAL_ACTIVATIONS[layer.activation].fn;
+    const mask = training ? model.masks[l + 1] : null;
+    for (let o = 0; o < layer.outputs; o += 1) {
+      let sum = layer.biases[o];
+      const row = o * layer.inputs;
+      for (let i = 0; i < layer.inputs; i += 1) {
+        sum += layer.weights[row + i] * input[i];
+      }
+      output[o] = mask ? activate(sum) * mask[o] : activate(sum);
+    }
+  });
+
+  return activations[activations.length - 1][0];
+}
+
+export function evaluateMLP(model, samples) {
+  let loss = 0;
+  let correct = 0;
+  samples.forEach(({ x, y, label }) => {
+    const prediction = THREE.MathUtils.clamp(forwardMLP(model, x, y), 1e-7, 1 - 1e-7);
+    loss -= label * Math.log(prediction) + (1 - label) * Math.log(1 - prediction);
+    correct += (prediction >= 0.5 ? 1 : 0) === label ? 1 : 0;
+  });
+  return { loss: loss / (samples.length || 1), accuracy: correct / (samples.length || 1) };
+}
+
+export function trainMLPEpoch(model, samples, learningRate, rng) {
+  const { layers, activations, deltas, masks } = model;
+  const order = samples.map((_, index) => index);
+  for (let i = order.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(rng() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+
+  const last = layers.length - 1;
+  const outputActivation = layers[last].activation;
+
+  order.forEach((index) => {
+    const { x, y, label } = samples[index];
+    layers.forEach((layer, l) => {
+      const mask = masks[l + 1];
+      if (!mask) return;
+      for (let o = 0; o < mask.length; o += 1) {
+        mask[o] = rng() < layer.dropout ? 0 : 1 / (1 - layer.dropout);
+      }
+    });
+    const prediction = forwardMLP(model, x, y, true);
+    // sigmoid + cross-entropy collapses to ŷ − y; anything else falls back to squared error
+    deltas[last + 1][0] =
+      outputActivation === 'sigmoid'
+        ? prediction - label
+        : (prediction - label) * NEURAL_ACTIVATIONS[outputActivation].derivative(prediction);
+
+    for (let l = last; l >= 0; l -= 1) {
+      const layer = layers[l];
+      const input = activations[l];
+      const delta = deltas[l + 1];
+
+      if (l > 0) {
+        const derivative = NEURAL_ACTIVATIONS[layers[l - 1].activation].derivative;
+        const mask = masks[l];
+        for (let i = 0; i < layer.inputs; i += 1) {
+          let sum = 0;
+          for (let o = 0; o < layer.outputs; o += 1) {
+            sum += layer.weights[o * layer.inputs + i] * delta[o];
+          }
+          if (!mask) {
+            deltas[l][i] = sum * derivative(input[i]);
+          } else {
+            // undo the dropout scaling to recover the raw activation for the derivative
+            deltas[l][i] = mask[i] ? sum * derivative(input[i] / mask[i]) * mask[i] : 0;
+          }
+        }
+      }
+
+      for (let o = 0; o < layer.outputs; o += 1) {
+        const step = learningRate * delta[o];
+        const row = o * layer.inputs;
+        for (let i = 0; i < layer.inputs; i += 1) {
+          layer.weights[row + i] -= step * input[i];
+        }
+        layer.biases[o] -= step;
+      }
+    }
+  });
+
+  model.epoch += 1;
+}
+
+// squash any activation into [-1, 1] for colouring, sigmoid outputs are centred on 0.5
+export function signedActivation(value, activation) {
+  return activation === 'sigmoid' ? value * 2 - 1 : Math.tanh(value);
+}
+
+export function createNeuralGraph(structure, spacing = NEURAL_SCENE_SETTINGS.nodeSpacing) {
+  const layers = structure.map((layer) => {
+    const width = (layer.count - 1) * spacing;
+    const nodes = Array.from({ length: layer.count }, (_, index) => {
+      const x = index * spacing - width / 2;
+      const y = 0;
+      const z = layer.depth;
+      return { position: new THREE.Vector3(x, y, z) };
+    });
+    return { ...layer, nodes };
+  });
+
+  const connections = [];
+  for (let layerIndex = 0; layerIndex < layers.length - 1; layerIndex += 1) {
+    const currentLayer = layers[layerIndex];
+    const nextLayer = layers[layerIndex + 1];
+
+    currentLayer.nodes.forEach((sourceNode, sourceIndex) => {
+      nextLayer.nodes.forEach((targetNode, targetIndex) => {
+        const direction = targetNode.position.clone().sub(sourceNode.position);
+        const length = direction.length();
+        direction.normalize();
+        connections.push({
+          from: sourceNode.position.clone(),
+          to: targetNode.position.clone(),
+          // index into the MLP weight matrix feeding `nextLayer`
+          layerIndex,
+          sourceIndex,
+          targetIndex,
+          weightIndex: targetIndex * currentLayer.count + sourceIndex,
+          direction,
+          length,
+          id: `${currentLayer.id}-${sourceIndex}-${nextLayer.id}-${targetIndex}`,
+        });
+      });
+    });
+  }
+
+  const offsets = [];
+  let runningTotal = 0;
+  layers.forEach((layer) => {
+    offsets.push(runningTotal);
+    runningTotal += layer.nodes.length;
+  });
+
+  return { layers, connections, offsets, totalNodes: runningTotal };
+}
@@ -0,0 +1,142 @@
+import { mulberry32 } from '../random';
+import {
+  buildNeuralStructure,
+  createMLP,
+  createNeuralDataset,
+  createNeuralGraph,
+  evaluateMLP,
+  forwardMLP,
+  NEURAL_LAYER_LIMITS,
+  normalizeNeuralLayers,
+  serializeNeuralLayers,
+  trainMLPEpoch,
+} from './neural';
+
+function createModel(layers, seed = 7) {
+  return createMLP(buildNeuralStructure(layers), mulberry32(seed));
+}
+
+describe('trainMLPEpoch', () => {
+  test('lowers the loss on a linearly separable set', () => {
+    const rng = mulberry32(3);
+    const samples = Array.from({ length: 80 }, () => {
+      const x = rng() * 2 - 1;
+      const y = rng() * 2 - 1;
+      return { x, y, label: x + y > 0 ? 1 : 0 };
+    });
+    const model = createModel([
+      { count: 4, activation: 'tanh', type: 'dense' },
+      { count: 1, activation: 'sigmoid', type: 'dense' },
+    ]);
+    const before = evaluateMLP(model, samples);
+    for (let epoch = 0; epoch < 60; epoch += 1) {
+      trainMLPEpoch(model, samples, 0.1, rng);
+    }
+    const after = evaluateMLP(model, samples);
+    expect(model.epoch).toBe(60);
+    expect(after.loss).toBeLessThan(before.loss / 3);
+    expect(after.accuracy).toBeGreaterThan(0.95);
+  });
+
+  test('steps every weight and bias along the numerical gradient of the cross-entropy', () => {
+    const layers = [
+      { count: 3, activation: 'tanh', type: 'dense' },
+      { count: 3, activation: 'relu', type: 'dense' },
+      { count: 1, activation: 'sigmoid', type: 'dense' },
+    ];
+    const sample = { x: 0.4, y: -0.7, label: 1 };
+    const model = createModel(layers);
+    const trained = createModel(layers);
+    // one sample and a unit learning rate, so each parameter moves by exactly minus its gradient
+    trainMLPEpoch(trained, [sample], 1, mulberry32(1));
+
+    const h = 1e-6;
+    const loss = () => evaluateMLP(model, [sample]).loss;
+    model.layers.forEach((layer, l) => {
+      ['weights', 'biases'].forEach((kind) => {
+        layer[kind].forEach((value, index) => {
+          layer[kind][index] = value + h;
+          const up = loss();
+          layer[kind][index] = value - h;
+          const down = loss();
+          layer[kind][index] = value;
+          const numerical = (up - down) / (2 * h);
+          expect(value - trained.layers[l][kind][index]).toBeCloseTo(numerical, 6);
+        });
+      });
+    });
+  });
+});
+
+describe('dropout', () => {
+  const dense = [
+    { count: 5, activation: 'tanh', type: 'dense' },
+    { count: 1, activation: 'sigmoid', type: 'dense' },
+  ];
+  const withDropout = [{ ...dense[0], type: 'dropout', rate: 0.5 }, dense[1]];
+
+  test('is switched off at inference', () => {
+    const model = createModel(withDropout);
+    const reference = createModel(dense);
+    // drop every hidden unit; only a training pass should notice
+    model.masks[1].fill(0);
+    expect(forwardMLP(model, 0.3, 0.6)).toBe(forwardMLP(reference, 0.3, 0.6));
+    expect(forwardMLP(model, 0.3, 0.6, true)).toBeCloseTo(0.5, 12);
+  });
+
+  test('masks units during training with inverted scaling', () => {
+    const model = createModel(withDropout);
+    trainMLPEpoch(model, createNeuralDataset('xor', 20, 0), 0.01, mulberry32(5));
+    const mask = Array.from(model.masks[1]);
+    expect(mask.every((entry) => entry === 0 || entry === 2)).toBe(true);
+    expect(model.masks[2]).toBeNull();
+  });
+});
+
+describe('normalizeNeuralLayers', () => {
+  test('round-trips the compact URL form', () => {
+    const layers = [
+      { count: 7, activation: 'tanh', type: 'dense' },
+      { count: 5, activation: 'relu', type: 'dropout', rate: 0.2 },
+      { count: 1, activation: 'sigmoid', type: 'dense' },
+    ];
+    expect(serializeNeuralLayers(layers)).toBe('7-tanh_5-relu-d0.2_1-sigmoid');
+    expect(normalizeNeuralLayers(serializeNeuralLayers(layers))).toEqual(layers);
+  });
+
+  test('clamps counts, snaps dropout rates and falls back to known activations', () => {
+    expect(normalizeNeuralLayers('99-swish_0-relu-d0.27_4-tanh')).toEqual([
+      { count: NEURAL_LAYER_LIMITS.maxCount, activation: 'tanh', type: 'dense' },
+      { count: 1, activation: 'relu', type: 'dropout', rate: 0.3 },
+      { count: 1, activation: 'tanh', type: 'dense' },
+    ]);
+    expect(normalizeNeuralLayers([{ count: 3, activation: 'nope' }])).toEqual([
+      { count: 1, activation: 'sigmoid', type: 'dense' },
+    ]);
+  });
+
+  test('keeps at most the hidden-layer limit plus the output layer', () => {
+    const layers = normalizeNeuralLayers('2-tanh_'.repeat(8) + '1-sigmoid');
+    expect(layers).toHaveLength(NEURAL_LAYER_LIMITS.maxHidden + 1);
+    expect(layers[layers.length - 1]).toEqual({ count: 1, activation: 'sigmoid', type: 'dense' });
+  });
+
+  test('rejects empty stacks', () => {
+    expect(normalizeNeuralLayers('')).toBeNull();
+    expect(normalizeNeuralLayers([])).toBeNull();
+    expect(normalizeNeuralLayers(42)).toBeNull();
+  });
+});
+
+test('createNeuralGraph offsets each layer and links every pair of neighbouring nodes', () => {
+  const { offsets, totalNodes, connections } = createNeuralGraph(
+    buildNeuralStructure([
+      { count: 3, activation: 'tanh', type: 'dense' },
+      { count: 1, activation: 'sigmoid', type: 'dense' },
+    ])
+  );
+  expect(offsets).toEqual([0, 2, 5]);
+  expect(totalNodes).toBe(6);
+  expect(connections).toHaveLength(2 * 3 + 3 * 1);
+  expect(connections[4]).toMatchObject({ layerIndex: 0, sourceIndex: 1, targetIndex: 1, weightIndex: 3 });
+});
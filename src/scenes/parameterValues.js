@@ -0,0 +1,30 @@
+// Helpers for the scene parameter controls: clamping, display formatting and conditional visibility.
+
+import * as THREE from 'three';
+
+export function clampParameterValue(control, value) {
+  if (control.type === 'toggle') return Boolean(value);
+  if (control.type === 'custom') return control.normalize(value);
+  if (control.type === 'select') {
+    return control.options.some((option) => option.value === value) ? value : null;
+  }
+  const numeric = Number(value);
+  if (!Number.isFinite(numeric)) return null;
+  const clamped = THREE.MathUtils.clamp(numeric, control.min, control.max);
+  return Number.isInteger(control.step) ? Math.round(clamped) : clamped;
+}
+
+export function isControlVisible(control, values) {
+  if (control.system && values?.system !== control.system) return false;
+  return (
+    !control.when ||
+    Object.entries(control.when).every(([key, value]) =>
+      Array.isArray(value) ? value.includes(values?.[key]) : values?.[key] === value
+    )
+  );
+}
+
+export function formatParameterValue(value, step = 1) {
+  const decimals = Math.min(4, Math.max(0, -Math.floor(Math.log10(step))));
+  return Number(value).toFixed(decimals);
+}
@@ -0,0 +1,59 @@
+import { clampParameterValue, formatParameterValue, isControlVisible } from './parameterValues';
+
+describe('clampParameterValue', () => {
+  const range = { key: 'noise', type: 'range', min: 0, max: 4, step: 0.05 };
+  const count = { key: 'samples', type: 'number', min: 10, max: 600, step: 10 };
+
+  test('clamps numbers into the control range and parses strings from inputs and URLs', () => {
+    expect(clampParameterValue(range, '2.35')).toBe(2.35);
+    expect(clampParameterValue(range, 9)).toBe(4);
+    expect(clampParameterValue(range, '-1')).toBe(0);
+  });
+
+  test('rounds controls with whole-number steps', () => {
+    expect(clampParameterValue(count, '123.6')).toBe(124);
+    expect(clampParameterValue(count, 5)).toBe(10);
+  });
+
+  test('returns null for values that are not numbers', () => {
+    expect(clampParameterValue(range, 'abc')).toBeNull();
+    expect(clampParameterValue(range, 'Infinity')).toBeNull();
+  });
+
+  test('only accepts listed select options', () => {
+    const select = { key: 'fit', type: 'select', options: [{ value: 'ols' }, { value: 'gradient' }] };
+    expect(clampParameterValue(select, 'gradient')).toBe('gradient');
+    expect(clampParameterValue(select, 'newton')).toBeNull();
+  });
+
+  test('hands custom values to the control and coerces toggles', () => {
+    const custom = { key: 'matrix', type: 'custom', normalize: (value) => (value === 'ok' ? [1] : null) };
+    expect(clampParameterValue(custom, 'ok')).toEqual([1]);
+    expect(clampParameterValue(custom, 'bad')).toBeNull();
+    expect(clampParameterValue({ type: 'toggle' }, 1)).toBe(true);
+  });
+});
+
+describe('isControlVisible', () => {
+  test('matches `when` against a single value or a list', () => {
+    const single = { when: { model: 'em' } };
+    const either = { when: { model: ['mixture', 'em'] } };
+    expect(isControlVisible(single, { model: 'em' })).toBe(true);
+    expect(isControlVisible(single, { model: 'mixture' })).toBe(false);
+    expect(isControlVisible(either, { model: 'mixture' })).toBe(true);
+    expect(isControlVisible(either, { model: 'single' })).toBe(false);
+  });
+
+  test('hides attractor constants that belong to another system', () => {
+    expect(isControlVisible({ system: 'lorenz' }, { system: 'lorenz' })).toBe(true);
+    expect(isControlVisible({ system: 'lorenz' }, { system: 'thomas' })).toBe(false);
+    expect(isControlVisible({}, undefined)).toBe(true);
+  });
+});
+
+test('formatParameterValue shows as many decimals as the step needs', () => {
+  expect(formatParameterValue(3, 1)).toBe('3');
+  expect(formatParameterValue(0.5, 0.05)).toBe('0.50');
+  expect(formatParameterValue(0.1234567, 0.0001)).toBe('0.1235');
+  expect(formatParameterValue(2, 20)).toBe('2');
+});
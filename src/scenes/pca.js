@@ -0,0 +1,269 @@
+// Principal component analysis for the PCA scene: datasets, the eigen decomposition and scene data.
+
+import * as THREE from 'three';
+import { mulberry32 } from '../random';
+import { isNumericCell, readTabularText } from '../tabular';
+
+export const PCA_SCENE_SCALE = {
+  cloud: 3.6, // adjust to make the PCA point cloud larger or smaller
+  axis: 10.6, // scales the principal component arrows
+  planePrimary: 4.4, // scales the primary direction of the plane
+  planeSecondary: 4.05, // scales the secondary direction of the plane
+};
+
+const PCA_SYNTHETIC_COMPONENTS = [
+  [0.82, 0.36, 0.45],
+  [-0.28, 0.93, -0.24],
+  [-0.52, -0.08, 0.85],
+];
+
+const PCA_SYNTHETIC_SIGMAS = [2.6, 1.45, 0.72];
+
+const PCA_SYNTHETIC_POINT_COUNTS = { network: 860, soft: 520 };
+
+const PCA_LABEL_HUES = [0.55, 0.78, 0.08, 0.33, 0.92, 0.14];
+
+export function createSyntheticPCADataset(pointCount) {
+  const rng = mulberry32(0x3c6ef372);
+  const directions = PCA_SYNTHETIC_COMPONENTS.map((vector) => {
+    const length = Math.hypot(...vector);
+    return vector.map((value) => value / length);
+  });
+  const rows = [];
+
+  for (let i = 0; i < pointCount; i += 1) {
+    const row = [0, 0, 0];
+    PCA_SYNTHETIC_SIGMAS.forEach((sigma, idx) => {
+      // Box-Muller on the seeded generator so the default cloud is stable between renders
+      const u = 1 - rng();
+      const v = rng();
+      const coefficient = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v) * sigma;
+      for (let axis = 0; axis < 3; axis += 1) {
+        row[axis] += directions[idx][axis] * coefficient;
+      }
+    });
+    rows.push(row);
+  }
+
+  return {
+    name: 'Synthetic cloud',
+    columns: ['x', 'y', 'z'],
+    rows,
+    labels: null,
+  };
+}
+
+export function parseNumericDataset(text, name = 'Uploaded dataset') {
+  const { header, records } = readTabularText(text);
+  const width = header.length;
+  const numericColumns = [];
+  let labelColumn = -1;
+
+  for (let col = 0; col < width; col += 1) {
+    const values = records.map((record) => record[col]).filter((value) => value !== '' && value != null);
+    if (values.length === 0) continue;
+    if (values.every(isNumericCell)) {
+      numericColumns.push(col);
+    } else if (labelColumn === -1 && new Set(values.map(String)).size <= PCA_LABEL_HUES.length * 2) {
+      labelColumn = col;
+    }
+  }
+
+  if (numericColumns.length < 2) {
+    throw new Error('PCA needs at least two numeric columns.');
+  }
+
+  const rows = [];
+  const labels = [];
+  records.forEach((record) => {
+    if (!numericColumns.every((col) => isNumericCell(record[col]))) return;
+    rows.push(numericColumns.map((col) => Number(record[col])));
+    labels.push(labelColumn === -1 ? null : String(record[labelColumn] ?? ''));
+  });
+
+  if (rows.length < 3) {
+    throw new Error('PCA needs at least three complete rows.');
+  }
+
+  return {
+    name,
+    columns: numericColumns.map((col) => header[col] ?? `x${col + 1}`),
+    rows,
+    labels: labelColumn === -1 ? null : labels,
+  };
+}
+
+function jacobiEigenDecomposition(matrix, maxSweeps = 64) {
+  const size = matrix.length;
+  const a = matrix.map((row) => row.slice());
+  const v = Array.from({ length: size }, (_, row) =>
+    Array.from({ length: size }, (__, col) => (row === col ? 1 : 0))
+  );
+
+  for (let sweep = 0; sweep < maxSweeps; sweep += 1) {
+    let offDiagonal = 0;
+    for (let p = 0; p < size - 1; p += 1) {
+      for (let q = p + 1; q < size; q += 1) {
+        offDiagonal += a[p][q] * a[p][q];
+      }
+    }
+    if (offDiagonal < 1e-20) break;
+
+    for (let p = 0; p < size - 1; p += 1) {
+      for (let q = p + 1; q < size; q += 1) {
+        if (Math.abs(a[p][q]) < 1e-30) continue;
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+
+        for (let k = 0; k < size; k += 1) {
+          const akp = a[k][p];
+          const akq = a[k][q];
+          a[k][p] = c * akp - s * akq;
+          a[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < size; k += 1) {
+          const apk = a[p][k];
+          const aqk = a[q][k];
+          a[p][k] = c * apk - s * aqk;
+          a[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < size; k += 1) {
+          const vkp = v[k][p];
+          const vkq = v[k][q];
+          v[k][p] = c * vkp - s * vkq;
+          v[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+
+  return Array.from({ length: size }, (_, idx) => {
+    const vector = v.map((row) => row[idx]);
+    // flip so the dominant loading is positive; keeps axes from jumping between datasets
+    const dominant = vector.reduce((best, value) => (Math.abs(value) > Math.abs(best) ? value : best), 0);
+    return {
+      value: Math.max(a[idx][idx], 0),
+      vector: dominant < 0 ? vector.map((value) => -value) : vector,
+    };
+  }).sort((left, right) => right.value - left.value);
+}
+
+export function computePCA(rows) {
+  const count = rows.length;
+  const dimensions = rows[0].length;
+  const means = new Array(dimensions).fill(0);
+  const deviations = new Array(dimensions).fill(0);
+
+  rows.forEach((row) => {
+    row.forEach((value, col) => {
+      means[col] += value / count;
+    });
+  });
+  rows.forEach((row) => {
+    row.forEach((value, col) => {
+      deviations[col] += (value - means[col]) ** 2 / Math.max(count - 1, 1);
+    });
+  });
+  const stdDevs = deviations.map((variance) => Math.sqrt(variance) || 1);
+  const standardized = rows.map((row) => row.map((value, col) => (value - means[col]) / stdDevs[col]));
+
+  const covariance = Array.from({ length: dimensions }, () => new Array(dimensions).fill(0));
+  standardized.forEach((row) => {
+    for (let i = 0; i < dimensions; i += 1) {
+      for (let j = i; j < dimensions; j += 1) {
+        covariance[i][j] += (row[i] * row[j]) / Math.max(count - 1, 1);
+      }
+    }
+  });
+  for (let i = 0; i < dimensions; i += 1) {
+    for (let j = 0; j < i; j += 1) {
+      covariance[i][j] = covariance[j][i];
+    }
+  }
+
+  const eigenpairs = jacobiEigenDecomposition(covariance);
+  const totalVariance = eigenpairs.reduce((sum, pair) => sum + pair.value, 0) || 1;
+  const scores = standardized.map((row) =>
+    eigenpairs.map((pair) => pair.vector.reduce((sum, weight, col) => sum + weight * row[col], 0))
+  );
+
+  return {
+    means,
+    stdDevs,
+    standardized,
+    covariance,
+    eigenvalues: eigenpairs.map((pair) => pair.value),
+    components: eigenpairs.map((pair) => pair.vector),
+    explainedVariance: eigenpairs.map((pair) => pair.value / totalVariance),
+    scores,
+  };
+}
+
+// The dataset on screen and its decomposition, computed once and shared by the scene and the
+// dataset panel. Without an upload each route variant draws its own size of synthetic cloud.
+export function analysePCADataset(dataset, variant = 'default') {
+  const source = dataset ?? createSyntheticPCADataset(PCA_SYNTHETIC_POINT_COUNTS[variant] ?? 700);
+  return { dataset: source, pca: computePCA(source.rows) };
+}
+
+export function createPCAData({ dataset, pca }, varianceMultiplier, scale = PCA_SCENE_SCALE) {
+  const pointCount = dataset.rows.length;
+  const dimensions = dataset.columns.length;
+  // Three features can be drawn in their own space with the real eigenvectors; anything wider
+  // is shown in the space of its top three principal component scores.
+  const nativeSpace = dimensions === 3;
+  const eigenvectors = [0, 1, 2].map((idx) =>
+    nativeSpace
+      ? new THREE.Vector3(...pca.components[idx]).normalize()
+      : new THREE.Vector3(idx === 0 ? 1 : 0, idx === 1 ? 1 : 0, idx === 2 ? 1 : 0)
+  );
+  const sigmas = [0, 1, 2].map((idx) => Math.sqrt(pca.eigenvalues[idx] ?? 0) * varianceMultiplier);
+  const basePositions = new Float32Array(pointCount * 3);
+  const colors = new Float32Array(pointCount * 3);
+  const modulations = new Float32Array(pointCount);
+  const color = new THREE.Color();
+  const labelOrder = dataset.labels ? Array.from(new Set(dataset.labels)) : [];
+
+  for (let i = 0; i < pointCount; i += 1) {
+    const coordinates = nativeSpace ? pca.standardized[i] : pca.scores[i];
+    for (let axis = 0; axis < 3; axis += 1) {
+      basePositions[i * 3 + axis] =
+        (coordinates[axis] ?? 0) * varianceMultiplier * scale.cloud;
+    }
+
+    if (dataset.labels) {
+      const hue = PCA_LABEL_HUES[labelOrder.indexOf(dataset.labels[i]) % PCA_LABEL_HUES.length];
+      color.setHSL(hue, 0.72, 0.6);
+    } else {
+      const normalized = THREE.MathUtils.clamp(
+        (pca.scores[i][0] / ((sigmas[0] / varianceMultiplier) * 3 || 1) + 1) / 2,
+        0,
+        1
+      );
+      color.setHSL(THREE.MathUtils.lerp(0.55, 0.78, normalized), 0.72, 0.6);
+    }
+    colors[i * 3] = color.r;
+    colors[i * 3 + 1] = color.g;
+    colors[i * 3 + 2] = color.b;
+
+    modulations[i] = (pca.scores[i][2] ?? 0) / (Math.sqrt(pca.eigenvalues[2] ?? 0) || 1);
+  }
+
+  return {
+    basePositions,
+    colors,
+    eigenvectors,
+    sigmas,
+    modulations,
+    summary: {
+      name: dataset.name,
+      rowCount: pointCount,
+      columns: dataset.columns,
+      explainedVariance: pca.explainedVariance,
+      components: pca.components,
+      labels: labelOrder,
+    },
+  };
+}
@@ -0,0 +1,73 @@
+import { analysePCADataset, computePCA, parseNumericDataset } from './pca';
+
+const dot = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+describe('computePCA', () => {
+  // y tracks x exactly and z is uncorrelated with both, so after standardising the first component
+  // carries two of the three units of variance
+  const rows = [
+    [1, 2, 4],
+    [2, 4, 1],
+    [3, 6, 3],
+    [4, 8, 5],
+    [5, 10, 2],
+  ];
+
+  test('returns eigenvalues in descending order with orthonormal components', () => {
+    const pca = computePCA(rows);
+    expect(pca.eigenvalues[0]).toBeGreaterThanOrEqual(pca.eigenvalues[1]);
+    expect(pca.eigenvalues[1]).toBeGreaterThanOrEqual(pca.eigenvalues[2]);
+    pca.components.forEach((component, i) => {
+      pca.components.forEach((other, j) => {
+        expect(dot(component, other)).toBeCloseTo(i === j ? 1 : 0, 6);
+      });
+    });
+  });
+
+  test('explains perfectly correlated columns with the first component', () => {
+    const pca = computePCA(rows);
+    expect(pca.explainedVariance[0]).toBeCloseTo(2 / 3, 6);
+    expect(pca.explainedVariance.reduce((sum, ratio) => sum + ratio, 0)).toBeCloseTo(1, 6);
+    expect(Math.abs(pca.components[0][0])).toBeCloseTo(Math.SQRT1_2, 6);
+    expect(Math.abs(pca.components[0][1])).toBeCloseTo(Math.SQRT1_2, 6);
+    expect(pca.components[0][2]).toBeCloseTo(0, 6);
+  });
+
+  test('standardises every column to zero mean and unit variance', () => {
+    const pca = computePCA(rows);
+    expect(pca.means).toEqual([3, 6, 3]);
+    pca.covariance.forEach((row, i) => expect(row[i]).toBeCloseTo(1, 6));
+  });
+});
+
+describe('parseNumericDataset', () => {
+  test('keeps numeric columns, picks up a label column and drops incomplete rows', () => {
+    const dataset = parseNumericDataset('a,b,species\n1,2,setosa\n3,,setosa\n4,5,virginica\n6,7,setosa\n');
+    expect(dataset.columns).toEqual(['a', 'b']);
+    expect(dataset.rows).toEqual([
+      [1, 2],
+      [4, 5],
+      [6, 7],
+    ]);
+    expect(dataset.labels).toEqual(['setosa', 'virginica', 'setosa']);
+  });
+
+  test('rejects files with fewer than two numeric columns', () => {
+    expect(() => parseNumericDataset('a,name\n1,x\n2,y\n3,z\n')).toThrow('at least two numeric columns');
+  });
+});
+
+describe('analysePCADataset', () => {
+  test('sizes the synthetic cloud by route variant', () => {
+    expect(analysePCADataset(null).dataset.rows).toHaveLength(700);
+    expect(analysePCADataset(null, 'network').dataset.rows).toHaveLength(860);
+    expect(analysePCADataset(null, 'soft').dataset.rows).toHaveLength(520);
+  });
+
+  test('decomposes an uploaded dataset instead of the synthetic one', () => {
+    const dataset = { name: 'Upload', columns: ['a', 'b'], rows: [[1, 2], [2, 1], [3, 5]], labels: null };
+    const analysis = analysePCADataset(dataset, 'network');
+    expect(analysis.dataset).toBe(dataset);
+    expect(analysis.pca.scores).toHaveLength(3);
+  });
+});
@@ -0,0 +1,229 @@
+// Plane fitting for the regression scene: noisy samples, least squares and gradient descent.
+
+import * as THREE from 'three';
+import { gaussianRandom, mulberry32 } from '../random';
+
+export const REGRESSION_CONFIG = {
+  sampleCount: 180,
+  xRange: [-6, 6],
+  zRange: [-6, 6],
+  noiseSigma: 0.8,
+  plane: { a: 1.2, b: -0.95, c: 3.4 },
+  gridResolution: 36,
+  fitMode: 'ols',
+  learningRate: 0.02,
+  descentSpeed: 30, // gradient steps per second
+  showTruePlane: false,
+};
+
+export function createRegressionDataset({ sampleCount, xRange, zRange, noiseSigma, plane, gridResolution }) {
+  const rng = mulberry32(0x9b3c4a);
+  const samples = [];
+  let minY = Infinity;
+  let maxY = -Infinity;
+
+  for (let i = 0; i < sampleCount; i += 1) {
+    const tx = rng();
+    const tz = rng();
+    const x = THREE.MathUtils.lerp(xRange[0], xRange[1], tx);
+    const z = THREE.MathUtils.lerp(zRange[0], zRange[1], tz);
+    const planePred = plane.a * x + plane.b * z + plane.c;
+    const y = planePred + gaussianRandom() * noiseSigma;
+    samples.push({ x, z, y });
+    minY = Math.min(minY, y, planePred);
+    maxY = Math.max(maxY, y, planePred);
+  }
+
+  const pointPositions = new Float32Array(sampleCount * 3);
+  const pointColors = new Float32Array(sampleCount * 3);
+  const pointColor = new THREE.Color();
+
+  for (let i = 0; i < sampleCount; i += 1) {
+    const { x, z, y } = samples[i];
+    const norm = (y - minY) / (maxY - minY || 1);
+    pointColor.setHSL(0.55 - 0.1 * norm, 0.55, 0.55 + 0.2 * norm);
+    pointPositions[i * 3] = x;
+    pointPositions[i * 3 + 1] = y;
+    pointPositions[i * 3 + 2] = z;
+    pointColors[i * 3] = pointColor.r;
+    pointColors[i * 3 + 1] = pointColor.g;
+    pointColors[i * 3 + 2] = pointColor.b;
+  }
+
+  return {
+    samples,
+    pointPositions,
+    pointColors,
+    // residual segments and the fitted plane are rewritten every frame from the current estimate
+    residualPositions: new Float32Array(sampleCount * 6),
+    residualColors: new Float32Array(sampleCount * 6),
+    planeGeometry: createRegressionPlaneGeometry({ xRange, zRange, gridResolution }),
+    truePlaneGeometry: updateRegressionPlaneGeometry(
+      createRegressionPlaneGeometry({ xRange, zRange, gridResolution: 7 }),
+      plane
+    ),
+  };
+}
+
+function createRegressionPlaneGeometry({ xRange, zRange, gridResolution }) {
+  const vertexCount = gridResolution * gridResolution;
+  const planePositions = new Float32Array(vertexCount * 3);
+  const planeNormals = new Float32Array(vertexCount * 3);
+  const planeUVs = new Float32Array(vertexCount * 2);
+  const planeIndices = [];
+
+  let pIndex = 0;
+  for (let gz = 0; gz < gridResolution; gz += 1) {
+    const tz = gz / (gridResolution - 1);
+    for (let gx = 0; gx < gridResolution; gx += 1) {
+      const tx = gx / (gridResolution - 1);
+      planePositions[pIndex * 3] = THREE.MathUtils.lerp(xRange[0], xRange[1], tx);
+      planePositions[pIndex * 3 + 2] = THREE.MathUtils.lerp(zRange[0], zRange[1], tz);
+      planeNormals[pIndex * 3 + 1] = 1;
+      planeUVs[pIndex * 2] = tx;
+      planeUVs[pIndex * 2 + 1] = tz;
+      pIndex += 1;
+    }
+  }
+
+  for (let gz = 0; gz < gridResolution - 1; gz += 1) {
+    for (let gx = 0; gx < gridResolution - 1; gx += 1) {
+      const a = gx + gz * gridResolution;
+      const b = gx + (gz + 1) * gridResolution;
+      const c = gx + 1 + gz * gridResolution;
+      const d = gx + 1 + (gz + 1) * gridResolution;
+      planeIndices.push(a, b, c, c, b, d);
+    }
+  }
+
+  const planeGeometry = new THREE.BufferGeometry();
+  planeGeometry.setAttribute('position', new THREE.BufferAttribute(planePositions, 3));
+  planeGeometry.setAttribute('normal', new THREE.BufferAttribute(planeNormals, 3));
+  planeGeometry.setAttribute('uv', new THREE.BufferAttribute(planeUVs, 2));
+  planeGeometry.setIndex(planeIndices);
+  planeGeometry.attributes.position.usage = THREE.DynamicDrawUsage;
+  return planeGeometry;
+}
+
+export function updateRegressionPlaneGeometry(geometry, { a, b, c }) {
+  const positions = geometry.attributes.position;
+  const normals = geometry.attributes.normal;
+  const normal = new THREE.Vector3(-a, 1, -b).normalize();
+
+  for (let i = 0; i < positions.count; i += 1) {
+    const x = positions.getX(i);
+    const z = positions.getZ(i);
+    positions.setY(i, a * x + b * z + c);
+    normals.setXYZ(i, normal.x, normal.y, normal.z);
+  }
+
+  positions.needsUpdate = true;
+  normals.needsUpdate = true;
+  geometry.computeBoundingSphere();
+  return geometry;
+}
+
+function solveLinearSystem3(m, v) {
+  const det = (rows) =>
+    rows[0][0] * (rows[1][1] * rows[2][2] - rows[1][2] * rows[2][1]) -
+    rows[0][1] * (rows[1][0] * rows[2][2] - rows[1][2] * rows[2][0]) +
+    rows[0][2] * (rows[1][0] * rows[2][1] - rows[1][1] * rows[2][0]);
+  const denominator = det(m);
+  if (Math.abs(denominator) < 1e-12) return null;
+  // Cramer's rule: swap each column for the right-hand side in turn
+  return [0, 1, 2].map(
+    (col) => det(m.map((row, r) => row.map((value, c) => (c === col ? v[r] : value)))) / denominator
+  );
+}
+
+export function fitOrdinaryLeastSquares(samples) {
+  let sxx = 0;
+  let sxz = 0;
+  let szz = 0;
+  let sx = 0;
+  let sz = 0;
+  let sxy = 0;
+  let szy = 0;
+  let sy = 0;
+
+  samples.forEach(({ x, z, y }) => {
+    sxx += x * x;
+    sxz += x * z;
+    szz += z * z;
+    sx += x;
+    sz += z;
+    sxy += x * y;
+    szy += z * y;
+    sy += y;
+  });
+
+  // normal equations (XᵀX)β = Xᵀy for the design matrix [x, z, 1]
+  const solution = solveLinearSystem3(
+    [
+      [sxx, sxz, sx],
+      [sxz, szz, sz],
+      [sx, sz, samples.length],
+    ],
+    [sxy, szy, sy]
+  );
+  if (!solution) return { a: 0, b: 0, c: sy / (samples.length || 1) };
+  const [a, b, c] = solution;
+  return { a, b, c };
+}
+
+export function evaluateRegression(samples, { a, b, c }) {
+  const count = samples.length || 1;
+  const meanY = samples.reduce((sum, sample) => sum + sample.y, 0) / count;
+  let residualSum = 0;
+  let totalSum = 0;
+
+  samples.forEach(({ x, z, y }) => {
+    const error = a * x + b * z + c - y;
+    residualSum += error * error;
+    totalSum += (y - meanY) ** 2;
+  });
+
+  return {
+    loss: residualSum / count,
+    rSquared: totalSum > 0 ? 1 - residualSum / totalSum : 0,
+  };
+}
+
+export function gradientDescentStep(samples, { a, b, c }, learningRate) {
+  const count = samples.length || 1;
+  let gradA = 0;
+  let gradB = 0;
+  let gradC = 0;
+
+  samples.forEach(({ x, z, y }) => {
+    const error = a * x + b * z + c - y;
+    gradA += (2 / count) * error * x;
+    gradB += (2 / count) * error * z;
+    gradC += (2 / count) * error;
+  });
+
+  return {
+    a: a - learningRate * gradA,
+    b: b - learningRate * gradB,
+    c: c - learningRate * gradC,
+  };
+}
+
+export function formatPlaneEquation({ a, b, c }) {
+  const term = (value, symbol) => `${value < 0 ? '−' : '+'} ${Math.abs(value).toFixed(2)}${symbol}`;
+  return `ŷ = ${a.toFixed(2)}x ${term(b, 'z')} ${term(c, '')}`;
+}
+
+export function regressionConfigFromParameters(parameters) {
+  return {
+    ...REGRESSION_CONFIG,
+    sampleCount: parameters.sampleCount,
+    noiseSigma: parameters.noiseSigma,
+    gridResolution: parameters.gridResolution,
+    plane: { a: parameters.planeA, b: parameters.planeB, c: parameters.planeC },
+    fitMode: parameters.fitMode,
+    learningRate: parameters.learningRate,
+    descentSpeed: parameters.descentSpeed,
+    showTruePlane: parameters.showTruePlane,
+  };
+}
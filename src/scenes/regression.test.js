@@ -0,0 +1,47 @@
+import { evaluateRegression, fitOrdinaryLeastSquares, formatPlaneEquation, gradientDescentStep } from './regression';
+
+// y = 2x − 0.5z + 3 on a small grid, with no noise
+const plane = { a: 2, b: -0.5, c: 3 };
+const samples = [-2, -1, 0, 1, 2].flatMap((x) =>
+  [-1, 0, 1.5].map((z) => ({ x, z, y: plane.a * x + plane.b * z + plane.c }))
+);
+
+describe('fitOrdinaryLeastSquares', () => {
+  test('recovers the plane behind noiseless samples', () => {
+    const fit = fitOrdinaryLeastSquares(samples);
+    expect(fit.a).toBeCloseTo(2, 8);
+    expect(fit.b).toBeCloseTo(-0.5, 8);
+    expect(fit.c).toBeCloseTo(3, 8);
+    expect(evaluateRegression(samples, fit).rSquared).toBeCloseTo(1, 8);
+  });
+
+  test('falls back to the mean when the design matrix is singular', () => {
+    // x and z move together, so their coefficients can't be told apart
+    const collinear = [0, 1, 2].map((x) => ({ x, z: x, y: x + 1 }));
+    expect(fitOrdinaryLeastSquares(collinear)).toEqual({ a: 0, b: 0, c: 2 });
+  });
+});
+
+describe('gradientDescentStep', () => {
+  test('lowers the loss on every step and converges to the least-squares plane', () => {
+    let params = { a: 0, b: 0, c: 0 };
+    let loss = evaluateRegression(samples, params).loss;
+    for (let step = 0; step < 2000; step += 1) {
+      params = gradientDescentStep(samples, params, 0.05);
+      const next = evaluateRegression(samples, params).loss;
+      expect(next).toBeLessThanOrEqual(loss + 1e-12);
+      loss = next;
+    }
+    expect(params.a).toBeCloseTo(2, 4);
+    expect(params.b).toBeCloseTo(-0.5, 4);
+    expect(params.c).toBeCloseTo(3, 4);
+  });
+
+  test('stays put at the optimum', () => {
+    expect(gradientDescentStep(samples, plane, 0.1)).toEqual(plane);
+  });
+});
+
+test('formatPlaneEquation signs each term', () => {
+  expect(formatPlaneEquation(plane)).toBe('ŷ = 2.00x − 0.50z + 3.00');
+});
@@ -0,0 +1,341 @@
+// Per-scene parameter schemas, and how scene choices round-trip through the URL query string.
+// Custom controls name their editor; SceneParameterPanel owns the components behind those names.
+
+import { ATTRACTOR_SYSTEMS, LORENZ_DEFAULTS } from './attractors';
+import { BELL_CURVE_CONFIG } from './galton';
+import { GAUSSIAN_DEFAULTS, GAUSSIAN_MIXTURE_COLORS, normalizeCovariance, serializeCovariance } from './gaussian';
+import { NETWORK_SCENE_SETTINGS } from './graph';
+import { LINEAR_PRESET, normalizeLinearMatrices, serializeLinearMatrices } from './linearAlgebra';
+import { MARKOV_CHAIN_CONFIG, normalizeTransitionMatrix, serializeTransitionMatrix } from './markov';
+import { NEURAL_DATASETS, NEURAL_SCENE_SETTINGS, normalizeNeuralLayers, serializeNeuralLayers } from './neural';
+import { clampParameterValue } from './parameterValues';
+import { PCA_SCENE_SCALE } from './pca';
+import { REGRESSION_CONFIG } from './regression';
+
+export const SCENE_PARAMETER_SCHEMAS = {
+  gaussian: {
+    defaults: () => GAUSSIAN_DEFAULTS,
+    controls: [
+      {
+        key: 'model',
+        label: 'Model',
+        type: 'select',
+        options: [
+          { value: 'single', label: 'Single Gaussian' },
+          { value: 'mixture', label: 'Gaussian mixture' },
+          { value: 'em', label: 'Fit a mixture with EM' },
+        ],
+      },
+      {
+        key: 'covariance',
+        label: 'Covariance',
+        type: 'custom',
+        when: { model: 'single' },
+        normalize: normalizeCovariance,
+        serialize: serializeCovariance,
+        editor: 'covariance',
+      },
+      {
+        key: 'components',
+        label: 'Components K',
+        type: 'number',
+        min: 1,
+        max: GAUSSIAN_MIXTURE_COLORS.length,
+        step: 1,
+        when: { model: ['mixture', 'em'] },
+      },
+      {
+        key: 'mixtureSeed',
+        label: 'Layout seed',
+        type: 'number',
+        min: 1,
+        max: 999,
+        step: 1,
+        when: { model: ['mixture', 'em'] },
+      },
+      {
+        key: 'fitComponents',
+        label: 'Fitted components',
+        type: 'number',
+        min: 1,
+        max: GAUSSIAN_MIXTURE_COLORS.length,
+        step: 1,
+        when: { model: 'em' },
+      },
+      { key: 'emSpeed', label: 'Iterations / s', type: 'range', min: 0.5, max: 8, step: 0.5, when: { model: 'em' } },
+      { key: 'showHidden', label: 'Show hidden mixture', type: 'toggle', when: { model: 'em' } },
+      { key: 'sampleCount', label: 'Samples', type: 'number', min: 0, max: 1500, step: 50 },
+      { key: 'amplitude', label: 'Peak height', type: 'range', min: 2, max: 14, step: 0.5 },
+      { key: 'spacing', label: 'Point spacing', type: 'range', min: 0.3, max: 1.2, step: 0.05 },
+      { key: 'size', label: 'Grid size', type: 'number', min: 11, max: 81, step: 2 },
+      { key: 'showCurve', label: 'Show marginals', type: 'toggle' },
+    ],
+  },
+  linear: {
+    defaults: () => LINEAR_PRESET,
+    controls: [
+      {
+        key: 'mode',
+        label: 'Space',
+        type: 'select',
+        options: [
+          { value: '2d', label: '2D plane' },
+          { value: '3d', label: '3D space' },
+        ],
+      },
+      {
+        key: 'matrices',
+        label: 'Matrix sequence',
+        type: 'custom',
+        when: { mode: '2d' },
+        normalize: (value) => normalizeLinearMatrices(value, 2),
+        serialize: serializeLinearMatrices,
+        editor: 'linear-matrices',
+      },
+      {
+        key: 'matrices3',
+        label: 'Matrix sequence',
+        type: 'custom',
+        when: { mode: '3d' },
+        normalize: (value) => normalizeLinearMatrices(value, 3),
+        serialize: serializeLinearMatrices,
+        editor: 'linear-matrices',
+      },
+      { key: 'stepDuration', label: 'Seconds per step', type: 'range', min: 0.4, max: 5, step: 0.1 },
+      { key: 'autoplay', label: 'Autoplay sequence', type: 'toggle' },
+      { key: 'showEigenvectors', label: 'Show eigenvectors', type: 'toggle', when: { mode: '2d' } },
+    ],
+  },
+  bell: {
+    defaults: () => BELL_CURVE_CONFIG,
+    controls: [
+      { key: 'ballCount', label: 'Balls', type: 'number', min: 20, max: 400, step: 10 },
+      { key: 'pegRows', label: 'Peg rows', type: 'range', min: 4, max: 20, step: 1 },
+      { key: 'horizontalStep', label: 'Peg spacing', type: 'range', min: 0.2, max: 1, step: 0.02 },
+      { key: 'bias', label: 'Bias (p right)', type: 'range', min: 0.05, max: 0.95, step: 0.01 },
+      { key: 'restitution', label: 'Restitution', type: 'range', min: 0, max: 0.6, step: 0.05 },
+      { key: 'gravity', label: 'Gravity', type: 'range', min: -40, max: -4, step: 1 },
+    ],
+  },
+  network: {
+    defaults: (variant) => ({ ...(NETWORK_SCENE_SETTINGS[variant] ?? NETWORK_SCENE_SETTINGS.default), pathMode: false }),
+    controls: [
+      { key: 'nodeCount', label: 'Nodes', type: 'number', min: 40, max: 800, step: 20 },
+      // the network route's default cloud is far wider than the home page's, so the range spans both
+      { key: 'radius', label: 'Radius', type: 'range', min: 2, max: 800, step: 0.2 },
+      { key: 'linkPerNode', label: 'Links per node', type: 'range', min: 1, max: 8, step: 1 },
+      { key: 'pulseStrength', label: 'Pulse', type: 'range', min: 0, max: 3, step: 0.05 },
+      { key: 'spin', label: 'Spin', type: 'range', min: 0, max: 0.6, step: 0.01 },
+      { key: 'pathMode', label: 'Shortest path mode', type: 'toggle' },
+    ],
+  },
+  markov: {
+    defaults: () => MARKOV_CHAIN_CONFIG,
+    controls: [
+      {
+        key: 'transitions',
+        label: 'Transition matrix',
+        type: 'custom',
+        normalize: normalizeTransitionMatrix,
+        serialize: serializeTransitionMatrix,
+        editor: 'markov-matrix',
+      },
+      { key: 'speed', label: 'Walker speed', type: 'range', min: 0.1, max: 8, step: 0.05 },
+      { key: 'radius', label: 'Ring radius', type: 'range', min: 3, max: 12, step: 0.2 },
+      { key: 'edgeThreshold', label: 'Hide edges below', type: 'range', min: 0, max: 0.3, step: 0.01 },
+    ],
+  },
+  neural: {
+    defaults: () => NEURAL_SCENE_SETTINGS,
+    controls: [
+      {
+        key: 'layers',
+        label: 'Layers',
+        type: 'custom',
+        normalize: normalizeNeuralLayers,
+        serialize: serializeNeuralLayers,
+        editor: 'neural-layers',
+      },
+      {
+        key: 'dataset',
+        label: 'Dataset',
+        type: 'select',
+        options: Object.entries(NEURAL_DATASETS).map(([value, dataset]) => ({ value, label: dataset.label })),
+      },
+      { key: 'noise', label: 'Noise', type: 'range', min: 0, max: 0.4, step: 0.01 },
+      { key: 'learningRate', label: 'Learning rate', type: 'range', min: 0.001, max: 0.5, step: 0.001 },
+      { key: 'trainingSpeed', label: 'Epochs per second', type: 'range', min: 0, max: 30, step: 1 },
+      { key: 'showBoundary', label: 'Show decision boundary', type: 'toggle' },
+      { key: 'nodeSpacing', label: 'Node spacing', type: 'range', min: 0.8, max: 3, step: 0.1 },
+      { key: 'pulseSpeed', label: 'Pulse speed', type: 'range', min: 0, max: 4, step: 0.1 },
+      { key: 'showPulses', label: 'Show signal pulses', type: 'toggle' },
+    ],
+  },
+  lorenz: {
+    defaults: () => LORENZ_DEFAULTS,
+    controls: [
+      {
+        key: 'system',
+        label: 'System',
+        type: 'select',
+        options: Object.entries(ATTRACTOR_SYSTEMS).map(([value, system]) => ({ value, label: system.label })),
+      },
+      { key: 'trajectories', label: 'Trajectories', type: 'range', min: 1, max: 6, step: 1 },
+      {
+        key: 'perturbation',
+        label: 'Initial separation',
+        type: 'range',
+        min: -10,
+        max: -1,
+        step: 1,
+        format: (value) => `1e${value}`,
+      },
+      { key: 'sigma', label: 'σ (sigma)', type: 'range', min: 0, max: 30, step: 0.1, system: 'lorenz' },
+      { key: 'rho', label: 'ρ (rho)', type: 'range', min: 0, max: 100, step: 0.5, system: 'lorenz' },
+      { key: 'beta', label: 'β (beta)', type: 'range', min: 0, max: 10, step: 0.01, system: 'lorenz' },
+      { key: 'rosslerA', label: 'a', type: 'range', min: 0, max: 0.5, step: 0.01, system: 'rossler' },
+      { key: 'rosslerB', label: 'b', type: 'range', min: 0, max: 2, step: 0.01, system: 'rossler' },
+      { key: 'rosslerC', label: 'c', type: 'range', min: 1, max: 14, step: 0.1, system: 'rossler' },
+      { key: 'thomasB', label: 'b (damping)', type: 'range', min: 0.05, max: 0.35, step: 0.001, system: 'thomas' },
+      { key: 'chenA', label: 'a', type: 'range', min: 20, max: 50, step: 0.5, system: 'chen' },
+      { key: 'chenB', label: 'b', type: 'range', min: 1, max: 6, step: 0.1, system: 'chen' },
+      { key: 'chenC', label: 'c', type: 'range', min: 15, max: 32, step: 0.5, system: 'chen' },
+      { key: 'aizawaA', label: 'a', type: 'range', min: 0.5, max: 1.2, step: 0.01, system: 'aizawa' },
+      { key: 'aizawaB', label: 'b', type: 'range', min: 0.4, max: 1, step: 0.01, system: 'aizawa' },
+      { key: 'aizawaC', label: 'c', type: 'range', min: 0.3, max: 0.9, step: 0.01, system: 'aizawa' },
+      { key: 'aizawaD', label: 'd', type: 'range', min: 2, max: 5, step: 0.05, system: 'aizawa' },
+      { key: 'aizawaE', label: 'e', type: 'range', min: 0, max: 0.5, step: 0.01, system: 'aizawa' },
+      { key: 'aizawaF', label: 'f', type: 'range', min: 0, max: 0.3, step: 0.01, system: 'aizawa' },
+      { key: 'speed', label: 'Step size', type: 'range', min: 0.25, max: 2, step: 0.05 },
+      { key: 'steps', label: 'Steps', type: 'number', min: 2000, max: 60000, step: 1000 },
+      { key: 'zoom', label: 'Zoom', type: 'range', min: 0.2, max: 2.5, step: 0.05 },
+      { key: 'duration', label: 'Draw time (s)', type: 'range', min: 3, max: 60, step: 0.5 },
+    ],
+  },
+  regression: {
+    defaults: () => ({
+      sampleCount: REGRESSION_CONFIG.sampleCount,
+      noiseSigma: REGRESSION_CONFIG.noiseSigma,
+      gridResolution: REGRESSION_CONFIG.gridResolution,
+      planeA: REGRESSION_CONFIG.plane.a,
+      planeB: REGRESSION_CONFIG.plane.b,
+      planeC: REGRESSION_CONFIG.plane.c,
+      fitMode: REGRESSION_CONFIG.fitMode,
+      learningRate: REGRESSION_CONFIG.learningRate,
+      descentSpeed: REGRESSION_CONFIG.descentSpeed,
+      showTruePlane: REGRESSION_CONFIG.showTruePlane,
+    }),
+    controls: [
+      {
+        key: 'fitMode',
+        label: 'Fit',
+        type: 'select',
+        options: [
+          { value: 'ols', label: 'Least squares' },
+          { value: 'gradient', label: 'Gradient descent' },
+        ],
+      },
+      {
+        key: 'learningRate',
+        label: 'Learning rate',
+        type: 'range',
+        min: 0.001,
+        max: 0.1,
+        step: 0.001,
+        when: { fitMode: 'gradient' },
+      },
+      {
+        key: 'descentSpeed',
+        label: 'Steps per second',
+        type: 'range',
+        min: 1,
+        max: 240,
+        step: 1,
+        when: { fitMode: 'gradient' },
+      },
+      { key: 'showTruePlane', label: 'Show generating plane', type: 'toggle' },
+      { key: 'sampleCount', label: 'Samples', type: 'number', min: 10, max: 600, step: 10 },
+      { key: 'noiseSigma', label: 'Noise σ', type: 'range', min: 0, max: 4, step: 0.05 },
+      { key: 'planeA', label: 'True slope x', type: 'range', min: -3, max: 3, step: 0.05 },
+      { key: 'planeB', label: 'True slope z', type: 'range', min: -3, max: 3, step: 0.05 },
+      { key: 'planeC', label: 'True intercept', type: 'range', min: -5, max: 8, step: 0.1 },
+      { key: 'gridResolution', label: 'Plane resolution', type: 'number', min: 4, max: 80, step: 1 },
+    ],
+  },
+  pca: {
+    defaults: () => ({ ...PCA_SCENE_SCALE, showPlane: true }),
+    controls: [
+      { key: 'cloud', label: 'Cloud scale', type: 'range', min: 0.5, max: 8, step: 0.1 },
+      { key: 'axis', label: 'Axis length', type: 'range', min: 2, max: 20, step: 0.2 },
+      { key: 'planePrimary', label: 'Plane width', type: 'range', min: 0.5, max: 10, step: 0.05 },
+      { key: 'planeSecondary', label: 'Plane depth', type: 'range', min: 0.5, max: 10, step: 0.05 },
+      { key: 'showPlane', label: 'Show PC1–PC2 plane', type: 'toggle' },
+    ],
+  },
+};
+
+export function resolveSceneParameters(sceneId, variant, overrides = {}) {
+  const schema = SCENE_PARAMETER_SCHEMAS[sceneId];
+  if (!schema) return null;
+  return { ...schema.defaults(variant), ...overrides };
+}
+
+export const SCENE_VARIANTS = ['default', 'soft', 'network'];
+
+export const SCENE_SEARCH_KEYS = [
+  'bg',
+  'variant',
+  ...new Set(
+    Object.values(SCENE_PARAMETER_SCHEMAS).flatMap((schema) => schema.controls.map((control) => control.key))
+  ),
+];
+
+export function readSceneSearchParams(sceneId, searchParams) {
+  const schema = SCENE_PARAMETER_SCHEMAS[sceneId];
+  if (!schema) return {};
+  const overrides = {};
+
+  schema.controls.forEach((control) => {
+    const raw = searchParams.get(control.key);
+    if (raw === null) return;
+    if (control.type === 'toggle') {
+      if (raw === '1' || raw === 'true') overrides[control.key] = true;
+      if (raw === '0' || raw === 'false') overrides[control.key] = false;
+      return;
+    }
+    const value = raw.trim() === '' ? null : clampParameterValue(control, raw);
+    if (value !== null) {
+      overrides[control.key] = value;
+    }
+  });
+
+  return overrides;
+}
+
+export function writeSceneSearchParams(searchParams, { sceneId, variant, values }) {
+  const next = new URLSearchParams(searchParams);
+  SCENE_SEARCH_KEYS.forEach((key) => next.delete(key));
+  next.set('bg', sceneId);
+  if (SCENE_VARIANTS.includes(variant)) {
+    next.set('variant', variant);
+  }
+  if (values) {
+    SCENE_PARAMETER_SCHEMAS[sceneId]?.controls.forEach((control) => {
+      const value = values[control.key];
+      if (value === undefined) return;
+      next.set(
+        control.key,
+        control.type === 'toggle'
+          ? value
+            ? '1'
+            : '0'
+          : control.type === 'select'
+            ? String(value)
+            : control.type === 'custom'
+              ? control.serialize(value)
+              : String(Number(value))
+      );
+    });
+  }
+  return next;
+}
@@ -0,0 +1,83 @@
+import {
+  readSceneSearchParams,
+  SCENE_SEARCH_KEYS,
+  resolveSceneParameters,
+  SCENE_PARAMETER_SCHEMAS,
+  SCENE_VARIANTS,
+  writeSceneSearchParams,
+} from './sceneParameters';
+
+function roundTrip(sceneId, variant, values) {
+  const search = writeSceneSearchParams(new URLSearchParams(), { sceneId, variant, values });
+  return resolveSceneParameters(sceneId, variant, readSceneSearchParams(sceneId, new URLSearchParams(search.toString())));
+}
+
+describe('scene search params', () => {
+  // moving one slider writes every value, so each scene's defaults must come back exactly as they went out
+  Object.keys(SCENE_PARAMETER_SCHEMAS).forEach((sceneId) => {
+    test.each(SCENE_VARIANTS)(`${sceneId} defaults survive write→read on the %s variant`, (variant) => {
+      const defaults = resolveSceneParameters(sceneId, variant);
+      expect(roundTrip(sceneId, variant, defaults)).toEqual(defaults);
+    });
+  });
+
+  test('keeps the network route radius that is far outside the home page range', () => {
+    const search = writeSceneSearchParams(new URLSearchParams(), {
+      sceneId: 'network',
+      variant: 'network',
+      values: { ...resolveSceneParameters('network', 'network'), spin: 0.3 },
+    });
+    expect(search.get('radius')).toBe('600.2');
+    expect(readSceneSearchParams('network', search)).toMatchObject({ radius: 600.2, spin: 0.3 });
+  });
+});
+
+describe('readSceneSearchParams', () => {
+  test('clamps numbers, drops unknown options and parses toggles', () => {
+    const search = new URLSearchParams('rho=250&sigma=abc&system=lorenz96&beta=&zoom=1.5');
+    expect(readSceneSearchParams('lorenz', search)).toEqual({ rho: 100, zoom: 1.5 });
+    expect(readSceneSearchParams('network', new URLSearchParams('pathMode=1&nodeCount=61'))).toEqual({
+      pathMode: true,
+      nodeCount: 61,
+    });
+    expect(readSceneSearchParams('pca', new URLSearchParams('showPlane=false'))).toEqual({ showPlane: false });
+  });
+
+  test('drops custom values that do not decode', () => {
+    expect(readSceneSearchParams('markov', new URLSearchParams('transitions=0.5'))).toEqual({});
+  });
+
+  test('ignores unknown scenes', () => {
+    expect(readSceneSearchParams('fractal', new URLSearchParams('rho=10'))).toEqual({});
+    expect(resolveSceneParameters('fractal', 'default')).toBeNull();
+  });
+});
+
+describe('writeSceneSearchParams', () => {
+  test("replaces the previous scene's keys but keeps unrelated params", () => {
+    const search = writeSceneSearchParams(new URLSearchParams('bg=lorenz&rho=28&utm_source=slides'), {
+      sceneId: 'pca',
+      variant: 'soft',
+      values: { cloud: 2, showPlane: false },
+    });
+    expect(search.toString()).toBe('utm_source=slides&bg=pca&variant=soft&cloud=2&showPlane=0');
+  });
+
+  test('leaves out unknown variants and, on reset, every parameter', () => {
+    const search = writeSceneSearchParams(new URLSearchParams('bg=pca&cloud=2'), { sceneId: 'pca', variant: 'dark' });
+    expect(search.toString()).toBe('bg=pca');
+  });
+});
+
+test('every custom control names an editor and brings its own URL codec', () => {
+  Object.values(SCENE_PARAMETER_SCHEMAS).forEach((schema) => {
+    schema.controls
+      .filter((control) => control.type === 'custom')
+      .forEach((control) => {
+        expect(typeof control.editor).toBe('string');
+        expect(typeof control.normalize).toBe('function');
+        expect(typeof control.serialize).toBe('function');
+      });
+  });
+  expect(SCENE_SEARCH_KEYS.slice(0, 2)).toEqual(['bg', 'variant']);
+});
@@ -3,3 +3,15 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// jsdom has no ResizeObserver. The scene Canvas only needs one to exist, and since it never reports a
+// size the Canvas never starts a WebGL renderer, which jsdom couldn't provide either.
+class ResizeObserverStub {
+  observe() {}
+  unobserve() {}
+  disconnect() {}
+}
+// (suites for the plain data modules run under the node environment, which has no window at all)
+if (typeof window !== 'undefined') {
+  window.ResizeObserver ??= ResizeObserverStub;
+}
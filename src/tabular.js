@@ -0,0 +1,68 @@
+// Reading delimited text (CSV, TSV, whitespace) into rows, shared by the dataset and graph importers.
+
+function splitDelimitedLine(line, delimiter) {
+  const cells = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i += 1) {
+    const char = line[i];
+    if (char === '"') {
+      if (quoted && line[i + 1] === '"') {
+        current += '"';
+        i += 1;
+      } else {
+        quoted = !quoted;
+      }
+    } else if (char === delimiter && !quoted) {
+      cells.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  cells.push(current.trim());
+  return cells;
+}
+
+export function isNumericCell(value) {
+  if (typeof value === 'number') return Number.isFinite(value);
+  if (typeof value !== 'string' || value.trim() === '') return false;
+  return Number.isFinite(Number(value));
+}
+
+export function readTabularText(text) {
+  const trimmed = text.trim();
+  if (!trimmed) {
+    throw new Error('The file is empty.');
+  }
+
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    let parsed;
+    try {
+      parsed = JSON.parse(trimmed);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+    const records = Array.isArray(parsed) ? parsed : parsed.data;
+    if (!Array.isArray(records) || records.length === 0) {
+      throw new Error('JSON datasets must be an array of rows or an object with a "data" array.');
+    }
+    if (Array.isArray(records[0])) {
+      const header = Array.isArray(parsed.columns)
+        ? parsed.columns.map(String)
+        : records[0].map((_, idx) => `x${idx + 1}`);
+      return { header, records };
+    }
+    const header = Object.keys(records[0]);
+    return { header, records: records.map((record) => header.map((key) => record?.[key])) };
+  }
+
+  const lines = trimmed.split(/\r?\n/).filter((line) => line.trim() !== '');
+  const firstLine = lines[0];
+  const delimiter = firstLine.includes('\t') ? '\t' : !firstLine.includes(',') && firstLine.includes(';') ? ';' : ',';
+  const cells = lines.map((line) => splitDelimitedLine(line, delimiter));
+  const hasHeader = cells[0].some((cell) => cell !== '' && !isNumericCell(cell));
+  const header = hasHeader ? cells[0] : cells[0].map((_, idx) => `x${idx + 1}`);
+  return { header, records: hasHeader ? cells.slice(1) : cells };
+}
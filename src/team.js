@@ -0,0 +1,248 @@
+// Committee rosters keyed by year, read from public/data/team.json.
+
+import { SLUG_PATTERN, isNonEmptyString, isSafeHref, optionalText } from './validation.mjs';
+
+export const TEAM_SOURCE = { url: '/data/team.json', version: 1 };
+const YEAR_PATTERN = /^\d{4}$/;
+const SOCIAL_HOSTS = {
+  linkedin: ['linkedin.com', 'www.linkedin.com', 'nz.linkedin.com'],
+  github: ['github.com', 'www.github.com'],
+};
+
+function validateSocialLink(kind, href) {
+  try {
+    const url = new URL(href);
+    return url.protocol === 'https:' && SOCIAL_HOSTS[kind].includes(url.hostname);
+  } catch {
+    return false;
+  }
+}
+
+function validateMember(member, portfolioIds, problems) {
+  if (!member || typeof member !== 'object' || Array.isArray(member)) {
+    problems.push('Entry must be an object.');
+    return null;
+  }
+  if (!isNonEmptyString(member.id) || !SLUG_PATTERN.test(member.id)) {
+    problems.push('"id" must be a lowercase slug such as "nate-bradbury".');
+  }
+  if (!isNonEmptyString(member.name)) {
+    problems.push('"name" is required.');
+  }
+  ['pronouns', 'degree', 'bio'].forEach((field) => {
+    if (member[field] != null && !isNonEmptyString(member[field])) {
+      problems.push(`"${field}" must be text.`);
+    }
+  });
+  if (member.avatar != null && !isSafeHref(member.avatar)) {
+    problems.push('"avatar" must be an image URL.');
+  }
+
+  const roles = Array.isArray(member.roles) ? member.roles : [];
+  if (!roles.length) {
+    problems.push('"roles" must list at least one { portfolio, title }.');
+  }
+  roles.forEach((role, index) => {
+    if (!role || !portfolioIds.has(role.portfolio)) {
+      problems.push(`roles[${index}].portfolio must be one of: ${[...portfolioIds].join(', ')}.`);
+    }
+    if (!role || !isNonEmptyString(role.title)) {
+      problems.push(`roles[${index}].title is required.`);
+    }
+  });
+
+  const projects = member.projects ?? [];
+  if (!Array.isArray(projects)) {
+    problems.push('"projects" must be a list of { title, description, href }.');
+  } else {
+    projects.forEach((project, index) => {
+      if (!project || !isNonEmptyString(project.title)) {
+        problems.push(`projects[${index}].title is required.`);
+      }
+      if (project?.description != null && !isNonEmptyString(project.description)) {
+        problems.push(`projects[${index}].description must be text.`);
+      }
+      if (project?.href != null && !isSafeHref(project.href)) {
+        problems.push(`projects[${index}].href must be an http(s) or site-relative link.`);
+      }
+    });
+  }
+
+  const links = member.links ?? {};
+  if (typeof links !== 'object' || Array.isArray(links)) {
+    problems.push('"links" must be an object with linkedin and/or github URLs.');
+  } else {
+    Object.entries(links).forEach(([kind, href]) => {
+      if (!SOCIAL_HOSTS[kind]) {
+        problems.push(`links.${kind} is not supported; use linkedin or github.`);
+      } else if (!validateSocialLink(kind, href)) {
+        problems.push(`links.${kind} must be an https://${SOCIAL_HOSTS[kind][0]}/… URL.`);
+      }
+    });
+  }
+
+  // The caller drops members with problems, so only build the record once the fields are known good.
+  if (problems.length) {
+    return null;
+  }
+  return {
+    id: member.id,
+    name: member.name.trim(),
+    pronouns: optionalText(member.pronouns),
+    degree: optionalText(member.degree),
+    bio: optionalText(member.bio),
+    avatar: member.avatar ?? null,
+    roles: roles.map((role) => ({ portfolio: role.portfolio, title: role.title.trim() })),
+    links: { linkedin: links.linkedin ?? null, github: links.github ?? null },
+    projects: projects.map((project) => ({
+      title: project.title.trim(),
+      description: optionalText(project.description),
+      href: project.href ?? null,
+    })),
+  };
+}
+
+function validateCommittee(year, committee, problems) {
+  const report = (label, messages) => problems.push({ year, label, messages });
+  if (!committee || typeof committee !== 'object' || !Array.isArray(committee.portfolios)) {
+    report(null, ['Committee needs a "portfolios" list and a "members" list.']);
+    return null;
+  }
+
+  const portfolios = [];
+  committee.portfolios.forEach((portfolio, index) => {
+    const messages = [];
+    if (!portfolio || !isNonEmptyString(portfolio.id) || !SLUG_PATTERN.test(portfolio.id)) {
+      messages.push('"id" must be a lowercase slug.');
+    } else if (portfolios.some((item) => item.id === portfolio.id)) {
+      messages.push('"id" duplicates an earlier portfolio.');
+    }
+    if (!portfolio || !isNonEmptyString(portfolio.title)) {
+      messages.push('"title" is required.');
+    }
+    if (portfolio?.description != null && !isNonEmptyString(portfolio.description)) {
+      messages.push('"description" must be text.');
+    }
+    if (messages.length) {
+      report(`portfolios[${index}]`, messages);
+      return;
+    }
+    portfolios.push({
+      id: portfolio.id,
+      title: portfolio.title.trim(),
+      description: optionalText(portfolio.description) ?? '',
+    });
+  });
+
+  const portfolioIds = new Set(portfolios.map((portfolio) => portfolio.id));
+  const members = [];
+  (Array.isArray(committee.members) ? committee.members : []).forEach((entry, index) => {
+    const messages = [];
+    const member = validateMember(entry, portfolioIds, messages);
+    if (member && members.some((item) => item.id === member.id)) {
+      messages.push('"id" duplicates an earlier member.');
+    }
+    if (messages.length) {
+      report(isNonEmptyString(entry?.name) ? entry.name : `members[${index}]`, messages);
+      return;
+    }
+    members.push(member);
+  });
+
+  return {
+    year,
+    portfolios: portfolios
+      .map((portfolio) => ({
+        ...portfolio,
+        members: members
+          .filter((member) => member.roles.some((role) => role.portfolio === portfolio.id))
+          .map((member) => ({
+            ...member,
+            role: member.roles
+              .filter((role) => role.portfolio === portfolio.id)
+              .map((role) => role.title)
+              .join(' & '),
+          })),
+      }))
+      .filter((portfolio) => portfolio.members.length),
+    members,
+  };
+}
+
+/**
+ * Validates the team file. Committees come back newest first; malformed members and
+ * portfolios are dropped and reported with the year they belong to.
+ */
+export function validateTeamDocument(source) {
+  if (!source || typeof source !== 'object' || Array.isArray(source)) {
+    throw new Error('The team file must contain a JSON object.');
+  }
+  if (source.version !== TEAM_SOURCE.version) {
+    throw new Error(
+      `Unsupported team file version ${JSON.stringify(source.version)} (expected ${TEAM_SOURCE.version}).`
+    );
+  }
+  if (!source.committees || typeof source.committees !== 'object' || Array.isArray(source.committees)) {
+    throw new Error('The team file needs a "committees" object keyed by year.');
+  }
+
+  const problems = [];
+  const committees = Object.entries(source.committees)
+    .filter(([year]) => {
+      if (YEAR_PATTERN.test(year)) return true;
+      problems.push({ year, label: null, messages: ['Committee keys must be four-digit years.'] });
+      return false;
+    })
+    .map(([year, committee]) => validateCommittee(Number(year), committee, problems))
+    .filter(Boolean)
+    .sort((a, b) => b.year - a.year);
+
+  return { committees, problems };
+}
+
+export function memberPath(member) {
+  return `/team/${member.id}`;
+}
+
+/**
+ * Everything the committees say about one person: their most recent details, each year's
+ * roles with the portfolio they sat in, and their projects across all years. Null if unknown.
+ */
+export function collectMemberProfile(committees, memberId) {
+  const terms = committees
+    .map((committee) => {
+      const member = committee.members.find((item) => item.id === memberId);
+      if (!member) return null;
+      const portfolios = new Map(committee.portfolios.map((portfolio) => [portfolio.id, portfolio]));
+      return {
+        year: committee.year,
+        member,
+        roles: member.roles.map((role) => ({ title: role.title, portfolio: portfolios.get(role.portfolio) })),
+      };
+    })
+    .filter(Boolean);
+  if (!terms.length) {
+    return null;
+  }
+
+  const projects = [];
+  terms.forEach(({ member }) => {
+    member.projects.forEach((project) => {
+      if (!projects.some((item) => item.title === project.title)) projects.push(project);
+    });
+  });
+  return {
+    member: terms[0].member,
+    terms: terms.map(({ year, roles }) => ({ year, roles })),
+    projects,
+  };
+}
+
+export function initialsOf(name) {
+  return name
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((part) => part[0].toUpperCase())
+    .slice(0, 2)
+    .join('');
+}
@@ -0,0 +1,151 @@
+import { collectMemberProfile, initialsOf, memberPath, validateTeamDocument } from './team';
+
+const portfolios = [
+  { id: 'executive', title: 'Executive Team' },
+  { id: 'events', title: 'Events', description: 'Runs the calendar.' },
+];
+
+function teamDocument(committees) {
+  return { version: 1, committees };
+}
+
+describe('validateTeamDocument', () => {
+  test('returns committees newest first with members grouped by portfolio', () => {
+    const { committees, problems } = validateTeamDocument(
+      teamDocument({
+        2024: { portfolios, members: [{ id: 'ada', name: 'Ada', roles: [{ portfolio: 'events', title: 'Lead' }] }] },
+        2025: {
+          portfolios,
+          members: [
+            {
+              id: 'ada',
+              name: ' Ada Lovelace ',
+              roles: [
+                { portfolio: 'executive', title: 'President' },
+                { portfolio: 'executive', title: 'Treasurer' },
+              ],
+              links: { github: 'https://github.com/ada' },
+            },
+          ],
+        },
+      })
+    );
+    expect(problems).toEqual([]);
+    expect(committees.map((committee) => committee.year)).toEqual([2025, 2024]);
+    // portfolios nobody sits in are left out of the roster
+    expect(committees[0].portfolios.map((portfolio) => portfolio.id)).toEqual(['executive']);
+    expect(committees[0].portfolios[0].members[0]).toMatchObject({
+      name: 'Ada Lovelace',
+      role: 'President & Treasurer',
+      links: { linkedin: null, github: 'https://github.com/ada' },
+    });
+  });
+
+  test('drops and reports members with non-text fields instead of throwing', () => {
+    const { committees, problems } = validateTeamDocument(
+      teamDocument({
+        2025: {
+          portfolios,
+          members: [
+            { id: 'ada', name: 'Ada', roles: [{ portfolio: 'events', title: 'Lead' }], bio: 42 },
+            { id: 'grace', name: 7, roles: [{ portfolio: 'events', title: 5 }] },
+            { id: 'alan', name: 'Alan', roles: [{ portfolio: 'events', title: 'Helper' }], projects: [{ title: [] }] },
+            { id: 'joan', name: 'Joan', roles: [{ portfolio: 'events', title: 'Host' }] },
+          ],
+        },
+      })
+    );
+    expect(committees[0].members.map((member) => member.id)).toEqual(['joan']);
+    expect(problems).toEqual([
+      { year: 2025, label: 'Ada', messages: ['"bio" must be text.'] },
+      { year: 2025, label: 'members[1]', messages: ['"name" is required.', 'roles[0].title is required.'] },
+      { year: 2025, label: 'Alan', messages: ['projects[0].title is required.'] },
+    ]);
+  });
+
+  test('rejects unknown portfolios, unsafe links and duplicate ids', () => {
+    const { problems } = validateTeamDocument(
+      teamDocument({
+        2025: {
+          portfolios,
+          members: [
+            { id: 'ada', name: 'Ada', roles: [{ portfolio: 'marketing', title: 'Lead' }] },
+            {
+              id: 'grace',
+              name: 'Grace',
+              roles: [{ portfolio: 'events', title: 'Lead' }],
+              links: { linkedin: 'http://evil.example/grace' },
+              avatar: 'data:image/svg+xml,<svg/>',
+            },
+            { id: 'joan', name: 'Joan', roles: [{ portfolio: 'events', title: 'Host' }] },
+            { id: 'joan', name: 'Joan Clarke', roles: [{ portfolio: 'events', title: 'Host' }] },
+          ],
+        },
+      })
+    );
+    expect(problems.map((problem) => problem.label)).toEqual(['Ada', 'Grace', 'Joan Clarke']);
+    expect(problems[1].messages).toHaveLength(2);
+    expect(problems[2].messages).toEqual(['"id" duplicates an earlier member.']);
+  });
+
+  test('reports committees keyed by something other than a year', () => {
+    const { committees, problems } = validateTeamDocument(teamDocument({ next: { portfolios, members: [] } }));
+    expect(committees).toEqual([]);
+    expect(problems).toEqual([{ year: 'next', label: null, messages: ['Committee keys must be four-digit years.'] }]);
+  });
+
+  test('throws when the file itself is unusable', () => {
+    expect(() => validateTeamDocument([])).toThrow('must contain a JSON object');
+    expect(() => validateTeamDocument({ version: 2, committees: {} })).toThrow('Unsupported team file version 2');
+    expect(() => validateTeamDocument({ version: 1 })).toThrow('"committees" object');
+  });
+});
+
+describe('collectMemberProfile', () => {
+  const { committees } = validateTeamDocument(
+    teamDocument({
+      2024: {
+        portfolios,
+        members: [
+          {
+            id: 'ada',
+            name: 'Ada',
+            roles: [{ portfolio: 'events', title: 'Lead' }],
+            projects: [{ title: 'Hack night' }, { title: 'Datathon' }],
+          },
+        ],
+      },
+      2025: {
+        portfolios,
+        members: [
+          {
+            id: 'ada',
+            name: 'Ada Lovelace',
+            roles: [{ portfolio: 'executive', title: 'President' }],
+            projects: [{ title: 'Datathon', description: 'Second run.' }],
+          },
+        ],
+      },
+    })
+  );
+
+  test('uses the latest details and merges projects across years', () => {
+    const profile = collectMemberProfile(committees, 'ada');
+    expect(profile.member.name).toBe('Ada Lovelace');
+    expect(profile.terms.map(({ year, roles }) => [year, roles[0].title, roles[0].portfolio.id])).toEqual([
+      [2025, 'President', 'executive'],
+      [2024, 'Lead', 'events'],
+    ]);
+    expect(profile.projects.map((project) => project.title)).toEqual(['Datathon', 'Hack night']);
+    expect(profile.projects[0].description).toBe('Second run.');
+  });
+
+  test('returns null for someone who was never on the committee', () => {
+    expect(collectMemberProfile(committees, 'grace')).toBeNull();
+  });
+});
+
+test('initialsOf and memberPath', () => {
+  expect(initialsOf(' ada  king lovelace ')).toBe('AK');
+  expect(memberPath({ id: 'ada' })).toBe('/team/ada');
+});
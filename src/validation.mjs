@@ -0,0 +1,57 @@
+// Checks shared by the validators for the JSON files under public/data and by the site's forms.
+
+export function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+/** Trimmed text for an optional field, or null when it's missing or not text (already reported). */
+export function optionalText(value) {
+  return isNonEmptyString(value) ? value.trim() : null;
+}
+
+/** Site-relative paths and http(s)/mailto URLs; anything else (javascript:, data:) is rejected. */
+export function isSafeHref(href) {
+  if (typeof href !== 'string' || !href.trim()) {
+    return false;
+  }
+  if (href.startsWith('/') && !href.startsWith('//')) {
+    return true;
+  }
+  try {
+    return ['http:', 'https:', 'mailto:'].includes(new URL(href).protocol);
+  } catch {
+    return false;
+  }
+}
+
+// Signups and RSVPs are for students, so they must use a university address.
+export const STUDENT_EMAIL_DOMAINS = ['myvuw.ac.nz'];
+const EMAIL_PATTERN = /^[^\s@]+@([^\s@]+\.[^\s@]+)$/;
+
+export function normalizeEmail(email) {
+  return String(email ?? '')
+    .trim()
+    .toLowerCase();
+}
+
+/** Why an address can't be emailed, or null when it looks deliverable. */
+export function emailError(email) {
+  return typeof email === 'string' && EMAIL_PATTERN.test(normalizeEmail(email))
+    ? null
+    : 'Please enter a valid email address.';
+}
+
+/** Why an address isn't a student email, or null when it is. */
+export function studentEmailError(email) {
+  const invalid = emailError(email);
+  if (invalid) {
+    return invalid;
+  }
+  const domain = EMAIL_PATTERN.exec(normalizeEmail(email))[1];
+  if (!STUDENT_EMAIL_DOMAINS.includes(domain)) {
+    return `Use your student email (${STUDENT_EMAIL_DOMAINS.map((item) => `@${item}`).join(' or ')}).`;
+  }
+  return null;
+}
+
+export const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;